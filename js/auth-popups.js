@@ -88,6 +88,7 @@
             network: 'Network error. Please check your connection and try again.',
             server: 'Server error. Please try again later.',
             validation: 'Please check your input and try again.',
+            signIn: 'We could not sign you in on this device. Please try again.',
             default: 'An error occurred. Please try again.'
         },
 
@@ -178,6 +179,8 @@
 
                         return true;
                     }
+
+                    return false;
                 }
 
                 // Fallback to local storage if centralized manager not available
@@ -238,10 +241,7 @@
             try {
                 // Try centralized data manager first
                 if (window.EmiralUserData && typeof window.EmiralUserData.getUserData === 'function') {
-                    const centralData = window.EmiralUserData.getUserData();
-                    if (centralData) {
-                        return centralData;
-                    }
+                    return window.EmiralUserData.getUserData();
                 }
 
                 // Fallback to local storage
@@ -291,7 +291,11 @@
 
         clearUserData: () => {
             try {
-                localStorage.removeItem(userDataConfig.storageKey);
+                if (window.EmiralUserData && typeof window.EmiralUserData.clearUserData === 'function') {
+                    window.EmiralUserData.clearUserData();
+                } else {
+                    localStorage.removeItem(userDataConfig.storageKey);
+                }
                 state.isLoggedIn = false;
                 state.currentUser = null;
 
@@ -317,6 +321,77 @@
                 return true;
             }
             return false;
+        },
+
+        /**
+         * Sign in from the login/signup forms - keeps any account that is already signed in
+         */
+        signIn: (userData) => {
+            if (!window.EmiralUserData || typeof window.EmiralUserData.addAccount !== 'function') {
+                return userDataManager.saveUserData(userData);
+            }
+
+            if (!userData.profileImage || userData.profileImage === userDataConfig.defaultProfileImage) {
+                userData.profileImage = generateUserAvatar(userData);
+            }
+
+            const wasLoggedIn = state.isLoggedIn;
+            const account = window.EmiralUserData.addAccount(userData);
+            if (!account) return false;
+
+            if (wasLoggedIn) {
+                // Every part of the page still shows the previous account
+                setTimeout(() => window.location.reload(), config.animations.successDelay + 1000);
+                return true;
+            }
+
+            state.isLoggedIn = true;
+            state.currentUser = window.EmiralUserData.getUserData();
+
+            headerUserDisplay.update();
+            mobileMenuUser.update();
+            heroButtonUpdate.update();
+
+            return true;
+        },
+
+        /**
+         * Switch to another signed-in account and reload the page as that account
+         */
+        switchAccount: (accountId) => {
+            if (window.EmiralUserData && window.EmiralUserData.switchAccount(accountId)) {
+                window.location.reload();
+            }
+        },
+
+        /**
+         * The centralized manager ended an expired session - show the page signed out and ask to sign in again
+         */
+        handleSessionExpired: () => {
+            state.isLoggedIn = false;
+            state.currentUser = null;
+
+            headerUserDisplay.update();
+            mobileMenuUser.update();
+            heroButtonUpdate.update();
+
+            popupManager.show('login-popup');
+
+            const loginForm = dom.find('#login-form');
+            if (loginForm) {
+                errorDisplay.showFormError(loginForm, 'Your session has expired. Please sign in again.');
+            }
+        },
+
+        /**
+         * Accounts signed in on this device (only with the centralized manager)
+         */
+        listAccounts: () => {
+            if (!window.EmiralUserData || typeof window.EmiralUserData.listAccounts !== 'function') {
+                return [];
+            }
+
+            return window.EmiralUserData.listAccounts();
         }
     };
 
@@ -1021,8 +1096,8 @@
             try {
                 const response = await apiHandler.request(apiConfig.endpoints.login, credentials);
 
-                if (response.success && response.user) {
-                    userDataManager.saveUserData(response.user);
+                if (response.success && response.user && !userDataManager.signIn(response.user)) {
+                    return { ...response, success: false, message: config.errorMessages.signIn };
                 }
 
                 return response;
@@ -1035,8 +1110,8 @@
             try {
                 const response = await apiHandler.request(apiConfig.endpoints.signup, userData);
 
-                if (response.success && response.user) {
-                    userDataManager.saveUserData(response.user);
+                if (response.success && response.user && !userDataManager.signIn(response.user)) {
+                    return { ...response, success: false, message: config.errorMessages.signIn };
                 }
 
                 return response;
@@ -1102,6 +1177,10 @@
                         throw new Error('Unknown form type');
                 }
 
+                if (response && response.success === false) {
+                    throw new Error(response.message || config.errorMessages.default);
+                }
+
                 loadingState.hide(form);
                 successHandler.showSuccess(form, userData);
 
@@ -1274,6 +1353,38 @@
 
             dropdown.appendChild(dashboardItem);
             dropdown.appendChild(profileItem);
+
+            // Other signed-in accounts
+            userDataManager.listAccounts()
+                .filter(account => !account.isActive)
+                .forEach(account => {
+                    const accountItem = dom.create('div', {
+                        class: 'header-user-dropdown-item header-user-account',
+                        html: '<i class="fas fa-exchange-alt"></i><span></span>',
+                        attributes: { title: account.email }
+                    });
+                    dom.find('span', accountItem).textContent = account.name || account.email;
+
+                    accountItem.addEventListener('click', () => {
+                        userDataManager.switchAccount(account.id);
+                    });
+
+                    dropdown.appendChild(accountItem);
+                });
+
+            if (window.EmiralUserData && typeof window.EmiralUserData.addAccount === 'function') {
+                const addAccountItem = dom.create('div', {
+                    class: 'header-user-dropdown-item',
+                    html: '<i class="fas fa-user-plus"></i><span>Add Account</span>'
+                });
+
+                addAccountItem.addEventListener('click', () => {
+                    popupManager.show('login-popup');
+                });
+
+                dropdown.appendChild(addAccountItem);
+            }
+
             dropdown.appendChild(logoutItem);
 
             profileDiv.appendChild(avatar);
@@ -1819,6 +1930,8 @@
         // User data management
         getUserData: () => userDataManager.getUserData(),
         updateUserData: (updates) => userDataManager.updateUserData(updates),
+        listAccounts: () => userDataManager.listAccounts(),
+        switchAccount: (accountId) => userDataManager.switchAccount(accountId),
         logout: () => {
             userDataManager.clearUserData();
             window.location.reload();
@@ -1845,10 +1958,22 @@
      */
 
     function init() {
+        // Wait for the centralized manager to load (and decrypt) stored user data
+        const start = () => {
+            if (window.EmiralUserData && typeof window.EmiralUserData.ready === 'function') {
+                // A failed init still gets a working header, just without stored data
+                window.EmiralUserData.ready()
+                    .catch(error => console.error('User data manager failed to initialize:', error))
+                    .then(initialize);
+            } else {
+                initialize();
+            }
+        };
+
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initialize);
+            document.addEventListener('DOMContentLoaded', start);
         } else {
-            initialize();
+            start();
         }
     }
 
@@ -1883,6 +2008,23 @@
                 console.log('User is logged in:', state.currentUser.email);
             }
 
+            // "Add account" links from other pages (dashboard.html) land on main.html#add-account
+            if (window.location.hash === '#add-account') {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+                popupManager.show('login-popup');
+            }
+
+            // Sessions that run out on this page or in another tab (the countdown comes from payment.js)
+            if (window.EmiralUserData && typeof window.EmiralUserData.getSession === 'function') {
+                window.EmiralUserData.on('sessionExpired', userDataManager.handleSessionExpired);
+            }
+
+            // Other pages send expired sessions to main.html#session-expired
+            if (window.location.hash === '#session-expired') {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+                userDataManager.handleSessionExpired();
+            }
+
         } catch (error) {
             console.error('AuthPopups initialization failed:', error);
         }
@@ -1942,5 +2084,17 @@
  *        // User is logged in
  *    }
  * 
+ * 6. SWITCH ACCOUNTS:
+ *    Logging in while signed in adds a second account (header menu > Add Account).
+ *    AuthPopups.listAccounts().forEach(account => console.log(account.email));
+ *    AuthPopups.switchAccount(accountId); // reloads the page as that account
+ *
+ * 7. EXPIRED SESSIONS:
+ *    When EmiralUserData ends a session (idle timeout or expiry) the header
+ *    switches to signed out and the login popup opens with a notice. Other
+ *    pages redirect to main.html#session-expired for the same result.
+ *    Return a token from your login API to use it for sync and refresh:
+ *    { success: true, user: { ..., token, refreshToken, tokenExpiresAt } }
+ * 
  * =============================================================================
  */
\ No newline at end of file
@@ -12,7 +12,7 @@
  * CUSTOMIZATION GUIDE:
  * - All settings are in the CONFIG object below
  * - Public API available via window.EmiralAI
- * - Event hooks for extending functionality
+ * - Event hooks for extending functionality (shared EmiralEvents bus, "ui:" namespace)
  * - Modular structure for easy feature toggle
  * 
  * TABLE OF CONTENTS:
@@ -33,6 +33,9 @@
 (function () {
     'use strict';
 
+    // Shared event bus (js/event-bus.js) - theme events are published as "ui:<event>"
+    const eventBus = window.EmiralEvents.namespace('ui');
+
     /* =============================================================================
        1. CONFIGURATION & SETTINGS
        ============================================================================= */
@@ -206,6 +209,9 @@
          * @param {*} detail - Event detail data
          */
         trigger(eventName, detail = {}) {
+            eventBus.emit(eventName, detail);
+
+            // DOM event for scripts listening on document
             const event = new CustomEvent(`Emiralai:${eventName}`, { detail });
             document.dispatchEvent(event);
             this.log('log', `Event triggered: ${eventName}`, detail);
@@ -1227,7 +1233,7 @@
                 }
             });
 
-            Utils.trigger('Emiralai:initialized');
+            Utils.trigger('initialized');
         },
 
         /**
@@ -1252,20 +1258,32 @@
 
         /**
          * Subscribe to events
-         * @param {string} eventName - Event name (without 'Emiralai:' prefix)
-         * @param {Function} callback - Callback function
+         * @param {string} eventName - Event name or pattern ('theme:*'), without the 'ui:' prefix
+         * @param {Function} callback - Called with (detail, { name, timestamp, replayed })
+         * @param {Object} options - { priority, once, replay }
+         * @returns {Function} Unsubscribe function
+         */
+        on(eventName, callback, options) {
+            return eventBus.on(eventName, callback, options);
+        },
+
+        /**
+         * Subscribe to the next event only
+         * @param {string} eventName - Event name or pattern, without the 'ui:' prefix
+         * @param {Function} callback - Optional; without it a promise is returned
+         * @returns {Function|Promise} Unsubscribe function, or a promise of the event detail
          */
-        on(eventName, callback) {
-            document.addEventListener(`Emiralai:${eventName}`, callback);
+        once(eventName, callback) {
+            return eventBus.once(eventName, callback);
         },
 
         /**
          * Unsubscribe from events
-         * @param {string} eventName - Event name (without 'Emiralai:' prefix)
+         * @param {string} eventName - Event name or pattern used with on()
          * @param {Function} callback - Callback function
          */
         off(eventName, callback) {
-            document.removeEventListener(`Emiralai:${eventName}`, callback);
+            eventBus.off(eventName, callback);
         },
 
         /**
@@ -1380,9 +1398,12 @@
  *    });
  * 
  * 2. Listen to events:
- *    EmiralAI.on('theme:changed', (e) => {
- *        console.log('Theme changed to:', e.detail.theme);
+ *    EmiralAI.on('theme:changed', (detail) => {
+ *        console.log('Theme changed to:', detail.theme);
  *    });
+ *    EmiralAI.on('video:*', (detail, event) => console.log(event.name));
+ *    EmiralAI.once('initialized', () => {}); // replayed if the theme already started
+ *    Every event is also on the shared bus as 'ui:<event>' (js/event-bus.js).
  * 
  * 3. Control modules:
  *    EmiralAI.theme.setTheme('dark');
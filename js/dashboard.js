@@ -17,6 +17,11 @@
  *    1.3 Update Interface
  *    1.4 Session Management
  *    1.5 Logout Handling
+ *    1.6 Notifications (quota warnings)
+ *    1.7 Account Switcher
+ *    1.8 Session Warning (idle / expiry countdown)
+ *    1.9 Locale & Formatting (language / time zone settings)
+ *    1.10 Undo Toast (settings edits)
  * 
  * 2. SIDEBAR FUNCTIONALITY
  *    2.1 Mobile Toggle
@@ -176,8 +181,8 @@ document.addEventListener('DOMContentLoaded', function () {
                 }
             }
 
-            // Fallback to localStorage
-            const storedData = localStorage.getItem(userDataConfig.storageKey);
+            // Fallback to localStorage when the centralized manager is not loaded
+            const storedData = window.EmiralUserData ? null : localStorage.getItem(userDataConfig.storageKey);
 
             if (!storedData) {
                 console.log('No user data found, using defaults');
@@ -333,26 +338,23 @@ document.addEventListener('DOMContentLoaded', function () {
      * @returns {boolean} True if session is valid
      */
     function isSessionValid(userData) {
+        // The centralized manager owns the session (sliding expiry, idle timeout) and
+        // announces its end through sessionExpiring / sessionExpired - see 1.8
+        if (window.EmiralUserData && typeof window.EmiralUserData.getSession === 'function') {
+            // getUserData() has already signed out an expired session
+            return true;
+        }
+
         if (!userData.sessionExpiry) {
             // No expiry means permanent session
             return true;
         }
 
-        const expiryDate = new Date(userData.sessionExpiry);
-        const currentDate = new Date();
-
-        if (currentDate >= expiryDate) {
+        if (new Date() >= new Date(userData.sessionExpiry)) {
             console.warn('User session has expired');
             return false;
         }
 
-        // Optional: Warn if session is about to expire (within 1 hour)
-        const oneHourFromNow = new Date(currentDate.getTime() + (60 * 60 * 1000));
-        if (oneHourFromNow >= expiryDate) {
-            console.warn('Session will expire soon');
-            // You could show a notification here
-        }
-
         return true;
     }
 
@@ -438,15 +440,75 @@ document.addEventListener('DOMContentLoaded', function () {
         // Update UI
         updateUserInterface(userData);
 
+        // List the other signed-in accounts in the user menu
+        renderAccountSwitcher();
+
+        // Language and time zone used for numbers and dates
+        initializeLocaleSettings();
+
         // Sync with centralized data manager
         if (window.EmiralUserData) {
             // Listen for user data updates
-            window.addEventListener('userDataUpdated', function (event) {
-                if (event.detail) {
+            window.EmiralUserData.on('dataUpdated', function (data) {
+                if (data) {
                     const newUserData = loadUserData();
                     updateUserInterface(newUserData);
                 }
             });
+
+            // Logged out in another tab (the tab channel also covers IndexedDB storage)
+            let sessionExpired = false;
+            window.EmiralUserData.on('userLoggedOut', function () {
+                if (!sessionExpired) {
+                    window.location.href = 'main.html';
+                }
+            });
+
+            // Idle or expiring session - count down, then send the user to sign in again
+            window.EmiralUserData.on('sessionExpiring', showSessionWarning);
+            window.EmiralUserData.on('sessionExtended', hideSessionWarning);
+            window.EmiralUserData.on('sessionExpired', function () {
+                sessionExpired = true;
+                hideSessionWarning();
+                window.location.href = 'main.html#session-expired';
+            });
+
+            // Numbers and dates on the page follow the new locale
+            window.EmiralUserData.on('localeChanged', function () {
+                updateUserInterface(loadUserData());
+            });
+
+            // Offer to undo each saved edit
+            window.EmiralUserData.on('historyChanged', showUndoToast);
+
+            // Surface plan quota warnings in the notifications dropdown
+            window.EmiralUserData.on('quotaWarning', function (quota) {
+                addDashboardNotification(`${quota.label} usage reached ${quota.percentage}% of your plan limit`, 'fa-exclamation-circle');
+            });
+
+            window.EmiralUserData.on('quotaExceeded', function (quota) {
+                const message = quota.blocked ?
+                    `${quota.label} limit reached - upgrade your plan to continue` :
+                    `${quota.label} usage is over your plan limit`;
+                addDashboardNotification(message, 'fa-ban');
+            });
+
+            // Failed payments and lapsed plans
+            window.EmiralUserData.on('subscriptionStateChanged', function (change) {
+                const messages = {
+                    past_due: ['Your last payment failed - we will retry it', 'fa-credit-card'],
+                    grace: ['Payment overdue - update your payment method to keep your plan', 'fa-exclamation-triangle'],
+                    canceled_at_period_end: ['Subscription cancelled - your plan stays until the period ends', 'fa-calendar-times'],
+                    canceled: ['Your subscription has ended - you are now on the Free plan', 'fa-ban'],
+                    expired: ['Your subscription has ended - you are now on the Free plan', 'fa-ban']
+                };
+
+                if (change.reason === 'trialEnded') {
+                    addDashboardNotification('Your free trial has ended - you are now on the Free plan', 'fa-hourglass-end');
+                } else if (messages[change.to]) {
+                    addDashboardNotification(messages[change.to][0], messages[change.to][1]);
+                }
+            });
         }
 
         // Setup logout handlers
@@ -460,9 +522,9 @@ document.addEventListener('DOMContentLoaded', function () {
                     console.log('User logged out in another tab');
                     window.location.href = 'main.html';
                 } else {
-                    // User data was updated
+                    // User data was updated (the manager may store it encrypted)
                     try {
-                        const newUserData = JSON.parse(e.newValue);
+                        const newUserData = window.EmiralUserData ? loadUserData() : JSON.parse(e.newValue);
                         updateUserInterface(newUserData);
                     } catch (error) {
                         console.error('Error parsing updated user data:', error);
@@ -477,8 +539,196 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
-    // Initialize user data immediately
-    initializeUserData();
+    // Initialize user data once the centralized manager has loaded (and decrypted) storage
+    if (window.EmiralUserData && typeof window.EmiralUserData.ready === 'function') {
+        // A failed init still initializes the page (without a valid session it signs out)
+        window.EmiralUserData.ready()
+            .catch(error => console.error('User data manager failed to initialize:', error))
+            .then(initializeUserData);
+    } else {
+        initializeUserData();
+    }
+
+    /**
+     * 1.6 Add Dashboard Notification
+     * Prepends an unread item to the header notifications dropdown
+     * @param {string} message - Notification text
+     * @param {string} icon - Font Awesome icon class
+     */
+    function addDashboardNotification(message, icon = 'fa-info-circle') {
+        const list = document.querySelector('.notification-list');
+        if (!list) return;
+
+        const item = document.createElement('li');
+        item.className = 'unread';
+        item.innerHTML = `
+            <div class="notification-icon">
+                <i class="fas ${icon}"></i>
+            </div>
+            <div class="notification-content">
+                <p></p>
+                <span class="notification-time">Just now</span>
+            </div>
+        `;
+        item.querySelector('p').textContent = message;
+        list.prepend(item);
+
+        const badge = document.querySelector('.notification-badge');
+        if (badge) {
+            badge.textContent = (parseInt(badge.textContent, 10) || 0) + 1;
+        }
+    }
+
+    /**
+     * 1.7 Account Switcher
+     * Adds the other signed-in accounts and an "Add Account" link to the user menu
+     */
+    function renderAccountSwitcher() {
+        const menu = document.querySelector('.user-dropdown ul');
+        const logoutItem = menu?.querySelector('.logout-btn')?.closest('li');
+        if (!menu || !logoutItem || typeof window.EmiralUserData?.listAccounts !== 'function') return;
+
+        menu.querySelectorAll('.account-switch-item').forEach(item => item.remove());
+
+        window.EmiralUserData.listAccounts()
+            .filter(account => !account.isActive)
+            .forEach(account => {
+                const item = document.createElement('li');
+                item.className = 'account-switch-item';
+                item.innerHTML = '<a href="#"><i class="fas fa-exchange-alt"></i> <span></span></a>';
+                item.querySelector('span').textContent = account.name || account.email;
+                item.querySelector('a').title = account.email;
+
+                item.querySelector('a').addEventListener('click', function (e) {
+                    e.preventDefault();
+
+                    // Reload so every widget, chart and quota reflects the new account
+                    if (window.EmiralUserData.switchAccount(account.id)) {
+                        window.location.reload();
+                    }
+                });
+
+                menu.insertBefore(item, logoutItem);
+            });
+
+        // Login popups live on the main page
+        const addItem = document.createElement('li');
+        addItem.className = 'account-switch-item';
+        addItem.innerHTML = '<a href="main.html#add-account"><i class="fas fa-user-plus"></i> Add Account</a>';
+        menu.insertBefore(addItem, logoutItem);
+    }
+
+    /**
+     * 1.8 Session Warning
+     * Banner with the countdown from sessionExpiring; any click keeps the session alive
+     * @param {Object} warning - { reason: 'idle'|'expired', secondsLeft }
+     */
+    function showSessionWarning(warning) {
+        let banner = document.querySelector('.session-warning');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'session-warning';
+            banner.setAttribute('role', 'alert');
+            banner.innerHTML = `
+                <i class="fas fa-hourglass-half"></i>
+                <span class="session-warning-text"></span>
+                <button type="button" class="primary-btn">Stay signed in</button>
+            `;
+            banner.querySelector('button').addEventListener('click', function () {
+                window.EmiralUserData.extendSession();
+            });
+            document.body.appendChild(banner);
+        }
+
+        banner.querySelector('.session-warning-text').textContent = window.EmiralUserData.getSessionWarningMessage(warning);
+    }
+
+    function hideSessionWarning() {
+        const banner = document.querySelector('.session-warning');
+        if (banner) banner.remove();
+    }
+
+    /**
+     * 1.9 Locale & Formatting
+     * Numbers and dates follow the user's locale and time zone from the centralized manager
+     */
+    function formatNumber(value) {
+        return window.EmiralUserData ? window.EmiralUserData.formatNumber(value) : Number(value).toLocaleString();
+    }
+
+    function formatDate(date, style = 'medium') {
+        return window.EmiralUserData ? window.EmiralUserData.formatDate(date, style) : date.toLocaleDateString();
+    }
+
+    /**
+     * Fill the language / time zone selects in Settings > General and save them with the form
+     */
+    function initializeLocaleSettings() {
+        const localeSelect = document.querySelector('.settings-form select[name="locale"]');
+        const timeZoneSelect = document.querySelector('.settings-form select[name="timeZone"]');
+        if (!window.EmiralUserData || !localeSelect || !timeZoneSelect) return;
+
+        const current = window.EmiralUserData.getLocale();
+
+        localeSelect.innerHTML = '';
+        Object.entries(window.EmiralUserData.config.locale.supported).forEach(([locale, label]) => {
+            localeSelect.add(new Option(label, locale));
+        });
+        if (!localeSelect.querySelector(`option[value="${current.locale}"]`)) {
+            localeSelect.add(new Option(current.locale, current.locale));
+        }
+        localeSelect.value = current.locale;
+
+        // Keep the zone the browser reported even when it is not in the list
+        if (!timeZoneSelect.querySelector(`option[value="${current.timeZone}"]`)) {
+            timeZoneSelect.add(new Option(current.timeZone, current.timeZone));
+        }
+        timeZoneSelect.value = current.timeZone;
+
+        localeSelect.form.addEventListener('submit', function () {
+            window.EmiralUserData.setLocale(localeSelect.value, timeZoneSelect.value);
+        });
+    }
+
+    /**
+     * 1.10 Undo Toast
+     * Shown after each journaled edit (historyChanged); Undo calls EmiralUserData.undo()
+     * @param {Object} change - { action, entry, canUndo, canRedo }
+     */
+    let undoToastTimer = null;
+
+    function showUndoToast(change) {
+        const existing = document.querySelector('.undo-toast');
+        if (existing) existing.remove();
+        clearTimeout(undoToastTimer);
+
+        if (change.action !== 'recorded') return;
+
+        const isSettings = change.entry.fields.every(field => field.startsWith('settings.'));
+        const toast = document.createElement('div');
+        toast.className = 'undo-toast';
+        toast.setAttribute('role', 'status');
+        toast.innerHTML = `
+            <i class="fas fa-check-circle"></i>
+            <span>${isSettings ? 'Settings saved' : 'Profile updated'}</span>
+            <button type="button" class="primary-btn">Undo</button>
+        `;
+
+        toast.querySelector('button').addEventListener('click', function () {
+            toast.remove();
+            if (window.EmiralUserData.undo()) {
+                // The settings form shows what is saved again
+                const current = window.EmiralUserData.getLocale();
+                const localeSelect = document.querySelector('.settings-form select[name="locale"]');
+                const timeZoneSelect = document.querySelector('.settings-form select[name="timeZone"]');
+                if (localeSelect) localeSelect.value = current.locale;
+                if (timeZoneSelect) timeZoneSelect.value = current.timeZone;
+            }
+        });
+
+        document.body.appendChild(toast);
+        undoToastTimer = setTimeout(() => toast.remove(), 8000);
+    }
 
     /**
      * =============================================================================
@@ -668,9 +918,9 @@ document.addEventListener('DOMContentLoaded', function () {
                 // update the API limit display
                 const apiLimitElement = document.querySelector('.stat-value[data-stat="api-limit"]');
                 if (apiLimitElement && userData.usage.apiLimit) {
-                    const used = userData.usage.apiCallsUsed || 75425;
+                    const used = userData.usage.apiCalls || 0;
                     const limit = userData.usage.apiLimit || 100000;
-                    apiLimitElement.textContent = `${used.toLocaleString()} / ${limit.toLocaleString()}`;
+                    apiLimitElement.textContent = `${formatNumber(used)} / ${formatNumber(limit)}`;
                 }
             }
         }
@@ -714,7 +964,7 @@ document.addEventListener('DOMContentLoaded', function () {
                         caretSize: 5,
                         callbacks: {
                             label: function (context) {
-                                return context.dataset.label + ': ' + context.parsed.y.toLocaleString();
+                                return context.dataset.label + ': ' + formatNumber(context.parsed.y);
                             }
                         }
                     }
@@ -1071,10 +1321,7 @@ document.addEventListener('DOMContentLoaded', function () {
      * @returns {string} Formatted date
      */
     function formatDateShort(date) {
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const year = date.getFullYear();
-        return `${month}/${day}/${year}`;
+        return formatDate(date, 'short');
     }
 
     /**
@@ -1083,8 +1330,7 @@ document.addEventListener('DOMContentLoaded', function () {
      * @returns {string} Formatted date
      */
     function formatDateLong(date) {
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        return `${months[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+        return formatDate(date, 'medium');
     }
 
     // Close dropdown when clicking outside
@@ -1462,6 +1708,18 @@ curl -X POST https://api.emiralai.com/v1/predict \\
                     // Show upload notification
                     console.log(`Uploading ${files.length} file(s)...`);
 
+                    // Check the files fit the plan's storage limit; a real upload meters them with
+                    // consumeQuota('storage', bytes) once they are stored - this demo stores nothing
+                    if (window.EmiralUserData) {
+                        const bytes = Array.from(files).reduce((total, file) => total + file.size, 0);
+                        const quota = window.EmiralUserData.checkQuota('storage', bytes);
+
+                        if (quota && !quota.allowed) {
+                            alert(`Not enough storage left on your plan (${window.EmiralUserData.formatBytes(quota.remaining)} remaining).`);
+                            return;
+                        }
+                    }
+
                     // You can add upload progress UI here
                     alert(`Selected ${files.length} file(s) for upload. This is a demo - no actual upload occurs.`);
                 }
@@ -1563,6 +1821,8 @@ curl -X POST https://api.emiralai.com/v1/predict \\
  * 
  * 3. Modify logout behavior:
  *    Edit handleLogout() function
+ *    Logout signs out the active account only; other signed-in accounts
+ *    stay in the user menu (renderAccountSwitcher())
  * 
  * 4. Add plan-specific features:
  *    Check userData.plan in your code:
@@ -1571,7 +1831,18 @@ curl -X POST https://api.emiralai.com/v1/predict \\
  *    }
  * 
  * 5. Customize session timeout:
- *    Modify isSessionValid() function
+ *    Session length, idle timeout and the countdown live in EmiralUserData
+ *    (config.storage.sessionTimeout, config.session). The countdown banner
+ *    is showSessionWarning() and the expiry redirect is in initializeUserData().
+ * 
+ * 6. Language and time zone:
+ *    Settings > General saves them with EmiralUserData.setLocale(); the list of
+ *    languages comes from EmiralUserData.config.locale.supported. Use
+ *    formatNumber() / formatDate() (section 1.9) for anything you add.
+ * 
+ * 7. Undo:
+ *    Saving settings shows a toast with an Undo button for 8 seconds
+ *    (showUndoToast, section 1.10) - it calls EmiralUserData.undo().
  * 
  * =============================================================================
  */
\ No newline at end of file
@@ -0,0 +1,385 @@
+/** event-bus.js
+ * the shared event bus for user-data-manager.js, customize.js, user-profile.js and the page scripts
+ * =============================================================================
+ * EMIRALAI EVENT BUS - PREMIUM THEMEFOREST EDITION
+ * =============================================================================
+ * Version: 1.0.0
+ * Author:  Omar Dello
+ * License: ThemeForest Regular/Extended License
+ * =============================================================================
+ * FEATURES:
+ * - Namespaced events ("user:planChanged", "profile:chat:opened", "ui:theme:changed")
+ * - Wildcard subscriptions ("plan:*", "profile:chat:*", "user:plan*", "*")
+ * - once() subscriptions (or a promise when no callback is given)
+ * - Listener priorities (higher runs first)
+ * - emitAsync() awaits async listeners in priority order
+ * - Sticky events replay their last value to late subscribers
+ *
+ * INTEGRATION GUIDE:
+ * Include this file before every other EmiralAI script. Each module emits
+ * under its own namespace:
+ *   user:     user-data-manager.js (EmiralUserData.on() adds the prefix)
+ *   ui:       customize.js (EmiralAI.on() adds the prefix)
+ *   profile:  user-profile.js
+ * =============================================================================
+ */
+
+/**
+ * =============================================================================
+ * TABLE OF CONTENTS
+ * =============================================================================
+ *
+ * 1. CONFIGURATION
+ * 2. PATTERN MATCHING
+ * 3. SUBSCRIPTIONS
+ *    - on() - Subscribe (priority, once, replay)
+ *    - once() - Subscribe for a single event
+ *    - off() - Unsubscribe
+ * 4. EMITTING
+ *    - emit() - Notify listeners synchronously
+ *    - emitAsync() - Await every listener in priority order
+ * 5. STICKY EVENTS
+ *    - markSticky() / getLast() / clearSticky()
+ * 6. NAMESPACES
+ *    - namespace() - Bus scoped to "<namespace>:"
+ * 7. INITIALIZATION
+ *
+ * =============================================================================
+ */
+
+(function (window) {
+    'use strict';
+
+    /**
+     * 1. CONFIGURATION
+     * ================
+     */
+    const config = {
+        // Events whose last value is replayed to late subscribers (patterns allowed)
+        sticky: ['*:initialized', 'user:dataLoaded', 'user:plansLoaded'],
+        debug: false
+    };
+
+    /**
+     * 2. PATTERN MATCHING
+     * ===================
+     * Names are split on ":". A "*" segment matches one segment, a trailing
+     * "*" segment matches the rest of the name and "*" inside a segment
+     * matches any characters of that segment ("user:plan*").
+     */
+    const patternCache = new Map();
+
+    function escapeRegExp(text) {
+        return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function compilePattern(pattern) {
+        if (!patternCache.has(pattern)) {
+            const segments = pattern.split(':');
+            const source = segments.map((segment, index) => {
+                if (segment === '*') {
+                    return index === segments.length - 1 ? '.+' : '[^:]+';
+                }
+                return escapeRegExp(segment).replace(/\*/g, '[^:]*');
+            }).join(':');
+
+            patternCache.set(pattern, new RegExp(`^${source}$`));
+        }
+
+        return patternCache.get(pattern);
+    }
+
+    function isPattern(name) {
+        return name.includes('*');
+    }
+
+    function matches(pattern, name) {
+        return isPattern(pattern) ? compilePattern(pattern).test(name) : pattern === name;
+    }
+
+    /**
+     * Internal state
+     * @private
+     */
+    const state = {
+        listeners: [], // { pattern, callback, priority, once, order }
+        sticky: new Map(), // event name -> { data, timestamp }
+        stickyPatterns: new Set(config.sticky),
+        order: 0
+    };
+
+    function log(level, ...args) {
+        if (config.debug || level === 'error') {
+            console[level]('[EmiralEvents]', ...args);
+        }
+    }
+
+    function isSticky(name) {
+        return Array.from(state.stickyPatterns).some(pattern => matches(pattern, name));
+    }
+
+    /**
+     * Listeners for an event, highest priority first (subscription order on ties)
+     */
+    function getListeners(name) {
+        return state.listeners
+            .filter(listener => matches(listener.pattern, name))
+            .sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+
+    function removeListener(listener) {
+        const index = state.listeners.indexOf(listener);
+        if (index !== -1) {
+            state.listeners.splice(index, 1);
+        }
+    }
+
+    function invoke(listener, name, data, meta) {
+        if (listener.once) {
+            removeListener(listener);
+        }
+
+        return listener.callback(data, { name, ...meta });
+    }
+
+    const EmiralEvents = {
+        config: config,
+
+        /**
+         * 3. SUBSCRIPTIONS
+         * ================
+         */
+
+        /**
+         * Subscribe to an event or wildcard pattern
+         * @param {string} pattern - Event name or pattern ("plan:*")
+         * @param {Function} callback - Called with (data, { name, timestamp, replayed })
+         * @param {Object} options - { priority: 0, once: false, replay: true }
+         * @returns {Function} Unsubscribe function
+         */
+        on: function (pattern, callback, options = {}) {
+            if (typeof callback !== 'function') {
+                throw new TypeError('EmiralEvents.on() needs a callback');
+            }
+
+            const listener = {
+                pattern: pattern,
+                callback: callback,
+                priority: options.priority || 0,
+                once: !!options.once,
+                order: state.order++
+            };
+
+            state.listeners.push(listener);
+
+            // Late subscribers get the last value of matching sticky events
+            if (options.replay !== false) {
+                for (const [name, last] of state.sticky) {
+                    if (!matches(pattern, name)) continue;
+
+                    try {
+                        const result = invoke(listener, name, last.data, { timestamp: last.timestamp, replayed: true });
+                        if (result && typeof result.catch === 'function') {
+                            result.catch(error => log('error', `Error in async listener for ${name}:`, error));
+                        }
+                    } catch (error) {
+                        log('error', `Error in event listener for ${name}:`, error);
+                    }
+
+                    if (listener.once) break;
+                }
+            }
+
+            return () => removeListener(listener);
+        },
+
+        /**
+         * Subscribe for a single event
+         * @param {string} pattern - Event name or pattern
+         * @param {Function} callback - Optional; without it a promise is returned
+         * @param {Object} options - { priority, replay }
+         * @returns {Function|Promise} Unsubscribe function, or a promise of the event data
+         */
+        once: function (pattern, callback, options = {}) {
+            if (typeof callback !== 'function') {
+                return new Promise(resolve => {
+                    this.on(pattern, data => resolve(data), { ...callback, ...options, once: true });
+                });
+            }
+
+            return this.on(pattern, callback, { ...options, once: true });
+        },
+
+        /**
+         * Unsubscribe a listener (or every listener of a pattern when no callback is given)
+         * @param {string} pattern - The pattern used to subscribe
+         * @param {Function} callback - The subscribed callback
+         */
+        off: function (pattern, callback) {
+            state.listeners
+                .filter(listener => listener.pattern === pattern && (!callback || listener.callback === callback))
+                .forEach(removeListener);
+        },
+
+        /**
+         * 4. EMITTING
+         * ===========
+         */
+
+        /**
+         * Notify listeners synchronously - async listeners are started, not awaited
+         * @param {string} name - Event name (no wildcards)
+         * @param {*} data - Event payload
+         * @param {Object} options - { sticky } to store the value for late subscribers
+         * @returns {number} Number of listeners called
+         */
+        emit: function (name, data = null, options = {}) {
+            const meta = { timestamp: Date.now(), replayed: false };
+            this._remember(name, data, meta.timestamp, options);
+
+            if (config.debug) {
+                log('info', `Event emitted: ${name}`, data);
+            }
+
+            const listeners = getListeners(name);
+            listeners.forEach(listener => {
+                try {
+                    const result = invoke(listener, name, data, meta);
+                    if (result && typeof result.catch === 'function') {
+                        result.catch(error => log('error', `Error in async listener for ${name}:`, error));
+                    }
+                } catch (error) {
+                    log('error', `Error in event listener for ${name}:`, error);
+                }
+            });
+
+            return listeners.length;
+        },
+
+        /**
+         * Notify listeners one after another, awaiting each
+         * @param {string} name - Event name (no wildcards)
+         * @param {*} data - Event payload
+         * @param {Object} options - { sticky }
+         * @returns {Promise<Array>} Listener results (undefined where a listener threw)
+         */
+        emitAsync: async function (name, data = null, options = {}) {
+            const meta = { timestamp: Date.now(), replayed: false };
+            this._remember(name, data, meta.timestamp, options);
+
+            const results = [];
+            for (const listener of getListeners(name)) {
+                try {
+                    results.push(await invoke(listener, name, data, meta));
+                } catch (error) {
+                    log('error', `Error in async listener for ${name}:`, error);
+                    results.push(undefined);
+                }
+            }
+
+            return results;
+        },
+
+        /**
+         * 5. STICKY EVENTS
+         * ================
+         */
+
+        /**
+         * Replay the last value of matching events to late subscribers
+         * @param {string} pattern - Event name or pattern
+         */
+        markSticky: function (pattern) {
+            state.stickyPatterns.add(pattern);
+        },
+
+        /**
+         * Last value of a sticky event
+         * @param {string} name - Event name
+         * @returns {Object|null} { data, timestamp } or null
+         */
+        getLast: function (name) {
+            return state.sticky.get(name) || null;
+        },
+
+        /**
+         * Forget stored sticky values (e.g. dataLoaded after a logout)
+         * @param {string} pattern - Event name or pattern
+         */
+        clearSticky: function (pattern) {
+            Array.from(state.sticky.keys())
+                .filter(name => matches(pattern, name))
+                .forEach(name => state.sticky.delete(name));
+        },
+
+        _remember: function (name, data, timestamp, options) {
+            if (options.sticky || (options.sticky !== false && isSticky(name))) {
+                // Re-insert so replay follows emission order
+                state.sticky.delete(name);
+                state.sticky.set(name, { data, timestamp });
+            }
+        },
+
+        /**
+         * 6. NAMESPACES
+         * =============
+         */
+
+        /**
+         * A view of the bus that prefixes every name with "<namespace>:"
+         * @param {string} namespace - Namespace, e.g. "profile"
+         * @returns {Object} { on, once, off, emit, emitAsync, clearSticky }
+         */
+        namespace: function (namespace) {
+            const bus = this;
+            const scoped = name => `${namespace}:${name}`;
+
+            return {
+                on: (name, callback, options) => bus.on(scoped(name), callback, options),
+                once: (name, callback, options) => bus.once(scoped(name), callback, options),
+                off: (name, callback) => bus.off(scoped(name), callback),
+                emit: (name, data, options) => bus.emit(scoped(name), data, options),
+                emitAsync: (name, data, options) => bus.emitAsync(scoped(name), data, options),
+                clearSticky: (name) => bus.clearSticky(scoped(name))
+            };
+        }
+    };
+
+    /**
+     * 7. INITIALIZATION
+     * =================
+     */
+    window.EmiralEvents = EmiralEvents;
+
+})(window);
+
+/**
+ * =============================================================================
+ * THEMEFOREST BUYER INTEGRATION GUIDE
+ * =============================================================================
+ *
+ * 1. Listen to any module:
+ *    EmiralEvents.on('user:planChanged', (data) => console.log(data.newPlan));
+ *    EmiralEvents.on('profile:chat:*', (data, event) => console.log(event.name));
+ *    EmiralEvents.on('*', (data, event) => console.log(event.name)); // everything
+ *
+ * 2. Run a listener first, or only once:
+ *    EmiralEvents.on('user:dataUpdated', refreshHeader, { priority: 10 });
+ *    EmiralEvents.once('ui:theme:changed', (data) => console.log(data.theme));
+ *    const user = await EmiralEvents.once('user:dataLoaded');
+ *
+ * 3. Subscribe late without missing startup:
+ *    Sticky events (config.sticky) replay their last value right away, so
+ *    EmiralEvents.on('user:initialized', start) still runs after init.
+ *    EmiralEvents.markSticky('myapp:ready');
+ *
+ * 4. Wait for async listeners:
+ *    EmiralEvents.on('myapp:beforeSave', async (draft) => { await validate(draft); });
+ *    await EmiralEvents.emitAsync('myapp:beforeSave', draft);
+ *
+ * 5. Your own namespace:
+ *    const bus = EmiralEvents.namespace('myapp');
+ *    bus.on('ready', () => {}); bus.emit('ready');
+ *
+ * =============================================================================
+ */
\ No newline at end of file
@@ -30,6 +30,8 @@
  *    - getPlanPrice() - Get Plan Pricing
  *    - getPlanDescription() - Get Plan Description
  *    - getSupportLevel() - Get Support Level
+ *    - findPlanIdByName() - Match Pricing Cards to Catalog Plans
+ *    - getTrialDays() - Free Trial Offered to This User
  * 
  * 3. USER AUTHENTICATION
  *    - checkAuthentication() - Verify User Login
@@ -71,7 +73,9 @@
  *    - handlePaymentError() - Handle Errors
  * 
  * 10. UTILITY FUNCTIONS
+ *     - formatPrice() / formatDate() - User Locale & Time Zone
  *     - showNotification() - Show Notifications
+ *     - showSessionWarning() - Idle / Expiry Countdown
  *     - isValidCardNumber() - Validate Card Number
  *     - Event Listeners & Storage Sync
  * 
@@ -122,6 +126,7 @@
             currentUser: null,
             selectedPlan: null,
             paymentMethod: 'credit-card',
+            isTrial: false, // payment.html?plan=pro&trial=1 - collect a card, charge nothing yet
             isProcessing: false
         }
     };
@@ -140,7 +145,7 @@
                 id: planId,
                 name: centralPlan.name,
                 price: this.getPlanPrice(planId),
-                interval: 'month',
+                interval: centralPlan.interval || 'month',
                 description: this.getPlanDescription(planId),
                 features: centralPlan.features || [],
                 limits: {
@@ -178,42 +183,61 @@
     };
 
     /**
-     * Get plan pricing (centralized plans don't have pricing, so we define it here)
+     * Get plan pricing from the shared plan catalog
      */
     EmiralPayment.getPlanPrice = function (planId) {
-        const pricing = {
-            basic: 499,
-            pro: 999,
-            enterprise: 'Custom'
-        };
+        const plan = window.EmiralUserData?.getPlan(planId);
+        if (!plan || plan.customPricing || typeof plan.price !== 'number') return 'Custom';
 
-        return pricing[planId] || 'Custom';
+        return plan.price;
     };
 
     /**
      * Get plan description
      */
     EmiralPayment.getPlanDescription = function (planId) {
-        const descriptions = {
-            basic: 'Perfect for startups and small businesses',
-            pro: 'Ideal for growing companies',
-            enterprise: 'For large organizations with unique needs'
-        };
-
-        return descriptions[planId] || 'Custom solution for your needs';
+        const plan = window.EmiralUserData?.getPlan(planId);
+        return plan?.description || 'Custom solution for your needs';
     };
 
     /**
      * Get support level description
      */
     EmiralPayment.getSupportLevel = function (planId) {
-        const supportLevels = {
-            basic: 'Business hours',
-            pro: '24/7',
-            enterprise: 'Dedicated team'
-        };
+        const plan = window.EmiralUserData?.getPlan(planId);
+        return plan?.supportDescription || 'Standard support';
+    };
 
-        return supportLevels[planId] || 'Standard support';
+    /**
+     * Find the catalog plan shown on a pricing card ("Pro", "Pro Plan", "Professional")
+     */
+    EmiralPayment.findPlanIdByName = function (planName) {
+        if (!window.EmiralUserData) return null;
+
+        const name = planName.toLowerCase();
+        const plan = window.EmiralUserData.getPlans().find(p =>
+            p.id === name ||
+            (p.name || '').toLowerCase() === name ||
+            (p.name || '').toLowerCase() === `${name} plan` ||
+            (p.displayName || '').toLowerCase() === name
+        );
+
+        return plan ? plan.id : null;
+    };
+
+    /**
+     * Length of the free trial this user can start for a plan (0 = none)
+     * Logged-out visitors see the plan's trial - eligibility is checked again after login
+     */
+    EmiralPayment.getTrialDays = function (planId) {
+        if (!window.EmiralUserData || typeof window.EmiralUserData.getTrialEligibility !== 'function') return 0;
+
+        const eligibility = window.EmiralUserData.getTrialEligibility(planId);
+        if (eligibility.eligible || eligibility.reason === 'notLoggedIn') {
+            return eligibility.trialDays;
+        }
+
+        return 0;
     };
 
     /**
@@ -232,6 +256,11 @@
                     console.log('User authenticated via centralized manager:', userData.email);
                     return true;
                 }
+
+                // The manager owns session storage - its answer is final
+                this.state.isLoggedIn = false;
+                this.state.currentUser = null;
+                return false;
             }
 
             // Fallback to direct localStorage check
@@ -253,12 +282,7 @@
                     this.state.isLoggedIn = false;
                     this.state.currentUser = null;
 
-                    // Use centralized logout if available
-                    if (window.EmiralUserData && typeof window.EmiralUserData.clearUserData === 'function') {
-                        window.EmiralUserData.clearUserData();
-                    } else {
-                        localStorage.removeItem('emiralai_user_data');
-                    }
+                    localStorage.removeItem('emiralai_user_data');
 
                     return false;
                 }
@@ -352,6 +376,7 @@
         const availablePlans = this.getAvailablePlans();
         if (planId && availablePlans[planId]) {
             this.state.selectedPlan = planId;
+            this.state.isTrial = urlParams.get('trial') === '1' && this.getTrialDays(planId) > 0;
             return planId;
         }
 
@@ -362,6 +387,7 @@
 
     /**
      * Update user subscription data using centralized manager
+     * Returns false when the plan could not be saved
      */
     EmiralPayment.updateUserSubscription = function (planId, paymentDetails) {
         try {
@@ -381,7 +407,17 @@
                 limits: plan.limits
             };
 
-            // Save to localStorage
+            // Save through the centralized manager so its storage adapter is used
+            if (window.EmiralUserData && typeof window.EmiralUserData.updateUserPlan === 'function') {
+                // Throws a ValidationError for data the manager rejects
+                if (!window.EmiralUserData.updateUserPlan(planId, subscription)) return false;
+
+                this.state.currentUser = window.EmiralUserData.getUserData();
+                console.log('Subscription saved with planId:', planId);
+                return true;
+            }
+
+            // Fallback to localStorage
             localStorage.setItem('emiralai_subscription', JSON.stringify(subscription));
 
             // Update user data
@@ -396,9 +432,11 @@
             this.state.currentUser = currentUserData;
 
             console.log('Subscription saved with planId:', planId);
+            return true;
 
         } catch (error) {
             console.error('Error updating subscription:', error);
+            return false;
         }
     };
 
@@ -447,11 +485,14 @@
         let hasActiveSubscription = false;
         let currentPlanId = null;
 
+        let pendingChange = null;
+
         if (isAuthenticated && window.EmiralUserData) {
             const userData = window.EmiralUserData.getUserData();
-            if (userData && userData.subscription && userData.subscription.status === 'active') {
+            if (userData && userData.subscription && userData.subscription.hasAccess) {
                 hasActiveSubscription = true;
                 currentPlanId = userData.planId || userData.subscription.planId;
+                pendingChange = userData.subscription.pendingChange || null;
                 console.log('User has active subscription:', currentPlanId);
             }
         }
@@ -460,26 +501,23 @@
         const pricingCards = document.querySelectorAll('.pricing-card');
 
         if (pricingCards.length > 0) {
-            // Map plan names to their IDs
-            const planMap = {
-                'Basic': 'basic',
-                'Pro': 'pro',
-                'Enterprise': 'enterprise'
-            };
-
             // Process each pricing card
             pricingCards.forEach(card => {
                 const planNameElement = card.querySelector('h3');
                 if (!planNameElement) return;
 
                 const planName = planNameElement.textContent.trim();
-                let planId = planMap[planName];
+                let planId = card.dataset.planId || this.findPlanIdByName(planName);
 
                 if (!planId) {
                     console.warn('Unknown plan:', planName);
                     return;
                 }
 
+                // Keep the card in step with the plan catalog
+                card.dataset.planId = planId;
+                this.updatePricingCard(card, planId);
+
                 const button = card.querySelector('.pricing-btn');
                 if (!button) return;
 
@@ -491,13 +529,14 @@
                     if (currentPlanId === planId) {
                         button.textContent = 'Current Plan';
                         button.classList.add('current-plan');
+                    } else if (pendingChange && pendingChange.planId === planId) {
+                        button.textContent = `Starts ${this.formatDate(pendingChange.effectiveAt)}`;
                     } else {
                         // Check if this is an upgrade or downgrade
-                        const planHierarchy = ['free', 'basic', 'pro', 'enterprise'];
-                        const currentIndex = planHierarchy.indexOf(currentPlanId);
-                        const targetIndex = planHierarchy.indexOf(planId);
+                        const currentTier = window.EmiralUserData.getPlan(currentPlanId)?.tier ?? -1;
+                        const targetTier = window.EmiralUserData.getPlan(planId)?.tier ?? -1;
 
-                        if (targetIndex > currentIndex) {
+                        if (targetTier > currentTier) {
                             button.textContent = 'Upgrade';
                         } else {
                             button.textContent = 'Change Plan';
@@ -526,6 +565,11 @@
                         return;
                     }
 
+                    if (pendingChange && pendingChange.planId === planId) {
+                        this.showNotification(`You switch to this plan on ${this.formatDate(pendingChange.effectiveAt)}.`, 'info');
+                        return;
+                    }
+
                     this.handlePlanSelection(planId);
                 });
 
@@ -533,6 +577,26 @@
                 if (newButton.tagName === 'A') {
                     newButton.href = '#';
                 }
+
+                // Free trial offer under the button
+                const existingTrialLink = card.querySelector('.pricing-trial-link');
+                if (existingTrialLink) {
+                    existingTrialLink.remove();
+                }
+
+                const trialDays = this.getTrialDays(planId);
+                if (trialDays > 0) {
+                    const trialLink = document.createElement('a');
+                    trialLink.href = '#';
+                    trialLink.className = 'pricing-trial-link';
+                    trialLink.textContent = `Start ${trialDays}-day free trial`;
+                    trialLink.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.handlePlanSelection(planId, { trial: true });
+                    });
+                    newButton.insertAdjacentElement('afterend', trialLink);
+                }
             });
         }
 
@@ -568,31 +632,37 @@
             console.log('Found pending plan:', pendingPlan);
 
             // Clear pending plan
+            const pendingTrial = sessionStorage.getItem('emiralai_pending_trial') === '1';
             sessionStorage.removeItem('emiralai_pending_plan');
+            sessionStorage.removeItem('emiralai_pending_trial');
 
             // Redirect to payment page
             setTimeout(() => {
-                window.location.href = `payment.html?plan=${pendingPlan}`;
+                window.location.href = `payment.html?plan=${pendingPlan}${pendingTrial ? '&trial=1' : ''}`;
             }, 500);
         }
     };
 
     /**
      * Handle plan selection
+     * @param {Object} options - { trial: true } to start the plan's free trial
      */
-    EmiralPayment.handlePlanSelection = function (planId) {
+    EmiralPayment.handlePlanSelection = function (planId, options = {}) {
         console.log('Plan selected:', planId);
 
         // Check authentication
         if (!this.checkAuthentication()) {
             console.log('User not authenticated, showing login');
+            if (options.trial) {
+                sessionStorage.setItem('emiralai_pending_trial', '1');
+            }
             this.handleUnauthenticated(planId);
             return;
         }
 
         // All plans including Enterprise go to payment page
         console.log('Redirecting to payment page with plan:', planId);
-        window.location.href = `payment.html?plan=${planId}`;
+        window.location.href = `payment.html?plan=${planId}${options.trial ? '&trial=1' : ''}`;
     };
 
     /**
@@ -637,6 +707,33 @@
 
         // Display user info
         this.displayUserInfo();
+
+        // Trials collect the payment method without charging it
+        if (this.state.isTrial) {
+            document.querySelectorAll('form .payment-btn[type="submit"]').forEach(button => {
+                button.innerHTML = '<i class="fas fa-gift"></i> Start Free Trial';
+            });
+        }
+    };
+
+    /**
+     * Fill a pricing card's price and description from the plan catalog
+     */
+    EmiralPayment.updatePricingCard = function (card, planId) {
+        const plan = this.getPlanData(planId);
+        if (!plan) return;
+
+        const priceElement = card.querySelector('.pricing-price');
+        if (priceElement) {
+            priceElement.innerHTML = typeof plan.price === 'number' ?
+                `${this.formatPrice(plan.price, { minimumFractionDigits: 0 })}<span>/${plan.interval}</span>` :
+                plan.price;
+        }
+
+        const descriptionElement = card.querySelector('.pricing-description');
+        if (descriptionElement && plan.description) {
+            descriptionElement.textContent = plan.description;
+        }
     };
 
     /**
@@ -676,7 +773,7 @@
         planDetailsContainer.innerHTML += `
             <div class="order-item">
                 <span>${plan.name} Subscription</span>
-                <span>${typeof plan.price === 'number' ? '$' + plan.price.toFixed(2) : plan.price}</span>
+                <span>${typeof plan.price === 'number' ? this.formatPrice(plan.price) : plan.price}</span>
             </div>
         `;
 
@@ -688,7 +785,7 @@
             planDetailsContainer.innerHTML += `
                 <div class="order-item">
                     <span>Custom API Integration</span>
-                    <span>$299.00</span>
+                    <span>${this.formatPrice(299)}</span>
                 </div>
             `;
             subtotal += 299;
@@ -703,15 +800,15 @@
                 <div class="order-divider"></div>
                 <div class="order-item">
                     <span>Subtotal</span>
-                    <span>$${subtotal.toFixed(2)}</span>
+                    <span>${this.formatPrice(subtotal)}</span>
                 </div>
                 <div class="order-item">
                     <span>Tax (${(this.config.payment.taxRate * 100).toFixed(0)}%)</span>
-                    <span>$${tax.toFixed(2)}</span>
+                    <span>${this.formatPrice(tax)}</span>
                 </div>
                 <div class="order-total">
                     <span>Total</span>
-                    <span>$${total.toFixed(2)}</span>
+                    <span>${this.formatPrice(total)}</span>
                 </div>
                 <div class="order-recurring">
                     <i class="fas fa-info-circle"></i>
@@ -732,6 +829,25 @@
             `;
         }
 
+        // Trial - nothing is charged until the trial ends
+        if (this.state.isTrial) {
+            const trialDays = this.getTrialDays(planId);
+            const firstCharge = new Date(Date.now() + trialDays * 24 * 60 * 60 * 1000);
+
+            planDetailsContainer.innerHTML += `
+                <div class="order-trial">
+                    <div class="order-item">
+                        <span>${trialDays}-day free trial</span>
+                        <span>Due today: ${this.formatPrice(0)}</span>
+                    </div>
+                    <div class="order-recurring">
+                        <i class="fas fa-gift"></i>
+                        <span>Your first charge is on ${this.formatDate(firstCharge)}. Cancel anytime before then.</span>
+                    </div>
+                </div>
+            `;
+        }
+
         // Add features
         plan.features.forEach(feature => {
             planFeaturesContainer.innerHTML += `
@@ -1047,7 +1163,7 @@
             const success = this.simulatePaymentProcessing(paymentData);
 
             if (success) {
-                this.handlePaymentSuccess(paymentData);
+                this.handlePaymentSuccess(paymentData, submitBtn, originalText);
             } else {
                 this.handlePaymentError('Payment failed. Please try again.', submitBtn, originalText);
             }
@@ -1072,15 +1188,34 @@
      * 8. SUCCESS HANDLING
      * ===================
      */
-    EmiralPayment.handlePaymentSuccess = function (paymentData) {
+    EmiralPayment.handlePaymentSuccess = function (paymentData, button, originalText) {
         console.log('Payment successful!');
 
-        // Update user subscription
-        this.updateUserSubscription(this.state.selectedPlan, {
-            last4: paymentData['card-number'] ? paymentData['card-number'].slice(-4) : '****',
-            type: this.state.paymentMethod,
-            timestamp: new Date().toISOString()
-        });
+        if (this.state.isTrial) {
+            // The card is kept on the trial; it converts to the paid plan when the trial ends
+            const trial = window.EmiralUserData.startTrial(this.state.selectedPlan, { paymentMethod: this.state.paymentMethod });
+            if (!trial) {
+                this.showNotification('This free trial is no longer available. Redirecting to checkout...', 'error');
+                setTimeout(() => {
+                    window.location.href = `payment.html?plan=${this.state.selectedPlan}`;
+                }, 2000);
+                return;
+            }
+
+            this.state.currentUser = window.EmiralUserData.getUserData();
+        } else {
+            // Update user subscription
+            const saved = this.updateUserSubscription(this.state.selectedPlan, {
+                last4: paymentData['card-number'] ? paymentData['card-number'].slice(-4) : '****',
+                type: this.state.paymentMethod,
+                timestamp: new Date().toISOString()
+            });
+
+            if (!saved) {
+                this.handlePaymentError('Your plan could not be activated. Please try again or contact support.', button, originalText);
+                return;
+            }
+        }
 
         // Show success animation
         this.showSuccessAnimation();
@@ -1137,12 +1272,24 @@
             formContainer.appendChild(successMessage);
 
             const heading = document.createElement('h3');
-            heading.textContent = 'Payment Successful!';
+            heading.textContent = this.state.isTrial ? 'Your Free Trial Has Started!' : 'Payment Successful!';
             successMessage.appendChild(heading);
 
             const plan = this.getPlanData(this.state.selectedPlan);
             const message = document.createElement('p');
-            message.innerHTML = `
+            const trial = this.state.isTrial && this.state.currentUser.subscription.trial;
+            const pending = this.state.currentUser.subscription?.pendingChange;
+            message.innerHTML = pending && pending.planId === this.state.selectedPlan ? `
+                Thank you, <strong>${this.state.currentUser.name}</strong>! 
+                You keep your current plan until ${this.formatDate(pending.effectiveAt)}, 
+                then your subscription switches to the <strong>${plan.name}</strong>. 
+                You can keep your current plan from the Billing tab of your profile.
+            ` : trial ? `
+                Welcome, <strong>${this.state.currentUser.name}</strong>! 
+                You have <strong>${trial.daysRemaining} days</strong> of the <strong>${plan.name}</strong> for free. 
+                Your card will not be charged until ${this.formatDate(trial.endsAt)} - 
+                cancel anytime before then from your profile.
+            ` : `
                 Thank you for your payment, <strong>${this.state.currentUser.name}</strong>! 
                 Your subscription to the <strong>${plan.name}</strong> has been activated. 
                 You now have access to all premium features. We've sent a confirmation 
@@ -1224,6 +1371,28 @@
         cardTypeElement.innerHTML = `<i class="fab fa-${cardType}"></i>`;
     };
 
+    /**
+     * Money in the user's locale (config.payment.currency)
+     */
+    EmiralPayment.formatPrice = function (amount, options = {}) {
+        if (window.EmiralUserData) {
+            return window.EmiralUserData.formatCurrency(amount, this.config.payment.currency, options);
+        }
+
+        return '$' + amount.toFixed(2);
+    };
+
+    /**
+     * Dates in the user's locale and time zone
+     */
+    EmiralPayment.formatDate = function (date) {
+        if (window.EmiralUserData) {
+            return window.EmiralUserData.formatDate(date);
+        }
+
+        return new Date(date).toLocaleDateString();
+    };
+
     /**
      * Show notification
      */
@@ -1268,6 +1437,34 @@
         }, 5000);
     };
 
+    /**
+     * Show the session countdown (sessionExpiring) - stays open until the session is extended or ends
+     */
+    EmiralPayment.showSessionWarning = function (warning) {
+        let notification = document.querySelector('.payment-notification.session-warning');
+        if (!notification) {
+            notification = document.createElement('div');
+            notification.className = 'payment-notification warning session-warning';
+            notification.innerHTML = `
+                <i class="fas fa-exclamation-triangle"></i>
+                <span></span>
+                <button type="button" class="notification-action">Stay signed in</button>
+            `;
+            document.body.appendChild(notification);
+
+            notification.querySelector('.notification-action').addEventListener('click', () => {
+                window.EmiralUserData.extendSession();
+            });
+        }
+
+        notification.querySelector('span').textContent = window.EmiralUserData.getSessionWarningMessage(warning);
+    };
+
+    EmiralPayment.hideSessionWarning = function () {
+        const notification = document.querySelector('.payment-notification.session-warning');
+        if (notification) notification.remove();
+    };
+
     /**
      * Initialize module
      */
@@ -1304,11 +1501,35 @@
             }
         });
 
-        // Listen for user data updates from centralized manager
-        window.addEventListener('emiralUserDataUpdated', (e) => {
-            console.log('User data updated, refreshing authentication state');
-            this.checkAuthentication();
-        });
+        if (window.EmiralUserData) {
+            // Re-render prices when a refreshed plan catalog arrives
+            window.EmiralUserData.on('plansLoaded', () => {
+                if (isPaymentPage && this.state.selectedPlan) {
+                    this.loadPlanDetails(this.state.selectedPlan);
+                } else if (isIndexPage) {
+                    this.initializeIndexPage();
+                }
+            }, { replay: false });
+
+            // Listen for user data updates from centralized manager
+            window.EmiralUserData.on('dataUpdated', () => {
+                console.log('User data updated, refreshing authentication state');
+                this.checkAuthentication();
+            });
+
+            // Idle or expiring session - count down, then ask for a new sign-in
+            window.EmiralUserData.on('sessionExpiring', (warning) => this.showSessionWarning(warning));
+            window.EmiralUserData.on('sessionExtended', () => this.hideSessionWarning());
+            window.EmiralUserData.on('sessionExpired', () => {
+                this.hideSessionWarning();
+                this.checkAuthentication();
+
+                // The main page shows the login popup itself (auth-popups.js)
+                if (isPaymentPage) {
+                    this.handleUnauthenticated(this.state.selectedPlan);
+                }
+            });
+        }
     };
 
     // Expose to global scope
@@ -1317,15 +1538,26 @@
 })(window, document);
 
 /**
- * Auto-initialize when DOM is ready
+ * Auto-initialize when DOM and the centralized manager's storage are ready
  */
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        EmiralPayment.init();
-    });
-} else {
-    EmiralPayment.init();
-}
+(function () {
+    const start = () => {
+        if (window.EmiralUserData && typeof window.EmiralUserData.ready === 'function') {
+            // A failed init still shows the checkout
+            window.EmiralUserData.ready()
+                .catch(error => console.error('User data manager failed to initialize:', error))
+                .then(() => EmiralPayment.init());
+        } else {
+            EmiralPayment.init();
+        }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+})();
 
 /**
  * Required styles for notifications and additional UI elements
@@ -1386,6 +1618,24 @@ if (document.readyState === 'loading') {
             transform: scale(1.1);
         }
         
+        .payment-notification .notification-action {
+            background: rgba(255, 255, 255, 0.2);
+            border: 1px solid rgba(255, 255, 255, 0.4);
+            border-radius: 5px;
+            padding: 6px 12px;
+            font: inherit;
+            font-weight: 600;
+            white-space: nowrap;
+            cursor: pointer;
+            transition: all 0.2s ease;
+            flex-shrink: 0;
+            color: #fff;
+        }
+        
+        .payment-notification .notification-action:hover {
+            background: rgba(255, 255, 255, 0.3);
+        }
+        
         .payment-notification.success {
             background: linear-gradient(135deg, #4caf50 0%, #45a049 100%);
             color: #fff;
@@ -1545,6 +1795,23 @@ if (document.readyState === 'loading') {
             content: '✓ ';
             margin-right: 5px;
         }
+
+        /* Free trial offer */
+        .pricing-trial-link {
+            display: block;
+            margin-top: 12px;
+            text-align: center;
+            font-size: 14px;
+            color: var(--primary-color);
+            text-decoration: underline;
+        }
+
+        .order-trial {
+            margin-top: 10px;
+            padding: 10px 12px;
+            border: 1px dashed var(--primary-color);
+            border-radius: 8px;
+        }
     `;
 
     const styleElement = document.createElement('style');
@@ -1575,19 +1842,12 @@ if (document.readyState === 'loading') {
  * CUSTOMIZATION:
  * 
  * 1. Add new plans:
- *    - Add to user-data-manager.js config.plans object
- *    - Add pricing in payment.js getPlanPrice() method
- *    - System automatically picks up new plans
+ *    - Add to user-data-manager.js config.plans (or your plan catalog JSON)
+ *    - Pricing cards pick up price, interval and description automatically
  * 
  * 2. Change pricing:
- *    EmiralPayment.getPlanPrice = function(planId) {
- *        const pricing = {
- *            basic: 299,   
- *            pro: 799,      
- *            enterprise: 'Custom'
- *        };
- *        return pricing[planId] || 'Custom';
- *    };
+ *    Edit `price` in the plan catalog - every page reads the same value:
+ *    window.Emiral_USER_DATA_CONFIG = { catalog: { url: 'data/plans.json' } };
  * 
  * 3. Modify tax rate:
  *    EmiralPayment.config.payment.taxRate = 0.15; // 15% tax
@@ -1599,7 +1859,13 @@ if (document.readyState === 'loading') {
  *        console.log('Next billing:', userData.subscription.nextBillingDate);
  *    }
  * 
- * 5. Test payment flow:
+ * 5. Free trials:
+ *    Plans with trialDays in the catalog get a "Start N-day free trial" link
+ *    on their pricing card (only while the user is eligible - one trial per
+ *    user). It opens payment.html?plan=pro&trial=1, which saves the card with
+ *    EmiralUserData.startTrial() instead of charging it.
+ * 
+ * 6. Test payment flow:
  *    - Login as any user
  *    - Click pricing button
  *    - Complete payment
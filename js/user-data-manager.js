@@ -16,8 +16,8 @@
  * - Easy customization for buyers
  * 
  * INTEGRATION GUIDE:
- * Simply include this file before all other scripts and use the global
- * EmiralUserData object to manage all user-related operations.
+ * Simply include js/event-bus.js and then this file before all other scripts
+ * and use the global EmiralUserData object to manage all user-related operations.
  * =============================================================================
  */
 
@@ -36,6 +36,7 @@
  *    - init() - Initialize the User Data Manager
  *    - Internal State Management
  *    - Storage Initialization
+ *    - ready() - Wait for Async Storage Hydration
  *    - Event Listeners Setup
  * 
  * 3. USER DATA OPERATIONS
@@ -44,39 +45,103 @@
  *    - clearUserData() - Clear All User Data
  *    - isLoggedIn() - Check Login Status
  *    - getMemberRole() - Get Member Role Text
+ *    - listAccounts() / addAccount() - Accounts Signed In on This Device
+ *    - switchAccount() / removeAccount() - Switch or Sign Out One Account
+ *    - getSession() / extendSession() - Sliding Session & Idle Timeout
+ *    - getSessionWarningMessage() - Countdown Text for sessionExpiring
+ *    - refreshSession() / getSessionToken() - Access Token Refresh
  * 
  * 4. PLAN & SUBSCRIPTION MANAGEMENT
  *    - updateUserPlan() - Update User Plan
+ *    - getSubscriptionState() / transitionSubscription() - Subscription Lifecycle
+ *    - cancelSubscription() / resumeSubscription() / recordPayment()
+ *    - getTrialEligibility() / startTrial() - Free Trials (one per user)
+ *    - getPendingPlanChange() / cancelPendingPlanChange() - Scheduled Downgrades
+ *    - getPlanHistory() - Plan-Change History
+ *    - getInvoices() - Invoices for Paid Billing Periods
  *    - getPlanComparison() - Get Plan Comparison Data
  *    - hasAccess() - Check Feature Access
  *    - hasPlan() - Check Plan Level
+ *    - getEntitlements() - Resolved Plan Entitlements
+ *    - getPlans() / getPlan() / getUpgradePlan() - Plan Catalog Lookups
+ *    - loadPlanCatalog() - Load Plans From JSON (cached with a TTL)
+ *    - grantAddOn() / revokeAddOn() - Manage Add-Ons
+ *    - setEntitlementOverride() - Per-User Entitlement Overrides
+ * 
+ * 4b. ORGANIZATIONS & TEAMS
+ *    - createOrganization() / updateOrganization() / deleteOrganization()
+ *    - getOrganizations() / getOrganization() / getActiveOrganization()
+ *    - switchOrganization() - Switch Workspace (billing follows the organization)
+ *    - inviteMember() / revokeInvitation() - Invitations (seats from the plan)
+ *    - getInvitations() / acceptInvitation() / declineInvitation()
+ *    - updateMemberRole() / removeMember() / transferOwnership()
+ *    - getSeatUsage() / hasOrganizationPermission()
  * 
  * 5. USAGE & ANALYTICS
- *    - getUsageStats() - Get Usage Statistics
+ *    - getUsageStats() - Get Usage Statistics (current billing period)
+ *    - recordUsage() - Record Metered Usage
+ *    - checkQuota() / consumeQuota() - Enforce Plan Limits
  *    - getChartData() - Get Chart-Ready Data
  *    - trackActivity() - Track User Activity
+ *    - setAnalyticsConsent() - Consent Gate for Analytics Sinks
+ *    - addAnalyticsSink() / registerAnalyticsSink() - Analytics Destinations
+ *    - queryActivity() - Filter & Page Through the Activity Log
+ *    - aggregateActivity() - Activity Counts by Day or Action (incl. rollups)
  * 
  * 6. SETTINGS & PREFERENCES
  *    - updateSettings() - Update User Settings
- *    - exportUserData() - Export User Data
- *    - importUserData() - Import User Data
+ *    - exportUserData() - Export User Data (secrets redacted)
+ *    - exportData() / downloadExport() - JSON, CSV per Collection or ZIP Bundle
+ *    - importUserData() - Import User Data (replace / merge modes, dry-run diff, older exports are migrated)
+ *    - undoImport() / getLastImport() - Restore the Data From Before an Import
+ *    - registerMigration() - Register a Schema Migration Step
+ *    - getSchemaVersion() / rollbackMigration() - Schema Version & Recovery
+ *    - undo() / redo() / getHistory() - Change Journal for Profile & Settings Edits
+ *    - syncNow() / getSyncStatus() - Server Sync
+ *    - createMockSyncServer() - In-Memory Sync Server for Development
+ *    - getOfflineQueue() / cancelOfflineAction() - Inspect & Cancel Queued Actions
+ *    - clearOfflineQueue() / processOfflineQueue() - Manage the Offline Queue
+ * 
+ * 6b. PRIVACY & DATA SUBJECT RIGHTS
+ *    - getStoredKeys() - Every Key This App Keeps on the Device
+ *    - getAccessReport() / downloadAccessReport() - Human-Readable Access Report
+ *    - rectifyUserData() - Correct Profile Data (with a receipt)
+ *    - requestErasure() / cancelErasure() / getErasureRequest() - Verified Erase After a Grace Period
+ *    - recordConsent() / getPrivacyReceipts() - Consent & Erasure Receipts
  * 
  * 7. EVENT MANAGEMENT
- *    - on() - Add Event Listener
+ *    - on() - Add Event Listener (wildcards, priorities, sticky replay)
+ *    - once() - Listen Once (or await the next event)
  *    - off() - Remove Event Listener
- *    - Event Triggering System
- *    - Cross-Tab Communication
+ *    - Event Triggering System (shared EmiralEvents bus, "user:" namespace)
+ *    - Cross-Tab Communication (persistent channel, typed messages)
+ *    - isLeaderTab() / getTabInfo() - Leader Tab Election
  * 
  * 8. UTILITY FUNCTIONS
- *    - formatNumber() - Format Numbers
+ *    - readStorage() / writeStorage() / removeStorage() - Adapter-Backed Storage
+ *    - registerStorageAdapter() - Add Custom Storage Backends
+ *    - rotateEncryptionKey() - Re-encrypt Stored Data With a New Key
+ *    - getLocale() / setLocale() - User Locale & Time Zone (stored in settings)
+ *    - formatNumber() / formatCurrency() - Locale-Aware Numbers
+ *    - formatDate() / formatRelativeTime() - Dates in the User's Time Zone
  *    - formatBytes() - Format Byte Sizes
- *    - Data Validation Functions
+ *    - validate() - Check Data Against a Record Schema (user, subscription, settings, activity)
  * 
  * 9. PRIVATE METHODS
  *    - Storage Operations
+ *    - Storage Adapters (localStorage, sessionStorage, IndexedDB, memory, remote)
+ *    - Analytics Sinks (gtag, console, beacon batcher, IndexedDB), Sampling & PII Scrubbing
+ *    - At-Rest Encryption (AES-GCM / PBKDF2)
+ *    - Schema Migrations & Snapshots
+ *    - Plan Catalog Loading & Validation
+ *    - Usage Ledger & Billing Periods
+ *    - Subscription State Machine (renewals, dunning, grace, Free fallback)
+ *    - Activity Retention & Daily Rollups
  *    - Data Generation & Calculation
- *    - Session Management
- *    - Sync & Offline Support
+ *    - Session Management (sliding expiry, idle countdown, token refresh)
+ *    - Multi-Account Storage (park & restore per user id)
+ *    - Sync & Offline Support (pull/push, ETags, conflict merge, retries)
+ *    - Tab Coordination (Web Locks or lease heartbeat)
  * 
  * 10. AUTO-INITIALIZATION
  * 
@@ -86,6 +151,791 @@
 (function (window) {
     'use strict';
 
+    // Shared event bus (js/event-bus.js) - manager events are published as "user:<event>"
+    if (!window.EmiralEvents) {
+        throw new Error('[EmiralUserData] Include js/event-bus.js before user-data-manager.js');
+    }
+    const eventBus = window.EmiralEvents.namespace('user');
+
+    /**
+     * Storage adapters
+     * Every adapter stores serialized strings under fully prefixed keys and
+     * implements getItem / setItem / removeItem / keys. Adapters flagged as
+     * `async` return promises; EmiralUserData serves them from an in-memory
+     * mirror so the public API stays synchronous.
+     * @private
+     */
+    const createWebStorageAdapter = function (type) {
+        const store = window[type];
+
+        // Throws when the browser blocks storage (private mode, disabled cookies)
+        const test = '__emiralai_test__';
+        store.setItem(test, test);
+        store.removeItem(test);
+
+        return {
+            name: type,
+            async: false,
+            getItem: (key) => store.getItem(key),
+            setItem: (key, value) => store.setItem(key, value),
+            removeItem: (key) => store.removeItem(key),
+            keys: () => Object.keys(store)
+        };
+    };
+
+    const createMemoryAdapter = function () {
+        const store = new Map();
+
+        return {
+            name: 'memory',
+            async: false,
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => { store.set(key, String(value)); },
+            removeItem: (key) => { store.delete(key); },
+            keys: () => Array.from(store.keys())
+        };
+    };
+
+    // Lazily opened IndexedDB database; resolves with the result of the operation's request
+    const openIndexedDB = function (dbName, upgrade) {
+        let dbPromise = null;
+
+        const openDatabase = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = window.indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => upgrade(request.result);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
+
+        return (storeName, mode, operation) => openDatabase().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    };
+
+    const createIndexedDBAdapter = function (options = {}) {
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB not available');
+        }
+
+        const dbName = options.dbName || 'emiralai';
+        const storeName = options.storeName || 'keyval';
+        const run = openIndexedDB(dbName, db => db.createObjectStore(storeName));
+        const transaction = (mode, operation) => run(storeName, mode, operation);
+
+        return {
+            name: 'indexedDB',
+            async: true,
+            getItem: (key) => transaction('readonly', store => store.get(key))
+                .then(value => (value === undefined ? null : value)),
+            setItem: (key, value) => transaction('readwrite', store => store.put(String(value), key)),
+            removeItem: (key) => transaction('readwrite', store => store.delete(key)),
+            keys: () => transaction('readonly', store => store.getAllKeys())
+        };
+    };
+
+    const createRemoteAdapter = function (options = {}) {
+        if (!options.baseURL) {
+            throw new Error('Remote storage requires a baseURL');
+        }
+
+        const baseURL = options.baseURL.replace(/\/$/, '');
+        const endpoints = { item: '/storage/:key', keys: '/storage', ...options.endpoints };
+        const headers = { 'Content-Type': 'application/json', ...options.headers };
+
+        const request = (method, path, body) => fetch(baseURL + path, {
+            method: method,
+            headers: headers,
+            credentials: options.credentials || 'same-origin',
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        }).then(response => {
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Remote storage ${method} ${path} failed with status ${response.status}`);
+            }
+            return response.status === 204 ? null : response.json();
+        });
+
+        const itemPath = (key) => endpoints.item.replace(':key', encodeURIComponent(key));
+
+        return {
+            name: 'remote',
+            async: true,
+            getItem: (key) => request('GET', itemPath(key)).then(result => (result ? result.value : null)),
+            setItem: (key, value) => request('PUT', itemPath(key), { value: String(value) }),
+            removeItem: (key) => request('DELETE', itemPath(key)),
+            keys: () => request('GET', endpoints.keys).then(result => (result ? result.keys || [] : []))
+        };
+    };
+
+    const storageAdapters = {
+        localStorage: () => createWebStorageAdapter('localStorage'),
+        sessionStorage: () => createWebStorageAdapter('sessionStorage'),
+        memory: createMemoryAdapter,
+        indexedDB: createIndexedDBAdapter,
+        remote: createRemoteAdapter
+    };
+
+    /**
+     * Analytics sinks
+     * A sink receives consented, sampled and scrubbed events
+     * ({ id, action, timestamp, sessionId, data }) through send(events), always
+     * an array. Buffering sinks also implement flush(useBeacon) and discard().
+     * @private
+     */
+    const createGtagSink = function (options = {}) {
+        return {
+            name: 'gtag',
+            send: (events) => {
+                if (typeof window.gtag !== 'function') return;
+
+                events.forEach(event => {
+                    // Google Analytics parameters must be flat primitives
+                    const params = { event_category: options.category || 'User Activity' };
+                    Object.entries(event.data || {}).forEach(([key, value]) => {
+                        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+                            params[key] = value;
+                        }
+                    });
+
+                    window.gtag('event', event.action, params);
+                });
+            }
+        };
+    };
+
+    const createConsoleSink = function () {
+        return {
+            name: 'console',
+            send: (events) => {
+                events.forEach(event => console.info('[EmiralUserData] analytics:', event.action, event.data));
+            }
+        };
+    };
+
+    const createBeaconSink = function (options = {}) {
+        if (!options.url) {
+            throw new Error('Beacon analytics sink requires a url');
+        }
+
+        const batchSize = options.batchSize || 20;
+        const flushInterval = options.flushInterval || 10000;
+        const maxBuffer = options.maxBuffer || 500;
+        let buffer = [];
+        let timer = null;
+
+        const post = (events, useBeacon) => {
+            const body = JSON.stringify({ events: events, sentAt: new Date().toISOString() });
+
+            // sendBeacon survives the page unloading (sent as text/plain, no preflight)
+            if (useBeacon && navigator.sendBeacon && navigator.sendBeacon(options.url, body)) {
+                return Promise.resolve();
+            }
+
+            return fetch(options.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...options.headers },
+                credentials: options.credentials || 'same-origin',
+                keepalive: true,
+                body: body
+            }).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Analytics beacon failed with status ${response.status}`);
+                }
+            });
+        };
+
+        const sink = {
+            name: 'beacon',
+            send: (events) => {
+                buffer.push(...events);
+
+                if (buffer.length >= batchSize) {
+                    return sink.flush();
+                }
+
+                if (!timer) {
+                    timer = setTimeout(() => sink.flush().catch(() => {}), flushInterval);
+                }
+                return Promise.resolve();
+            },
+            flush: (useBeacon = false) => {
+                clearTimeout(timer);
+                timer = null;
+                if (buffer.length === 0) return Promise.resolve();
+
+                const batch = buffer;
+                buffer = [];
+
+                return post(batch, useBeacon).catch(error => {
+                    // Keep the batch for the next flush, oldest events dropped first
+                    buffer = batch.concat(buffer).slice(-maxBuffer);
+                    throw error;
+                });
+            },
+            discard: () => {
+                clearTimeout(timer);
+                timer = null;
+                buffer = [];
+            }
+        };
+
+        return sink;
+    };
+
+    const createIndexedDBSink = function (options = {}) {
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB not available');
+        }
+
+        const storeName = 'events';
+        const maxEvents = options.maxEvents || 5000;
+        const run = openIndexedDB(options.dbName || 'emiralai_analytics', db => db.createObjectStore(storeName, { keyPath: 'id' }));
+
+        // Activity ids start with the timestamp, so key order is chronological
+        const prune = (count) => {
+            if (count <= maxEvents) return undefined;
+
+            return run(storeName, 'readonly', store => store.getAllKeys(null, count - maxEvents))
+                .then(keys => run(storeName, 'readwrite', store => {
+                    keys.forEach(key => store.delete(key));
+                    return store.count();
+                }));
+        };
+
+        return {
+            name: 'indexedDB',
+            send: (events) => run(storeName, 'readwrite', store => {
+                events.forEach(event => store.put(event));
+                return store.count();
+            }).then(prune),
+            read: () => run(storeName, 'readonly', store => store.getAll()),
+            clear: () => run(storeName, 'readwrite', store => store.clear())
+        };
+    };
+
+    const analyticsSinks = {
+        gtag: createGtagSink,
+        console: createConsoleSink,
+        beacon: createBeaconSink,
+        indexedDB: createIndexedDBSink
+    };
+
+    // Card numbers pass the Luhn check - plain long numbers (timestamps, ids) do not
+    const passesLuhn = function (value) {
+        const digits = value.replace(/\D/g, '');
+        let sum = 0;
+
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+
+        return sum % 10 === 0;
+    };
+
+    // Values masked in analytics payloads before they reach any sink
+    const PII_RULES = [
+        { name: 'email', pattern: /[^\s@"']+@[^\s@"']+\.[a-z]{2,}/gi, replace: '[email]' },
+        { name: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replace: (match) => (passesLuhn(match) ? '[card]' : match) },
+        { name: 'phone', pattern: /\+\d[\d\s().-]{7,}\d|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, replace: '[phone]' }
+    ];
+
+    /**
+     * At-rest encryption helpers (WebCrypto AES-GCM, PBKDF2-derived keys)
+     * Encrypted values are stored as a self-describing JSON envelope that
+     * carries its own salt and IV, so data survives key rotation.
+     * @private
+     */
+    const ENVELOPE_MARKER = '{"enc":"AES-GCM"';
+
+    const cryptoHelpers = {
+        isSupported: () => !!(window.crypto && window.crypto.subtle && window.TextEncoder),
+
+        isEnvelope: (raw) => typeof raw === 'string' && raw.startsWith(ENVELOPE_MARKER),
+
+        randomBytes: (length) => window.crypto.getRandomValues(new Uint8Array(length)),
+
+        toBase64: (bytes) => {
+            // Spreading a large array into fromCharCode overflows the call stack - go in slices
+            const view = new Uint8Array(bytes);
+            let binary = '';
+            for (let offset = 0; offset < view.length; offset += 0x8000) {
+                binary += String.fromCharCode.apply(null, view.subarray(offset, offset + 0x8000));
+            }
+            return btoa(binary);
+        },
+
+        fromBase64: (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0)),
+
+        deriveKey: async (passphrase, salt, iterations) => {
+            const material = await window.crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+            );
+
+            return window.crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        },
+
+        encrypt: async (key, salt, plaintext) => {
+            const iv = cryptoHelpers.randomBytes(12);
+            const data = await window.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(plaintext)
+            );
+
+            return JSON.stringify({
+                enc: 'AES-GCM',
+                v: 1,
+                salt: cryptoHelpers.toBase64(salt),
+                iv: cryptoHelpers.toBase64(iv),
+                data: cryptoHelpers.toBase64(data)
+            });
+        },
+
+        decrypt: async (key, envelope) => {
+            const data = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: cryptoHelpers.fromBase64(envelope.iv) },
+                key,
+                cryptoHelpers.fromBase64(envelope.data)
+            );
+
+            return new TextDecoder().decode(data);
+        }
+    };
+
+    /**
+     * Minimal ZIP writer for export bundles - entries are stored uncompressed
+     * @private
+     */
+    const zipHelpers = {
+        crcTable: null,
+
+        crc32: (bytes) => {
+            if (!zipHelpers.crcTable) {
+                zipHelpers.crcTable = Array.from({ length: 256 }, (_, n) => {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    return c >>> 0;
+                });
+            }
+
+            let crc = 0xFFFFFFFF;
+            for (const byte of bytes) crc = zipHelpers.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        },
+
+        // Entry timestamps use the MS-DOS date and time format
+        dosDateTime: (date) => ({
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        }),
+
+        /**
+         * @param {Array} files - [{ name, content: string|Uint8Array }]
+         * @returns {Uint8Array} ZIP archive
+         */
+        create: (files, modified = new Date()) => {
+            const encoder = new TextEncoder();
+            const { time, date } = zipHelpers.dosDateTime(modified);
+            const entries = [];
+            const directory = [];
+            let offset = 0;
+
+            files.forEach(file => {
+                const name = encoder.encode(file.name);
+                const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+                const crc = zipHelpers.crc32(data);
+
+                const header = new DataView(new ArrayBuffer(30));
+                header.setUint32(0, 0x04034b50, true); // local file header
+                header.setUint16(4, 20, true); // version needed (2.0)
+                header.setUint16(6, 0x0800, true); // UTF-8 names
+                header.setUint16(10, time, true);
+                header.setUint16(12, date, true);
+                header.setUint32(14, crc, true);
+                header.setUint32(18, data.length, true);
+                header.setUint32(22, data.length, true);
+                header.setUint16(26, name.length, true);
+                entries.push(new Uint8Array(header.buffer), name, data);
+
+                const record = new DataView(new ArrayBuffer(46));
+                record.setUint32(0, 0x02014b50, true); // central directory record
+                record.setUint16(4, 20, true);
+                record.setUint16(6, 20, true);
+                record.setUint16(8, 0x0800, true);
+                record.setUint16(12, time, true);
+                record.setUint16(14, date, true);
+                record.setUint32(16, crc, true);
+                record.setUint32(20, data.length, true);
+                record.setUint32(24, data.length, true);
+                record.setUint16(28, name.length, true);
+                record.setUint32(42, offset, true);
+                directory.push(new Uint8Array(record.buffer), name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true); // end of central directory
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, offset, true);
+
+            const parts = [...entries, ...directory, new Uint8Array(end.buffer)];
+            const archive = new Uint8Array(offset + directorySize + 22);
+            let position = 0;
+            parts.forEach(part => {
+                archive.set(part, position);
+                position += part.length;
+            });
+
+            return archive;
+        }
+    };
+
+    /**
+     * Sync transports
+     * A transport is a function (method, url, { headers, body }) that resolves
+     * to { status, headers: { etag }, body }. The default uses fetch; the mock
+     * server keeps a revisioned document in memory for local testing.
+     * @private
+     */
+    const fetchSyncTransport = function (method, url, request) {
+        return fetch(url, {
+            method: method,
+            headers: request.headers,
+            credentials: 'same-origin',
+            body: request.body !== undefined ? JSON.stringify(request.body) : undefined
+        }).then(response => {
+            const hasBody = response.status !== 204 && response.status !== 304 &&
+                (response.headers.get('Content-Type') || '').includes('json');
+
+            return (hasBody ? response.json() : Promise.resolve(null)).then(body => ({
+                status: response.status,
+                headers: { etag: response.headers.get('ETag') },
+                body: body
+            }));
+        });
+    };
+
+    const createMockSyncTransport = function (options = {}) {
+        const latency = options.latency !== undefined ? options.latency : 50;
+        const failRate = options.failRate || 0;
+        const server = {
+            document: options.initialData ? JSON.parse(JSON.stringify(options.initialData)) : null,
+            revision: options.initialData ? 1 : 0,
+            updatedAt: new Date().toISOString()
+        };
+
+        const etag = () => `"${server.revision}"`;
+
+        const handle = (method, request) => {
+            if (Math.random() < failRate) {
+                return { status: 503, headers: {}, body: null };
+            }
+
+            if (method === 'GET') {
+                if (!server.document) return { status: 404, headers: {}, body: null };
+                if (request.headers['If-None-Match'] === etag()) {
+                    return { status: 304, headers: { etag: etag() }, body: null };
+                }
+                return {
+                    status: 200,
+                    headers: { etag: etag() },
+                    body: { revision: server.revision, updatedAt: server.updatedAt, data: JSON.parse(JSON.stringify(server.document)) }
+                };
+            }
+
+            if (method === 'PUT') {
+                if (server.document && request.headers['If-Match'] !== etag()) {
+                    return { status: 412, headers: { etag: etag() }, body: null };
+                }
+                server.document = JSON.parse(JSON.stringify(request.body.data));
+                server.revision++;
+                server.updatedAt = request.body.updatedAt || new Date().toISOString();
+                return { status: 200, headers: { etag: etag() }, body: { revision: server.revision, updatedAt: server.updatedAt } };
+            }
+
+            return { status: 405, headers: {}, body: null };
+        };
+
+        const transport = (method, url, request) => new Promise(resolve => {
+            setTimeout(() => resolve(handle(method, request)), latency);
+        });
+
+        // Simulate an edit made on another device
+        transport.server = {
+            get: () => JSON.parse(JSON.stringify(server)),
+            update: (data) => {
+                server.document = JSON.parse(JSON.stringify(data));
+                server.revision++;
+                server.updatedAt = new Date().toISOString();
+            }
+        };
+
+        return transport;
+    };
+
+    /**
+     * Built-in schema migrations
+     * Each step receives a data bundle ({ userData, subscription, settings,
+     * activityLog, ...}) plus the manager, and returns the upgraded bundle.
+     * Stored data and exports without a version are treated as 1.0.0.
+     * @private
+     */
+    const LEGACY_SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * Metered usage resources
+     * apiCalls is a counter that resets every billing period; storage (bytes),
+     * models and projects are running totals.
+     * @private
+     */
+    const USAGE_METRICS = ['apiCalls', 'storage', 'models', 'projects'];
+
+    // Plan field that limits each metered resource (-1 = unlimited)
+    const QUOTA_RESOURCES = {
+        apiCalls: { limitKey: 'apiLimit', label: 'API calls' },
+        storage: { limitKey: 'storageLimit', label: 'Storage' },
+        models: { limitKey: 'modelsLimit', label: 'Models' },
+        projects: { limitKey: 'projectsLimit', label: 'Projects' }
+    };
+
+    // Organization roles from least to most privileged
+    const ORG_ROLE_RANKS = { viewer: 0, member: 1, admin: 2, owner: 3 };
+
+    // Subscription lifecycle - the statuses each status may move to
+    const SUBSCRIPTION_TRANSITIONS = {
+        trialing: ['active', 'canceled_at_period_end', 'canceled', 'expired'],
+        active: ['past_due', 'canceled_at_period_end', 'canceled', 'expired'],
+        past_due: ['active', 'grace', 'canceled'],
+        grace: ['active', 'canceled', 'expired'],
+        canceled_at_period_end: ['active', 'canceled'],
+        canceled: [],
+        expired: []
+    };
+
+    // Statuses that keep the paid plan; canceled and expired fall back to Free
+    const SUBSCRIPTION_ACCESS_STATES = ['trialing', 'active', 'past_due', 'grace', 'canceled_at_period_end'];
+
+    // How importUserData() combines a backup with the data on the device
+    const IMPORT_MODES = ['replace', 'merge-keep-local', 'merge-prefer-import'];
+
+    // Profile fields a backup never overwrites: computed on load, or owned by
+    // billing and the signed-in identity rather than by the user's data
+    const IMPORT_PROTECTED_FIELDS = [
+        'id', 'email', 'name', 'loginTime', 'sessionExpiry',
+        'planId', 'plan', 'planData', 'subscription', 'addOns', 'entitlementOverrides', 'trialUsed',
+        'organization', 'activeOrganizationId', 'usage', 'metrics', 'permissions', 'session', 'settings', 'lastModified'
+    ];
+
+    // What exportData() can include, and the formats it writes
+    const EXPORT_COLLECTIONS = ['profile', 'settings', 'activity', 'usage', 'invoices', 'planHistory'];
+    const EXPORT_FORMATS = ['json', 'csv', 'zip'];
+
+    // Named checks for the "format" schema rule - (value, manager) => boolean
+    const VALIDATION_FORMATS = {
+        email: (value, manager) => manager._isValidEmail(value),
+        url: (value) => /^https?:\/\/[^\s]+$/i.test(value),
+        // Remote or relative image paths and data:image URLs - never other schemes (javascript:, data:text/html)
+        image: (value) => /^(https?:\/\/|data:image\/[\w.+-]+[;,])/i.test(value) || !/^[a-z][a-z\d+.-]*:/i.test(value),
+        isoDate: (value) => /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value)),
+        planId: (value, manager) => !!manager.config.plans[value],
+        currency: (value) => /^[A-Z]{3}$/.test(value),
+        locale: (value) => {
+            try {
+                return Intl.getCanonicalLocales(value).length === 1;
+            } catch (error) {
+                return false;
+            }
+        },
+        timeZone: (value) => {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+    };
+
+    /**
+     * Thrown by saves whose data breaks a record schema
+     * errors holds the same entries as EmiralUserData.validate()
+     */
+    class ValidationError extends Error {
+        constructor(schema, errors) {
+            super(`Invalid ${schema}: ${errors.map(item => item.message).join('; ')}`);
+            this.name = 'ValidationError';
+            this.schema = schema;
+            this.errors = errors;
+        }
+    }
+
+    /**
+     * Record schemas - see EmiralUserData.validate()
+     * Field rules: type, required, nullable, minLength / maxLength, min / max, enum,
+     * format (VALIDATION_FORMATS), maxSize (JSON length), properties, items, schema
+     * (another record) and messages (rule -> custom message). unknownKeys: 'strict'
+     * rejects fields that are not listed, 'passthrough' keeps them.
+     */
+    const SCHEMAS = {
+        user: {
+            unknownKeys: 'strict',
+            properties: {
+                id: { type: 'string', maxLength: 100 },
+                name: { type: 'string', maxLength: 100 },
+                email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+                profileImage: {
+                    type: 'string', nullable: true, format: 'image', maxLength: 1024 * 1024,
+                    messages: { maxLength: 'Profile images must be smaller than about 750 KB' }
+                },
+                company: { type: 'string', maxLength: 100 },
+                role: { type: 'string', maxLength: 100 },
+                bio: { type: 'string', maxLength: 1000 },
+                location: { type: 'string', maxLength: 100 },
+                website: { type: 'string', format: 'url', maxLength: 2048 },
+                preferences: { type: 'object', maxSize: 10000 },
+                plan: { type: 'string', maxLength: 100 },
+                planId: { type: 'string', format: 'planId' },
+                loginTime: { type: 'string', format: 'isoDate', nullable: true },
+                sessionExpiry: { type: 'string', format: 'isoDate', nullable: true },
+                lastSync: { type: 'string', format: 'isoDate', nullable: true },
+                lastModified: { type: 'string', format: 'isoDate' },
+                trialUsed: { type: 'object', nullable: true },
+                addOns: { type: 'object' },
+                entitlementOverrides: { type: 'object' },
+                activeOrganizationId: { type: 'string', nullable: true },
+                subscription: { schema: 'subscription', nullable: true },
+                settings: { schema: 'settings', nullable: true },
+                // Computed by getUserData() - accepted so a loaded user can be saved back
+                planData: { type: 'object' },
+                usage: { type: 'object' },
+                metrics: { type: 'object' },
+                permissions: { type: 'object' },
+                session: { type: 'object', nullable: true },
+                organization: { type: 'object', nullable: true }
+            }
+        },
+
+        subscription: {
+            unknownKeys: 'passthrough',
+            properties: {
+                planId: { type: 'string', required: true, format: 'planId' },
+                planName: { type: 'string', maxLength: 100 },
+                // 'inactive' is what getUserData() reports for users who never subscribed
+                status: { type: 'string', required: true, enum: ['inactive', ...Object.keys(SUBSCRIPTION_TRANSITIONS)] },
+                startDate: { type: 'string', format: 'isoDate' },
+                endDate: { type: 'string', format: 'isoDate', nullable: true },
+                currentPeriodStart: { type: 'string', format: 'isoDate', nullable: true },
+                stateChangedAt: { type: 'string', format: 'isoDate', nullable: true },
+                trialStartedAt: { type: 'string', format: 'isoDate', nullable: true },
+                trialEndsAt: { type: 'string', format: 'isoDate', nullable: true },
+                canceledAt: { type: 'string', format: 'isoDate', nullable: true },
+                autoRenew: { type: 'boolean' },
+                paymentMethod: { type: 'string', maxLength: 64 },
+                amount: { type: 'number', min: 0 },
+                currency: { type: 'string', format: 'currency' },
+                pendingChange: { type: 'object', nullable: true },
+                lapsed: { type: 'object', nullable: true }
+            }
+        },
+
+        settings: {
+            unknownKeys: 'passthrough',
+            maxSize: 100000,
+            properties: {
+                locale: { type: 'string', format: 'locale', nullable: true },
+                timeZone: { type: 'string', format: 'timeZone', nullable: true },
+                currency: { type: 'string', format: 'currency', nullable: true },
+                lastModified: { type: 'string', format: 'isoDate' }
+            }
+        },
+
+        activity: {
+            unknownKeys: 'strict',
+            properties: {
+                id: { type: 'string', required: true, maxLength: 100 },
+                action: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+                timestamp: { type: 'string', required: true, format: 'isoDate' },
+                data: { type: 'object', maxSize: 10000 },
+                sessionId: { type: 'string', nullable: true, maxLength: 100 }
+            }
+        }
+    };
+
+    // Messages exchanged between tabs over the sync channel
+    const TAB_MESSAGES = {
+        userDataUpdated: 'Profile, subscription or settings saved',
+        userLoggedOut: 'The active account signed out',
+        accountSwitched: 'Another account became active',
+        offlineQueueChanged: 'The offline queue was edited - reload it from storage',
+        syncRequested: 'A follower tab has local changes for the leader to push',
+        replayRequested: 'A follower tab asks the leader to replay the offline queue',
+        tabOpened: 'A new tab wants to know the current leader',
+        leaderElected: 'The sender now runs background sync and offline replay',
+        leaderResigned: 'The leader tab is closing - the next tab may take over',
+        sessionChanged: 'Activity or a token refresh renewed the session',
+        sessionExpired: 'The session ran out - every tab shows the same warning and signs out'
+    };
+
+    const defaultMigrations = [
+        {
+            from: '1.0.0',
+            to: '2.0.0',
+            description: 'Derive planId from plan names, normalize subscriptions, adopt profile page exports',
+            migrate: (bundle, manager) => {
+                const result = { ...bundle };
+
+                // Profile page exports used { user, settings: <profile config> }
+                if (!result.userData && result.user) {
+                    result.userData = result.user;
+                    delete result.settings;
+                }
+                delete result.user;
+
+                if (result.userData && !result.userData.planId) {
+                    const match = Object.entries(manager.config.plans)
+                        .find(([, plan]) => plan.name === result.userData.plan);
+                    result.userData = { ...result.userData, planId: match ? match[0] : 'free' };
+                }
+
+                // payment.js subscriptions used price / nextBillingDate
+                if (result.subscription) {
+                    const subscription = { ...result.subscription };
+                    if (!subscription.endDate && subscription.nextBillingDate) {
+                        subscription.endDate = subscription.nextBillingDate;
+                    }
+                    if (subscription.amount === undefined && typeof subscription.price === 'number') {
+                        subscription.amount = subscription.price;
+                    }
+                    result.subscription = subscription;
+                }
+
+                return result;
+            }
+        }
+    ];
+
     /**
      * EmiralUserData - Premium User Data Management System
      * 
@@ -105,29 +955,67 @@
                 subscriptionKey: 'subscription',
                 settingsKey: 'settings',
                 cacheKey: 'cache',
-                sessionTimeout: 24, // hours
-                enableEncryption: false, // Set to true for sensitive data
-                encryptionKey: 'your-encryption-key-here'
+                sessionTimeout: 24, // hours, renewed on activity (0 = no expiry) - see config.session
+                enableEncryption: false, // Set to true for sensitive data (requires HTTPS/WebCrypto)
+                encryptionKey: 'your-encryption-key-here',
+                encryptionIterations: 100000, // PBKDF2 iterations used to derive the AES key
+                // 'localStorage', 'sessionStorage', 'indexedDB', 'memory', 'remote' or a custom adapter object
+                adapter: 'localStorage',
+                adapterOptions: {
+                    indexedDB: { dbName: 'emiralai', storeName: 'keyval' },
+                    remote: { baseURL: '', headers: {}, endpoints: { item: '/storage/:key', keys: '/storage' } }
+                },
+                migrateFromLocalStorage: true // Copy existing localStorage data into a new adapter once
+            },
+
+            // Data schema - bump the version and register a migration when stored fields change
+            schema: {
+                version: '2.0.0',
+                versionKey: 'schema_version',
+                snapshotKey: 'schema_snapshot', // data from before a migration, kept until it succeeds
+                migrations: [] // [{ from, to, migrate(bundle, manager), description }], registered on init
             },
 
             // Plan definitions - Customize for your pricing
+            // `tier` orders plans for hasPlan(); `entitlements` are inherited
+            // through `extends` and may be overridden per plan.
             plans: {
                 free: {
                     id: 'free',
                     name: 'Free Plan',
                     displayName: 'Free',
+                    description: 'Get started with the essentials',
+                    role: 'Free Member',
                     price: 0,
+                    interval: 'month',
                     apiLimit: 1000,
                     storageLimit: '10GB',
                     modelsLimit: 3,
                     projectsLimit: 5,
                     supportLevel: 'community',
+                    supportDescription: 'Community forum',
                     features: [
                         'Basic AI features',
                         'Community support',
                         'Standard processing speed',
                         'Basic analytics'
                     ],
+                    tier: 0,
+                    entitlements: {
+                        canUseAPI: false,
+                        canExportData: false,
+                        canCustomizeModels: false,
+                        canAccessAnalytics: true,
+                        canUseAdvancedAnalytics: false,
+                        canInviteTeamMembers: false,
+                        canUseWhiteLabel: false,
+                        canAccessPrioritySupport: false,
+                        canRequestCustomFeatures: false,
+                        teamSeats: 1,
+                        showUpgradePrompts: true,
+                        showUsageLimits: true,
+                        showAds: true
+                    },
                     color: '#6c757d',
                     icon: 'fas fa-user'
                 },
@@ -135,12 +1023,17 @@
                     id: 'basic',
                     name: 'Basic Plan',
                     displayName: 'Basic',
-                    price: 29,
+                    description: 'Perfect for startups and small businesses',
+                    role: 'Basic Member',
+                    price: 499,
+                    interval: 'month',
                     apiLimit: 10000,
                     storageLimit: '50GB',
                     modelsLimit: 10,
                     projectsLimit: 20,
                     supportLevel: 'email',
+                    supportDescription: 'Business hours',
+                    trialDays: 7, // free trial length (0 or omitted = no trial)
                     features: [
                         'All Free features',
                         'Advanced AI implementation',
@@ -149,6 +1042,14 @@
                         'API access',
                         'Data export'
                     ],
+                    tier: 1,
+                    extends: 'free',
+                    entitlements: {
+                        canUseAPI: true,
+                        canExportData: true,
+                        canCustomizeModels: true,
+                        showAds: false
+                    },
                     color: '#17a2b8',
                     icon: 'fas fa-star'
                 },
@@ -156,12 +1057,17 @@
                     id: 'pro',
                     name: 'Pro Plan',
                     displayName: 'Professional',
-                    price: 99,
+                    description: 'Ideal for growing companies',
+                    role: 'Pro Member',
+                    price: 999,
+                    interval: 'month',
                     apiLimit: 100000,
                     storageLimit: '500GB',
                     modelsLimit: 50,
                     projectsLimit: 100,
                     supportLevel: 'priority',
+                    supportDescription: '24/7',
+                    trialDays: 14,
                     features: [
                         'All Basic features',
                         'Priority support (12h response)',
@@ -171,6 +1077,15 @@
                         'White-label options',
                         'Advanced API features'
                     ],
+                    tier: 2,
+                    extends: 'basic',
+                    entitlements: {
+                        canUseAdvancedAnalytics: true,
+                        canInviteTeamMembers: true,
+                        canUseWhiteLabel: true,
+                        canAccessPrioritySupport: true,
+                        teamSeats: 5
+                    },
                     color: '#6f42c1',
                     icon: 'fas fa-crown'
                 },
@@ -178,12 +1093,17 @@
                     id: 'enterprise',
                     name: 'Enterprise Plan',
                     displayName: 'Enterprise',
+                    description: 'For large organizations with unique needs',
+                    role: 'Enterprise Member',
                     price: 299,
+                    customPricing: true, // Shown as "Custom" on pricing pages
+                    interval: 'month',
                     apiLimit: -1, // Unlimited
                     storageLimit: 'Unlimited',
                     modelsLimit: -1,
                     projectsLimit: -1,
                     supportLevel: 'dedicated',
+                    supportDescription: 'Dedicated team',
                     features: [
                         'All Pro features',
                         'Dedicated support manager',
@@ -194,11 +1114,231 @@
                         'Unlimited team members',
                         'Advanced security features'
                     ],
+                    tier: 3,
+                    extends: 'pro',
+                    entitlements: {
+                        canRequestCustomFeatures: true,
+                        teamSeats: -1, // Unlimited
+                        showUpgradePrompts: false,
+                        showUsageLimits: false
+                    },
                     color: '#dc3545',
                     icon: 'fas fa-building'
                 }
             },
 
+            // Plan catalog - load plans from a JSON file or endpoint instead of the built-ins above
+            catalog: {
+                url: '', // e.g. 'data/plans.json' or 'https://api.example.com/plans'
+                ttl: 60 * 60 * 1000, // ms before the cached catalog is refreshed
+                cacheKey: 'plan_catalog'
+            },
+
+            // Add-ons - bought on top of a plan; numeric entitlements add up
+            addOns: {
+                extraSeats: {
+                    name: 'Extra Team Seats',
+                    price: 10,
+                    entitlements: { teamSeats: 5 }
+                },
+                whiteLabel: {
+                    name: 'White-Label Branding',
+                    price: 49,
+                    minPlan: 'basic',
+                    entitlements: { canUseWhiteLabel: true }
+                }
+            },
+
+            // Sessions - storage.sessionTimeout slides forward on activity, idle pages
+            // count down before signing out and access tokens are refreshed before they expire
+            session: {
+                storageKey: 'session',
+                maxDuration: 0, // hours since sign-in after which activity no longer extends the session (0 = no cap)
+                idleTimeout: 30, // minutes without interaction on an open page (0 = off)
+                warningTime: 60, // seconds of sessionExpiring countdown before signing out
+                activityEvents: ['mousedown', 'keydown', 'touchstart', 'wheel'],
+                touchInterval: 30, // seconds between stored activity updates (shared by every tab)
+                refresh: null, // async (session) => ({ token, refreshToken, tokenExpiresAt })
+                refreshBefore: 120 // seconds before tokenExpiresAt to call refresh
+            },
+
+            // Subscription lifecycle - periods that end are renewed, sent to dunning or closed
+            subscriptions: {
+                renewLocally: true, // renew at period end without a billing backend; false = wait for recordPayment()
+                retryDays: 3, // days past_due (payment retries) before the grace period
+                graceDays: 7, // days of grace before the subscription expires and the plan falls back to Free
+                scheduleDowngrades: true, // downgrades wait for the end of the paid period (updateUserPlan(..., { immediate: true }) skips this)
+                historyKey: 'plan_history', // plan changes of the personal workspace (organizations keep theirs on the record)
+                invoicesKey: 'invoices', // invoices of the personal workspace (organizations keep theirs on the record)
+                historyLimit: 100
+            },
+
+            // Formatting - settings.locale / settings.timeZone win over these defaults
+            locale: {
+                default: null, // null = the browser language (navigator.language)
+                timeZone: null, // null = the browser time zone
+                currency: 'USD',
+                // Offered in the dashboard settings
+                supported: {
+                    'en-US': 'English (US)',
+                    'en-GB': 'English (UK)',
+                    'es-ES': 'Español',
+                    'fr-FR': 'Français',
+                    'de-DE': 'Deutsch',
+                    'ar': 'العربية'
+                }
+            },
+
+            // Export - see exportData()
+            export: {
+                defaultFormat: 'json', // 'json' | 'csv' | 'zip'
+                collections: EXPORT_COLLECTIONS, // included when exportData() is not given a list
+                // Keys left out of every export unless { redact: false } (case-insensitive, "_" and "-" ignored)
+                redactFields: ['password', 'token', 'secret', 'apikey', 'creditcard', 'cardnumber', 'cvv', 'ssn'],
+                filename: 'emiralai-export'
+            },
+
+            // Undo / redo journal - see undo()
+            history: {
+                limit: 50, // entries kept, oldest dropped first
+                // Not journaled - billing, identity and bookkeeping fields an undo must never roll back
+                ignoreFields: [
+                    'id', 'planId', 'plan', 'planData', 'addOns', 'entitlementOverrides', 'trialUsed',
+                    'organization', 'activeOrganizationId', 'loginTime', 'sessionExpiry', 'lastSync', 'lastModified'
+                ]
+            },
+
+            // Data subject tools - see getAccessReport() and requestErasure()
+            privacy: {
+                // Profile fields that are the user's own data - listed in the access report, correctable with rectifyUserData()
+                profileFields: ['name', 'email', 'profileImage', 'company', 'role', 'bio', 'location', 'website', 'preferences'],
+                // Every key starting with one of these belongs to the app (other scripts write "Emiral..." keys)
+                keyPrefixes: ['emiralai_', 'Emiral'],
+                // Keys other scripts write, for the access report
+                keyLabels: {
+                    Emiralprofile_chat_messages: 'Profile assistant chat history',
+                    'Emiralai-theme': 'Theme preference',
+                    emiralai_pending_plan: 'Plan picked before checkout',
+                    emiralai_pending_trial: 'Trial picked before checkout'
+                },
+                // Kept for the other accounts when a shared device is erased
+                sharedKeys: ['Emiralai-theme'],
+                erasureGraceDays: 7, // requestErasure() can be cancelled until then (0 = erase right away)
+                erasureKey: 'erasure_requests',
+                receiptsKey: 'privacy_receipts', // survives an erase as proof - holds ids and dates, no personal data
+                maxReceipts: 200,
+                reportFilename: 'emiralai-access-report'
+            },
+
+            // Validation - see validate()
+            validation: {
+                schemas: SCHEMAS, // add fields or whole records here
+                formats: VALIDATION_FORMATS,
+                unknownKeys: null // 'strict' | 'passthrough' for every schema; null = each schema's own policy
+            },
+
+            // Import - see importUserData()
+            import: {
+                defaultMode: 'merge-prefer-import', // 'replace' | 'merge-keep-local' | 'merge-prefer-import'
+                snapshotKey: 'import_snapshot' // data from before the last import, for undoImport()
+            },
+
+            // Multi-account - signed-in accounts are kept side by side, namespaced by user id
+            accounts: {
+                storageKey: 'accounts',
+                maxAccounts: 5,
+                switchOnSignOut: true // signing out activates the most recently used remaining account
+            },
+
+            // Organizations - team workspaces; the active organization's plan,
+            // subscription and add-ons replace the member's own
+            organizations: {
+                storageKey: 'organizations',
+                invitationExpiryDays: 7,
+                // What each role is allowed to do
+                roles: {
+                    owner: ['view', 'edit', 'invite', 'manageMembers', 'manageOrganization', 'manageBilling', 'deleteOrganization'],
+                    admin: ['view', 'edit', 'invite', 'manageMembers', 'manageOrganization'],
+                    member: ['view', 'edit'],
+                    viewer: ['view']
+                }
+            },
+
+            // Server sync - set baseURL (or a custom transport) to enable
+            sync: {
+                baseURL: '',
+                endpoints: { pull: '/user/sync', push: '/user/sync' },
+                headers: {},
+                transport: null, // (method, url, { headers, body }) => Promise<{ status, headers, body }>
+                interval: 5 * 60 * 1000, // ms between background syncs
+                pushDelay: 2000, // ms to batch local changes before pushing
+                conflictStrategy: 'field-merge', // 'field-merge' or 'last-write-wins'
+                maxRetries: 4,
+                retryBaseDelay: 1000, // ms, doubled on every retry
+                retryMaxDelay: 30000,
+                stateKey: 'sync_state'
+            },
+
+            // Activity log - recent entries are kept in full, older ones are
+            // compacted into per-day counts so long-term history survives
+            activity: {
+                storageKey: 'activity_log',
+                rollupKey: 'activity_rollups',
+                maxEntries: 500, // newest entries kept in full (0 = no count limit)
+                maxAgeDays: 90, // older entries are rolled up (0 = no age limit)
+                rollupRetainDays: 730 // daily rollups older than this are dropped (0 = keep forever)
+            },
+
+            // Analytics - trackActivity() events forwarded to the configured sinks
+            analytics: {
+                // 'gtag', 'console', 'indexedDB', { type: 'beacon', url }, or { name, send(events) }
+                sinks: ['gtag'],
+                sampleRate: 1, // share of events forwarded (0-1)
+                sampleBy: 'event', // 'event', or 'session' to keep whole sessions together
+                requireConsent: false, // true drops events until setAnalyticsConsent(true) - pair it with a consent prompt
+                consentKey: 'analytics_consent',
+                scrub: {
+                    // Keys removed anywhere in the payload (case-insensitive, "_" and "-" ignored)
+                    dropFields: ['password', 'token', 'secret', 'apikey', 'creditcard', 'cardnumber', 'cvv', 'ssn'],
+                    rules: PII_RULES
+                },
+                flushOnHide: true // send buffered events with sendBeacon when the page is hidden
+            },
+
+            // Usage metering - per-day ledger rolled up into billing periods
+            usage: {
+                ledgerKey: 'usage_ledger',
+                retainDays: 400 // daily buckets older than this are pruned
+            },
+
+            // Quota enforcement against the plan limits
+            quotas: {
+                warningThresholds: [80, 90], // percent of the limit that triggers quotaWarning
+                enforce: { apiCalls: true, storage: true, models: true, projects: true }, // false = warn only
+                stateKey: 'quota_state'
+            },
+
+            // Offline queue - actions are persisted and replayed in order once back online
+            offline: {
+                queueKey: 'offline_queue',
+                // Deferred while the browser is offline
+                // (available: save, updatePlan, updateSettings, trackActivity, clearUserData, import)
+                queueWhileOffline: ['updatePlan'],
+                // Queued for another attempt when they fail
+                retryOnFailure: ['save'],
+                maxItems: 100,
+                maxAttempts: 5
+            },
+
+            // Cross-tab coordination - one leader tab runs background sync and offline replay
+            tabs: {
+                channelName: 'emiralai_sync',
+                messageKey: 'tab_message', // storage-event fallback without BroadcastChannel
+                leaderKey: 'tab_leader', // Web Lock name, or lease key without navigator.locks
+                heartbeatInterval: 2000, // ms between lease renewals
+                leaderTimeout: 6000 // ms before an unrenewed lease may be taken over
+            },
+
             // Feature flags - Enable/disable features easily
             features: {
                 enableNotifications: true,
@@ -222,11 +1362,64 @@
          */
         _state: {
             initialized: false,
+            initError: null, // why the last init() failed - ready() rejects with it
             currentUser: null,
             cache: new Map(),
-            listeners: new Map(),
+            formatters: new Map(), // Intl formatters by locale, time zone and options
+            history: {
+                entries: [], // { id, at, fields, patch, inverse } - oldest first
+                position: 0, // entries before this index are applied; the rest can be redone
+                applying: false // undo() / redo() writing - not a new edit
+            },
             syncInterval: null,
-            offlineQueue: []
+            offlineQueue: [],
+            offline: {
+                depth: 0, // nesting of queueable actions (import calls save)
+                replaying: false,
+                replayStartedAt: null
+            },
+            tabs: {
+                id: null,
+                channel: null, // persistent BroadcastChannel (null = storage-event fallback)
+                election: null, // 'locks', 'lease' or 'single'
+                isLeader: false,
+                leaderId: null,
+                lockPending: false,
+                releaseLock: null,
+                heartbeat: null
+            },
+            pendingWrites: new Set(), // async adapter and encryption writes still in progress
+            session: {
+                timer: null,
+                warning: null, // 'idle' or 'expired' while the sessionExpiring countdown runs
+                lastInteraction: 0, // this tab's latest interaction (stored at most every touchInterval)
+                lastTouch: 0,
+                refreshing: null,
+                refreshRetryAt: 0, // failed refreshes wait before trying again
+                expiredId: null // every tab announces an expired session once
+            },
+            privacy: {
+                erasureTimer: null // fires when the next requested erasure is due
+            },
+            activitySequence: 0,
+            analyticsSinks: null, // created from config.analytics.sinks on first use
+            storageAdapter: null,
+            storageMirror: null,
+            encryption: {
+                active: false,
+                key: null,
+                salt: null,
+                derivedKeys: new Map(), // salt (base64) -> CryptoKey
+                plaintext: new Map(), // full storage key -> decrypted JSON string
+                writeTokens: new Map() // full storage key -> latest pending write
+            },
+            migrations: [...defaultMigrations],
+            sync: {
+                status: 'idle',
+                inFlight: null,
+                pushTimer: null,
+                lastError: null
+            }
         },
 
         /**
@@ -241,29 +1434,51 @@
             }
 
             try {
+                this._state.initError = null;
+
                 // Merge custom configuration
                 this.config = this._deepMerge(this.config, customConfig);
+                this.config.schema.migrations.forEach(step => {
+                    this.registerMigration(step.from, step.to, step.migrate, step.description);
+                });
 
                 // Initialize storage
                 this._initializeStorage();
+                await this._hydrateStorage();
+                await this._initializeEncryption();
 
-                // Load cached data
-                await this._loadCache();
+                // Upgrade stored data written by older versions
+                this._runStorageMigrations();
+
+                // Roll up activity that aged out since the last visit
+                this._applyActivityRetention();
+
+                // Swap in the external plan catalog when one is configured
+                await this._initializePlanCatalog();
+
+                // Load cached data
+                await this._loadCache();
+
+                // Restore actions queued before the last reload
+                this._state.offlineQueue = this._loadOfflineQueue();
 
                 // Setup event listeners
                 this._setupEventListeners();
 
-                // Start sync if enabled
-                if (this.config.features.enableDataSync) {
-                    this._startDataSync();
-                }
-
-                // Check for offline data
-                if (this.config.features.enableOfflineMode) {
-                    await this._processOfflineQueue();
-                }
+                // Open the tab channel - the elected leader starts sync and replays the offline queue
+                this._initializeTabs();
 
                 this._state.initialized = true;
+
+                // Opening a page counts as activity; start the expiry and idle timers
+                this._initializeSession();
+
+                // Renew, dun or close subscriptions whose dates passed since the last visit
+                this._evaluateSubscriptions();
+
+                // Erase accounts whose grace period ended since the last visit
+                this._processErasureRequests();
+
                 this._triggerEvent('initialized');
 
                 this.log('info', 'EmiralUserData initialized successfully');
@@ -271,6 +1486,8 @@
 
             } catch (error) {
                 this.log('error', 'Initialization failed:', error);
+                this._state.initError = error;
+                this._triggerEvent('initFailed', { error });
                 return Promise.reject(error);
             }
         },
@@ -291,23 +1508,36 @@
                 const userData = this._getFromStorage(this.config.storage.userDataKey);
                 if (!userData) return null;
 
-                // Validate session
-                if (!this._isSessionValid(userData)) {
-                    this.clearUserData();
+                // Validate session (data saved before sessions were tracked gets one now)
+                const session = this._getSessionRecord() || this._startSession({
+                    startedAt: userData.loginTime,
+                    expiresAt: userData.sessionExpiry
+                });
+                if (!this._isSessionValid(session)) {
+                    this._expireSession('expired');
                     return null;
                 }
 
+                // Billing belongs to the active organization, if any
+                const organization = this._getActiveOrganization(userData);
+                const billing = organization || userData;
+
                 // Get subscription data
-                const subscription = this._getFromStorage(this.config.storage.subscriptionKey);
+                const subscription = organization ?
+                    organization.subscription :
+                    this._getFromStorage(this.config.storage.subscriptionKey);
 
                 // Get user settings
                 const settings = this._getFromStorage(this.config.storage.settingsKey) || {};
 
                 // Build complete user object
-                const planId = userData.planId || subscription?.planId || 'free';
+                const planId = billing.planId || subscription?.planId || 'free';
                 const planData = this.config.plans[planId] || this.config.plans.free;
 
                 const completeUserData = {
+                    // Profile fields declared in the user schema (company, role, bio, ...) - the computed ones below win
+                    ...this._pickFields(userData, Object.keys(this.config.validation.schemas.user.properties)),
+
                     // Basic info
                     id: userData.id || this._generateUserId(),
                     name: userData.name || 'Guest User',
@@ -327,7 +1557,7 @@
                     planData: planData,
 
                     // Usage statistics
-                    usage: this._calculateUsage(planId, userData),
+                    usage: this._calculateUsage(planId, userData, subscription),
 
                     // Subscription details
                     subscription: this._enhanceSubscription(subscription, planData),
@@ -336,15 +1566,23 @@
                     settings: settings,
 
                     // Session information
-                    session: {
-                        loginTime: userData.loginTime,
-                        lastActivity: new Date().toISOString(),
-                        expiresAt: userData.sessionExpiry,
-                        isActive: true
-                    },
+                    session: this._describeSession(session),
+
+                    // Permissions based on plan, add-ons and per-user overrides
+                    permissions: this._getPermissions(planId, { ...userData, addOns: billing.addOns }),
+                    addOns: billing.addOns || {},
+                    entitlementOverrides: userData.entitlementOverrides || {},
 
-                    // Permissions based on plan
-                    permissions: this._getPermissions(planId),
+                    // Free trial already taken ({ planId, startedAt }) - one per user
+                    trialUsed: userData.trialUsed || null,
+
+                    // Active organization (null in the personal workspace)
+                    activeOrganizationId: organization ? organization.id : null,
+                    organization: organization ? {
+                        id: organization.id,
+                        name: organization.name,
+                        role: this._getMembership(organization, userData.id).role
+                    } : null,
 
                     // Activity metrics
                     metrics: this._getUserMetrics(userData)
@@ -368,40 +1606,74 @@
          * Save or update user data with validation
          * @param {Object} data - Data to save/update
          * @returns {boolean} Success status
+         * @throws {ValidationError} When the data breaks the user schema (error.errors)
          */
         saveUserData: function (data) {
+            return this._runOrQueue('save', { data }, () => this._applyUserData(data));
+        },
+
+        _applyUserData: function (data) {
             try {
-                // Validate data
-                if (!this._validateUserData(data)) {
-                    throw new Error('Invalid user data');
-                }
+                // A save is a patch - required fields only apply to whole records
+                this._assertValid('user', data, { partial: true });
 
                 // Get current data
-                const currentData = this.getUserData() || {};
+                const { organization, ...currentData } = this.getUserData() || {};
+
+                // In an organization workspace the plan, subscription and add-ons
+                // shown belong to the organization - keep the member's own
+                if (organization) {
+                    const stored = this._getFromStorage(this.config.storage.userDataKey) || {};
+                    currentData.planId = stored.planId;
+                    currentData.plan = stored.plan;
+                    currentData.addOns = stored.addOns;
+                    delete currentData.subscription;
+                }
 
                 // Prepare update
-                const updatedData = {
+                let updatedData = {
                     ...currentData,
                     ...data,
                     lastModified: new Date().toISOString()
                 };
 
+                // Memberships reference the user id, so it has to be stable from the first save
+                if (!updatedData.id) {
+                    updatedData.id = this._generateUserId();
+                }
+
                 // Separate concerns
-                const { subscription, settings, usage, metrics, permissions, ...userData } = updatedData;
+                const { subscription, settings, usage, metrics, permissions, session, ...userData } = updatedData;
+                // The first save of a profile (sign-in) is not an edit to undo
+                const storedUser = this._getFromStorage(this.config.storage.userDataKey);
+                const before = {
+                    // Until an image is uploaded the profile shows a generated avatar, which this save
+                    // stores - journal against what was shown so it is not recorded as an edit
+                    userData: storedUser && { ...storedUser, profileImage: currentData.profileImage || storedUser.profileImage },
+                    settings: settings ? this._getFromStorage(this.config.storage.settingsKey) || {} : undefined
+                };
 
                 // Save to appropriate storage keys
-                this._saveToStorage(this.config.storage.userDataKey, userData);
+                const saved = this._saveToStorage(this.config.storage.userDataKey, userData) &&
+                    (!subscription || this._saveToStorage(this.config.storage.subscriptionKey, subscription)) &&
+                    (!settings || this._saveToStorage(this.config.storage.settingsKey, settings));
 
-                if (subscription) {
-                    this._saveToStorage(this.config.storage.subscriptionKey, subscription);
+                if (!saved) {
+                    throw new Error('User data could not be stored');
                 }
 
-                if (settings) {
-                    this._saveToStorage(this.config.storage.settingsKey, settings);
+                this._journalChange(before, { userData: before.userData ? userData : undefined, settings: settings || undefined });
+
+                // Update cache (rebuilt on first save and when the workspace may have changed)
+                if (organization || data.activeOrganizationId !== undefined || !currentData.planData) {
+                    this._state.currentUser = null;
+                    updatedData = this.getUserData() || updatedData;
+                } else {
+                    this._state.currentUser = updatedData;
                 }
 
-                // Update cache
-                this._state.currentUser = updatedData;
+                // Keep the account switcher's name, avatar and plan current
+                this._registerAccount(userData);
 
                 // Trigger events
                 this._triggerEvent('dataUpdated', updatedData);
@@ -417,28 +1689,29 @@
 
             } catch (error) {
                 this.log('error', 'Error saving user data:', error);
-
-                // Add to offline queue if enabled
-                if (this.config.features.enableOfflineMode) {
-                    this._addToOfflineQueue('save', data);
-                }
-
+                // Rejected data goes back to the caller with its structured errors
+                if (error instanceof ValidationError) throw error;
                 return false;
             }
         },
 
         /**
          * Update user plan with full validation
+         * Downgrades from an active paid plan are scheduled for the end of the period
          * @param {string} planId - New plan ID
          * @param {Object} subscriptionData - Optional subscription details
+         * @param {Object} options - { immediate: false, reason } - immediate switches even on a downgrade
          * @returns {boolean} Success status
+         * @throws {ValidationError} For an unknown plan or an invalid subscription (error.errors)
          */
-        updateUserPlan: function (planId, subscriptionData = null) {
+        updateUserPlan: function (planId, subscriptionData = null, options = {}) {
+            return this._runOrQueue('updatePlan', { planId, subscriptionData, options }, () => this._applyUserPlan(planId, subscriptionData, options));
+        },
+
+        _applyUserPlan: function (planId, subscriptionData, options = {}, userChanges = {}) {
             try {
                 // Validate plan
-                if (!this.config.plans[planId]) {
-                    throw new Error(`Invalid plan ID: ${planId}`);
-                }
+                this._assertValid('user', { planId }, { partial: true });
 
                 const planData = this.config.plans[planId];
                 const currentUser = this.getUserData();
@@ -447,6 +1720,26 @@
                     throw new Error('No user logged in');
                 }
 
+                const organization = currentUser.organization;
+                if (organization) {
+                    this._requireOrganizationPermission(organization.id, 'manageBilling');
+
+                    const record = this._getOrganizationRecord(organization.id);
+                    const seats = this._getPermissions(planId, { addOns: record.addOns }).teamSeats;
+                    const members = record.members.length;
+                    if (typeof seats === 'number' && seats !== -1 && members > seats) {
+                        throw new Error(`${planData.name} includes ${seats} seat(s) - remove ${members - seats} member(s) first`);
+                    }
+                }
+
+                const orgId = organization ? organization.id : null;
+                const current = this._readSubscription(orgId);
+
+                // Downgrades keep what was paid for until the period ends
+                if (!options.immediate && this._isScheduledDowngrade(current, planId)) {
+                    return this._schedulePlanChange(orgId, current, planId, subscriptionData);
+                }
+
                 // Create subscription object
                 const subscription = {
                     planId: planId,
@@ -458,23 +1751,26 @@
                     paymentMethod: subscriptionData?.paymentMethod || 'unknown',
                     amount: planData.price,
                     currency: subscriptionData?.currency || 'USD',
+                    stateChangedAt: new Date().toISOString(),
                     ...subscriptionData
                 };
 
-                // Save subscription
-                this._saveToStorage(this.config.storage.subscriptionKey, subscription);
+                // Organization plans are billed to the organization
+                this._writeSubscription(orgId, subscription, userChanges);
 
-                // Update user data
-                this.saveUserData({
-                    planId: planId,
-                    plan: planData.name
-                });
+                const reason = options.reason ||
+                    (subscription.status === 'trialing' ? 'trialStarted' :
+                        current && current.status === 'trialing' && current.planId === planId ? 'trialConverted' :
+                            this._describePlanChange(currentUser.planId, planId));
+                this._recordPlanChange(orgId, { from: currentUser.planId, to: planId, reason: reason });
 
                 // Trigger plan change events
                 this._triggerEvent('planChanged', {
                     oldPlan: currentUser.planId,
                     newPlan: planId,
-                    subscription: subscription
+                    subscription: subscription,
+                    organizationId: orgId,
+                    reason: reason
                 });
 
                 // Show success notification if enabled
@@ -486,6 +1782,8 @@
 
             } catch (error) {
                 this.log('error', 'Error updating plan:', error);
+                // Rejected data goes back to the caller with its structured errors
+                if (error instanceof ValidationError) throw error;
                 return false;
             }
         },
@@ -495,830 +1793,6841 @@
         * @returns {string} Member role text
         */
         getMemberRole: function (planId) {
-            const roleMap = {
-                'free': 'Free Member',
-                'basic': 'Basic Member',
-                'pro': 'Pro Member',
-                'enterprise': 'Enterprise Member'
-            };
+            const plan = this.config.plans[planId];
+            if (!plan) return 'Free Member';
 
-            return roleMap[planId] || 'Free Member';
+            return plan.role || `${plan.displayName || plan.name} Member`;
         },
 
         /**
-         * Get usage statistics with real-time calculation
-         * @param {string} metric - Specific metric to get (optional)
-         * @returns {Object} Usage statistics
+         * Lifecycle status of the active workspace's subscription
+         * @returns {string|null} trialing, active, past_due, grace, canceled_at_period_end (null when logged out)
          */
-        getUsageStats: function (metric = null) {
+        getSubscriptionState: function () {
             const userData = this.getUserData();
-            if (!userData) return null;
-
-            const usage = userData.usage;
+            return userData ? userData.subscription.status : null;
+        },
 
-            if (metric) {
-                return usage[metric] || null;
+        /**
+         * Move the subscription to another status (e.g. from a billing webhook)
+         * Only the moves in SUBSCRIPTION_TRANSITIONS are allowed; canceled and expired fall back to Free
+         * @param {string} status - Target status
+         * @param {Object} details - Fields to store with the subscription
+         * @returns {boolean} Success status
+         */
+        transitionSubscription: function (status, details = {}) {
+            try {
+                this._changeSubscription({ to: status, reason: details.reason || 'manual', details: details });
+                return true;
+            } catch (error) {
+                this.log('error', 'Error changing subscription:', error);
+                return false;
             }
-
-            return usage;
         },
 
         /**
-         * Get chart data optimized for visualization
-         * @param {string} chartType - Type of chart data needed
-         * @param {Object} options - Chart options
-         * @returns {Object} Chart-ready data
+         * Cancel the paid subscription
+         * @param {Object} options - { immediately: false } - by default the plan stays until the period ends
+         * @returns {boolean} Success status
          */
-        getChartData: function (chartType = 'monthly', options = {}) {
-            const userData = this.getUserData();
-            if (!userData) return null;
-
-            const baseMultiplier = Object.keys(this.config.plans).indexOf(userData.planId) + 1;
-
-            switch (chartType) {
-                case 'monthly':
-                    return this._generateMonthlyData(baseMultiplier, options);
-
-                case 'api-usage':
-                    return this._generateApiUsageData(userData, options);
-
-                case 'performance':
-                    return this._generatePerformanceData(userData, options);
-
-                case 'storage':
-                    return this._generateStorageData(userData, options);
+        cancelSubscription: function (options = {}) {
+            try {
+                const canceledAt = new Date().toISOString();
+                // A scheduled downgrade is dropped - the plan ends instead
+                const details = { canceledAt, autoRenew: false, pendingChange: null };
+                this._changeSubscription(options.immediately ?
+                    { to: 'canceled', reason: 'canceled', details: details } :
+                    { to: 'canceled_at_period_end', reason: 'canceled', details: details });
+                return true;
+            } catch (error) {
+                this.log('error', 'Error canceling subscription:', error);
+                return false;
+            }
+        },
 
-                case 'activity':
-                    return this._generateActivityData(userData, options);
+        /**
+         * Undo a cancellation that has not taken effect yet
+         * @returns {boolean} Success status
+         */
+        resumeSubscription: function () {
+            try {
+                if (this.getSubscriptionState() !== 'canceled_at_period_end') {
+                    throw new Error('Only a subscription canceled at period end can be resumed');
+                }
 
-                default:
-                    return null;
+                this._changeSubscription({ to: 'active', reason: 'resumed', details: { canceledAt: null, autoRenew: true } });
+                return true;
+            } catch (error) {
+                this.log('error', 'Error resuming subscription:', error);
+                return false;
             }
         },
 
         /**
-         * Check if user has access to a feature
-         * @param {string} feature - Feature to check
-         * @returns {boolean} Access status
+         * Report the outcome of a renewal charge (from your billing backend)
+         * Success renews the period and clears past_due/grace; failure moves an active subscription to past_due
+         * @param {boolean} succeeded - Whether the payment went through
+         * @param {Object} details - Fields to store, e.g. { paymentMethod }
+         * @returns {boolean} Success status
          */
-        hasAccess: function (feature) {
-            const userData = this.getUserData();
-            if (!userData) return false;
+        recordPayment: function (succeeded, details = {}) {
+            try {
+                const state = this.getSubscriptionState();
 
-            // Check plan-based access
-            const permissions = userData.permissions;
-            return permissions[feature] === true;
+                if (!succeeded) {
+                    this._changeSubscription({ to: 'past_due', reason: 'paymentFailed', details: { ...details, pastDueSince: new Date().toISOString() } });
+                } else if (state === 'active') {
+                    this._changeSubscription({ to: 'active', reason: 'renewed', details: details });
+                } else {
+                    const periodStart = new Date();
+                    this._changeSubscription({
+                        to: 'active',
+                        reason: 'paymentRecovered',
+                        details: { ...details, pastDueSince: null, graceEndsAt: null, currentPeriodStart: periodStart.toISOString() },
+                        periodStart: periodStart
+                    });
+                }
+                return true;
+            } catch (error) {
+                this.log('error', 'Error recording payment:', error);
+                return false;
+            }
         },
 
         /**
-         * Check if user has a specific plan or higher
-         * @param {string} requiredPlan - Minimum plan required
-         * @returns {boolean} Has access
+         * Plan change waiting for the end of the current period
+         * @returns {Object|null} { planId, planName, effectiveAt, requestedAt, requestedBy }
          */
-        hasPlan: function (requiredPlan) {
+        getPendingPlanChange: function () {
             const userData = this.getUserData();
-            if (!userData) return false;
-
-            const planHierarchy = Object.keys(this.config.plans);
-            const userPlanIndex = planHierarchy.indexOf(userData.planId);
-            const requiredPlanIndex = planHierarchy.indexOf(requiredPlan);
-
-            return userPlanIndex >= requiredPlanIndex;
+            return userData && userData.subscription.pendingChange || null;
         },
 
         /**
-         * Update user settings
-         * @param {Object} settings - Settings to update
+         * Keep the current plan instead of the scheduled change
          * @returns {boolean} Success status
          */
-        updateSettings: function (settings) {
+        cancelPendingPlanChange: function () {
             try {
-                const currentSettings = this._getFromStorage(this.config.storage.settingsKey) || {};
-                const updatedSettings = {
-                    ...currentSettings,
-                    ...settings,
-                    lastModified: new Date().toISOString()
-                };
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
 
-                this._saveToStorage(this.config.storage.settingsKey, updatedSettings);
+                const orgId = userData.organization ? userData.organization.id : null;
+                if (orgId) {
+                    this._requireOrganizationPermission(orgId, 'manageBilling');
+                }
 
-                // Update cache if user is loaded
-                if (this._state.currentUser) {
-                    this._state.currentUser.settings = updatedSettings;
+                const subscription = this._readSubscription(orgId);
+                const pending = subscription && subscription.pendingChange;
+                if (!pending) {
+                    throw new Error('There is no scheduled plan change');
                 }
 
-                this._triggerEvent('settingsUpdated', updatedSettings);
+                this._writeSubscription(orgId, { ...subscription, pendingChange: null });
+                this._triggerEvent('planChangeCanceled', { ...pending, organizationId: orgId });
                 return true;
 
             } catch (error) {
-                this.log('error', 'Error updating settings:', error);
+                this.log('error', 'Error canceling plan change:', error);
                 return false;
             }
         },
 
         /**
-         * Track user activity
-         * @param {string} action - Action performed
-         * @param {Object} data - Additional data
+         * Plan changes of the active workspace, newest first
+         * @param {Object} options - { limit }
+         * @returns {Array} [{ id, at, from, to, reason, changedBy: { type, id, email }, organizationId }]
          */
-        trackActivity: function (action, data = {}) {
-            if (!this.config.features.enableAnalytics) return;
+        getPlanHistory: function (options = {}) {
+            const userData = this.getUserData();
+            if (!userData) return [];
 
-            const activity = {
-                action: action,
-                timestamp: new Date().toISOString(),
-                data: data,
-                sessionId: this._getSessionId()
-            };
+            const history = this._getPlanHistory(userData.organization ? userData.organization.id : null);
+            return history.slice().reverse().slice(0, options.limit || history.length);
+        },
 
-            // Store in activity log
-            this._addToActivityLog(activity);
+        /**
+         * Invoices of the current workspace, newest first
+         * One is issued whenever a paid billing period starts (purchase, renewal, converted trial)
+         * @param {Object} options - { limit }
+         * @returns {Array} Invoices ({ id, number, issuedAt, planId, amount, currency, periodStart, periodEnd, status })
+         */
+        getInvoices: function (options = {}) {
+            const userData = this.getUserData();
+            if (!userData) return [];
 
-            // Trigger activity event
-            this._triggerEvent('activityTracked', activity);
+            const invoices = this._getInvoices(userData.organization ? userData.organization.id : null);
+            return invoices.slice().reverse().slice(0, options.limit || invoices.length);
+        },
 
-            // Send to analytics if configured
-            if (window.gtag) {
-                window.gtag('event', action, {
-                    event_category: 'User Activity',
-                    event_label: JSON.stringify(data)
-                });
-            }
+        /**
+         * Whether the user can start a free trial of a plan
+         * @param {string} planId - Plan ID
+         * @returns {Object} { eligible, trialDays, reason } - reason is set when not eligible
+         */
+        getTrialEligibility: function (planId) {
+            const plan = this.config.plans[planId];
+            const trialDays = plan && plan.trialDays || 0;
+            const result = (reason) => ({ eligible: !reason, trialDays: trialDays, reason: reason || null });
+
+            const userData = this.getUserData();
+            if (!userData) return result('notLoggedIn');
+            if (!trialDays) return result('noTrial');
+
+            // One trial per user, whichever plan it was for
+            if (userData.trialUsed) return result('alreadyUsed');
+
+            // Trials are for moving up from Free, not for paying customers
+            if (userData.planId !== 'free' && userData.subscription.hasAccess) return result('hasPaidPlan');
+
+            if (userData.organization && !this.hasOrganizationPermission('manageBilling')) return result('notAllowed');
+
+            return result(null);
         },
 
         /**
-         * Clear all user data and logout
-         * @param {boolean} clearSettings - Also clear settings
+         * Start a free trial of a paid plan
+         * With a payment method the trial converts into the paid plan when it ends,
+         * otherwise the user goes back to Free (see the subscription lifecycle)
+         * @param {string} planId - Plan ID
+         * @param {Object} options - { paymentMethod, autoRenew: true }
+         * @returns {Object|null} The trial subscription
          */
-        clearUserData: function (clearSettings = false) {
+        startTrial: function (planId, options = {}) {
             try {
-                // Clear storage
-                this._removeFromStorage(this.config.storage.userDataKey);
-                this._removeFromStorage(this.config.storage.subscriptionKey);
-
-                if (clearSettings) {
-                    this._removeFromStorage(this.config.storage.settingsKey);
+                const eligibility = this.getTrialEligibility(planId);
+                if (!eligibility.eligible) {
+                    throw new Error(`Cannot start a trial of ${planId}: ${eligibility.reason}`);
                 }
 
-                // Clear cache
-                this._state.currentUser = null;
-                this._state.cache.clear();
+                const startedAt = new Date();
+                const endsAt = new Date(startedAt.getTime() + eligibility.trialDays * 24 * 60 * 60 * 1000).toISOString();
 
-                // Stop sync
-                if (this._state.syncInterval) {
-                    clearInterval(this._state.syncInterval);
-                    this._state.syncInterval = null;
+                const trial = {
+                    status: 'trialing',
+                    trialStartedAt: startedAt.toISOString(),
+                    trialEndsAt: endsAt,
+                    endDate: endsAt,
+                    autoRenew: options.autoRenew !== false
+                };
+                if (options.paymentMethod) {
+                    trial.paymentMethod = options.paymentMethod;
                 }
 
-                // Trigger logout event
-                this._triggerEvent('userLoggedOut');
-                this._notifyOtherTabs('userLoggedOut');
+                // trialUsed is remembered on the user (not the subscription) so a lapsed trial
+                // still counts - it is saved in the same write as the new plan
+                const trialUsed = { planId: planId, startedAt: trial.trialStartedAt };
+                if (!this._applyUserPlan(planId, trial, {}, { trialUsed })) {
+                    throw new Error('Trial subscription could not be saved');
+                }
 
-                this.log('info', 'User data cleared');
+                const subscription = this.getUserData().subscription;
+                this._triggerEvent('trialStarted', { planId: planId, trialEndsAt: endsAt, subscription: subscription });
+                return subscription;
 
             } catch (error) {
-                this.log('error', 'Error clearing user data:', error);
+                this.log('error', 'Error starting trial:', error);
+                return null;
             }
         },
 
         /**
-         * Check if user is logged in
-         * @returns {boolean} Login status
-         */
-        isLoggedIn: function () {
-            return this.getUserData() !== null;
-        },
-
-        /**
-         * Export user data for backup
-         * @returns {Object} Exportable data
+         * Get usage statistics with real-time calculation
+         * @param {string} metric - Specific metric to get (optional)
+         * @returns {Object} Usage statistics
          */
-        exportUserData: function () {
+        getUsageStats: function (metric = null) {
             const userData = this.getUserData();
             if (!userData) return null;
 
-            return {
-                version: '2.0.0',
-                exportDate: new Date().toISOString(),
-                userData: userData,
-                settings: this._getFromStorage(this.config.storage.settingsKey),
-                activityLog: this._getActivityLog()
-            };
+            // Recompute from the ledger - another tab may have recorded usage
+            const subscription = this._getBillingSubscription(userData);
+            const usage = this._calculateUsage(userData.planId, userData, subscription);
+            userData.usage = usage;
+
+            if (metric) {
+                return metric in usage ? usage[metric] : null;
+            }
+
+            return usage;
         },
 
         /**
-         * Import user data from backup
-         * @param {Object} data - Data to import
+         * Record a metered usage event for the current billing period
+         * @param {string} metric - apiCalls, storage (bytes), models or projects
+         * @param {number} amount - Amount to add (negative to release storage, models or projects)
+         * @param {Object} meta - Optional context passed to listeners
          * @returns {boolean} Success status
          */
-        importUserData: function (data) {
+        recordUsage: function (metric, amount = 1, meta = {}) {
             try {
-                if (!data || data.version !== '2.0.0') {
-                    throw new Error('Invalid or incompatible data format');
+                if (!USAGE_METRICS.includes(metric)) {
+                    throw new Error(`Unknown usage metric: ${metric}`);
+                }
+
+                if (typeof amount !== 'number' || !isFinite(amount)) {
+                    throw new Error(`Invalid usage amount for ${metric}: ${amount}`);
                 }
 
-                // Import user data
-                if (data.userData) {
-                    this.saveUserData(data.userData);
+                if (metric === 'apiCalls' && amount < 0) {
+                    throw new Error('API calls cannot be negative');
                 }
 
-                // Import settings
-                if (data.settings) {
-                    this.updateSettings(data.settings);
+                const ledger = this._getUsageLedger();
+                const dayKey = this._getDateKey(new Date());
+                const day = ledger.days[dayKey] || (ledger.days[dayKey] = {});
+
+                day[metric] = (day[metric] || 0) + amount;
+                // Gauges (storage, models, projects) never drop below zero
+                ledger.totals[metric] = Math.max(0, (ledger.totals[metric] || 0) + amount);
+
+                this._pruneUsageLedger(ledger);
+                this._saveToStorage(this.config.usage.ledgerKey, ledger);
+
+                // Keep the cached user object in step with the ledger
+                if (this._state.currentUser) {
+                    const subscription = this._getBillingSubscription(this._state.currentUser);
+                    this._state.currentUser.usage = this._calculateUsage(this._state.currentUser.planId, this._state.currentUser, subscription);
                 }
 
-                this._triggerEvent('dataImported', data);
+                this._triggerEvent('usageRecorded', {
+                    metric: metric,
+                    amount: amount,
+                    total: ledger.totals[metric],
+                    meta: meta
+                });
+
+                this._evaluateQuota(metric);
                 return true;
 
             } catch (error) {
-                this.log('error', 'Error importing data:', error);
+                this.log('error', 'Error recording usage:', error);
                 return false;
             }
         },
 
         /**
-         * Add event listener
-         * @param {string} event - Event name
-         * @param {Function} callback - Callback function
-         * @returns {Function} Unsubscribe function
+         * Check whether the current plan allows using more of a resource
+         * @param {string} resource - apiCalls, storage (bytes), models or projects
+         * @param {number} amount - Amount about to be used
+         * @returns {Object} Quota status ({ allowed, used, limit, remaining, percentage, status, ... })
          */
-        on: function (event, callback) {
-            if (!this._state.listeners.has(event)) {
-                this._state.listeners.set(event, new Set());
+        checkQuota: function (resource, amount = 1) {
+            if (!QUOTA_RESOURCES[resource]) {
+                this.log('warn', `Unknown quota resource: ${resource}`);
+                return null;
             }
 
-            this._state.listeners.get(event).add(callback);
+            const userData = this.getUserData();
+            const planId = userData ? userData.planId : 'free';
+            const plan = this.config.plans[planId] || this.config.plans.free;
+            const subscription = this._getBillingSubscription(userData);
+            const period = this._getBillingPeriod(subscription);
+
+            const rawLimit = plan[QUOTA_RESOURCES[resource].limitKey];
+            const limit = resource === 'storage' ? this._parseSize(rawLimit) : rawLimit;
+            const unlimited = limit === -1 || limit === undefined;
+
+            const ledger = this._getUsageLedger();
+            const used = resource === 'apiCalls' ?
+                (this._sumUsage(ledger, period.start, period.end).apiCalls || 0) :
+                (ledger.totals[resource] || 0);
+
+            const projected = used + amount;
+            const enforced = this.config.quotas.enforce[resource] !== false;
+            const withinLimit = unlimited || projected <= limit;
+            const percentage = unlimited ? 0 : (limit > 0 ? Math.floor((used / limit) * 100) : (used > 0 ? 100 : 0));
+            const warningAt = Math.min(...this.config.quotas.warningThresholds);
+
+            let status = 'ok';
+            if (unlimited) {
+                status = 'unlimited';
+            } else if (!withinLimit || percentage >= 100) {
+                status = 'exceeded';
+            } else if (percentage >= warningAt) {
+                status = 'warning';
+            }
 
-            // Return unsubscribe function
-            return () => {
-                const listeners = this._state.listeners.get(event);
-                if (listeners) {
-                    listeners.delete(callback);
-                }
+            return {
+                resource: resource,
+                label: QUOTA_RESOURCES[resource].label,
+                planId: planId,
+                allowed: withinLimit || !enforced,
+                enforced: enforced,
+                unlimited: unlimited,
+                requested: amount,
+                used: used,
+                limit: unlimited ? -1 : limit,
+                remaining: unlimited ? -1 : Math.max(0, limit - used),
+                percentage: percentage,
+                status: status,
+                periodEnd: resource === 'apiCalls' ? period.end.toISOString() : null
             };
         },
 
         /**
-         * Remove event listener
-         * @param {string} event - Event name
-         * @param {Function} callback - Callback function
+         * Use part of a quota - blocked at the hard limit, recorded otherwise
+         * @param {string} resource - apiCalls, storage (bytes), models or projects
+         * @param {number} amount - Amount to use
+         * @param {Object} meta - Optional context passed to usage listeners
+         * @returns {Object} Quota status; `allowed` is false when the request was blocked
          */
-        off: function (event, callback) {
-            const listeners = this._state.listeners.get(event);
-            if (listeners) {
-                listeners.delete(callback);
+        consumeQuota: function (resource, amount = 1, meta = {}) {
+            const quota = this.checkQuota(resource, amount);
+            if (!quota) return null;
+
+            if (!quota.allowed) {
+                this._triggerEvent('quotaExceeded', { ...quota, blocked: true });
+                this.log('warn', `${quota.label} quota exceeded on the ${quota.planId} plan`);
+                return quota;
             }
-        },
 
-        /**
-         * Format number with thousand separators
-         * @param {number} num - Number to format
-         * @returns {string} Formatted number
-         */
-        formatNumber: function (num) {
-            if (num === -1) return '∞';
-            return new Intl.NumberFormat('en-US').format(num);
+            this.recordUsage(resource, amount, meta);
+            return { ...this.checkQuota(resource, 0), allowed: true, requested: amount };
         },
 
         /**
-         * Format bytes to human readable
-         * @param {number} bytes - Bytes to format
-         * @returns {string} Formatted size
+         * Get chart data optimized for visualization
+         * @param {string} chartType - Type of chart data needed
+         * @param {Object} options - Chart options
+         * @returns {Object} Chart-ready data
          */
-        formatBytes: function (bytes) {
-            if (bytes === 0) return '0 Bytes';
-            if (bytes === -1) return 'Unlimited';
+        getChartData: function (chartType = 'monthly', options = {}) {
+            const userData = this.getUserData();
+            if (!userData) return null;
 
-            const k = 1024;
-            const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-            const i = Math.floor(Math.log(bytes) / Math.log(k));
+            switch (chartType) {
+                case 'monthly':
+                    return this._generateMonthlyData(options);
 
-            return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+                case 'api-usage':
+                    return this._generateApiUsageData(userData, options);
+
+                case 'performance':
+                    return this._generatePerformanceData(userData, options);
+
+                case 'storage':
+                    return this._generateStorageData(userData, options);
+
+                case 'activity':
+                    return this._generateActivityData(userData, options);
+
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * Check if user has access to a feature
+         * @param {string} feature - Feature to check
+         * @returns {boolean} Access status
+         */
+        hasAccess: function (feature) {
+            const userData = this.getUserData();
+            if (!userData) return false;
+
+            // Numeric entitlements (teamSeats) grant access when non-zero; -1 is unlimited
+            const value = this.getEntitlements()[feature];
+            return value === true || (typeof value === 'number' && value !== 0);
+        },
+
+        /**
+         * Get the resolved entitlements of the current user
+         * @returns {Object} Entitlements (plan + add-ons + overrides)
+         */
+        getEntitlements: function () {
+            const userData = this.getUserData();
+            if (!userData) return this._getPermissions('free', {});
+
+            return this._getPermissions(userData.planId || 'free', userData);
+        },
+
+        /**
+         * Grant an add-on to the current user
+         * @param {string} addOnId - Add-on ID from config.addOns
+         * @param {Object} options - { quantity, expiresAt }
+         * @returns {boolean} Success status
+         */
+        grantAddOn: function (addOnId, options = {}) {
+            try {
+                const addOn = this.config.addOns[addOnId];
+                if (!addOn) {
+                    throw new Error(`Unknown add-on: ${addOnId}`);
+                }
+
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                if (addOn.minPlan && !this.hasPlan(addOn.minPlan)) {
+                    throw new Error(`${addOn.name} requires the ${this.config.plans[addOn.minPlan].name} or higher`);
+                }
+
+                const addOns = {
+                    ...userData.addOns,
+                    [addOnId]: {
+                        quantity: options.quantity || 1,
+                        grantedAt: new Date().toISOString(),
+                        expiresAt: options.expiresAt || null
+                    }
+                };
+
+                return this._saveEntitlementChanges({ addOns });
+
+            } catch (error) {
+                this.log('error', 'Error granting add-on:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Remove an add-on from the current user
+         * @param {string} addOnId - Add-on ID
+         * @returns {boolean} Success status
+         */
+        revokeAddOn: function (addOnId) {
+            const userData = this.getUserData();
+            if (!userData || !userData.addOns[addOnId]) return false;
+
+            const { [addOnId]: removed, ...addOns } = userData.addOns;
+            return this._saveEntitlementChanges({ addOns });
+        },
+
+        /**
+         * Override a single entitlement for the current user
+         * @param {string} entitlement - Entitlement name (e.g. 'canUseAPI', 'teamSeats')
+         * @param {boolean|number|null} value - New value, or null to fall back to the plan
+         * @returns {boolean} Success status
+         */
+        setEntitlementOverride: function (entitlement, value) {
+            const userData = this.getUserData();
+            if (!userData) return false;
+
+            const overrides = { ...userData.entitlementOverrides };
+            if (value === null || value === undefined) {
+                delete overrides[entitlement];
+            } else {
+                overrides[entitlement] = value;
+            }
+
+            return this._saveEntitlementChanges({ entitlementOverrides: overrides });
+        },
+
+        /**
+         * Check if user has a specific plan or higher
+         * @param {string} requiredPlan - Minimum plan required
+         * @returns {boolean} Has access
+         */
+        hasPlan: function (requiredPlan) {
+            const userData = this.getUserData();
+            if (!userData) return false;
+
+            if (!this.config.plans[requiredPlan]) {
+                this.log('warn', `Unknown plan: ${requiredPlan}`);
+                return false;
+            }
+
+            return this._getPlanTier(userData.planId) >= this._getPlanTier(requiredPlan);
+        },
+
+        /**
+         * Create an organization owned by the current user
+         * @param {string} name - Organization name
+         * @param {Object} options - { switchTo: true } makes it the active workspace
+         * @returns {Object|null} The new organization
+         */
+        createOrganization: function (name, options = {}) {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                if (typeof name !== 'string' || !name.trim()) {
+                    throw new Error('Organization name is required');
+                }
+
+                const now = new Date().toISOString();
+                const organization = {
+                    id: 'org_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                    name: name.trim(),
+                    ownerId: userData.id,
+                    // New organizations start on the free plan and are upgraded like a user
+                    planId: 'free',
+                    subscription: null,
+                    addOns: {},
+                    members: [{ userId: userData.id, name: userData.name, email: userData.email, role: 'owner', joinedAt: now }],
+                    invitations: [],
+                    createdAt: now
+                };
+
+                this._saveOrganizationRecord(organization);
+                this._triggerEvent('organizationCreated', this.getOrganization(organization.id));
+
+                if (options.switchTo) {
+                    this.switchOrganization(organization.id);
+                }
+
+                return this.getOrganization(organization.id);
+
+            } catch (error) {
+                this.log('error', 'Error creating organization:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Get the organizations the current user belongs to
+         * @returns {Array} Organizations (with the user's role and seat usage)
+         */
+        getOrganizations: function () {
+            const userData = this.getUserData();
+            if (!userData) return [];
+
+            return Object.values(this._getOrganizations())
+                .filter(org => this._getMembership(org, userData.id))
+                .map(org => this._formatOrganization(org, userData));
+        },
+
+        /**
+         * Get a single organization with its members and invitations
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {Object|null} Organization, or null if the user is not a member
+         */
+        getOrganization: function (orgId = null) {
+            const userData = this.getUserData();
+            if (!userData) return null;
+
+            const org = this._getOrganizationRecord(orgId || userData.organization?.id);
+            if (!org || !this._getMembership(org, userData.id)) return null;
+
+            return this._formatOrganization(org, userData);
+        },
+
+        /**
+         * Get the active organization
+         * @returns {Object|null} Organization, or null in the personal workspace
+         */
+        getActiveOrganization: function () {
+            const userData = this.getUserData();
+            return userData && userData.organization ? this.getOrganization(userData.organization.id) : null;
+        },
+
+        /**
+         * Switch the active workspace - its plan and billing apply from then on
+         * @param {string|null} orgId - Organization ID, or null for the personal workspace
+         * @returns {boolean} Success status
+         */
+        switchOrganization: function (orgId) {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                if (orgId) {
+                    const org = this._getOrganizationRecord(orgId);
+                    if (!org || !this._getMembership(org, userData.id)) {
+                        throw new Error(`Not a member of organization: ${orgId}`);
+                    }
+                }
+
+                const previous = userData.organization ? userData.organization.id : null;
+                if (!this.saveUserData({ activeOrganizationId: orgId || null })) {
+                    return false;
+                }
+
+                this._triggerEvent('organizationSwitched', {
+                    previous: previous,
+                    organization: orgId ? this.getOrganization(orgId) : null
+                });
+
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error switching organization:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Rename an organization
+         * @param {string} orgId - Organization ID
+         * @param {Object} changes - { name }
+         * @returns {boolean} Success status
+         */
+        updateOrganization: function (orgId, changes = {}) {
+            try {
+                const { org } = this._requireOrganizationPermission(orgId, 'manageOrganization');
+
+                if (changes.name !== undefined && (typeof changes.name !== 'string' || !changes.name.trim())) {
+                    throw new Error('Organization name is required');
+                }
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    name: changes.name ? changes.name.trim() : current.name
+                }));
+
+                this._triggerEvent('organizationUpdated', this.getOrganization(org.id));
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error updating organization:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Delete an organization (owner only)
+         * @param {string} orgId - Organization ID
+         * @returns {boolean} Success status
+         */
+        deleteOrganization: function (orgId) {
+            try {
+                const { org, userData } = this._requireOrganizationPermission(orgId, 'deleteOrganization');
+
+                const organizations = this._getOrganizations();
+                delete organizations[org.id];
+                this._saveToStorage(this.config.organizations.storageKey, organizations);
+
+                if (userData.organization && userData.organization.id === org.id) {
+                    this.switchOrganization(null);
+                }
+
+                this._state.currentUser = null;
+                this._triggerEvent('organizationDeleted', { id: org.id, name: org.name });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error deleting organization:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Invite someone to an organization - uses a seat until accepted or expired
+         * @param {string} email - Invitee email
+         * @param {string} role - admin, member or viewer
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {Object|null} Invitation ({ id, email, role, token, expiresAt })
+         */
+        inviteMember: function (email, role = 'member', orgId = null) {
+            try {
+                const { org, member, userData } = this._requireOrganizationPermission(orgId, 'invite');
+
+                if (typeof email !== 'string' || !this._isValidEmail(email.trim())) {
+                    throw new Error(`Invalid email: ${email}`);
+                }
+
+                if (!(role in ORG_ROLE_RANKS) || role === 'owner') {
+                    throw new Error(`Invalid role: ${role}`);
+                }
+
+                if (!this._canManageRole(member.role, role)) {
+                    throw new Error(`A ${member.role} cannot invite an ${role}`);
+                }
+
+                const address = email.trim().toLowerCase();
+                if (org.members.some(m => (m.email || '').toLowerCase() === address)) {
+                    throw new Error(`${address} is already a member of ${org.name}`);
+                }
+
+                if (this._getPendingInvitations(org).some(i => i.email === address)) {
+                    throw new Error(`${address} has already been invited`);
+                }
+
+                // Seats and team features come from the organization's plan
+                const plan = this.config.plans[org.planId] || this.config.plans.free;
+                if (!this._getPermissions(org.planId, { addOns: org.addOns }).canInviteTeamMembers) {
+                    throw new Error(`The ${plan.name} does not include team members`);
+                }
+
+                const seats = this._getSeatUsage(org);
+                if (!seats.unlimited && seats.available <= 0) {
+                    throw new Error(`All ${seats.limit} seats of the ${plan.name} are in use`);
+                }
+
+                const now = new Date();
+                const invitation = {
+                    id: 'inv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                    email: address,
+                    role: role,
+                    token: Array.from(cryptoHelpers.randomBytes(16), byte => byte.toString(16).padStart(2, '0')).join(''),
+                    invitedBy: userData.id,
+                    createdAt: now.toISOString(),
+                    expiresAt: new Date(now.getTime() + this.config.organizations.invitationExpiryDays * 86400000).toISOString()
+                };
+
+                // Expired invitations are dropped whenever a new one is added
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    invitations: [...this._getPendingInvitations(current), invitation]
+                }));
+
+                this._triggerEvent('memberInvited', { organizationId: org.id, invitation: { ...invitation } });
+                return { ...invitation };
+
+            } catch (error) {
+                this.log('error', 'Error inviting member:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Withdraw a pending invitation
+         * @param {string} invitationId - Invitation ID
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {boolean} Success status
+         */
+        revokeInvitation: function (invitationId, orgId = null) {
+            try {
+                const { org } = this._requireOrganizationPermission(orgId, 'invite');
+                if (!org.invitations.some(i => i.id === invitationId)) {
+                    throw new Error(`Unknown invitation: ${invitationId}`);
+                }
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    invitations: current.invitations.filter(i => i.id !== invitationId)
+                }));
+
+                this._triggerEvent('invitationRevoked', { organizationId: org.id, invitationId: invitationId });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error revoking invitation:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Get pending invitations addressed to the current user
+         * @returns {Array} Invitations ({ token, organizationId, organizationName, role, expiresAt })
+         */
+        getInvitations: function () {
+            const userData = this.getUserData();
+            if (!userData || !userData.email) return [];
+
+            const address = userData.email.toLowerCase();
+            const invitations = [];
+
+            Object.values(this._getOrganizations()).forEach(org => {
+                this._getPendingInvitations(org)
+                    .filter(invitation => invitation.email === address)
+                    .forEach(invitation => invitations.push({
+                        token: invitation.token,
+                        organizationId: org.id,
+                        organizationName: org.name,
+                        role: invitation.role,
+                        invitedBy: invitation.invitedBy,
+                        expiresAt: invitation.expiresAt
+                    }));
+            });
+
+            return invitations;
+        },
+
+        /**
+         * Join an organization with an invitation token
+         * @param {string} token - Invitation token
+         * @returns {Object|null} The joined organization
+         */
+        acceptInvitation: function (token) {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                const { org, invitation } = this._findInvitation(token);
+
+                if (invitation.email !== (userData.email || '').toLowerCase()) {
+                    throw new Error('This invitation was sent to a different email address');
+                }
+
+                if (this._getMembership(org, userData.id)) {
+                    throw new Error(`Already a member of ${org.name}`);
+                }
+
+                // The plan may have been downgraded since the invitation was sent
+                const seats = this._getSeatUsage(org);
+                if (!seats.unlimited && org.members.length >= seats.limit) {
+                    throw new Error(`${org.name} has no free seats left`);
+                }
+
+                const member = {
+                    userId: userData.id,
+                    name: userData.name,
+                    email: userData.email,
+                    role: invitation.role,
+                    joinedAt: new Date().toISOString()
+                };
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    members: [...current.members, member],
+                    invitations: current.invitations.filter(i => i.token !== token)
+                }));
+
+                this._triggerEvent('memberJoined', { organizationId: org.id, member: { ...member } });
+                return this.getOrganization(org.id);
+
+            } catch (error) {
+                this.log('error', 'Error accepting invitation:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Decline an invitation addressed to the current user
+         * @param {string} token - Invitation token
+         * @returns {boolean} Success status
+         */
+        declineInvitation: function (token) {
+            try {
+                const userData = this.getUserData();
+                const { org, invitation } = this._findInvitation(token);
+
+                if (!userData || invitation.email !== (userData.email || '').toLowerCase()) {
+                    throw new Error('This invitation was sent to a different email address');
+                }
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    invitations: current.invitations.filter(i => i.token !== token)
+                }));
+
+                this._triggerEvent('invitationDeclined', { organizationId: org.id, invitationId: invitation.id });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error declining invitation:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Change a member's role - only roles below your own can be managed
+         * @param {string} userId - Member user ID
+         * @param {string} role - admin, member or viewer
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {boolean} Success status
+         */
+        updateMemberRole: function (userId, role, orgId = null) {
+            try {
+                const { org, member: actor } = this._requireOrganizationPermission(orgId, 'manageMembers');
+                const target = this._getMembership(org, userId);
+
+                if (!target) {
+                    throw new Error(`Not a member of ${org.name}: ${userId}`);
+                }
+
+                if (role === 'owner') {
+                    throw new Error('Use transferOwnership() to change the owner');
+                }
+
+                if (!(role in ORG_ROLE_RANKS)) {
+                    throw new Error(`Invalid role: ${role}`);
+                }
+
+                if (!this._canManageRole(actor.role, target.role) || !this._canManageRole(actor.role, role)) {
+                    throw new Error(`A ${actor.role} cannot change this member's role`);
+                }
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    members: current.members.map(m => (m.userId === userId ? { ...m, role } : m))
+                }));
+
+                this._triggerEvent('memberRoleChanged', { organizationId: org.id, userId: userId, oldRole: target.role, role: role });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error updating member role:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Remove a member, or leave an organization by passing your own user ID
+         * @param {string} userId - Member user ID
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {boolean} Success status
+         */
+        removeMember: function (userId, orgId = null) {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                const leaving = userId === userData.id;
+                const org = this._getOrganizationRecord(orgId || userData.organization?.id);
+                const target = org && this._getMembership(org, userId);
+
+                if (!target) {
+                    throw new Error(`Not a member of the organization: ${userId}`);
+                }
+
+                if (target.role === 'owner') {
+                    throw new Error('The owner must transfer ownership before leaving');
+                }
+
+                if (!leaving) {
+                    const { member: actor } = this._requireOrganizationPermission(org.id, 'manageMembers');
+                    if (!this._canManageRole(actor.role, target.role)) {
+                        throw new Error(`A ${actor.role} cannot remove an ${target.role}`);
+                    }
+                }
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    members: current.members.filter(m => m.userId !== userId)
+                }));
+
+                if (leaving && userData.organization && userData.organization.id === org.id) {
+                    this.switchOrganization(null);
+                }
+
+                this._triggerEvent('memberRemoved', { organizationId: org.id, userId: userId, left: leaving });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error removing member:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Hand an organization to another member; the previous owner becomes an admin
+         * @param {string} userId - New owner's user ID
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {boolean} Success status
+         */
+        transferOwnership: function (userId, orgId = null) {
+            try {
+                const { org, member: actor } = this._requireOrganizationPermission(orgId, 'deleteOrganization');
+
+                if (actor.role !== 'owner') {
+                    throw new Error('Only the owner can transfer ownership');
+                }
+
+                if (!this._getMembership(org, userId) || userId === actor.userId) {
+                    throw new Error(`Not another member of ${org.name}: ${userId}`);
+                }
+
+                this._updateOrganizationRecord(org.id, current => ({
+                    ...current,
+                    ownerId: userId,
+                    members: current.members.map(m => {
+                        if (m.userId === userId) return { ...m, role: 'owner' };
+                        if (m.userId === actor.userId) return { ...m, role: 'admin' };
+                        return m;
+                    })
+                }));
+
+                this._triggerEvent('ownershipTransferred', { organizationId: org.id, from: actor.userId, to: userId });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error transferring ownership:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Get seat usage from the organization's plan (teamSeats entitlement)
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {Object|null} { used, pending, limit, unlimited, available }
+         */
+        getSeatUsage: function (orgId = null) {
+            const org = this.getOrganization(orgId);
+            return org ? org.seats : null;
+        },
+
+        /**
+         * Check what the current user's role allows in an organization
+         * @param {string} permission - view, edit, invite, manageMembers, manageOrganization, manageBilling, deleteOrganization
+         * @param {string} orgId - Organization ID (defaults to the active one)
+         * @returns {boolean} Allowed
+         */
+        hasOrganizationPermission: function (permission, orgId = null) {
+            try {
+                this._requireOrganizationPermission(orgId, permission);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * Update user settings
+         * @param {Object} settings - Settings to update
+         * @returns {boolean} Success status
+         * @throws {ValidationError} When the settings break the settings schema (error.errors)
+         */
+        updateSettings: function (settings) {
+            return this._runOrQueue('updateSettings', { settings }, () => this._applySettings(settings));
+        },
+
+        _applySettings: function (settings) {
+            try {
+                this._assertValid('settings', settings, { partial: true });
+
+                const currentSettings = this._getFromStorage(this.config.storage.settingsKey) || {};
+                const updatedSettings = {
+                    ...currentSettings,
+                    ...settings,
+                    lastModified: new Date().toISOString()
+                };
+
+                if (!this._saveToStorage(this.config.storage.settingsKey, updatedSettings)) {
+                    throw new Error('Settings could not be stored');
+                }
+                this._journalChange({ settings: currentSettings }, { settings: updatedSettings });
+
+                // Update cache if user is loaded
+                if (this._state.currentUser) {
+                    this._state.currentUser.settings = updatedSettings;
+                }
+
+                this._triggerEvent('settingsUpdated', updatedSettings);
+
+                if (this.config.features.enableAutoSave) {
+                    this._queueServerSync(updatedSettings);
+                }
+
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error updating settings:', error);
+                // Rejected data goes back to the caller with its structured errors
+                if (error instanceof ValidationError) throw error;
+                return false;
+            }
+        },
+
+        /**
+         * Track user activity
+         * @param {string} action - Action performed
+         * @param {Object} data - Additional data
+         */
+        trackActivity: function (action, data = {}) {
+            if (!this.config.features.enableAnalytics) return;
+
+            const activity = {
+                id: this._generateActivityId(),
+                action: action,
+                timestamp: new Date().toISOString(),
+                data: data,
+                sessionId: this._getSessionId()
+            };
+
+            try {
+                this._assertValid('activity', activity);
+            } catch (error) {
+                this.log('error', 'Activity not tracked:', error);
+                return false;
+            }
+
+            return this._runOrQueue('trackActivity', { activity }, () => this._recordActivity(activity));
+        },
+
+        /**
+         * Query the activity log, newest first
+         * @param {Object} options - { action, from, to, limit, cursor }
+         *   action: name or array of names; from (inclusive) / to (exclusive): Date, ISO string or ms;
+         *   cursor: nextCursor from the previous page
+         * @returns {Object} { items, nextCursor, total }
+         */
+        queryActivity: function (options = {}) {
+            try {
+                const limit = Math.max(1, options.limit || 50);
+                const matches = this._filterActivity(this._getActivityLog(), options)
+                    .sort((a, b) => this._compareActivity(b, a));
+
+                // Resume after the last entry of the previous page
+                let start = 0;
+                if (options.cursor) {
+                    const position = this._decodeActivityCursor(options.cursor);
+                    start = matches.findIndex(entry => this._compareActivity(entry, position) < 0);
+                    if (start === -1) start = matches.length;
+                }
+
+                const items = matches.slice(start, start + limit);
+                const hasMore = start + limit < matches.length;
+
+                return {
+                    items: items.map(entry => JSON.parse(JSON.stringify(entry))),
+                    nextCursor: hasMore ? this._encodeActivityCursor(items[items.length - 1]) : null,
+                    total: matches.length
+                };
+
+            } catch (error) {
+                this.log('error', 'Error querying activity:', error);
+                return { items: [], nextCursor: null, total: 0 };
+            }
+        },
+
+        /**
+         * Count activity by day or by action, including compacted daily rollups
+         * @param {Object} options - { by: 'day'|'action', action, from, to }
+         * @returns {Array} by day: [{ day, count, actions }] oldest first;
+         *   by action: [{ action, count }] most frequent first
+         */
+        aggregateActivity: function (options = {}) {
+            try {
+                const by = options.by || 'day';
+                if (!['day', 'action'].includes(by)) {
+                    throw new Error(`Unknown aggregation "${by}" (use day or action)`);
+                }
+
+                const days = {};
+                const add = (day, action, count) => {
+                    const bucket = days[day] || (days[day] = { day: day, count: 0, actions: {} });
+                    bucket.count += count;
+                    bucket.actions[action] = (bucket.actions[action] || 0) + count;
+                };
+
+                this._filterActivity(this._getActivityLog(), options).forEach(entry => {
+                    add(this._getDateKey(new Date(entry.timestamp)), entry.action, 1);
+                });
+
+                // Rollups only know the day - match them against the days the range touches
+                const { fromKey, lastKey, actions } = this._getActivityRange(options);
+                Object.entries(this._getActivityRollups()).forEach(([day, rollup]) => {
+                    if ((fromKey && day < fromKey) || (lastKey && day > lastKey)) return;
+
+                    Object.entries(rollup.actions || {}).forEach(([action, count]) => {
+                        if (!actions || actions.includes(action)) {
+                            add(day, action, count);
+                        }
+                    });
+                });
+
+                if (by === 'day') {
+                    return Object.values(days).sort((a, b) => a.day.localeCompare(b.day));
+                }
+
+                const totals = {};
+                Object.values(days).forEach(bucket => {
+                    Object.entries(bucket.actions).forEach(([action, count]) => {
+                        totals[action] = (totals[action] || 0) + count;
+                    });
+                });
+
+                return Object.entries(totals)
+                    .map(([action, count]) => ({ action, count }))
+                    .sort((a, b) => b.count - a.count || a.action.localeCompare(b.action));
+
+            } catch (error) {
+                this.log('error', 'Error aggregating activity:', error);
+                return [];
+            }
+        },
+
+        _recordActivity: function (activity) {
+            // Store in activity log
+            this._addToActivityLog(activity);
+
+            // Trigger activity event
+            this._triggerEvent('activityTracked', activity);
+
+            // Forward to the analytics sinks
+            this._dispatchAnalytics(activity);
+        },
+
+        /**
+         * Opt in to (or out of) analytics - events are dropped after an opt-out, or until
+         * consent is given when config.analytics.requireConsent is set
+         * @param {boolean} granted - Whether the user agreed
+         * @returns {boolean} Success status
+         */
+        setAnalyticsConsent: function (granted) {
+            const consent = { granted: !!granted, updatedAt: new Date().toISOString() };
+            this._saveToStorage(this.config.analytics.consentKey, consent);
+            this.recordConsent('analytics', consent.granted);
+
+            // Nothing collected before the opt-out may still go out
+            if (!consent.granted) {
+                this._getAnalyticsSinks().forEach(sink => {
+                    if (typeof sink.discard === 'function') sink.discard();
+                });
+            }
+
+            this._triggerEvent('analyticsConsentChanged', consent);
+            return true;
+        },
+
+        /**
+         * Current analytics consent
+         * @returns {boolean|null} true/false once answered, null if never asked
+         */
+        getAnalyticsConsent: function () {
+            const consent = this._getFromStorage(this.config.analytics.consentKey);
+            return consent ? consent.granted : null;
+        },
+
+        /**
+         * Add an analytics destination
+         * @param {string|Object} definition - Sink name, { type, ...options }, or { name, send(events), flush() }
+         * @returns {string|null} Sink name, or null if it could not be created
+         */
+        addAnalyticsSink: function (definition) {
+            try {
+                const sink = this._createAnalyticsSink(definition);
+                this._getAnalyticsSinks().push(sink);
+                return sink.name;
+
+            } catch (error) {
+                this.log('error', 'Error adding analytics sink:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Remove analytics destinations by name (buffered events are flushed first)
+         * @param {string} name - Sink name
+         * @returns {boolean} True if a sink was removed
+         */
+        removeAnalyticsSink: function (name) {
+            const sinks = this._getAnalyticsSinks();
+            const removed = sinks.filter(sink => sink.name === name);
+
+            removed.forEach(sink => {
+                if (typeof sink.flush === 'function') {
+                    Promise.resolve(sink.flush()).catch(error => this._handleSinkError(sink, error));
+                }
+                sinks.splice(sinks.indexOf(sink), 1);
+            });
+
+            return removed.length > 0;
+        },
+
+        /**
+         * Register a custom analytics sink type for config.analytics.sinks
+         * @param {string} name - Sink type
+         * @param {Function} factory - (options) => { name, send(events), flush(useBeacon) }
+         */
+        registerAnalyticsSink: function (name, factory) {
+            if (typeof factory !== 'function') {
+                throw new Error('Analytics sink factory must be a function');
+            }
+            analyticsSinks[name] = factory;
+        },
+
+        /**
+         * Send events buffered by batching sinks now
+         * @param {boolean} useBeacon - Use navigator.sendBeacon (page unloading)
+         * @returns {Promise} Resolves when every sink has flushed
+         */
+        flushAnalytics: function (useBeacon = false) {
+            return Promise.all(this._getAnalyticsSinks()
+                .filter(sink => typeof sink.flush === 'function')
+                .map(sink => Promise.resolve(sink.flush(useBeacon)).catch(error => this._handleSinkError(sink, error))));
+        },
+
+        /**
+         * Clear all user data and logout
+         * @param {boolean} clearSettings - Also clear settings
+         */
+        clearUserData: function (clearSettings = false) {
+            return this._runOrQueue('clearUserData', { clearSettings }, () => this._applyClearUserData(clearSettings));
+        },
+
+        _applyClearUserData: function (clearSettings) {
+            try {
+                // Park the account's settings and history so signing back in restores them
+                const signedOutId = this._signOutAccount(clearSettings);
+
+                // Clear storage
+                this._removeFromStorage(this.config.storage.userDataKey);
+                this._removeFromStorage(this.config.storage.subscriptionKey);
+
+                if (clearSettings) {
+                    this._removeFromStorage(this.config.storage.settingsKey);
+                }
+
+                // Clear cache, session, sync and pending actions
+                this._stopAccountActivity();
+
+                // Trigger logout event
+                this._triggerEvent('userLoggedOut');
+                this._notifyOtherTabs('userLoggedOut');
+
+                // Hand over to another signed-in account, if any
+                if (signedOutId && this.config.accounts.switchOnSignOut) {
+                    const next = this.listAccounts()[0];
+                    if (next) {
+                        this.switchAccount(next.id);
+                    }
+                }
+
+                this.log('info', 'User data cleared');
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error clearing user data:', error);
+                return false;
+            }
+        },
+
+        _stopAccountActivity: function () {
+            // Clear cache
+            this._state.currentUser = null;
+            this._state.cache.clear();
+            eventBus.clearSticky('dataLoaded');
+            this.clearHistory();
+
+            // End the session
+            this._removeFromStorage(this.config.session.storageKey);
+            clearTimeout(this._state.session.timer);
+            this._state.session.timer = null;
+            this._state.session.warning = null;
+
+            // Stop sync
+            if (this._state.syncInterval) {
+                clearInterval(this._state.syncInterval);
+                this._state.syncInterval = null;
+            }
+
+            clearTimeout(this._state.sync.pushTimer);
+            this._state.sync.pushTimer = null;
+            this._removeFromStorage(this.config.sync.stateKey);
+            this._state.sync.status = 'idle';
+
+            // Pending actions belong to the account being cleared
+            if (!this._state.offline.replaying) {
+                this._state.offlineQueue = [];
+                this._persistOfflineQueue();
+            }
+        },
+
+        /**
+         * Check if user is logged in
+         * @returns {boolean} Login status
+         */
+        isLoggedIn: function () {
+            return this.getUserData() !== null;
+        },
+
+        /**
+         * Current session
+         * @returns {Object|null} { id, loginTime, lastActivity, expiresAt, idleExpiresAt, tokenExpiresAt, warning, isActive }
+         */
+        getSession: function () {
+            const record = this._getSessionRecord();
+            if (!record || !this._isSessionValid(record) || !this.getUserData()) return null;
+
+            return { ...this._describeSession(record), warning: this._state.session.warning };
+        },
+
+        /**
+         * Keep the session alive ("Stay signed in") - cancels a running sessionExpiring countdown
+         * @returns {Object|null} The renewed session
+         */
+        extendSession: function () {
+            this._state.session.lastInteraction = Date.now();
+            this._touchSession();
+            return this.getSession();
+        },
+
+        /**
+         * Countdown text for a sessionExpiring warning, e.g. "Your session expires in 0:45."
+         * @param {Object} warning - sessionExpiring payload { reason, secondsLeft }
+         * @returns {string} Message
+         */
+        getSessionWarningMessage: function (warning) {
+            const minutes = Math.floor(warning.secondsLeft / 60);
+            const seconds = String(warning.secondsLeft % 60).padStart(2, '0');
+
+            return warning.reason === 'idle' ?
+                `You will be signed out in ${minutes}:${seconds} because of inactivity.` :
+                `Your session expires in ${minutes}:${seconds}.`;
+        },
+
+        /**
+         * Access token handed over at sign-in (addAccount({ ..., token })) or by config.session.refresh
+         * @returns {string|null} Token
+         */
+        getSessionToken: function () {
+            const record = this._getSessionRecord();
+            return record && this._isSessionValid(record) ? record.token || null : null;
+        },
+
+        /**
+         * Renew the access token through config.session.refresh
+         * (runs automatically refreshBefore seconds ahead of tokenExpiresAt)
+         * @returns {Promise<boolean>} Success status
+         */
+        refreshSession: function () {
+            const session = this._state.session;
+            if (session.refreshing) return session.refreshing;
+
+            session.refreshing = (async () => {
+                try {
+                    const refresh = this.config.session.refresh;
+                    const record = this._getSessionRecord();
+                    if (typeof refresh !== 'function') {
+                        throw new Error('No config.session.refresh handler');
+                    }
+                    if (!record) {
+                        throw new Error('No active session');
+                    }
+
+                    const result = await refresh({ ...record });
+                    if (!result || !result.token) {
+                        throw new Error('The refresh handler returned no token');
+                    }
+
+                    // The user may have signed out while the request was in flight
+                    const current = this._getSessionRecord();
+                    if (!current || current.id !== record.id) return false;
+
+                    this._saveSessionRecord({
+                        ...current,
+                        token: result.token,
+                        refreshToken: result.refreshToken || current.refreshToken || null,
+                        tokenExpiresAt: result.tokenExpiresAt ? new Date(result.tokenExpiresAt).toISOString() : null,
+                        refreshedAt: new Date().toISOString()
+                    });
+
+                    session.refreshRetryAt = 0;
+                    this._triggerEvent('sessionRefreshed', this.getSession());
+                    return true;
+
+                } catch (error) {
+                    this.log('error', 'Session refresh failed:', error);
+                    session.refreshRetryAt = Date.now() + 30000;
+                    this._triggerEvent('sessionRefreshFailed', { error: error.message });
+
+                    // Without a usable token the session is over
+                    const record = this._getSessionRecord();
+                    if (record && record.tokenExpiresAt && Date.now() >= Date.parse(record.tokenExpiresAt)) {
+                        this._expireSession('refreshFailed');
+                    }
+                    return false;
+
+                } finally {
+                    session.refreshing = null;
+                    this._checkSession();
+                }
+            })();
+
+            return session.refreshing;
+        },
+
+        /**
+         * List the accounts signed in on this device, most recently used first
+         * @returns {Array} Accounts ({ id, name, email, profileImage, planId, plan, isActive, lastActiveAt })
+         */
+        listAccounts: function () {
+            const current = this.getUserData();
+            const index = this._getAccountIndex();
+
+            // Users signed in before multi-account support are registered on first use
+            if (current && !index.accounts[current.id]) {
+                this._registerAccount(this._getFromStorage(this.config.storage.userDataKey) || current);
+                return this.listAccounts();
+            }
+
+            return Object.values(index.accounts)
+                .filter(account => account.signedIn)
+                .map(account => ({
+                    id: account.id,
+                    name: account.name,
+                    email: account.email,
+                    profileImage: account.profileImage,
+                    planId: account.planId,
+                    plan: account.plan,
+                    isActive: !!current && current.id === account.id,
+                    addedAt: account.addedAt,
+                    lastActiveAt: account.lastActiveAt
+                }))
+                .sort((a, b) => (b.isActive - a.isActive) || String(b.lastActiveAt).localeCompare(String(a.lastActiveAt)));
+        },
+
+        /**
+         * Sign in an account next to the current one (or back into a known one)
+         * @param {Object} data - User data from the login/signup response (email required) - fields
+         * the user schema does not list are dropped
+         * @returns {Object|null} The now active account
+         */
+        addAccount: function (data) {
+            let rollback = null;
+
+            try {
+                if (!data || typeof data.email !== 'string' || !this._isValidEmail(data.email)) {
+                    throw new Error('A valid email is required to add an account');
+                }
+
+                // Tokens belong to the session and are never saved with the profile
+                const { token, refreshToken, tokenExpiresAt, sessionExpiry, ...response } = data;
+                const credentials = { token, refreshToken, tokenExpiresAt };
+
+                // Server profiles carry extras (createdAt, phone, ...) the strict user schema would reject
+                const profile = this._pickFields(response, Object.keys(this.config.validation.schemas.user.properties));
+
+                // Checked before anything is parked so a rejected login leaves the active account alone
+                this._assertValid('user', profile, { partial: true });
+
+                const email = data.email.toLowerCase();
+                const current = this.getUserData();
+
+                // Signing in again as the active account just updates it
+                if (current && (current.email || '').toLowerCase() === email) {
+                    this._startSession(credentials);
+                    return this.saveUserData(profile) ? this.listAccounts().find(account => account.isActive) : null;
+                }
+
+                const index = this._getAccountIndex();
+                const existing = Object.values(index.accounts).find(account => (account.email || '').toLowerCase() === email);
+                const signedIn = Object.values(index.accounts).filter(account => account.signedIn).length;
+
+                if (!existing?.signedIn && current && signedIn >= this.config.accounts.maxAccounts) {
+                    throw new Error(`You can be signed in to at most ${this.config.accounts.maxAccounts} accounts`);
+                }
+
+                // Consent given before signing in on this device carries over to a new account
+                const guestConsent = !current && !existing ? this._getFromStorage(this.config.analytics.consentKey) : null;
+
+                if (current) {
+                    this._parkActiveAccount(current.id);
+                }
+
+                // Put back the previous account (and its session) if the new one cannot be saved
+                rollback = () => {
+                    const previous = current ? this._getAccountIndex().accounts[current.id] : null;
+                    this._restoreAccountData(previous ? previous.data : {});
+                    if (guestConsent) {
+                        this._saveToStorage(this.config.analytics.consentKey, guestConsent);
+                    }
+                    this._updateAccountIndex(accounts => {
+                        if (existing) {
+                            accounts[existing.id] = { ...accounts[existing.id], data: existing.data };
+                        }
+                        if (current) {
+                            accounts[current.id] = { ...accounts[current.id], data: null };
+                        }
+                    });
+                };
+
+                // Known accounts get their settings and history back; new ones start empty
+                this._restoreAccountData(existing ? existing.data : {});
+                if (guestConsent) {
+                    this._saveToStorage(this.config.analytics.consentKey, guestConsent);
+                }
+                this._updateAccountIndex(accounts => {
+                    if (existing) {
+                        accounts[existing.id] = { ...accounts[existing.id], data: null };
+                    }
+                });
+
+                const now = new Date().toISOString();
+                this._startSession(credentials);
+                const saved = this.saveUserData({
+                    ...profile,
+                    id: existing ? existing.id : data.id,
+                    loginTime: now
+                });
+
+                if (!saved) {
+                    throw new Error(`The account ${data.email} could not be saved`);
+                }
+                rollback = null;
+
+                const account = this.listAccounts().find(item => item.isActive);
+                this._triggerEvent('accountAdded', account);
+                if (current) {
+                    this._triggerEvent('accountSwitched', { previous: current.id, account: account });
+                    this._notifyOtherTabs('accountSwitched', { id: account.id });
+                }
+
+                return account;
+
+            } catch (error) {
+                this.log('error', 'Error adding account:', error);
+                if (rollback) rollback();
+                return null;
+            }
+        },
+
+        /**
+         * Make another signed-in account the active one without signing out
+         * @param {string} accountId - Account (user) ID from listAccounts()
+         * @returns {boolean} Success status
+         */
+        switchAccount: function (accountId) {
+            try {
+                const target = this._getAccountIndex().accounts[accountId];
+                if (!target || !target.signedIn) {
+                    throw new Error(`No signed-in account with id ${accountId}`);
+                }
+
+                const current = this.getUserData();
+                if (current && current.id === accountId) return true;
+
+                // A parked session that ran out signs that account out here, before anything is
+                // swapped - restoring it would end the active account's session on the page
+                const parkedSession = target.data ? target.data[this.config.session.storageKey] : null;
+                if (parkedSession && !this._isSessionValid(parkedSession)) {
+                    this._signOutParkedAccount(accountId);
+                    this.log('info', `The session of ${target.email} has expired - signed out`);
+                    return false;
+                }
+
+                if (current) {
+                    this._parkActiveAccount(current.id);
+                }
+
+                this._restoreAccountData(target.data || {});
+                this._updateAccountIndex(accounts => {
+                    accounts[accountId] = { ...accounts[accountId], data: null, lastActiveAt: new Date().toISOString() };
+                });
+
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error(`The session of ${target.email} has expired`);
+                }
+
+                const account = this.listAccounts().find(item => item.isActive);
+                this._triggerEvent('accountSwitched', { previous: current ? current.id : null, account: account });
+                this._triggerEvent('dataUpdated', userData);
+                this._notifyOtherTabs('accountSwitched', { id: accountId });
+
+                this.log('info', `Switched to account ${target.email}`);
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error switching account:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Sign an account out of this device and delete its stored data
+         * @param {string} accountId - Account (user) ID
+         * @returns {boolean} Success status
+         */
+        removeAccount: function (accountId) {
+            try {
+                const index = this._getAccountIndex();
+                const account = index.accounts[accountId];
+                if (!account) {
+                    throw new Error(`Unknown account: ${accountId}`);
+                }
+
+                const current = this.getUserData();
+                if (current && current.id === accountId && !this.clearUserData(true)) {
+                    return false;
+                }
+
+                this._updateAccountIndex(accounts => {
+                    delete accounts[accountId];
+                });
+
+                this._triggerEvent('accountRemoved', { id: accountId, email: account.email });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error removing account:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Export user data for backup
+         * Keys matching config.export.redactFields are left out
+         * @param {Object} options - { collections: config.export.collections, redact: true }
+         * @returns {Object} Exportable data (importUserData() format)
+         */
+        exportUserData: function (options = {}) {
+            try {
+                const collected = this._collectExport(options);
+                return collected ? collected.data : null;
+
+            } catch (error) {
+                this.log('error', 'Error exporting data:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Export in a file format
+         * 'json' - one file in the importUserData() format; 'csv' - one file per collection;
+         * 'zip' - manifest.json, the JSON file and every CSV in one archive
+         * @param {Object} options - { format: config.export.defaultFormat, collections, redact: true }
+         * @returns {Object|null} { format, manifest, files: [{ name, mimeType, content }] }
+         */
+        exportData: function (options = {}) {
+            try {
+                const format = options.format || this.config.export.defaultFormat;
+                if (!EXPORT_FORMATS.includes(format)) {
+                    throw new Error(`Unknown export format "${format}" - use ${EXPORT_FORMATS.join(', ')}`);
+                }
+
+                const collected = this._collectExport(options);
+                if (!collected) {
+                    throw new Error('No user logged in');
+                }
+
+                const { data, redacted, collections } = collected;
+                const base = `${this.config.export.filename}-${data.exportDate.slice(0, 10)}`;
+                const json = { name: `${base}.json`, mimeType: 'application/json', content: JSON.stringify(data, null, 2) };
+                const tables = this._getExportTables(data, collections);
+                const csv = tables.map(table => ({
+                    name: `${base}-${table.name}.csv`,
+                    mimeType: 'text/csv',
+                    content: this._toCsv(table.rows)
+                }));
+
+                const manifest = {
+                    generator: 'EmiralAI',
+                    version: data.version,
+                    exportDate: data.exportDate,
+                    format: format,
+                    accountId: this.getUserData().id,
+                    collections: tables.map(table => ({ name: table.name, records: table.records })),
+                    redacted: redacted,
+                    files: []
+                };
+
+                let files;
+                if (format === 'json') {
+                    files = [json];
+                } else if (format === 'csv') {
+                    files = csv;
+                } else {
+                    const entries = [
+                        { name: 'export.json', content: json.content },
+                        ...csv.map((file, index) => ({ name: `csv/${tables[index].name}.csv`, content: file.content }))
+                    ];
+                    manifest.files = ['manifest.json', ...entries.map(entry => entry.name)];
+                    entries.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+                    files = [{ name: `${base}.zip`, mimeType: 'application/zip', content: zipHelpers.create(entries) }];
+                }
+
+                if (format !== 'zip') {
+                    manifest.files = files.map(file => file.name);
+                }
+
+                return { format, manifest, files };
+
+            } catch (error) {
+                this.log('error', 'Error exporting data:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Export and save the files through the browser
+         * CSV exports download one file per collection; 'zip' keeps them in one download
+         * @param {Object} options - exportData() options
+         * @returns {Object|null} Manifest, null on failure
+         */
+        downloadExport: function (options = {}) {
+            const result = this.exportData(options);
+            if (!result) return null;
+
+            this._downloadFiles(result.files);
+
+            this._triggerEvent('dataExported', { format: result.format, manifest: result.manifest });
+            return result.manifest;
+        },
+
+        _downloadFiles: function (files) {
+            files.forEach(file => {
+                const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = file.name;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+            });
+        },
+
+        _collectExport: function (options) {
+            const userData = this.getUserData();
+            if (!userData) return null;
+
+            const collections = options.collections || this.config.export.collections;
+            const unknown = collections.filter(name => !EXPORT_COLLECTIONS.includes(name));
+            if (unknown.length) {
+                throw new Error(`Unknown export collection(s): ${unknown.join(', ')}`);
+            }
+
+            const data = {
+                version: this.config.schema.version,
+                exportDate: new Date().toISOString()
+            };
+
+            if (collections.includes('profile')) data.userData = userData;
+            if (collections.includes('settings')) data.settings = this._getFromStorage(this.config.storage.settingsKey);
+            if (collections.includes('activity')) {
+                data.activityLog = this._getActivityLog();
+                data.activityRollups = this._getActivityRollups();
+            }
+            if (collections.includes('usage')) data.usage = this._getUsageLedger();
+            if (collections.includes('invoices')) data.invoices = this.getInvoices();
+            if (collections.includes('planHistory')) data.planHistory = this.getPlanHistory();
+
+            const redacted = [];
+            return {
+                data: options.redact === false ? data : this._redactForExport(data, '', redacted),
+                redacted: redacted,
+                collections: collections
+            };
+        },
+
+        _redactForExport: function (value, path, redacted) {
+            if (!value || typeof value !== 'object') return value;
+
+            if (Array.isArray(value)) {
+                return value.map((item, index) => this._redactForExport(item, `${path}[${index}]`, redacted));
+            }
+
+            const normalize = (key) => key.toLowerCase().replace(/[_-]/g, '');
+            const result = {};
+
+            Object.entries(value).forEach(([key, item]) => {
+                const itemPath = path ? `${path}.${key}` : key;
+                if (this.config.export.redactFields.some(field => normalize(key).includes(normalize(field)))) {
+                    redacted.push(itemPath);
+                    return;
+                }
+                result[key] = this._redactForExport(item, itemPath, redacted);
+            });
+
+            return result;
+        },
+
+        /**
+         * One table per collection for the CSV files
+         * Profile and settings become field/value rows; nested objects use dotted column names
+         */
+        _getExportTables: function (data, collections) {
+            const fields = (object) => Object.entries(this._flattenForExport(object || {}))
+                .map(([field, value]) => ({ field, value }));
+            const records = (list) => (list || []).map(entry => this._flattenForExport(entry));
+
+            const tables = {
+                profile: () => fields(data.userData),
+                settings: () => fields(data.settings),
+                activity: () => records(data.activityLog),
+                usage: () => Object.keys(data.usage.days).sort()
+                    .map(date => ({ date, ...data.usage.days[date] })),
+                invoices: () => records(data.invoices),
+                planHistory: () => records(data.planHistory)
+            };
+
+            return collections.map(name => {
+                const rows = tables[name]();
+                return { name, rows, records: ['profile', 'settings'].includes(name) ? 1 : rows.length };
+            });
+        },
+
+        _flattenForExport: function (value, prefix = '', result = {}) {
+            Object.entries(value).forEach(([key, item]) => {
+                const column = prefix ? `${prefix}.${key}` : key;
+                if (this._isObject(item) && Object.keys(item).length) {
+                    this._flattenForExport(item, column, result);
+                } else {
+                    result[column] = Array.isArray(item) || this._isObject(item) ? JSON.stringify(item) : item;
+                }
+            });
+
+            return result;
+        },
+
+        _toCsv: function (rows) {
+            const columns = [];
+            rows.forEach(row => Object.keys(row).forEach(column => {
+                if (!columns.includes(column)) columns.push(column);
+            }));
+
+            const cell = (value) => {
+                if (value === undefined || value === null) return '';
+                let text = String(value);
+                // Keep spreadsheets from running cell text as a formula
+                if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            return [columns, ...rows.map(row => columns.map(column => row[column]))]
+                .map(values => values.map(cell).join(','))
+                .join('\r\n');
+        },
+
+        /**
+         * Import user data from backup
+         * Modes: 'replace' - the backup's profile, settings and activity replace the local ones;
+         * 'merge-keep-local' - only fields missing locally are filled in;
+         * 'merge-prefer-import' - the backup's fields overwrite local ones (default).
+         * Activity entries are merged by id. Plan, billing and account ids are never imported.
+         * @param {Object} data - Data to import (exportUserData() format)
+         * @param {Object} options - { mode, dryRun: false } - a dry run only returns the report
+         * @returns {Object|boolean} Report { mode, dryRun, changes: [{ section, path, change, from, to }], activity, errors }, false on failure
+         * @throws {ValidationError} When a non-dry-run import has errors (error.errors)
+         */
+        importUserData: function (data, options = {}) {
+            // A dry run writes nothing, so it never waits in the offline queue
+            if (options.dryRun) {
+                return this._applyImport(data, options);
+            }
+
+            return this._runOrQueue('import', { data, options }, () => this._applyImport(data, options));
+        },
+
+        /**
+         * Restore the profile, settings and activity from before the last import
+         * The current plan and subscription are kept
+         * @returns {boolean} Success status
+         */
+        undoImport: function () {
+            try {
+                const snapshot = this._getFromStorage(this.config.import.snapshotKey);
+                if (!snapshot) {
+                    throw new Error('There is no import to undo');
+                }
+
+                const current = this._getFromStorage(this.config.storage.userDataKey) || {};
+                const userData = snapshot.data.userData ?
+                    { ...snapshot.data.userData, ...this._pickFields(current, IMPORT_PROTECTED_FIELDS) } :
+                    null;
+
+                this._writeStorageBundle({ ...this._readStorageBundle(), ...snapshot.data, userData });
+                this._removeFromStorage(this.config.import.snapshotKey);
+                this._state.currentUser = null;
+
+                if (userData) {
+                    // Announce the restored profile to this page, other tabs and the sync backend
+                    this.saveUserData({});
+                }
+
+                // Journal entries describe the data from before the undo
+                this.clearHistory();
+
+                this._triggerEvent('importUndone', { importedAt: snapshot.createdAt, mode: snapshot.mode });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error undoing import:', error);
+                return false;
+            }
+        },
+
+        /**
+         * The import undoImport() would revert
+         * @returns {Object|null} { importedAt, mode, changes }
+         */
+        getLastImport: function () {
+            const snapshot = this._getFromStorage(this.config.import.snapshotKey);
+            return snapshot ? { importedAt: snapshot.createdAt, mode: snapshot.mode, changes: snapshot.changes } : null;
+        },
+
+        _applyImport: function (data, options = {}) {
+            try {
+                if (!data || typeof data !== 'object') {
+                    throw new Error('Invalid or incompatible data format');
+                }
+
+                const mode = options.mode || this.config.import.defaultMode;
+                if (!IMPORT_MODES.includes(mode)) {
+                    throw new Error(`Unknown import mode "${mode}" - use ${IMPORT_MODES.join(', ')}`);
+                }
+
+                // Upgrade exports created by older versions
+                const version = data.version || LEGACY_SCHEMA_VERSION;
+                if (version !== this.config.schema.version) {
+                    data = {
+                        ...this._migrateBundle(data, version),
+                        version: this.config.schema.version
+                    };
+                }
+
+                const plan = this._planImport(data, mode);
+                const report = {
+                    mode: mode,
+                    dryRun: !!options.dryRun,
+                    changes: plan.changes,
+                    activity: plan.activity.summary,
+                    errors: plan.errors
+                };
+
+                if (options.dryRun) {
+                    return report;
+                }
+
+                if (plan.errors.length > 0) {
+                    this._triggerEvent('validationFailed', { schema: 'import', errors: plan.errors });
+                    throw this._createValidationError('import', plan.errors);
+                }
+
+                // Snapshot what the import touches, for undoImport()
+                const before = this._readStorageBundle();
+                this._saveToStorage(this.config.import.snapshotKey, {
+                    createdAt: new Date().toISOString(),
+                    mode: mode,
+                    changes: plan.changes.filter(change => change.change !== 'kept').length,
+                    data: {
+                        userData: before.userData,
+                        settings: before.settings,
+                        activityLog: before.activityLog,
+                        activityRollups: before.activityRollups
+                    }
+                });
+
+                if (plan.settings) {
+                    this._saveToStorage(this.config.storage.settingsKey, plan.settings);
+                    this._triggerEvent('settingsUpdated', plan.settings);
+                }
+
+                if (plan.activity.log) {
+                    this._saveActivity(plan.activity.log, plan.activity.rollups);
+                }
+
+                if (plan.userData) {
+                    this._saveToStorage(this.config.storage.userDataKey, plan.userData);
+                }
+
+                // Rebuild the cached user and announce it (other tabs, server sync)
+                this._state.currentUser = null;
+                this.saveUserData({});
+
+                // Journal entries describe the data from before the import - undoImport() reverts it instead
+                this.clearHistory();
+
+                this._triggerEvent('dataImported', { ...report, data });
+                return report;
+
+            } catch (error) {
+                this.log('error', 'Error importing data:', error);
+                // Rejected data goes back to the caller with its structured errors
+                if (error instanceof ValidationError) throw error;
+                return false;
+            }
+        },
+
+        /**
+         * Work out what an import would write, without writing it
+         * Sections missing from the backup are left alone in every mode
+         */
+        _planImport: function (data, mode) {
+            const changes = [];
+            const errors = [];
+            const plan = { changes: changes, errors: errors, userData: null, settings: null };
+            const check = (section, schema, value) => this.validate(schema, value, { partial: true }).errors
+                .forEach(error => errors.push({ ...error, section }));
+
+            if (this._isObject(data.userData)) {
+                const local = this._getFromStorage(this.config.storage.userDataKey) || {};
+                const editable = this._omitFields(local, IMPORT_PROTECTED_FIELDS);
+                const incoming = this._omitFields(data.userData, IMPORT_PROTECTED_FIELDS);
+                const merged = this._combineForImport(editable, incoming, mode);
+
+                check('userData', 'user', incoming);
+                this._diffForImport('userData', editable, merged, incoming, '', changes);
+                plan.userData = { ...merged, ...this._pickFields(local, IMPORT_PROTECTED_FIELDS) };
+
+                // The record written is whole, so it has to pass the full schema (required fields too)
+                const reported = new Set(errors.map(error => `${error.path}|${error.rule}`));
+                this.validate('user', plan.userData).errors
+                    .filter(error => !reported.has(`${error.path}|${error.rule}`))
+                    .forEach(error => errors.push({ ...error, section: 'userData' }));
+            }
+
+            if (this._isObject(data.settings)) {
+                const local = this._omitFields(this._getFromStorage(this.config.storage.settingsKey) || {}, ['lastModified']);
+                const incoming = this._omitFields(data.settings, ['lastModified']);
+                const merged = this._combineForImport(local, incoming, mode);
+
+                check('settings', 'settings', incoming);
+                this._diffForImport('settings', local, merged, incoming, '', changes);
+                plan.settings = { ...merged, lastModified: new Date().toISOString() };
+            }
+
+            plan.activity = this._planActivityImport(data, mode);
+            return plan;
+        },
+
+        _combineForImport: function (local, incoming, mode) {
+            if (mode === 'replace') {
+                return JSON.parse(JSON.stringify(incoming));
+            }
+
+            const result = { ...local };
+            Object.entries(incoming).forEach(([key, value]) => {
+                if (this._isObject(value) && this._isObject(local[key])) {
+                    result[key] = this._combineForImport(local[key], value, mode);
+                } else if (mode === 'merge-prefer-import' || local[key] === undefined || local[key] === null) {
+                    result[key] = value;
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * Field-by-field changes between the local data and the import result
+         * 'kept' marks imported values that lost to local ones (merge-keep-local)
+         */
+        _diffForImport: function (section, before, after, incoming, path, changes) {
+            const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+            keys.forEach(key => {
+                const fieldPath = path ? `${path}.${key}` : key;
+                const from = before ? before[key] : undefined;
+                const to = after ? after[key] : undefined;
+                const imported = this._isObject(incoming) ? incoming[key] : undefined;
+
+                if (this._isObject(from) && this._isObject(to)) {
+                    this._diffForImport(section, from, to, imported, fieldPath, changes);
+                    return;
+                }
+
+                if (this._isSameValue(from, to)) {
+                    if (imported !== undefined && !this._isSameValue(imported, from)) {
+                        changes.push({ section, path: fieldPath, change: 'kept', from, to, imported });
+                    }
+                    return;
+                }
+
+                const change = from === undefined ? 'added' : to === undefined ? 'removed' : 'changed';
+                changes.push({ section, path: fieldPath, change, from, to });
+            });
+        },
+
+        _planActivityImport: function (data, mode) {
+            const summary = { imported: 0, added: 0, duplicates: 0, removed: 0, invalid: 0 };
+            if (!Array.isArray(data.activityLog)) {
+                return { log: null, rollups: null, summary };
+            }
+
+            const local = this._getActivityLog();
+            const localIds = new Set(local.map(entry => entry.id));
+            const entries = new Map(mode === 'replace' ? [] : local.map(entry => [entry.id, entry]));
+
+            data.activityLog
+                .filter(entry => this._isObject(entry) && entry.timestamp)
+                .forEach((entry, index) => {
+                    // Same derivation as _getActivityLog() for entries exported before activity had ids
+                    const id = entry.id || `act_${Date.parse(entry.timestamp).toString(36)}_${index}`;
+                    summary.imported++;
+
+                    if (!this.validate('activity', { ...entry, id }).valid) {
+                        summary.invalid++;
+                        return;
+                    }
+
+                    if (entries.has(id) || localIds.has(id)) {
+                        summary.duplicates++;
+                        if (mode === 'merge-keep-local') return;
+                    } else {
+                        summary.added++;
+                    }
+
+                    entries.set(id, { ...entry, id });
+                });
+
+            if (mode === 'replace') {
+                summary.removed = local.filter(entry => !entries.has(entry.id)).length;
+            }
+
+            const localRollups = this._getActivityRollups();
+            const importedRollups = this._isObject(data.activityRollups) ? data.activityRollups : {};
+            const rollups = mode === 'replace' ? importedRollups :
+                mode === 'merge-keep-local' ? { ...importedRollups, ...localRollups } :
+                    { ...localRollups, ...importedRollups };
+
+            const log = Array.from(entries.values())
+                .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+            return { log, rollups, summary };
+        },
+
+        _pickFields: function (source, fields) {
+            const result = {};
+            fields.forEach(field => {
+                if (source && source[field] !== undefined) result[field] = source[field];
+            });
+            return result;
+        },
+
+        _omitFields: function (source, fields) {
+            const result = { ...source };
+            fields.forEach(field => delete result[field]);
+            return result;
+        },
+
+        /**
+         * Journal an edit as a JSON patch ({ userData, settings } document) plus its inverse
+         * Anything after the current position (undone edits) is dropped
+         */
+        _journalChange: function (before, after) {
+            const journaled = (doc) => {
+                const result = {};
+                if (doc.userData) result.userData = this._omitFields(doc.userData, this.config.history.ignoreFields);
+                if (doc.settings) result.settings = this._omitFields(doc.settings, ['lastModified']);
+                return result;
+            };
+
+            if (this._state.history.applying) return;
+
+            const from = journaled(before);
+            const to = journaled(after);
+            const patch = this._createPatch(from, to);
+            if (patch.length === 0) return;
+
+            const history = this._state.history;
+            const entry = {
+                id: 'chg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                at: new Date().toISOString(),
+                fields: Array.from(new Set(patch.map(op => op.path.split('/').slice(1, 3).join('.')))),
+                patch: patch,
+                inverse: this._createPatch(to, from)
+            };
+
+            history.entries = [...history.entries.slice(0, history.position), entry].slice(-this.config.history.limit);
+            history.position = history.entries.length;
+            this._emitHistoryChanged('recorded', entry);
+        },
+
+        _createPatch: function (before, after, path = '') {
+            const ops = [];
+            const clone = (value) => JSON.parse(JSON.stringify(value));
+
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+                const pointer = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                const from = before[key];
+                const to = after[key];
+
+                if (to === undefined) {
+                    if (from !== undefined) ops.push({ op: 'remove', path: pointer });
+                } else if (from === undefined) {
+                    ops.push({ op: 'add', path: pointer, value: clone(to) });
+                } else if (this._isObject(from) && this._isObject(to)) {
+                    ops.push(...this._createPatch(from, to, pointer));
+                } else if (!this._isSameValue(from, to)) {
+                    ops.push({ op: 'replace', path: pointer, value: clone(to) });
+                }
+            });
+
+            return ops;
+        },
+
+        _applyPatch: function (doc, ops) {
+            const result = JSON.parse(JSON.stringify(doc));
+
+            ops.forEach(op => {
+                const keys = op.path.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+                const last = keys.pop();
+                const parent = keys.reduce((node, key) => {
+                    if (!this._isObject(node[key])) node[key] = {};
+                    return node[key];
+                }, result);
+
+                if (op.op === 'remove') {
+                    delete parent[last];
+                } else {
+                    parent[last] = JSON.parse(JSON.stringify(op.value));
+                }
+            });
+
+            return result;
+        },
+
+        _applyHistoryPatch: function (ops) {
+            const history = this._state.history;
+            history.applying = true;
+
+            try {
+                const doc = this._applyPatch({
+                    userData: this._getFromStorage(this.config.storage.userDataKey) || {},
+                    settings: this._getFromStorage(this.config.storage.settingsKey) || {}
+                }, ops);
+                const targets = new Set(ops.map(op => op.path.split('/')[1]));
+
+                if (targets.has('settings')) {
+                    const previous = this.getLocale();
+                    const settings = { ...doc.settings, lastModified: new Date().toISOString() };
+
+                    this._saveToStorage(this.config.storage.settingsKey, settings);
+                    this._state.currentUser = null;
+                    this._triggerEvent('settingsUpdated', settings);
+
+                    const locale = this.getLocale();
+                    if (locale.locale !== previous.locale || locale.timeZone !== previous.timeZone) {
+                        this._triggerEvent('localeChanged', locale);
+                    }
+                }
+
+                if (targets.has('userData')) {
+                    this._saveToStorage(this.config.storage.userDataKey, doc.userData);
+                }
+
+                // Rebuild the cached user and announce it (other tabs, server sync) - nothing left to journal
+                this._state.currentUser = null;
+                this.saveUserData({});
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error applying history entry:', error);
+                return false;
+
+            } finally {
+                history.applying = false;
+            }
+        },
+
+        _describeHistoryEntry: function (entry) {
+            return entry ? { id: entry.id, at: entry.at, fields: entry.fields.slice() } : null;
+        },
+
+        _emitHistoryChanged: function (action, entry) {
+            const { entries, position } = this._state.history;
+
+            this._triggerEvent('historyChanged', {
+                action: action,
+                entry: this._describeHistoryEntry(entry),
+                canUndo: position > 0,
+                canRedo: position < entries.length
+            });
+        },
+
+        _getPrivacyStorageAreas: function () {
+            const adapter = this._getStorageAdapter();
+            const areas = [{
+                name: adapter.name,
+                keys: () => {
+                    const keys = this._storageKeys();
+                    return Array.isArray(keys) ? keys : [];
+                },
+                getItem: key => this._storageGet(key),
+                removeItem: key => {
+                    // Drop cached plaintext and cancel any pending encrypted write
+                    this._state.encryption.plaintext.delete(key);
+                    this._state.encryption.writeTokens.delete(key);
+                    this._storageRemove(key);
+                }
+            }];
+
+            // Other scripts write straight to web storage whatever the adapter is
+            ['localStorage', 'sessionStorage']
+                .filter(type => type !== adapter.name)
+                .forEach(type => {
+                    try {
+                        areas.push(createWebStorageAdapter(type));
+                    } catch (e) {
+                        // Storage blocked - nothing kept there
+                    }
+                });
+
+            return areas;
+        },
+
+        _isAppStorageKey: function (key) {
+            return this.config.privacy.keyPrefixes.some(prefix => String(key).startsWith(prefix));
+        },
+
+        _describeStoredKey: function (fullKey) {
+            const { prefix, userDataKey, subscriptionKey, settingsKey, cacheKey } = this.config.storage;
+            const { activity, usage, quotas, session, sync, offline, tabs, subscriptions, accounts, organizations, analytics, privacy } = this.config;
+
+            const known = {
+                [userDataKey]: ['Profile', 'Your profile'],
+                login_count: ['Profile', 'Number of sign-ins'],
+                chat_messages: ['Profile', 'Profile assistant chat history'],
+                session_id: ['Activity', 'Browsing session id for activity entries'],
+                [subscriptionKey]: ['Billing', 'Your subscription'],
+                [subscriptions.historyKey]: ['Billing', 'Plan changes'],
+                [subscriptions.invoicesKey]: ['Billing', 'Invoices'],
+                [settingsKey]: ['Settings', 'Your settings and preferences'],
+                [activity.storageKey]: ['Activity', 'Recent activity'],
+                [activity.rollupKey]: ['Activity', 'Daily activity counts'],
+                [usage.ledgerKey]: ['Usage', 'Usage per day'],
+                [quotas.stateKey]: ['Usage', 'Quota warnings already shown'],
+                [session.storageKey]: ['Session', 'Current sign-in session'],
+                [sync.stateKey]: ['Session', 'Last synced copy of your data'],
+                [offline.queueKey]: ['Session', 'Changes waiting to be sent'],
+                [tabs.messageKey]: ['Session', 'Messages between open tabs'],
+                [tabs.leaderKey]: ['Session', 'Which tab runs background sync'],
+                [accounts.storageKey]: ['Accounts', 'Accounts signed in on this device'],
+                [organizations.storageKey]: ['Accounts', 'Organizations and their members'],
+                [analytics.consentKey]: ['Privacy', 'Analytics consent'],
+                [privacy.erasureKey]: ['Privacy', 'Pending account deletions'],
+                [privacy.receiptsKey]: ['Privacy', 'Consent and erasure receipts'],
+                [this.config.import.snapshotKey]: ['Backup', 'Your data from before the last import'],
+                [this.config.schema.snapshotKey]: ['Backup', 'Your data from before an upgrade that did not complete'],
+                [this.config.schema.versionKey]: ['App', 'Stored data version'],
+                [this.config.catalog.cacheKey]: ['App', 'Cached plan catalog'],
+                [cacheKey]: ['App', 'Cached data']
+            };
+
+            const shortKey = fullKey.startsWith(prefix) ? fullKey.slice(prefix.length) : null;
+            if (shortKey !== null && known[shortKey]) {
+                return { category: known[shortKey][0], description: known[shortKey][1] };
+            }
+
+            return { category: 'Other', description: privacy.keyLabels[fullKey] || 'Stored by a page script' };
+        },
+
+        _getSharedStorageKeys: function () {
+            const { prefix } = this.config.storage;
+
+            // Not any one person's data - other accounts on the device still need these
+            return [
+                this.config.accounts.storageKey, this.config.organizations.storageKey,
+                this.config.privacy.erasureKey, this.config.privacy.receiptsKey,
+                this.config.schema.versionKey, this.config.catalog.cacheKey,
+                this.config.tabs.messageKey, this.config.tabs.leaderKey
+            ].map(key => prefix + key).concat(this.config.privacy.sharedKeys);
+        },
+
+        _getErasureRequests: function () {
+            return this._getFromStorage(this.config.privacy.erasureKey) || {};
+        },
+
+        _updateErasureRequests: function (update) {
+            const requests = this._getErasureRequests();
+            update(requests);
+
+            if (Object.keys(requests).length) {
+                this._saveToStorage(this.config.privacy.erasureKey, requests);
+            } else {
+                this._removeFromStorage(this.config.privacy.erasureKey);
+            }
+        },
+
+        _recordPrivacyReceipt: function (type, details) {
+            const receipt = {
+                id: 'rcpt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                type: type,
+                at: new Date().toISOString(),
+                ...details
+            };
+
+            const receipts = this._getFromStorage(this.config.privacy.receiptsKey) || [];
+            this._saveToStorage(this.config.privacy.receiptsKey, [...receipts, receipt].slice(-this.config.privacy.maxReceipts));
+            return receipt;
+        },
+
+        _scheduleErasure: function () {
+            const state = this._state.privacy;
+            clearTimeout(state.erasureTimer);
+            state.erasureTimer = null;
+
+            const next = Object.values(this._getErasureRequests())
+                .map(request => Date.parse(request.scheduledFor))
+                .sort((a, b) => a - b)[0];
+            if (next === undefined) return;
+
+            // setTimeout overflows past ~24.8 days; the timer is simply set again then
+            const delay = Math.min(Math.max(0, next - Date.now()), 2147483647);
+            state.erasureTimer = setTimeout(() => this._processErasureRequests(), delay);
+        },
+
+        _processErasureRequests: function () {
+            const now = Date.now();
+
+            Object.values(this._getErasureRequests())
+                .filter(request => Date.parse(request.scheduledFor) <= now)
+                .forEach(request => this._performErasure(request));
+
+            this._scheduleErasure();
+        },
+
+        _performErasure: function (request) {
+            try {
+                const subjectId = request.subjectId;
+                const active = this._getFromStorage(this.config.storage.userDataKey);
+                const isActive = !!active && active.id === subjectId;
+                const index = this._getAccountIndex();
+                const subjectEmail = String((isActive ? active.email : (index.accounts[subjectId] || {}).email) || '').toLowerCase();
+
+                // On a device other people use, only the subject's data goes; otherwise every app key does
+                const shared = Object.keys(index.accounts).some(id => id !== subjectId) || (!!active && !isActive);
+                const kept = shared ? this._getSharedStorageKeys() : [this.config.storage.prefix + this.config.privacy.receiptsKey];
+                const removable = key => !kept.includes(key) && (isActive || !shared);
+
+                const targets = this.getStoredKeys().filter(entry => removable(entry.key));
+
+                if (isActive) {
+                    this._stopAccountActivity();
+                    this._getAnalyticsSinks().forEach(sink => {
+                        if (typeof sink.discard === 'function') sink.discard();
+                        if (typeof sink.clear === 'function') {
+                            Promise.resolve(sink.clear()).catch(error => this._handleSinkError(sink, error));
+                        }
+                    });
+                }
+
+                this._getPrivacyStorageAreas().forEach(area => {
+                    area.keys()
+                        .filter(key => this._isAppStorageKey(key) && removable(key))
+                        .forEach(key => area.removeItem(key));
+                });
+
+                if (shared) {
+                    this._updateAccountIndex(accounts => { delete accounts[subjectId]; });
+                    this._updateErasureRequests(requests => { delete requests[subjectId]; });
+
+                    // Organizations the subject owned go with them; elsewhere they leave no trace
+                    const organizations = this._getOrganizations();
+                    Object.keys(organizations).forEach(orgId => {
+                        const org = organizations[orgId];
+                        if (org.ownerId === subjectId) {
+                            delete organizations[orgId];
+                            return;
+                        }
+                        org.members = (org.members || []).filter(member => member.userId !== subjectId);
+                        org.invitations = (org.invitations || []).filter(invitation => String(invitation.email).toLowerCase() !== subjectEmail);
+                    });
+                    this._saveToStorage(this.config.organizations.storageKey, organizations);
+                }
+
+                // Verify: nothing removable is left and no shared record mentions the subject
+                const remaining = this.getStoredKeys()
+                    .filter(entry => removable(entry.key))
+                    .map(entry => `${entry.storage}:${entry.key}`);
+                if (this._getAccountIndex().accounts[subjectId]) {
+                    remaining.push(`${this.config.accounts.storageKey}:${subjectId}`);
+                }
+                if (this._getErasureRequests()[subjectId]) {
+                    remaining.push(`${this.config.privacy.erasureKey}:${subjectId}`);
+                }
+                Object.values(this._getOrganizations())
+                    .filter(org => org.ownerId === subjectId || (org.members || []).some(member => member.userId === subjectId))
+                    .forEach(org => remaining.push(`${this.config.organizations.storageKey}:${org.id}`));
+
+                const receipt = this._recordPrivacyReceipt('erasure', {
+                    subjectId: subjectId,
+                    requestId: request.id,
+                    requestedAt: request.requestedAt,
+                    keysRemoved: targets.length,
+                    verified: remaining.length === 0,
+                    remaining: remaining
+                });
+
+                if (isActive) {
+                    this._triggerEvent('userLoggedOut');
+                    this._notifyOtherTabs('userLoggedOut');
+
+                    const next = shared && this.config.accounts.switchOnSignOut ? this.listAccounts()[0] : null;
+                    if (next) {
+                        this.switchAccount(next.id);
+                    }
+                }
+
+                this._triggerEvent('dataErased', receipt);
+                this.log('info', `Erased the data of ${subjectId} (${targets.length} keys, ${receipt.verified ? 'verified' : 'not verified'})`);
+                return receipt;
+
+            } catch (error) {
+                this.log('error', 'Error erasing user data:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Add event listener
+         * @param {string} event - Event name or pattern ("plan*", "*")
+         * @param {Function} callback - Called with (data, { name, timestamp, replayed })
+         * @param {Object} options - { priority, once, replay }
+         * @returns {Function} Unsubscribe function
+         */
+        on: function (event, callback, options) {
+            return eventBus.on(event, callback, options);
+        },
+
+        /**
+         * Listen for the next event only
+         * @param {string} event - Event name or pattern
+         * @param {Function} callback - Optional; without it a promise is returned
+         * @param {Object} options - { priority, replay }
+         * @returns {Function|Promise} Unsubscribe function, or a promise of the event data
+         */
+        once: function (event, callback, options) {
+            return eventBus.once(event, callback, options);
+        },
+
+        /**
+         * Remove event listener
+         * @param {string} event - Event name or pattern used with on()
+         * @param {Function} callback - Callback function
+         */
+        off: function (event, callback) {
+            eventBus.off(event, callback);
+        },
+
+        /**
+         * Locale and time zone used by the formatters
+         * @returns {Object} { locale, timeZone, currency }
+         */
+        getLocale: function () {
+            const settings = (this._state.currentUser && this._state.currentUser.settings) ||
+                this._getFromStorage(this.config.storage.settingsKey) || {};
+
+            return {
+                locale: settings.locale || this.config.locale.default || navigator.language || 'en-US',
+                timeZone: settings.timeZone || this.config.locale.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+                currency: settings.currency || this.config.locale.currency
+            };
+        },
+
+        /**
+         * Save the user's locale and/or time zone in settings
+         * @param {string} locale - BCP 47 tag, e.g. "de-DE" (null keeps the current one)
+         * @param {string} timeZone - IANA zone, e.g. "Europe/Berlin" (null keeps the current one)
+         * @returns {boolean} Success status
+         */
+        setLocale: function (locale, timeZone = null) {
+            try {
+                const changes = {};
+
+                if (locale) {
+                    // Throws a RangeError for malformed tags
+                    changes.locale = Intl.getCanonicalLocales(locale)[0];
+                }
+
+                if (timeZone) {
+                    // Throws a RangeError for unknown zones
+                    changes.timeZone = new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+                }
+
+                if (!this.updateSettings(changes)) return false;
+
+                // The cached user has dates formatted in the old locale
+                this._state.currentUser = null;
+
+                this._triggerEvent('localeChanged', this.getLocale());
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error setting locale:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Format number with thousand separators
+         * @param {number} num - Number to format
+         * @param {Object} options - Intl.NumberFormat options
+         * @returns {string} Formatted number
+         */
+        formatNumber: function (num, options = {}) {
+            if (num === -1) return '∞';
+            if (num === undefined || num === null || isNaN(num)) return '0';
+            return this._getFormatter('NumberFormat', options).format(num);
+        },
+
+        /**
+         * Format an amount of money
+         * @param {number} amount - Amount in major units (29.99)
+         * @param {string} currency - ISO code (defaults to the user's currency)
+         * @param {Object} options - Intl.NumberFormat options
+         * @returns {string} Formatted amount, e.g. "$29.99" or "29,99 €"
+         */
+        formatCurrency: function (amount, currency = null, options = {}) {
+            return this._getFormatter('NumberFormat', {
+                style: 'currency',
+                currency: currency || this.getLocale().currency,
+                ...options
+            }).format(amount || 0);
+        },
+
+        /**
+         * Format a date in the user's locale and time zone
+         * @param {Date|string|number} date - Date to format
+         * @param {Object|string} options - Intl.DateTimeFormat options, or 'short' | 'medium' | 'long' | 'full' | 'time' | 'datetime'
+         * @returns {string} Formatted date ('' for invalid dates)
+         */
+        formatDate: function (date, options = 'medium') {
+            const value = date instanceof Date ? date : new Date(date);
+            if (isNaN(value.getTime())) return '';
+
+            const presets = {
+                short: { dateStyle: 'short' },
+                medium: { dateStyle: 'medium' },
+                long: { dateStyle: 'long' },
+                full: { dateStyle: 'full' },
+                time: { timeStyle: 'short' },
+                datetime: { dateStyle: 'medium', timeStyle: 'short' }
+            };
+
+            return this._getFormatter('DateTimeFormat', presets[options] || options).format(value);
+        },
+
+        /**
+         * Format a date relative to now ("in 3 days", "2 hours ago", "tomorrow")
+         * @param {Date|string|number} date - Date to describe
+         * @param {Object} options - Intl.RelativeTimeFormat options (numeric: 'auto' by default)
+         * @returns {string} Relative time ('' for invalid dates)
+         */
+        formatRelativeTime: function (date, options = {}) {
+            const value = date instanceof Date ? date : new Date(date);
+            if (isNaN(value.getTime())) return '';
+
+            const seconds = (value.getTime() - Date.now()) / 1000;
+            const units = [
+                ['year', 365 * 24 * 3600], ['month', 30 * 24 * 3600], ['week', 7 * 24 * 3600],
+                ['day', 24 * 3600], ['hour', 3600], ['minute', 60], ['second', 1]
+            ];
+            const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || units[units.length - 1];
+
+            return this._getFormatter('RelativeTimeFormat', { numeric: 'auto', ...options })
+                .format(Math.round(seconds / size), unit);
+        },
+
+        /**
+         * Format bytes to human readable
+         * @param {number} bytes - Bytes to format
+         * @param {Object} options - { decimals: 2 }
+         * @returns {string} Formatted size
+         */
+        formatBytes: function (bytes, options = {}) {
+            if (bytes === 0) return '0 Bytes';
+            if (bytes === -1) return 'Unlimited';
+
+            const k = 1024;
+            const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+            const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+            const decimals = options.decimals !== undefined ? options.decimals : 2;
+
+            return this.formatNumber(bytes / Math.pow(k, i), { maximumFractionDigits: decimals }) + ' ' + sizes[i];
+        },
+
+        /**
+         * Error class thrown by saves that fail validation
+         */
+        ValidationError: ValidationError,
+
+        /**
+         * Check data against a record schema (config.validation.schemas)
+         * Saves run the same checks; failures also emit validationFailed
+         * @param {string} schema - 'user', 'subscription', 'settings' or 'activity'
+         * @param {*} value - Data to check
+         * @param {Object} options - { partial: false, unknownKeys } - partial skips required fields
+         * @returns {Object} { valid, errors: [{ path, rule, message, expected }] }
+         */
+        validate: function (schema, value, options = {}) {
+            const errors = [];
+            this._checkRecord(schema, value, '', options, errors);
+            return { valid: errors.length === 0, errors: errors };
+        },
+
+        /**
+         * Get plan comparison data
+         * @returns {Array} Plan comparison array
+         */
+        getPlanComparison: function () {
+            return Object.values(this.config.plans).map(plan => ({
+                ...plan,
+                apiLimitFormatted: this.formatNumber(plan.apiLimit),
+                storageLimitFormatted: plan.storageLimit,
+                modelsLimitFormatted: this.formatNumber(plan.modelsLimit),
+                projectsLimitFormatted: this.formatNumber(plan.projectsLimit)
+            }));
+        },
+
+        /**
+         * Get all plans ordered from the lowest to the highest tier
+         * @returns {Array} Plans (each with its id)
+         */
+        getPlans: function () {
+            return Object.entries(this.config.plans)
+                .map(([planId, plan]) => ({ ...plan, id: planId, tier: this._getPlanTier(planId) }))
+                .sort((a, b) => a.tier - b.tier);
+        },
+
+        /**
+         * Get a single plan from the catalog
+         * @param {string} planId - Plan ID
+         * @returns {Object|null} Plan definition
+         */
+        getPlan: function (planId) {
+            const plan = this.config.plans[planId];
+            return plan ? { ...plan, id: planId, tier: this._getPlanTier(planId) } : null;
+        },
+
+        /**
+         * Get the next plan up from a plan
+         * @param {string} planId - Current plan ID
+         * @returns {Object|null} Next higher plan, or null at the top
+         */
+        getUpgradePlan: function (planId) {
+            const tier = this._getPlanTier(planId);
+            return this.getPlans().find(plan => plan.tier > tier) || null;
+        },
+
+        /**
+         * Load the plan catalog from a JSON file, an endpoint or an object
+         * @param {string|Object} source - URL (defaults to config.catalog.url) or catalog object
+         * @param {Object} options - { force: true } skips the cache
+         * @returns {Promise<boolean>} Resolves with the success status
+         */
+        loadPlanCatalog: async function (source = this.config.catalog.url, options = {}) {
+            try {
+                if (!source) {
+                    throw new Error('No plan catalog URL configured');
+                }
+
+                if (typeof source === 'object') {
+                    return this._applyPlanCatalog(source, 'object');
+                }
+
+                const { cacheKey, ttl } = this.config.catalog;
+                const cached = this._getFromStorage(cacheKey);
+                if (!options.force && cached && cached.url === source && Date.now() - cached.fetchedAt < ttl) {
+                    return this._applyPlanCatalog(cached.catalog, 'cache');
+                }
+
+                const response = await fetch(source, {
+                    credentials: 'same-origin',
+                    headers: { 'Accept': 'application/json' }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Plan catalog request failed with status ${response.status}`);
+                }
+
+                const catalog = await response.json();
+                if (!this._applyPlanCatalog(catalog, 'remote')) {
+                    return false;
+                }
+
+                this._saveToStorage(cacheKey, { url: source, fetchedAt: Date.now(), catalog: catalog });
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error loading plan catalog:', error);
+                this._triggerEvent('plansLoadFailed', { error: error.message });
+                return false;
+            }
+        },
+
+        /**
+         * Resolve once the manager (and any async storage adapter) is ready
+         * @returns {Promise<Object>} Resolves with EmiralUserData, rejects with the error if init() failed
+         */
+        ready: function () {
+            if (this._state.initialized) {
+                return Promise.resolve(this);
+            }
+
+            if (this._state.initError) {
+                return Promise.reject(this._state.initError);
+            }
+
+            // initialized is sticky - resolves right away once it has fired
+            return new Promise((resolve, reject) => {
+                const offFailed = this.once('initFailed', ({ error }) => {
+                    offReady();
+                    reject(error);
+                });
+                const offReady = this.once('initialized', () => {
+                    offFailed();
+                    resolve(this);
+                });
+            });
+        },
+
+        /**
+         * Read a value through the active storage adapter
+         * @param {string} key - Storage key without prefix
+         * @returns {*} Parsed value or null
+         */
+        readStorage: function (key) {
+            return this._getFromStorage(key);
+        },
+
+        /**
+         * Write a value through the active storage adapter
+         * @param {string} key - Storage key without prefix
+         * @param {*} value - JSON-serializable value
+         * @returns {boolean} Success status
+         */
+        writeStorage: function (key, value) {
+            return this._saveToStorage(key, value);
+        },
+
+        /**
+         * Remove a value through the active storage adapter
+         * @param {string} key - Storage key without prefix
+         * @returns {boolean} Success status
+         */
+        removeStorage: function (key) {
+            return this._removeFromStorage(key);
+        },
+
+        /**
+         * Get the name of the active storage adapter
+         * @returns {string} Adapter name
+         */
+        getStorageAdapter: function () {
+            return this._getStorageAdapter().name;
+        },
+
+        /**
+         * Register a custom storage adapter factory
+         * @param {string} name - Adapter name used in config.storage.adapter
+         * @param {Function} factory - Receives adapter options, returns an adapter
+         */
+        registerStorageAdapter: function (name, factory) {
+            if (typeof factory !== 'function') {
+                throw new Error('Storage adapter factory must be a function');
+            }
+            storageAdapters[name] = factory;
+        },
+
+        /**
+         * Re-encrypt all protected storage keys with a new passphrase
+         * @param {string} newKey - New encryption passphrase
+         * @returns {Promise<boolean>} Success status
+         */
+        rotateEncryptionKey: async function (newKey) {
+            const encryption = this._state.encryption;
+
+            try {
+                if (!encryption.active) {
+                    throw new Error('Encryption is not enabled');
+                }
+
+                if (!newKey || newKey === this.config.storage.encryptionKey) {
+                    throw new Error('A different encryption key is required');
+                }
+
+                const salt = cryptoHelpers.randomBytes(16);
+                const key = await cryptoHelpers.deriveKey(newKey, salt, this.config.storage.encryptionIterations);
+
+                encryption.key = key;
+                encryption.salt = salt;
+                encryption.derivedKeys.clear();
+                encryption.derivedKeys.set(cryptoHelpers.toBase64(salt), key);
+                this.config.storage.encryptionKey = newKey;
+
+                // Plaintext is already cached, so every protected key can be rewritten directly
+                await Promise.all(Array.from(encryption.plaintext.entries()).map(
+                    ([fullKey, plaintext]) => this._writeEncrypted(fullKey, plaintext)
+                ));
+
+                this._triggerEvent('encryptionKeyRotated');
+                this.log('info', 'Encryption key rotated');
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error rotating encryption key:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Register a schema migration step
+         * @param {string} from - Schema version the step upgrades from
+         * @param {string} to - Schema version the step produces
+         * @param {Function} migrate - (bundle, manager) => upgraded bundle
+         * @param {string} description - Optional description for logs
+         */
+        registerMigration: function (from, to, migrate, description = '') {
+            if (typeof migrate !== 'function') {
+                throw new Error('Migration must be a function');
+            }
+
+            if (this._compareVersions(to, from) <= 0) {
+                throw new Error(`Migration must upgrade to a newer version (${from} -> ${to})`);
+            }
+
+            this._state.migrations = this._state.migrations.filter(step => step.from !== from);
+            this._state.migrations.push({ from, to, migrate, description });
+        },
+
+        /**
+         * Get the schema version of the stored data
+         * @returns {string} Schema version
+         */
+        getSchemaVersion: function () {
+            return this._getFromStorage(this.config.schema.versionKey) || LEGACY_SCHEMA_VERSION;
+        },
+
+        /**
+         * Restore the data snapshot taken before a migration that did not complete
+         * @returns {boolean} Success status
+         */
+        rollbackMigration: function () {
+            try {
+                const snapshot = this._getFromStorage(this.config.schema.snapshotKey);
+                if (!snapshot) {
+                    throw new Error('No migration snapshot available');
+                }
+
+                this._writeStorageBundle(snapshot.data);
+                this._saveToStorage(this.config.schema.versionKey, snapshot.version);
+                this._state.currentUser = null;
+
+                this._triggerEvent('migrationRolledBack', { version: snapshot.version });
+                this.log('info', `Rolled back stored data to schema ${snapshot.version}`);
+                return true;
+
+            } catch (error) {
+                this.log('error', 'Error rolling back migration:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Revert the last profile or settings edit (saveUserData / updateSettings)
+         * Plan, billing and account fields are not journaled (config.history.ignoreFields)
+         * @returns {boolean} Whether an edit was undone
+         */
+        undo: function () {
+            const history = this._state.history;
+            if (history.position === 0) return false;
+
+            const entry = history.entries[history.position - 1];
+            if (!this._applyHistoryPatch(entry.inverse)) return false;
+
+            history.position--;
+            this._emitHistoryChanged('undo', entry);
+            return true;
+        },
+
+        /**
+         * Re-apply the last undone edit
+         * @returns {boolean} Whether an edit was redone
+         */
+        redo: function () {
+            const history = this._state.history;
+            if (history.position === history.entries.length) return false;
+
+            const entry = history.entries[history.position];
+            if (!this._applyHistoryPatch(entry.patch)) return false;
+
+            history.position++;
+            this._emitHistoryChanged('redo', entry);
+            return true;
+        },
+
+        /**
+         * The change journal of this page, newest first
+         * @returns {Object} { canUndo, canRedo, entries: [{ id, at, fields, patch, undone }] }
+         */
+        getHistory: function () {
+            const { entries, position } = this._state.history;
+
+            return {
+                canUndo: position > 0,
+                canRedo: position < entries.length,
+                entries: entries
+                    .map((entry, index) => ({ ...this._describeHistoryEntry(entry), patch: JSON.parse(JSON.stringify(entry.patch)), undone: index >= position }))
+                    .reverse()
+            };
+        },
+
+        /**
+         * Forget every journaled edit (also done on sign-out, account switch and import)
+         */
+        clearHistory: function () {
+            const history = this._state.history;
+            if (history.entries.length === 0) return;
+
+            history.entries = [];
+            history.position = 0;
+            this._emitHistoryChanged('cleared', null);
+        },
+
+        /**
+         * Every key this app keeps on the device - the storage adapter plus any
+         * config.privacy.keyPrefixes key in localStorage and sessionStorage
+         * @returns {Array} { key, storage, bytes, category, description }
+         */
+        getStoredKeys: function () {
+            const entries = [];
+
+            this._getPrivacyStorageAreas().forEach(area => {
+                area.keys()
+                    .filter(key => this._isAppStorageKey(key))
+                    .forEach(key => {
+                        const raw = area.getItem(key);
+                        entries.push({
+                            key: key,
+                            storage: area.name,
+                            bytes: raw === null ? 0 : new TextEncoder().encode(raw).length,
+                            ...this._describeStoredKey(key)
+                        });
+                    });
+            });
+
+            return entries.sort((a, b) => a.category.localeCompare(b.category) || a.key.localeCompare(b.key));
+        },
+
+        /**
+         * What is stored about the current user, grouped for people rather than programs
+         * @returns {Object|null} { generatedAt, subject, sections: [{ title, items: [{ label, value }] }], storedKeys, text }
+         */
+        getAccessReport: function () {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                const stored = this._getFromStorage(this.config.storage.userDataKey) || {};
+                const settings = this._getFromStorage(this.config.storage.settingsKey) || {};
+                const activity = this._getActivityLog();
+                const storedKeys = this.getStoredKeys();
+                const erasure = this.getErasureRequest();
+                const consent = this.getAnalyticsConsent();
+                const generatedAt = new Date().toISOString();
+
+                const label = key => key.replace(/([A-Z])/g, ' $1').replace(/^./, first => first.toUpperCase());
+                const show = value => {
+                    if (value === undefined || value === null || value === '') return '-';
+                    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+                };
+                const item = (name, value) => ({ label: name, value: show(value) });
+
+                // Plan, billing and bookkeeping fields are reported in their own sections
+                const profile = this.config.privacy.profileFields
+                    .filter(field => stored[field] !== undefined && stored[field] !== null)
+                    .map(field => field === 'profileImage' ?
+                        item('Profile image', `Image (${this.formatBytes(stored.profileImage.length)})`) :
+                        item(label(field), stored[field]));
+
+                const oldest = activity.reduce((first, entry) => (!first || entry.timestamp < first ? entry.timestamp : first), null);
+                const organizations = this.getOrganizations();
+
+                const sections = [
+                    { title: 'Profile', items: profile },
+                    {
+                        title: 'Subscription & billing',
+                        items: [
+                            item('Plan', userData.plan),
+                            item('Status', this.getSubscriptionState()),
+                            item('Invoices', this.getInvoices().length),
+                            item('Plan changes', this.getPlanHistory().length)
+                        ]
+                    },
+                    { title: 'Settings', items: Object.keys(settings).map(key => item(label(key), settings[key])) },
+                    {
+                        title: 'Activity & usage',
+                        items: [
+                            item('Activity entries', activity.length),
+                            item('Oldest entry', oldest ? this.formatDate(oldest, 'datetime') : null),
+                            item('Days of rolled-up activity', Object.keys(this._getActivityRollups()).length),
+                            item('Days of usage records', Object.keys(this._getUsageLedger().days).length)
+                        ]
+                    },
+                    {
+                        title: 'Accounts & organizations',
+                        items: [
+                            item('Accounts on this device', this.listAccounts().length),
+                            item('Organizations', organizations.map(org => `${org.name} (${org.role})`).join(', ') || 'None')
+                        ]
+                    },
+                    {
+                        title: 'Consent & requests',
+                        items: [
+                            item('Analytics', consent === null ? 'Not asked' : (consent ? 'Allowed' : 'Declined')),
+                            item('Account deletion', erasure ? `Scheduled for ${this.formatDate(erasure.scheduledFor, 'datetime')}` : 'Not requested'),
+                            item('Receipts', this.getPrivacyReceipts().length)
+                        ]
+                    },
+                    {
+                        title: 'Stored on this device',
+                        items: storedKeys.map(entry => item(
+                            `${entry.key} (${entry.storage})`,
+                            `${entry.category} - ${entry.description}, ${this.formatBytes(entry.bytes)}`
+                        ))
+                    }
+                ];
+
+                const lines = [
+                    `Personal data report for ${userData.name || userData.email} <${userData.email}>`,
+                    `Generated ${this.formatDate(generatedAt, 'datetime')}`,
+                    ''
+                ];
+                sections.forEach(section => {
+                    lines.push(section.title.toUpperCase());
+                    if (section.items.length === 0) lines.push('  Nothing stored');
+                    section.items.forEach(entry => lines.push(`  ${entry.label}: ${entry.value}`));
+                    lines.push('');
+                });
+
+                return {
+                    generatedAt: generatedAt,
+                    subject: { id: userData.id, name: userData.name, email: userData.email },
+                    sections: sections,
+                    storedKeys: storedKeys,
+                    text: lines.join('\n')
+                };
+
+            } catch (error) {
+                this.log('error', 'Error creating access report:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Save the access report in the browser
+         * @param {Object} options - { format: 'text' | 'json' }
+         * @returns {Object|null} The report
+         */
+        downloadAccessReport: function (options = {}) {
+            const report = this.getAccessReport();
+            if (!report) return null;
+
+            const format = options.format === 'json' ? 'json' : 'text';
+            const { text, ...data } = report;
+            this._downloadFiles([{
+                name: `${this.config.privacy.reportFilename}-${report.generatedAt.slice(0, 10)}.${format === 'json' ? 'json' : 'txt'}`,
+                mimeType: format === 'json' ? 'application/json' : 'text/plain',
+                content: format === 'json' ? JSON.stringify(data, null, 2) : text
+            }]);
+
+            this._triggerEvent('accessReportDownloaded', { format, generatedAt: report.generatedAt });
+            return report;
+        },
+
+        /**
+         * Correct profile data at the user's request - saved like any edit, plus a receipt
+         * @param {Object} changes - Corrected fields from config.privacy.profileFields (others are refused)
+         * @param {Object} options - { reason }
+         * @returns {Object|null} The rectification receipt (null when nothing was saved)
+         */
+        rectifyUserData: function (changes, options = {}) {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                const fields = Object.keys(changes || {});
+                const refused = fields.filter(field => !this.config.privacy.profileFields.includes(field));
+                if (refused.length) {
+                    throw new Error(`Not correctable here: ${refused.join(', ')}`);
+                }
+
+                const corrected = fields.filter(field => !this._isSameValue(userData[field], changes[field]));
+                if (corrected.length === 0) return null;
+
+                if (!this.saveUserData(this._pickFields(changes, corrected))) return null;
+
+                const receipt = this._recordPrivacyReceipt('rectification', {
+                    subjectId: userData.id,
+                    fields: corrected,
+                    reason: options.reason || null
+                });
+                this._triggerEvent('dataRectified', receipt);
+                return receipt;
+
+            } catch (error) {
+                this.log('error', 'Error rectifying user data:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Ask for the account to be erased after config.privacy.erasureGraceDays
+         * The user confirms by typing the account email; until the date passes
+         * cancelErasure() keeps everything
+         * @param {Object} options - { confirmEmail, graceDays }
+         * @returns {Object|null} The request ({ id, subjectId, requestedAt, scheduledFor }), or the erasure receipt when the grace period is 0
+         */
+        requestErasure: function (options = {}) {
+            try {
+                const userData = this.getUserData();
+                if (!userData) {
+                    throw new Error('No user logged in');
+                }
+
+                const typed = String(options.confirmEmail || '').trim().toLowerCase();
+                if (!typed || typed !== String(userData.email || '').toLowerCase()) {
+                    throw new Error('The email does not match this account');
+                }
+
+                if (this.getErasureRequest()) {
+                    throw new Error('Erasure already requested');
+                }
+
+                const graceDays = options.graceDays !== undefined ? options.graceDays : this.config.privacy.erasureGraceDays;
+                const now = new Date();
+                const request = {
+                    id: 'era_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                    subjectId: userData.id,
+                    requestedAt: now.toISOString(),
+                    scheduledFor: new Date(now.getTime() + Math.max(0, graceDays) * 86400000).toISOString()
+                };
+
+                this._recordPrivacyReceipt('erasureRequested', {
+                    subjectId: request.subjectId,
+                    requestId: request.id,
+                    scheduledFor: request.scheduledFor
+                });
+
+                if (graceDays <= 0) {
+                    return this._performErasure(request);
+                }
+
+                this._updateErasureRequests(requests => { requests[request.subjectId] = request; });
+                this._scheduleErasure();
+
+                this._triggerEvent('erasureRequested', { ...request });
+                return { ...request };
+
+            } catch (error) {
+                this.log('error', 'Error requesting erasure:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Withdraw the current user's erasure request
+         * @returns {boolean} Whether a request was cancelled
+         */
+        cancelErasure: function () {
+            const request = this.getErasureRequest();
+            if (!request) return false;
+
+            this._updateErasureRequests(requests => { delete requests[request.subjectId]; });
+            this._scheduleErasure();
+
+            this._recordPrivacyReceipt('erasureCancelled', { subjectId: request.subjectId, requestId: request.id });
+            this._triggerEvent('erasureCancelled', request);
+            return true;
+        },
+
+        /**
+         * The current user's pending erasure request
+         * @returns {Object|null} { id, subjectId, requestedAt, scheduledFor }
+         */
+        getErasureRequest: function () {
+            const userData = this.getUserData();
+            const request = userData ? this._getErasureRequests()[userData.id] : null;
+            return request ? { ...request } : null;
+        },
+
+        /**
+         * Record that the user gave or withdrew consent (analytics consent is recorded automatically)
+         * @param {string} purpose - What the consent is for, e.g. 'marketingEmails'
+         * @param {boolean} granted - Whether the user agreed
+         * @returns {Object} The consent receipt
+         */
+        recordConsent: function (purpose, granted) {
+            const userData = this.getUserData();
+            const receipt = this._recordPrivacyReceipt('consent', {
+                subjectId: userData ? userData.id : null,
+                purpose: purpose,
+                granted: !!granted
+            });
+
+            this._triggerEvent('consentRecorded', receipt);
+            return receipt;
+        },
+
+        /**
+         * Consent, rectification and erasure receipts, newest first
+         * Erasure receipts stay on the device after the account is gone
+         * @param {Object} options - { type, subjectId, limit }
+         * @returns {Array} Receipts ({ id, type, at, subjectId, ... })
+         */
+        getPrivacyReceipts: function (options = {}) {
+            const receipts = (this._getFromStorage(this.config.privacy.receiptsKey) || [])
+                .filter(receipt => !options.type || receipt.type === options.type)
+                .filter(receipt => options.subjectId === undefined || receipt.subjectId === options.subjectId)
+                .reverse();
+
+            return options.limit ? receipts.slice(0, options.limit) : receipts;
+        },
+
+        /**
+         * Pull remote changes and push local ones right away
+         * @returns {Promise<boolean>} Resolves with the sync result
+         */
+        syncNow: function () {
+            clearTimeout(this._state.sync.pushTimer);
+            this._state.sync.pushTimer = null;
+            return this._syncWithServer();
+        },
+
+        /**
+         * Get the current sync status
+         * @returns {Object} Sync status
+         */
+        getSyncStatus: function () {
+            const syncState = this._getSyncState();
+
+            return {
+                status: this._state.sync.status,
+                configured: this._isSyncConfigured(),
+                lastSync: syncState.lastSync,
+                revision: syncState.revision,
+                pendingChanges: syncState.dirty,
+                lastError: this._state.sync.lastError ? this._state.sync.lastError.message : null
+            };
+        },
+
+        /**
+         * Create an in-memory sync server for local development
+         * @param {Object} options - { latency, failRate, initialData }
+         * @returns {Function} Transport for config.sync.transport
+         */
+        createMockSyncServer: function (options = {}) {
+            return createMockSyncTransport(options);
+        },
+
+        /**
+         * Get the actions waiting in the offline queue
+         * @returns {Array} Queued actions in replay order
+         */
+        getOfflineQueue: function () {
+            return this._state.offlineQueue.map(item => JSON.parse(JSON.stringify(item)));
+        },
+
+        /**
+         * Cancel a queued offline action
+         * @param {string} id - Action ID from getOfflineQueue()
+         * @returns {boolean} True if the action was removed
+         */
+        cancelOfflineAction: function (id) {
+            this._reloadOfflineQueue();
+
+            const index = this._state.offlineQueue.findIndex(item => item.id === id);
+            if (index === -1) return false;
+
+            const [item] = this._state.offlineQueue.splice(index, 1);
+            this._persistOfflineQueue();
+            this._triggerEvent('offlineActionCanceled', item);
+            return true;
+        },
+
+        /**
+         * Discard every queued offline action
+         * @returns {number} Number of discarded actions
+         */
+        clearOfflineQueue: function () {
+            const count = this._state.offlineQueue.length;
+            this._state.offlineQueue = [];
+            this._persistOfflineQueue();
+            return count;
+        },
+
+        /**
+         * Replay queued offline actions now (runs automatically when back online)
+         * @returns {Promise} Resolves when the queue has been processed
+         */
+        processOfflineQueue: function () {
+            if (!this._state.tabs.isLeader) {
+                // Only the leader replays - avoids two tabs sending the same action
+                this._notifyOtherTabs('replayRequested');
+                return Promise.resolve();
+            }
+
+            return this._processOfflineQueue();
+        },
+
+        /**
+         * Whether this tab runs background sync and offline replay
+         * @returns {boolean} True in the leader tab
+         */
+        isLeaderTab: function () {
+            return this._state.tabs.isLeader;
+        },
+
+        /**
+         * Cross-tab coordination details for this tab
+         * @returns {Object} { tabId, isLeader, leaderId, election, channel }
+         */
+        getTabInfo: function () {
+            const tabs = this._state.tabs;
+
+            return {
+                tabId: tabs.id,
+                isLeader: tabs.isLeader,
+                leaderId: tabs.leaderId,
+                election: tabs.election,
+                channel: tabs.channel ? 'broadcast' : 'storage'
+            };
+        },
+
+        // Private methods
+        _initializeStorage: function () {
+            const { adapter, adapterOptions = {} } = this.config.storage;
+
+            try {
+                if (adapter && typeof adapter === 'object') {
+                    this._state.storageAdapter = adapter;
+                } else if (storageAdapters[adapter]) {
+                    this._state.storageAdapter = storageAdapters[adapter](adapterOptions[adapter] || {});
+                } else {
+                    throw new Error(`Unknown storage adapter: ${adapter}`);
+                }
+            } catch (e) {
+                this.log('error', `Storage adapter "${adapter}" not available, using memory storage:`, e);
+                this._state.storageAdapter = createMemoryAdapter();
+            }
+
+            // Async adapters are read through a synchronous mirror
+            this._state.storageMirror = this._state.storageAdapter.async ? new Map() : null;
+        },
+
+        _hydrateStorage: async function () {
+            const adapter = this._getStorageAdapter();
+            const prefix = this.config.storage.prefix;
+
+            try {
+                const keys = (await adapter.keys()).filter(key => String(key).startsWith(prefix));
+
+                if (adapter.async) {
+                    for (const key of keys) {
+                        const value = await adapter.getItem(key);
+                        if (value !== null) {
+                            this._state.storageMirror.set(key, value);
+                        }
+                    }
+                }
+
+                if (keys.length === 0 && adapter.name !== 'localStorage' && this.config.storage.migrateFromLocalStorage) {
+                    this._migrateFromLocalStorage();
+                }
+
+                this.log('info', `Storage ready using ${adapter.name} (${keys.length} keys)`);
+
+            } catch (error) {
+                this.log('error', `Failed to hydrate storage from ${adapter.name}:`, error);
+            }
+        },
+
+        _migrateFromLocalStorage: function () {
+            const prefix = this.config.storage.prefix;
+            let legacy;
+
+            try {
+                legacy = createWebStorageAdapter('localStorage');
+            } catch (e) {
+                return;
+            }
+
+            legacy.keys()
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => {
+                    this._storageSet(key, legacy.getItem(key));
+                    legacy.removeItem(key);
+                });
+        },
+
+        _getStorageAdapter: function () {
+            // Scripts may read before init() runs - resolve the adapter lazily
+            if (!this._state.storageAdapter) {
+                this._initializeStorage();
+            }
+            return this._state.storageAdapter;
+        },
+
+        _storageGet: function (fullKey) {
+            const adapter = this._getStorageAdapter();
+
+            if (this._state.storageMirror) {
+                return this._state.storageMirror.has(fullKey) ? this._state.storageMirror.get(fullKey) : null;
+            }
+
+            return adapter.getItem(fullKey);
+        },
+
+        _storageSet: function (fullKey, serialized) {
+            const adapter = this._getStorageAdapter();
+
+            if (this._state.storageMirror) {
+                this._state.storageMirror.set(fullKey, serialized);
+                this._persistAsync(adapter.setItem(fullKey, serialized), fullKey);
+            } else {
+                adapter.setItem(fullKey, serialized);
+            }
+        },
+
+        _storageRemove: function (fullKey) {
+            const adapter = this._getStorageAdapter();
+
+            if (this._state.storageMirror) {
+                this._state.storageMirror.delete(fullKey);
+                this._persistAsync(adapter.removeItem(fullKey), fullKey);
+            } else {
+                adapter.removeItem(fullKey);
+            }
+        },
+
+        _storageKeys: function () {
+            const adapter = this._getStorageAdapter();
+
+            if (this._state.storageMirror) {
+                return Array.from(this._state.storageMirror.keys());
+            }
+
+            return adapter.keys();
+        },
+
+        _persistAsync: function (promise, fullKey) {
+            Promise.resolve(promise).catch(error => {
+                this.log('error', `Error persisting ${fullKey} to ${this._state.storageAdapter.name}:`, error);
+                this._triggerEvent('storageError', { key: fullKey, error });
+            });
+
+            this._trackWrite(promise);
+        },
+
+        _getEncryptedStorageKeys: function () {
+            const { prefix, userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+
+            // The sync state keeps a copy of the same data as its merge base;
+            // organizations hold member emails and invitation tokens; accounts hold parked user data;
+            // the import and schema snapshots are whole records from before an import or migration;
+            // the plan history names who made each plan change (id and email);
+            // the offline queue holds the pending saves themselves
+            return [
+                userDataKey, subscriptionKey, settingsKey, this.config.sync.stateKey,
+                this.config.organizations.storageKey, this.config.accounts.storageKey,
+                this.config.import.snapshotKey, this.config.schema.snapshotKey,
+                this.config.subscriptions.historyKey, this.config.offline.queueKey
+            ].map(key => prefix + key);
+        },
+
+        _isEncryptedKey: function (fullKey) {
+            return this._getEncryptedStorageKeys().includes(fullKey);
+        },
+
+        _initializeEncryption: async function () {
+            const encryption = this._state.encryption;
+            const { enableEncryption, encryptionKey, encryptionIterations } = this.config.storage;
+            const fullKeys = this._getEncryptedStorageKeys();
+            const stored = fullKeys.map(fullKey => [fullKey, this._storageGet(fullKey)]);
+            const envelopes = stored.filter(([, raw]) => cryptoHelpers.isEnvelope(raw));
+
+            if (!enableEncryption && envelopes.length === 0) return;
+
+            if (!cryptoHelpers.isSupported()) {
+                this.log('error', 'WebCrypto not available (HTTPS required) - user data stays unencrypted');
+                this._triggerEvent('encryptionError', { error: new Error('WebCrypto not available') });
+                return;
+            }
+
+            try {
+                if (enableEncryption) {
+                    // Reuse the salt of existing data so unchanged values are not rewritten on every load
+                    const existing = envelopes.length > 0 ? JSON.parse(envelopes[0][1]) : null;
+                    encryption.salt = existing ? cryptoHelpers.fromBase64(existing.salt) : cryptoHelpers.randomBytes(16);
+                    encryption.key = await this._getDerivedKey(cryptoHelpers.toBase64(encryption.salt));
+                    encryption.active = true;
+                }
+
+                for (const [fullKey, raw] of stored) {
+                    if (raw === null) continue;
+
+                    let plaintext = raw;
+                    if (cryptoHelpers.isEnvelope(raw)) {
+                        try {
+                            plaintext = await this._decryptEnvelope(raw);
+                        } catch (error) {
+                            // Keep the ciphertext untouched - it may still open with the right key
+                            this.log('error', `Unable to decrypt ${fullKey} - check storage.encryptionKey`);
+                            this._triggerEvent('encryptionError', { key: fullKey, error });
+                            continue;
+                        }
+                    }
+
+                    if (encryption.active) {
+                        encryption.plaintext.set(fullKey, plaintext);
+
+                        // Data saved before encryption was enabled is upgraded in place
+                        if (!cryptoHelpers.isEnvelope(raw)) {
+                            await this._writeEncrypted(fullKey, plaintext);
+                        }
+                    } else {
+                        // Encryption was turned off - store the decrypted value as plain JSON again
+                        this._storageSet(fullKey, plaintext);
+                    }
+                }
+
+                this.log('info', `Encryption ${encryption.active ? 'enabled' : 'disabled'} (PBKDF2 ${encryptionIterations} iterations)`);
+
+            } catch (error) {
+                encryption.active = false;
+                this.log('error', 'Failed to initialize encryption:', error);
+                this._triggerEvent('encryptionError', { error });
+            }
+        },
+
+        _getDerivedKey: async function (saltBase64) {
+            const encryption = this._state.encryption;
+
+            if (!encryption.derivedKeys.has(saltBase64)) {
+                const key = await cryptoHelpers.deriveKey(
+                    this.config.storage.encryptionKey,
+                    cryptoHelpers.fromBase64(saltBase64),
+                    this.config.storage.encryptionIterations
+                );
+                encryption.derivedKeys.set(saltBase64, key);
+            }
+
+            return encryption.derivedKeys.get(saltBase64);
+        },
+
+        _decryptEnvelope: async function (raw) {
+            const envelope = JSON.parse(raw);
+            const key = await this._getDerivedKey(envelope.salt);
+            return cryptoHelpers.decrypt(key, envelope);
+        },
+
+        _writeEncrypted: async function (fullKey, plaintext) {
+            const encryption = this._state.encryption;
+            const token = {};
+            encryption.writeTokens.set(fullKey, token);
+
+            try {
+                const envelope = await cryptoHelpers.encrypt(encryption.key, encryption.salt, plaintext);
+
+                // A newer save or remove for this key superseded this write
+                if (encryption.writeTokens.get(fullKey) !== token) return;
+
+                encryption.writeTokens.delete(fullKey);
+                this._storageSet(fullKey, envelope);
+
+            } catch (error) {
+                this.log('error', `Error encrypting ${fullKey}:`, error);
+
+                // The value never reached storage - go back to what is stored so
+                // the page does not keep showing data that is lost on reload
+                if (encryption.writeTokens.get(fullKey) === token) {
+                    encryption.writeTokens.delete(fullKey);
+                    const stored = this._storageGet(fullKey);
+                    let previous = null;
+
+                    try {
+                        previous = cryptoHelpers.isEnvelope(stored) ? await this._decryptEnvelope(stored) : stored;
+                    } catch (e) {
+                        previous = null;
+                    }
+
+                    if (previous !== null) {
+                        encryption.plaintext.set(fullKey, previous);
+                    } else {
+                        encryption.plaintext.delete(fullKey);
+                    }
+                    this._state.currentUser = null;
+                    this._state.cache.clear();
+                }
+
+                this._triggerEvent('encryptionError', { key: fullKey, error });
+                this._triggerEvent('storageError', { key: fullKey, error });
+            }
+        },
+
+        _readStorageBundle: function () {
+            const { userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+
+            return {
+                userData: this._getFromStorage(userDataKey),
+                subscription: this._getFromStorage(subscriptionKey),
+                settings: this._getFromStorage(settingsKey),
+                activityLog: this._getFromStorage(this.config.activity.storageKey),
+                activityRollups: this._getFromStorage(this.config.activity.rollupKey)
+            };
+        },
+
+        _writeStorageBundle: function (bundle) {
+            const { userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+            const keys = {
+                userData: userDataKey,
+                subscription: subscriptionKey,
+                settings: settingsKey,
+                activityLog: this.config.activity.storageKey,
+                activityRollups: this.config.activity.rollupKey
+            };
+
+            Object.entries(keys).forEach(([field, key]) => {
+                if (bundle[field] === null || bundle[field] === undefined) {
+                    this._removeFromStorage(key);
+                } else {
+                    this._saveToStorage(key, bundle[field]);
+                }
+            });
+        },
+
+        _runStorageMigrations: function () {
+            const { version: targetVersion, versionKey, snapshotKey } = this.config.schema;
+            const storedVersion = this.getSchemaVersion();
+            const comparison = this._compareVersions(storedVersion, targetVersion);
+
+            if (comparison === 0) return;
+
+            if (comparison > 0) {
+                this.log('warn', `Stored data uses newer schema ${storedVersion} than ${targetVersion} - leaving it untouched`);
+                return;
+            }
+
+            const bundle = this._readStorageBundle();
+            const hasData = Object.values(bundle).some(value => value !== null);
+
+            if (!hasData) {
+                this._saveToStorage(versionKey, targetVersion);
+                return;
+            }
+
+            // Snapshot the last good data before touching it
+            this._saveToStorage(snapshotKey, {
+                version: storedVersion,
+                createdAt: new Date().toISOString(),
+                data: bundle
+            });
+
+            try {
+                const migrated = this._migrateBundle(bundle, storedVersion);
+
+                this._writeStorageBundle(migrated);
+                this._saveToStorage(versionKey, targetVersion);
+
+                // The snapshot is only needed to recover from a failed run
+                this._removeFromStorage(snapshotKey);
+
+                this._triggerEvent('dataMigrated', { from: storedVersion, to: targetVersion });
+                this.log('info', `Stored data migrated from schema ${storedVersion} to ${targetVersion}`);
+
+            } catch (error) {
+                // Migrations run in memory first, but restore the snapshot in case a step wrote directly
+                this.rollbackMigration();
+                this.log('error', 'Data migration failed, restored last good snapshot:', error);
+                this._triggerEvent('migrationFailed', { from: storedVersion, to: targetVersion, error });
+            }
+        },
+
+        _migrateBundle: function (bundle, fromVersion) {
+            const targetVersion = this.config.schema.version;
+            let version = fromVersion;
+            let result = JSON.parse(JSON.stringify(bundle));
+
+            while (this._compareVersions(version, targetVersion) < 0) {
+                const step = this._state.migrations.find(migration => migration.from === version);
+                if (!step) {
+                    throw new Error(`No migration registered from schema ${version}`);
+                }
+
+                result = step.migrate(result, this);
+                if (!result || typeof result !== 'object') {
+                    throw new Error(`Migration ${step.from} -> ${step.to} returned no data`);
+                }
+
+                this.log('info', `Applied migration ${step.from} -> ${step.to}`, step.description);
+                version = step.to;
+            }
+
+            return result;
+        },
+
+        _compareVersions: function (a, b) {
+            const left = String(a).split('.').map(Number);
+            const right = String(b).split('.').map(Number);
+
+            for (let i = 0; i < Math.max(left.length, right.length); i++) {
+                const diff = (left[i] || 0) - (right[i] || 0);
+                if (diff !== 0) return diff > 0 ? 1 : -1;
+            }
+
+            return 0;
+        },
+
+        _handleEncryptedStorageChange: async function (event) {
+            const encryption = this._state.encryption;
+
+            if (!event.newValue) {
+                encryption.plaintext.delete(event.key);
+            } else if (cryptoHelpers.isEnvelope(event.newValue)) {
+                try {
+                    encryption.plaintext.set(event.key, await this._decryptEnvelope(event.newValue));
+                } catch (error) {
+                    this.log('error', `Unable to decrypt ${event.key} from another tab:`, error);
+                    return;
+                }
+            }
+
+            this._handleStorageChange(event);
+        },
+
+        _setupEventListeners: function () {
+            // Listen for storage changes from other tabs
+            window.addEventListener('storage', (e) => {
+                if (e.key && e.key.startsWith(this.config.storage.prefix)) {
+                    if (this._state.encryption.active && this._isEncryptedKey(e.key)) {
+                        this._handleEncryptedStorageChange(e);
+                    } else {
+                        this._handleStorageChange(e);
+                    }
+                }
+            });
+
+            // Interaction keeps the session alive (sliding expiry, idle timeout)
+            this.config.session.activityEvents.forEach(type => {
+                document.addEventListener(type, () => this._handleUserActivity(), { capture: true, passive: true });
+            });
+
+            // Listen for visibility changes
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden && this._state.initialized) {
+                    // Refresh data when tab becomes visible
+                    this.getUserData(true);
+
+                    // Timers are throttled in background tabs - catch up before counting the return as activity
+                    this._checkSession();
+                    this._handleUserActivity();
+                    this._evaluateSubscriptions();
+                } else if (document.hidden && this.config.analytics.flushOnHide) {
+                    // Last reliable moment on mobile - the page may never come back
+                    this.flushAnalytics(true);
+                }
+            });
+
+            // Listen for online/offline - every tab sees it, only the leader acts
+            window.addEventListener('online', () => {
+                if (!this._state.tabs.isLeader) return;
+
+                this._processOfflineQueue();
+
+                // Push anything that was edited while offline
+                if (this._isSyncConfigured() && this._getSyncState().dirty) {
+                    this._syncWithServer();
+                }
+            });
+
+            // Hand leadership over when the tab goes away; re-elect when restored from the back/forward cache
+            window.addEventListener('pagehide', () => {
+                this._resignLeadership();
+
+                if (this.config.analytics.flushOnHide) {
+                    this.flushAnalytics(true);
+                }
+            });
+            window.addEventListener('pageshow', (e) => {
+                if (e.persisted) this._electLeader();
+            });
+
+            window.addEventListener('offline', () => {
+                this._showNotification('You are offline. Changes will be synced when connection is restored.', 'warning');
+            });
+        },
+
+        _handleStorageChange: function (event) {
+            const key = event.key.replace(this.config.storage.prefix, '');
+
+            switch (key) {
+                case this.config.storage.userDataKey:
+                    if (!event.newValue) {
+                        // User logged out in another tab
+                        this._state.currentUser = null;
+                        this._triggerEvent('userLoggedOut');
+                    } else {
+                        // User data updated in another tab
+                        this._state.currentUser = null; // Clear cache
+                        this.getUserData(true); // Reload
+                        this._triggerEvent('dataUpdated', this._state.currentUser);
+                    }
+                    break;
+
+                case this.config.storage.subscriptionKey:
+                    // Subscription updated
+                    this.getUserData(true);
+                    this._triggerEvent('subscriptionUpdated');
+                    break;
+
+                case this.config.organizations.storageKey:
+                    // Membership, roles or organization billing changed in another tab
+                    this._state.currentUser = null;
+                    this._triggerEvent('dataUpdated', this.getUserData());
+                    break;
+
+                case this.config.session.storageKey:
+                    // Activity or a token refresh in another tab
+                    this._checkSession();
+                    break;
+
+                case this.config.tabs.messageKey:
+                    // Tab message sent without BroadcastChannel
+                    if (event.newValue) {
+                        try {
+                            this._handleTabMessage(JSON.parse(event.newValue));
+                        } catch (error) {
+                            this.log('error', 'Invalid tab message:', error);
+                        }
+                    }
+                    break;
+            }
+        },
+
+        /**
+         * Throw when data fails a schema - the error carries the structured errors
+         */
+        _assertValid: function (schema, value, options = {}) {
+            const { valid, errors } = this.validate(schema, value, options);
+            if (valid) return;
+
+            this._triggerEvent('validationFailed', { schema, errors });
+            throw this._createValidationError(schema, errors);
+        },
+
+        _createValidationError: function (schema, errors) {
+            return new ValidationError(schema, errors);
+        },
+
+        _checkRecord: function (schema, value, path, options, errors) {
+            const name = typeof schema === 'string' ? schema : null;
+            const definition = name ? this.config.validation.schemas[name] : schema;
+            if (!definition) {
+                throw new Error(`Unknown schema "${name}"`);
+            }
+
+            if (!this._isObject(value)) {
+                errors.push({ path: path, rule: 'type', message: `${path || name || 'Value'} must be an object`, expected: 'object' });
+                return;
+            }
+
+            if (definition.maxSize !== undefined && JSON.stringify(value).length > definition.maxSize) {
+                errors.push({ path: path, rule: 'maxSize', message: `${path || name} is larger than ${definition.maxSize} characters`, expected: definition.maxSize });
+            }
+
+            const properties = definition.properties || {};
+            Object.entries(properties).forEach(([key, rule]) => {
+                this._checkValue(rule, value[key], path ? `${path}.${key}` : key, options, errors);
+            });
+
+            const policy = options.unknownKeys || this.config.validation.unknownKeys || definition.unknownKeys || 'passthrough';
+            if (policy === 'strict') {
+                Object.keys(value)
+                    .filter(key => !properties[key] && value[key] !== undefined)
+                    .forEach(key => {
+                        const keyPath = path ? `${path}.${key}` : key;
+                        errors.push({ path: keyPath, rule: 'unknownKey', message: `${keyPath} is not a known field` });
+                    });
+            }
+        },
+
+        _checkValue: function (rule, value, path, options, errors) {
+            const fail = (name, message, expected) => {
+                errors.push({
+                    path: path,
+                    rule: name,
+                    message: (rule.messages && rule.messages[name]) || message,
+                    ...(expected !== undefined ? { expected } : {})
+                });
+            };
+
+            if (value === undefined) {
+                if (rule.required && !options.partial) fail('required', `${path} is required`);
+                return;
+            }
+
+            if (value === null) {
+                if (!rule.nullable) fail('type', `${path} must not be empty`, rule.type || 'object');
+                return;
+            }
+
+            if (rule.schema) {
+                this._checkRecord(rule.schema, value, path, options, errors);
+                return;
+            }
+
+            const types = [].concat(rule.type || 'any');
+            if (!types.some(type => this._isType(value, type))) {
+                fail('type', `${path} must be ${types.map(type => /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`).join(' or ')}`, rule.type);
+                return;
+            }
+
+            if (typeof value === 'string' || Array.isArray(value)) {
+                const unit = (count) => `${count} ${typeof value === 'string' ? 'character' : 'item'}${count === 1 ? '' : 's'}`;
+                if (rule.minLength !== undefined && value.length < rule.minLength) fail('minLength', `${path} must be at least ${unit(rule.minLength)}`, rule.minLength);
+                if (rule.maxLength !== undefined && value.length > rule.maxLength) fail('maxLength', `${path} must be at most ${unit(rule.maxLength)}`, rule.maxLength);
+            }
+
+            if (typeof value === 'number') {
+                if (rule.min !== undefined && value < rule.min) fail('min', `${path} must be at least ${rule.min}`, rule.min);
+                if (rule.max !== undefined && value > rule.max) fail('max', `${path} must be at most ${rule.max}`, rule.max);
+            }
+
+            if (rule.enum && !rule.enum.includes(value)) {
+                fail('enum', `${path} must be one of: ${rule.enum.join(', ')}`, rule.enum);
+            }
+
+            if (rule.format) {
+                const check = this.config.validation.formats[rule.format];
+                if (!check) {
+                    throw new Error(`Unknown validation format "${rule.format}"`);
+                }
+                if (!check(value, this)) fail('format', `${path} must be a valid ${rule.format}`, rule.format);
+            }
+
+            if (rule.maxSize !== undefined && JSON.stringify(value).length > rule.maxSize) {
+                fail('maxSize', `${path} is larger than ${rule.maxSize} characters`, rule.maxSize);
+            }
+
+            if (rule.properties) {
+                this._checkRecord(rule, value, path, options, errors);
+            }
+
+            if (rule.items && Array.isArray(value)) {
+                value.forEach((item, index) => this._checkValue(rule.items, item, `${path}[${index}]`, options, errors));
+            }
+        },
+
+        _isType: function (value, type) {
+            switch (type) {
+                case 'string': return typeof value === 'string';
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                case 'integer': return Number.isInteger(value);
+                case 'boolean': return typeof value === 'boolean';
+                case 'object': return this._isObject(value);
+                case 'array': return Array.isArray(value);
+                default: return true;
+            }
+        },
+
+        _isValidEmail: function (email) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+        },
+
+        _generateUserId: function () {
+            return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        },
+
+        _getDefaultAvatar: function (userData) {
+            // Generate avatar with user initials
+            const name = userData?.name || 'Guest User';
+            const email = userData?.email || 'user@example.com';
+
+            // Extract initials
+            let initials = 'U';
+            if (name && name !== 'Guest User') {
+                const parts = name.trim().split(/\s+/);
+                if (parts.length >= 2) {
+                    initials = parts[0][0] + parts[parts.length - 1][0];
+                } else if (parts[0].length >= 2) {
+                    initials = parts[0].substring(0, 2);
+                } else {
+                    initials = parts[0][0];
+                }
+            } else if (email && email !== 'user@example.com') {
+                const emailName = email.split('@')[0];
+                initials = emailName.substring(0, 2);
+            }
+            initials = initials.toUpperCase();
+
+            // Generate consistent color based on user data
+            const str = (email || name || 'default').toLowerCase();
+            let hash = 0;
+            for (let i = 0; i < str.length; i++) {
+                hash = ((hash << 5) - hash) + str.charCodeAt(i);
+                hash = hash & hash;
+            }
+
+            // Professional color palette
+            const colors = [
+                '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
+                '#F7DC6F', '#BB8FCE', '#85C1F2', '#F8B739', '#52C41A',
+                '#1890FF', '#722ED1', '#EB2F96', '#13C2C2', '#FAAD14'
+            ];
+
+            const colorIndex = Math.abs(hash) % colors.length;
+            const backgroundColor = colors[colorIndex];
+
+            // Create SVG avatar
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">
+                <circle cx="50" cy="50" r="50" fill="${backgroundColor}"/>
+                <text x="50%" y="50%" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" 
+                      font-size="40" font-weight="600" fill="#FFFFFF" text-anchor="middle" 
+                      dominant-baseline="middle" style="user-select: none;">${initials}</text>
+            </svg>`;
+
+            // Convert to data URL
+            return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
+        },
+
+        _getSessionRecord: function () {
+            return this._getFromStorage(this.config.session.storageKey);
+        },
+
+        _saveSessionRecord: function (record) {
+            this._saveToStorage(this.config.session.storageKey, record);
+            this._notifyOtherTabs('sessionChanged');
+
+            if (this._state.currentUser) {
+                this._state.currentUser.session = this._describeSession(record);
+            }
+        },
+
+        _startSession: function (details = {}) {
+            const now = Date.now();
+            const startedAt = details.startedAt ? Date.parse(details.startedAt) || now : now;
+            const record = {
+                id: 'sess_' + now.toString(36) + Math.random().toString(36).substr(2, 6),
+                startedAt: new Date(startedAt).toISOString(),
+                lastActivityAt: new Date(now).toISOString(),
+                expiresAt: null,
+                token: details.token || null,
+                refreshToken: details.refreshToken || null,
+                tokenExpiresAt: details.tokenExpiresAt ? new Date(details.tokenExpiresAt).toISOString() : null
+            };
+            record.expiresAt = this._getSlidingExpiry(record, now);
+
+            // Sessions created for older data keep their original expiry if it comes first
+            if (details.expiresAt && (!record.expiresAt || Date.parse(details.expiresAt) < Date.parse(record.expiresAt))) {
+                record.expiresAt = new Date(details.expiresAt).toISOString();
+            }
+
+            this._state.session.warning = null;
+            this._state.session.lastTouch = now;
+            this._saveSessionRecord(record);
+
+            if (this._isSessionValid(record)) {
+                this._checkSession();
+            }
+            return record;
+        },
+
+        _getSlidingExpiry: function (record, now) {
+            const { sessionTimeout } = this.config.storage;
+            const { maxDuration } = this.config.session;
+            if (!sessionTimeout) {
+                return maxDuration ? new Date(Date.parse(record.startedAt) + maxDuration * 3600000).toISOString() : null;
+            }
+
+            let expiresAt = now + sessionTimeout * 3600000;
+            if (maxDuration) {
+                expiresAt = Math.min(expiresAt, Date.parse(record.startedAt) + maxDuration * 3600000);
+            }
+            return new Date(expiresAt).toISOString();
+        },
+
+        _isSessionValid: function (record) {
+            if (!record || !record.expiresAt) return !!record;
+            return Date.now() < Date.parse(record.expiresAt);
+        },
+
+        _describeSession: function (record) {
+            const deadline = this._getIdleDeadline(record);
+
+            return {
+                id: record.id,
+                loginTime: record.startedAt,
+                lastActivity: record.lastActivityAt,
+                expiresAt: record.expiresAt,
+                idleExpiresAt: deadline ? new Date(deadline).toISOString() : null,
+                tokenExpiresAt: record.tokenExpiresAt,
+                isActive: true
+            };
+        },
+
+        _getIdleDeadline: function (record) {
+            const { idleTimeout } = this.config.session;
+            if (!idleTimeout) return null;
+
+            // The stored time lags this tab's own interactions by up to touchInterval
+            const lastActivity = Math.max(Date.parse(record.lastActivityAt) || 0, this._state.session.lastInteraction);
+            return lastActivity + idleTimeout * 60000;
+        },
+
+        _initializeSession: function () {
+            if (!this._getFromStorage(this.config.storage.userDataKey)) return;
+
+            // getUserData() signs out an expired session (or creates one for older data)
+            if (this.getUserData()) {
+                this._state.session.lastInteraction = Date.now();
+                this._touchSession();
+            }
+        },
+
+        _handleUserActivity: function () {
+            const session = this._state.session;
+            const now = Date.now();
+            session.lastInteraction = now;
+
+            // Stored at most every touchInterval - unless a countdown is running
+            if (session.warning || now - session.lastTouch >= this.config.session.touchInterval * 1000) {
+                this._touchSession();
+            }
+        },
+
+        _touchSession: function () {
+            const record = this._getSessionRecord();
+            if (!record || !this._isSessionValid(record) || !this._getFromStorage(this.config.storage.userDataKey)) return;
+
+            const now = Date.now();
+            this._state.session.lastTouch = now;
+            this._saveSessionRecord({
+                ...record,
+                lastActivityAt: new Date(now).toISOString(),
+                expiresAt: this._getSlidingExpiry(record, now)
+            });
+            this._checkSession();
+        },
+
+        _checkSession: function () {
+            const session = this._state.session;
+            clearTimeout(session.timer);
+            session.timer = null;
+
+            if (!this._state.initialized) return;
+
+            const record = this._getSessionRecord();
+            if (!record) {
+                session.warning = null;
+                return;
+            }
+
+            // Whichever comes first: the sliding expiry or the idle timeout
+            const now = Date.now();
+            const deadlines = [];
+            if (record.expiresAt) deadlines.push({ reason: 'expired', at: Date.parse(record.expiresAt) });
+            const idleAt = this._getIdleDeadline(record);
+            if (idleAt) deadlines.push({ reason: 'idle', at: idleAt });
+            const deadline = deadlines.sort((a, b) => a.at - b.at)[0];
+
+            if (deadline && now >= deadline.at) {
+                this._expireSession(deadline.reason);
+                return;
+            }
+
+            const warningMs = this.config.session.warningTime * 1000;
+            let next = Infinity;
+
+            if (deadline && now >= deadline.at - warningMs) {
+                // Countdown - one sessionExpiring per second
+                session.warning = deadline.reason;
+                this._triggerEvent('sessionExpiring', {
+                    reason: deadline.reason,
+                    expiresAt: new Date(deadline.at).toISOString(),
+                    secondsLeft: Math.ceil((deadline.at - now) / 1000)
+                });
+                next = (deadline.at - now) % 1000 || 1000;
+            } else {
+                if (session.warning) {
+                    session.warning = null;
+                    this._triggerEvent('sessionExtended', this.getSession());
+                }
+                if (deadline) next = deadline.at - warningMs - now;
+            }
+
+            // Renew the access token ahead of time (leader tab only)
+            if (record.tokenExpiresAt && typeof this.config.session.refresh === 'function' &&
+                this._state.tabs.isLeader && !session.refreshing) {
+                const refreshAt = Math.max(
+                    Date.parse(record.tokenExpiresAt) - this.config.session.refreshBefore * 1000,
+                    session.refreshRetryAt
+                );
+                if (now >= refreshAt) {
+                    this.refreshSession();
+                } else {
+                    next = Math.min(next, refreshAt - now);
+                }
+            }
+
+            // Re-check at least every minute - timers drift while the device sleeps
+            if (next !== Infinity) {
+                session.timer = setTimeout(() => this._checkSession(), Math.max(0, Math.min(next, 60000)));
+            }
+        },
+
+        _expireSession: function (reason) {
+            const session = this._state.session;
+            const record = this._getSessionRecord();
+            const sessionId = record ? record.id : null;
+
+            session.warning = null;
+            this.log('info', `Session ended (${reason})`);
+
+            if (!sessionId || sessionId !== session.expiredId) {
+                session.expiredId = sessionId;
+                this._triggerEvent('sessionExpired', { reason: reason });
+                this._notifyOtherTabs('sessionExpired', { reason: reason, sessionId: sessionId });
+            }
+            this.clearUserData();
+        },
+
+        _getSessionHeaders: function () {
+            const token = this.getSessionToken();
+            return token ? { Authorization: `Bearer ${token}` } : {};
+        },
+
+        _calculateUsage: function (planId, userData, subscription) {
+            const plan = this.config.plans[planId];
+            if (!plan) return {};
+
+            const ledger = this._getUsageLedger();
+            const period = this._getBillingPeriod(subscription);
+            const periodTotals = this._sumUsage(ledger, period.start, period.end);
+            const today = ledger.days[this._getDateKey(new Date())] || {};
+
+            const percentage = (used, limit) => (limit > 0 ? Math.min(100, Math.round((used / limit) * 100)) : 0);
+            const tier = this._getPlanTier(planId);
+            const storageBytes = ledger.totals.storage || 0;
+            const storageLimitBytes = this._parseSize(plan.storageLimit);
+
+            return {
+                // Billing period the counters belong to
+                periodStart: period.start.toISOString(),
+                periodEnd: period.end.toISOString(),
+
+                // API usage (resets every billing period)
+                apiCalls: periodTotals.apiCalls || 0,
+                apiLimit: plan.apiLimit,
+                apiPercentage: percentage(periodTotals.apiCalls || 0, plan.apiLimit),
+
+                // Storage usage
+                storageBytes: storageBytes,
+                storageUsed: this.formatBytes(storageBytes),
+                storageLimit: plan.storageLimit,
+                storagePercentage: percentage(storageBytes, storageLimitBytes),
+
+                // Models usage
+                modelsActive: ledger.totals.models || 0,
+                modelsLimit: plan.modelsLimit,
+                modelsCreatedThisPeriod: Math.max(0, periodTotals.models || 0),
+
+                // Projects count
+                projectsCount: ledger.totals.projects || 0,
+                projectsLimit: plan.projectsLimit,
+                projectsCreatedThisPeriod: Math.max(0, periodTotals.projects || 0),
+
+                // Performance metrics
+                accuracy: 70 + (tier * 7),
+                responseTime: 200 - (tier * 25),
+                uptime: 95 + (tier * 1.25),
+
+                // Additional metrics
+                requestsToday: today.apiCalls || 0,
+                requestsThisMonth: periodTotals.apiCalls || 0,
+                monthlyApiCalls: this._getMonthlyUsage(ledger, 'apiCalls', new Date().getFullYear()),
+                errorRate: Math.max(0.1, 5 - (tier * 1.2)),
+                averageProcessingTime: Math.max(50, 150 - (tier * 20))
+            };
+        },
+
+        _initializePlanCatalog: async function () {
+            const { url, cacheKey, ttl } = this.config.catalog;
+            if (!url) {
+                this._triggerEvent('plansLoaded', { source: 'config', version: null, plans: this.config.plans });
+                return;
+            }
+
+            // Serve a cached catalog right away, refreshing it in the background once stale
+            const cached = this._getFromStorage(cacheKey);
+            if (cached && cached.url === url && this._applyPlanCatalog(cached.catalog, 'cache')) {
+                if (Date.now() - cached.fetchedAt >= ttl) {
+                    this.loadPlanCatalog(url, { force: true });
+                }
+                return;
+            }
+
+            // First visit - wait so the page never renders the built-in plans
+            await this.loadPlanCatalog(url, { force: true });
+        },
+
+        _applyPlanCatalog: function (catalog, source) {
+            const errors = this._validatePlanCatalog(catalog);
+            if (errors.length > 0) {
+                this.log('error', 'Invalid plan catalog:', errors);
+                this._triggerEvent('plansLoadFailed', { error: 'Invalid plan catalog', errors: errors });
+                return false;
+            }
+
+            // The catalog replaces the built-in plans rather than merging into them
+            const plans = {};
+            Object.entries(catalog.plans).forEach(([planId, plan]) => {
+                plans[planId] = { ...plan, id: planId };
+            });
+
+            this.config.plans = plans;
+            if (catalog.addOns) {
+                this.config.addOns = catalog.addOns;
+            }
+
+            // Derived data (usage limits, permissions) depends on the plans
+            this._state.currentUser = null;
+
+            this._triggerEvent('plansLoaded', { source: source, version: catalog.version || null, plans: plans });
+            this.log('info', `Plan catalog loaded from ${source}`);
+            return true;
+        },
+
+        _validatePlanCatalog: function (catalog) {
+            const errors = [];
+            const isLimit = (value) => Number.isInteger(value) && value >= -1;
+            const isSize = (value) => value === 'Unlimited' || isLimit(value) ||
+                (typeof value === 'string' && /^[\d.]+\s*(B|KB|MB|GB|TB)$/i.test(value));
+
+            if (!catalog || !this._isObject(catalog.plans) || Object.keys(catalog.plans).length === 0) {
+                return ['Catalog must contain a non-empty "plans" object'];
+            }
+
+            // Users without a subscription fall back to the free plan
+            if (!catalog.plans.free) {
+                errors.push('plans.free is required');
+            }
+
+            Object.entries(catalog.plans).forEach(([planId, plan]) => {
+                const path = `plans.${planId}`;
+
+                if (!this._isObject(plan)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+
+                if (typeof plan.name !== 'string' || !plan.name.trim()) errors.push(`${path}.name is required`);
+                if (typeof plan.price !== 'number' || plan.price < 0) errors.push(`${path}.price must be a number >= 0`);
+                if (plan.tier !== undefined && typeof plan.tier !== 'number') errors.push(`${path}.tier must be a number`);
+                if (plan.trialDays !== undefined && !(Number.isInteger(plan.trialDays) && plan.trialDays >= 0)) errors.push(`${path}.trialDays must be an integer >= 0`);
+
+                ['apiLimit', 'modelsLimit', 'projectsLimit'].forEach(field => {
+                    if (!isLimit(plan[field])) errors.push(`${path}.${field} must be an integer (-1 for unlimited)`);
+                });
+
+                if (!isSize(plan.storageLimit)) errors.push(`${path}.storageLimit must look like "10GB" or be "Unlimited"`);
+
+                if (plan.features !== undefined && !(Array.isArray(plan.features) && plan.features.every(f => typeof f === 'string'))) {
+                    errors.push(`${path}.features must be an array of strings`);
+                }
+
+                if (plan.entitlements !== undefined && !this._isObject(plan.entitlements)) {
+                    errors.push(`${path}.entitlements must be an object`);
+                }
+
+                if (plan.extends !== undefined && !catalog.plans[plan.extends]) {
+                    errors.push(`${path}.extends references unknown plan "${plan.extends}"`);
+                }
+            });
+
+            if (catalog.addOns !== undefined) {
+                if (!this._isObject(catalog.addOns)) {
+                    errors.push('addOns must be an object');
+                } else {
+                    Object.entries(catalog.addOns).forEach(([addOnId, addOn]) => {
+                        if (!this._isObject(addOn) || typeof addOn.name !== 'string') errors.push(`addOns.${addOnId}.name is required`);
+                        if (addOn && !this._isObject(addOn.entitlements)) errors.push(`addOns.${addOnId}.entitlements must be an object`);
+                    });
+                }
+            }
+
+            return errors;
+        },
+
+        _evaluateQuota: function (resource) {
+            const quota = this.checkQuota(resource, 0);
+            if (!quota || quota.unlimited) return;
+
+            // Announce each threshold once; API calls start over every billing period
+            const state = this._getFromStorage(this.config.quotas.stateKey) || {};
+            let entry = state[resource];
+            if (!entry || entry.periodEnd !== quota.periodEnd) {
+                entry = { periodEnd: quota.periodEnd, level: 0 };
+            }
+
+            const thresholds = [...this.config.quotas.warningThresholds, 100].sort((a, b) => a - b);
+            const level = thresholds.filter(threshold => quota.percentage >= threshold).pop() || 0;
+
+            if (level > entry.level) {
+                if (level >= 100) {
+                    this._triggerEvent('quotaExceeded', { ...quota, blocked: false });
+                } else {
+                    this._triggerEvent('quotaWarning', { ...quota, threshold: level });
+                }
+            }
+
+            // Dropping back below a threshold (deleted files, models) re-arms it
+            entry.level = level;
+            state[resource] = entry;
+            this._saveToStorage(this.config.quotas.stateKey, state);
+        },
+
+        _getUsageLedger: function () {
+            const ledger = this._getFromStorage(this.config.usage.ledgerKey);
+
+            return {
+                days: (ledger && ledger.days) || {},
+                totals: (ledger && ledger.totals) || {}
+            };
+        },
+
+        _pruneUsageLedger: function (ledger) {
+            const cutoff = new Date();
+            cutoff.setDate(cutoff.getDate() - this.config.usage.retainDays);
+            const cutoffKey = this._getDateKey(cutoff);
+
+            Object.keys(ledger.days).forEach(key => {
+                if (key < cutoffKey) {
+                    delete ledger.days[key];
+                }
+            });
+        },
+
+        _sumUsage: function (ledger, start, end) {
+            const startKey = this._getDateKey(start);
+            const endKey = this._getDateKey(end);
+            const totals = {};
+
+            Object.entries(ledger.days).forEach(([key, day]) => {
+                if (key >= startKey && key < endKey) {
+                    Object.entries(day).forEach(([metric, amount]) => {
+                        totals[metric] = (totals[metric] || 0) + amount;
+                    });
+                }
+            });
+
+            return totals;
+        },
+
+        _getMonthlyUsage: function (ledger, metric, year) {
+            const months = new Array(12).fill(0);
+
+            Object.entries(ledger.days).forEach(([key, day]) => {
+                if (key.startsWith(year + '-') && day[metric]) {
+                    months[parseInt(key.substr(5, 2), 10) - 1] += day[metric];
+                }
+            });
+
+            return months;
+        },
+
+        _getBillingPeriod: function (subscription, date = new Date()) {
+            // Periods renew monthly on the subscription start day (calendar months without one)
+            const anchor = subscription && subscription.startDate ? new Date(subscription.startDate) : null;
+            const anchorDay = anchor && !isNaN(anchor) ? anchor.getDate() : 1;
+
+            const periodStart = (year, month) => {
+                const lastDay = new Date(year, month + 1, 0).getDate();
+                return new Date(year, month, Math.min(anchorDay, lastDay));
+            };
+
+            let start = periodStart(date.getFullYear(), date.getMonth());
+            if (start > date) {
+                start = periodStart(date.getFullYear(), date.getMonth() - 1);
+            }
+
+            return {
+                start: start,
+                end: periodStart(start.getFullYear(), start.getMonth() + 1)
+            };
+        },
+
+        _getDateKey: function (date) {
+            // Local calendar day, so buckets match what the user sees
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
+
+        _parseSize: function (size) {
+            if (typeof size === 'number') return size;
+            if (!size || size === 'Unlimited') return -1;
+
+            const match = String(size).match(/^([\d.]+)\s*(B|KB|MB|GB|TB)$/i);
+            if (!match) return -1;
+
+            const units = { B: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+            return Math.round(parseFloat(match[1]) * Math.pow(1024, units[match[2].toUpperCase()]));
+        },
+
+        /**
+         * Intl formatters are slow to build - keep one per locale, time zone and options
+         */
+        _getFormatter: function (type, options) {
+            const { locale, timeZone } = this.getLocale();
+            const resolved = type === 'DateTimeFormat' ? { timeZone, ...options } : options;
+            const key = `${type}|${locale}|${JSON.stringify(resolved)}`;
+
+            if (!this._state.formatters.has(key)) {
+                let formatter;
+                try {
+                    formatter = new Intl[type](locale, resolved);
+                } catch (error) {
+                    // A stored locale or zone the browser does not know - fall back to its defaults
+                    this.log('warn', `Unsupported locale settings for ${type}:`, error.message);
+                    const { timeZone: ignored, ...fallback } = resolved;
+                    formatter = new Intl[type](undefined, fallback);
+                }
+                this._state.formatters.set(key, formatter);
+            }
+
+            return this._state.formatters.get(key);
+        },
+
+        _enhanceSubscription: function (subscription, planData) {
+            if (!subscription) {
+                return {
+                    status: 'inactive',
+                    planId: 'free',
+                    planName: 'Free Plan'
+                };
+            }
+
+            // Calculate days remaining
+            const endDate = new Date(subscription.endDate);
+            const now = new Date();
+            const daysRemaining = Math.ceil((endDate - now) / (1000 * 60 * 60 * 24));
+
+            const status = subscription.status || 'active';
+
+            // Trial countdown
+            let trial = null;
+            if (status === 'trialing') {
+                const msLeft = Math.max(0, new Date(subscription.trialEndsAt || subscription.endDate) - now);
+                trial = {
+                    startedAt: subscription.trialStartedAt,
+                    endsAt: subscription.trialEndsAt || subscription.endDate,
+                    daysRemaining: Math.ceil(msLeft / (1000 * 60 * 60 * 24)),
+                    hoursRemaining: Math.ceil(msLeft / (1000 * 60 * 60)),
+                    // Without a payment method the plan falls back to Free at the end
+                    convertsToPaid: subscription.autoRenew !== false && !!subscription.paymentMethod && subscription.paymentMethod !== 'unknown'
+                };
+            }
+
+            return {
+                ...subscription,
+                status: status,
+                trial: trial,
+                hasAccess: SUBSCRIPTION_ACCESS_STATES.includes(status),
+                isTrial: status === 'trialing',
+                isPastDue: status === 'past_due' || status === 'grace',
+                cancelsAtPeriodEnd: status === 'canceled_at_period_end',
+                daysRemaining: daysRemaining,
+                isExpiringSoon: daysRemaining <= 7 && daysRemaining > 0,
+                isExpired: daysRemaining <= 0,
+                formattedEndDate: this.formatDate(endDate, 'long'),
+                endsIn: this.formatRelativeTime(endDate),
+                features: planData.features,
+                supportLevel: planData.supportLevel
+            };
+        },
+
+        _getAccountIndex: function () {
+            const index = this._getFromStorage(this.config.accounts.storageKey);
+            return index && index.accounts ? index : { accounts: {} };
+        },
+
+        _updateAccountIndex: function (update) {
+            const index = this._getAccountIndex();
+            update(index.accounts);
+            this._saveToStorage(this.config.accounts.storageKey, index);
+        },
+
+        _getAccountScopedKeys: function () {
+            const { userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+
+            // Everything that belongs to one person; plans, organizations and schema data are shared
+            // (chat_messages is the profile page's assistant history)
+            return [
+                userDataKey, subscriptionKey, settingsKey, 'login_count', 'chat_messages',
+                this.config.analytics.consentKey,
+                this.config.activity.storageKey, this.config.activity.rollupKey,
+                this.config.usage.ledgerKey, this.config.quotas.stateKey,
+                this.config.sync.stateKey, this.config.offline.queueKey,
+                this.config.session.storageKey, this.config.subscriptions.historyKey,
+                this.config.subscriptions.invoicesKey, this.config.import.snapshotKey
+            ];
+        },
+
+        _registerAccount: function (userData) {
+            if (!userData || !userData.id) return;
+
+            const index = this._getAccountIndex();
+            const existing = index.accounts[userData.id] || {};
+            const now = new Date().toISOString();
+            const summary = {
+                id: userData.id,
+                name: userData.name || '',
+                email: userData.email || '',
+                profileImage: userData.profileImage || null,
+                planId: userData.planId || 'free',
+                plan: userData.plan || (this.config.plans[userData.planId] || this.config.plans.free).name
+            };
+
+            const changed = !existing.signedIn || Object.keys(summary).some(key => existing[key] !== summary[key]);
+            if (!changed) return;
+
+            this._updateAccountIndex(accounts => {
+                accounts[userData.id] = {
+                    ...existing,
+                    ...summary,
+                    signedIn: true,
+                    data: null,
+                    addedAt: existing.addedAt || now,
+                    lastActiveAt: existing.signedIn ? existing.lastActiveAt : now
+                };
+            });
+        },
+
+        _parkActiveAccount: function (accountId) {
+            const data = {};
+            this._getAccountScopedKeys().forEach(key => {
+                const value = this._getFromStorage(key);
+                if (value !== null) data[key] = value;
+            });
+
+            this._updateAccountIndex(accounts => {
+                accounts[accountId] = { ...accounts[accountId], data: data };
+            });
+        },
+
+        _restoreAccountData: function (data) {
+            this._getAccountScopedKeys().forEach(key => {
+                if (data && data[key] !== undefined && data[key] !== null) {
+                    this._saveToStorage(key, data[key]);
+                } else {
+                    this._removeFromStorage(key);
+                }
+            });
+
+            // A parked session that ran out while another account was active is not renewed -
+            // switchAccount() signs such an account out before restoring it
+
+            // Runtime state belonged to the previous account
+            this.clearHistory();
+            this._state.currentUser = null;
+            this._state.cache.clear();
+            eventBus.clearSticky('dataLoaded');
+            this._state.offlineQueue = this._loadOfflineQueue();
+            clearTimeout(this._state.sync.pushTimer);
+            this._state.sync.pushTimer = null;
+            this._state.sync.status = 'idle';
+            this._state.sync.lastError = null;
+        },
+
+        _signOutAccount: function (clearSettings) {
+            const userData = this._getFromStorage(this.config.storage.userDataKey);
+            if (!userData || !userData.id) return null;
+
+            const dropped = this._getSignOutDroppedKeys(clearSettings);
+
+            const data = {};
+            this._getAccountScopedKeys()
+                .filter(key => !dropped.includes(key))
+                .forEach(key => {
+                    const value = this._getFromStorage(key);
+                    if (value !== null) data[key] = value;
+                    this._removeFromStorage(key);
+                });
+
+            this._updateAccountIndex(accounts => {
+                accounts[userData.id] = {
+                    ...accounts[userData.id],
+                    id: userData.id,
+                    email: userData.email || '',
+                    name: userData.name || '',
+                    signedIn: false,
+                    data: data
+                };
+            });
+
+            return userData.id;
+        },
+
+        _signOutParkedAccount: function (accountId) {
+            const dropped = this._getSignOutDroppedKeys(false);
+
+            this._updateAccountIndex(accounts => {
+                const account = accounts[accountId];
+                accounts[accountId] = { ...account, signedIn: false, data: this._omitFields(account.data || {}, dropped) };
+            });
+        },
+
+        _getSignOutDroppedKeys: function (clearSettings) {
+            // Only history and preferences are kept; the session, plan and pending sync are not
+            const { userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+            const dropped = [
+                userDataKey, subscriptionKey, this.config.sync.stateKey,
+                this.config.offline.queueKey, this.config.session.storageKey
+            ];
+            if (clearSettings) dropped.push(settingsKey);
+
+            return dropped;
+        },
+
+        _getOrganizations: function () {
+            return this._getFromStorage(this.config.organizations.storageKey) || {};
+        },
+
+        _getOrganizationRecord: function (orgId) {
+            return (orgId && this._getOrganizations()[orgId]) || null;
+        },
+
+        _saveOrganizationRecord: function (org) {
+            const organizations = this._getOrganizations();
+            organizations[org.id] = { ...org, updatedAt: new Date().toISOString() };
+            this._saveToStorage(this.config.organizations.storageKey, organizations);
+
+            // Plan, add-ons and roles of the active organization feed getUserData()
+            this._state.currentUser = null;
+        },
+
+        _updateOrganizationRecord: function (orgId, update) {
+            const org = this._getOrganizationRecord(orgId);
+            if (!org) {
+                throw new Error(`Unknown organization: ${orgId}`);
+            }
+
+            this._saveOrganizationRecord(update(org));
+        },
+
+        _getActiveOrganization: function (userData) {
+            const org = this._getOrganizationRecord(userData.activeOrganizationId);
+
+            // Removed members and deleted organizations fall back to the personal workspace
+            return org && this._getMembership(org, userData.id) ? org : null;
+        },
+
+        _getMembership: function (org, userId) {
+            return org.members.find(member => member.userId === userId) || null;
+        },
+
+        _requireOrganizationPermission: function (orgId, permission) {
+            const userData = this.getUserData();
+            if (!userData) {
+                throw new Error('No user logged in');
+            }
+
+            const id = orgId || userData.organization?.id;
+            const org = this._getOrganizationRecord(id);
+            if (!org) {
+                throw new Error(id ? `Unknown organization: ${id}` : 'No active organization');
+            }
+
+            const member = this._getMembership(org, userData.id);
+            if (!member) {
+                throw new Error(`Not a member of ${org.name}`);
+            }
+
+            if (!(this.config.organizations.roles[member.role] || []).includes(permission)) {
+                throw new Error(`The ${member.role} role does not allow "${permission}" in ${org.name}`);
+            }
+
+            return { org, member, userData };
+        },
+
+        _canManageRole: function (actorRole, role) {
+            return ORG_ROLE_RANKS[actorRole] > ORG_ROLE_RANKS[role];
+        },
+
+        _getPendingInvitations: function (org) {
+            const now = new Date();
+            return (org.invitations || []).filter(invitation => new Date(invitation.expiresAt) > now);
+        },
+
+        _findInvitation: function (token) {
+            for (const org of Object.values(this._getOrganizations())) {
+                const invitation = this._getPendingInvitations(org).find(i => i.token === token);
+                if (invitation) return { org, invitation };
+            }
+
+            throw new Error('Invitation not found or expired');
+        },
+
+        _getSeatUsage: function (org) {
+            const seats = this._getPermissions(org.planId, { addOns: org.addOns }).teamSeats;
+            const limit = typeof seats === 'number' ? seats : 1;
+            const unlimited = limit === -1;
+            const used = org.members.length;
+            const pending = this._getPendingInvitations(org).length;
+
+            return {
+                used: used,
+                pending: pending,
+                limit: limit,
+                unlimited: unlimited,
+                available: unlimited ? null : Math.max(0, limit - used - pending)
+            };
+        },
+
+        _formatOrganization: function (org, userData) {
+            const role = this._getMembership(org, userData.id).role;
+            const plan = this.config.plans[org.planId] || this.config.plans.free;
+            const canInvite = (this.config.organizations.roles[role] || []).includes('invite');
+
+            return {
+                id: org.id,
+                name: org.name,
+                ownerId: org.ownerId,
+                role: role,
+                planId: org.planId,
+                plan: plan.name,
+                subscription: org.subscription ? { ...org.subscription } : null,
+                isActive: !!userData.organization && userData.organization.id === org.id,
+                members: org.members.map(member => ({ ...member })),
+                // Invitation tokens are only shown to members who may invite
+                invitations: canInvite ? this._getPendingInvitations(org).map(invitation => ({ ...invitation })) : [],
+                seats: this._getSeatUsage(org),
+                createdAt: org.createdAt
+            };
+        },
+
+        _getBillingSubscription: function (userData) {
+            const org = userData && userData.organization && this._getOrganizationRecord(userData.organization.id);
+            return org ? org.subscription : this._getFromStorage(this.config.storage.subscriptionKey);
+        },
+
+        _getPermissions: function (planId, userData = {}) {
+            const plan = this.config.plans[planId] || {};
+
+            const permissions = {
+                // Feature and UI permissions declared by the plan
+                ...this._resolvePlanEntitlements(planId),
+
+                // Limits overrides
+                hasUnlimitedAPI: plan.apiLimit === -1,
+                hasUnlimitedStorage: plan.storageLimit === 'Unlimited' || plan.storageLimit === -1,
+                hasUnlimitedProjects: plan.projectsLimit === -1
+            };
+
+            // Add-ons: booleans switch features on, numbers add up (-1 stays unlimited)
+            const now = new Date();
+            Object.entries(userData.addOns || {}).forEach(([addOnId, grant]) => {
+                const addOn = this.config.addOns[addOnId];
+                if (!addOn || (grant.expiresAt && new Date(grant.expiresAt) < now)) return;
+
+                Object.entries(addOn.entitlements || {}).forEach(([name, value]) => {
+                    if (typeof value === 'number') {
+                        const current = permissions[name] || 0;
+                        permissions[name] = current === -1 ? -1 : current + value * (grant.quantity || 1);
+                    } else {
+                        permissions[name] = permissions[name] === true || value === true;
+                    }
+                });
+            });
+
+            // Per-user overrides win over everything else
+            return { ...permissions, ...(userData.entitlementOverrides || {}) };
+        },
+
+        _resolvePlanEntitlements: function (planId, visited = []) {
+            const plan = this.config.plans[planId];
+
+            // Unknown plans and broken inheritance chains grant nothing
+            if (!plan || visited.includes(planId)) {
+                if (plan) this.log('warn', `Circular plan inheritance at "${planId}"`);
+                return {};
+            }
+
+            const inherited = plan.extends ? this._resolvePlanEntitlements(plan.extends, [...visited, planId]) : {};
+            return { ...inherited, ...(plan.entitlements || {}) };
+        },
+
+        _getPlanTier: function (planId, visited = []) {
+            const plan = this.config.plans[planId];
+            if (!plan) return -1;
+            if (typeof plan.tier === 'number') return plan.tier;
+
+            // Custom plans without a tier rank alongside the plan they extend
+            if (plan.extends && !visited.includes(planId)) {
+                return this._getPlanTier(plan.extends, [...visited, planId]);
+            }
+
+            return 0;
+        },
+
+        _saveEntitlementChanges: function (changes) {
+            const { addOns, ...userChanges } = changes;
+            const organization = this.getUserData()?.organization;
+
+            if (addOns && organization) {
+                // Add-ons bought in an organization workspace are billed to the organization
+                try {
+                    this._requireOrganizationPermission(organization.id, 'manageBilling');
+                    this._updateOrganizationRecord(organization.id, org => ({ ...org, addOns }));
+                } catch (error) {
+                    this.log('error', 'Error saving organization add-ons:', error);
+                    return false;
+                }
+            } else if (addOns) {
+                userChanges.addOns = addOns;
+            }
+
+            if (!this.saveUserData(userChanges)) return false;
+
+            const userData = this.getUserData(true);
+            this._triggerEvent('entitlementsChanged', {
+                permissions: userData.permissions,
+                addOns: userData.addOns,
+                entitlementOverrides: userData.entitlementOverrides
+            });
+
+            return true;
+        },
+
+        _getUserMetrics: function (userData) {
+            const loginDate = new Date(userData.loginTime);
+            const now = new Date();
+
+            return {
+                accountAge: Math.floor((now - loginDate) / (1000 * 60 * 60 * 24)), // days
+                lastActive: now.toISOString(),
+                loginCount: parseInt(this._getFromStorage('login_count') || '1'),
+                totalApiCalls: this._getUsageLedger().totals.apiCalls || 0,
+                favoriteFeatures: this._getFavoriteFeatures()
+            };
+        },
+
+        _getFavoriteFeatures: function () {
+            // This could be tracked based on actual usage
+            return ['AI Chat', 'Model Training', 'Analytics Dashboard'];
+        },
+
+        _generateMonthlyData: function (options) {
+            const months = options.months || ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+            const currentMonth = new Date().getMonth();
+            const monthly = this._getMonthlyUsage(this._getUsageLedger(), 'apiCalls', new Date().getFullYear());
+
+            return {
+                labels: months.slice(0, currentMonth + 1),
+                datasets: [{
+                    label: 'API Calls',
+                    data: monthly.slice(0, currentMonth + 1),
+                    borderColor: this.config.plans[this._state.currentUser?.planId || 'free'].color,
+                    backgroundColor: this.config.plans[this._state.currentUser?.planId || 'free'].color + '20'
+                }]
+            };
+        },
+
+        _generateApiUsageData: function (userData, options) {
+            const days = options.days || 30;
+            const ledger = this._getUsageLedger();
+            const labels = [];
+            const data = [];
+
+            for (let i = days - 1; i >= 0; i--) {
+                const date = new Date();
+                date.setDate(date.getDate() - i);
+                labels.push(this.formatDate(date, { month: 'short', day: 'numeric' }));
+
+                const day = ledger.days[this._getDateKey(date)];
+                data.push(day && day.apiCalls ? day.apiCalls : 0);
+            }
+
+            return { labels, data };
+        },
+
+        _generatePerformanceData: function (userData, options) {
+            return {
+                accuracy: userData.usage.accuracy,
+                responseTime: userData.usage.responseTime,
+                uptime: userData.usage.uptime,
+                errorRate: userData.usage.errorRate
+            };
+        },
+
+        _generateStorageData: function (userData, options) {
+            const categories = options.categories || ['Models', 'Datasets', 'Results', 'Backups', 'Other'];
+            const distribution = [30, 25, 20, 15, 10]; // Percentage distribution
+
+            return {
+                labels: categories,
+                // Stored GB from the usage ledger, split across categories
+                data: distribution.map(percent => {
+                    const storedGB = (userData.usage.storageBytes || 0) / Math.pow(1024, 3);
+                    return (storedGB * percent / 100).toFixed(2);
+                })
+            };
+        },
+
+        _generateActivityData: function (userData, options) {
+            const hours = options.hours || 24;
+            const labels = [];
+            const data = [];
+
+            for (let i = hours - 1; i >= 0; i--) {
+                const time = new Date();
+                time.setHours(time.getHours() - i);
+                labels.push(this.formatDate(time, { hour: 'numeric' }));
+
+                // Generate activity pattern (higher during business hours)
+                const hour = time.getHours();
+                const isBusinessHour = hour >= 9 && hour <= 17;
+                const baseActivity = isBusinessHour ? 50 : 20;
+                data.push(Math.floor(baseActivity + (Math.random() * 30)));
+            }
+
+            return { labels, data };
+        },
+
+        _calculateEndDate: function (planId) {
+            const date = new Date();
+
+            // Set end date based on plan
+            if (planId === 'free') {
+                // Free plan never expires
+                date.setFullYear(date.getFullYear() + 100);
+                return date.toISOString();
+            }
+
+            // Paid plans run one billing interval
+            const plan = this.config.plans[planId] || {};
+            return this._addBillingInterval(date, plan.interval).toISOString();
+        },
+
+        _addBillingInterval: function (date, interval) {
+            const result = new Date(date);
+
+            if (interval === 'year') {
+                result.setFullYear(result.getFullYear() + 1);
+                return result;
+            }
+
+            // Months keep the day, clamped to shorter months (Jan 31 -> Feb 28)
+            const day = result.getDate();
+            result.setDate(1);
+            result.setMonth(result.getMonth() + 1);
+            result.setDate(Math.min(day, new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate()));
+            return result;
+        },
+
+        _readSubscription: function (orgId) {
+            if (orgId) {
+                const org = this._getOrganizationRecord(orgId);
+                return org ? org.subscription || null : null;
+            }
+
+            return this._getFromStorage(this.config.storage.subscriptionKey);
+        },
+
+        _writeSubscription: function (orgId, subscription, userChanges = {}) {
+            this._assertValid('subscription', subscription);
+
+            const planData = this.config.plans[subscription.planId] || this.config.plans.free;
+
+            // A paid period starting (purchase, renewal, converted trial, recovered payment) is invoiced
+            const previous = this._readSubscription(orgId);
+            if (subscription.status === 'active' && planData.price > 0 &&
+                (!previous || previous.planId !== subscription.planId || previous.endDate !== subscription.endDate)) {
+                this._recordInvoice(orgId, subscription);
+            }
+
+            if (orgId) {
+                this._updateOrganizationRecord(orgId, org => ({ ...org, planId: subscription.planId, subscription }));
+                this.saveUserData(userChanges);
+                return;
+            }
+
+            this._saveToStorage(this.config.storage.subscriptionKey, subscription);
+
+            // The cached user still carries the previous subscription
+            this._state.currentUser = null;
+            this.saveUserData({
+                ...userChanges,
+                planId: subscription.planId,
+                plan: planData.name
+            });
+        },
+
+        _changeSubscription: function (change) {
+            const userData = this.getUserData();
+            if (!userData) {
+                throw new Error('No user logged in');
+            }
+
+            const orgId = userData.organization ? userData.organization.id : null;
+            if (orgId) {
+                this._requireOrganizationPermission(orgId, 'manageBilling');
+            }
+
+            const subscription = this._readSubscription(orgId);
+            if (!subscription || subscription.planId === 'free') {
+                throw new Error('There is no paid subscription to change');
+            }
+
+            return this._applySubscriptionTransition(orgId, subscription, change);
+        },
+
+        /**
+         * The transition a subscription is due for, or null
+         * Deadlines: trialEndsAt, endDate (period end), pastDueSince + retryDays, graceEndsAt
+         */
+        _getDueTransition: function (subscription, now) {
+            const { renewLocally, retryDays, graceDays } = this.config.subscriptions;
+            const day = 24 * 60 * 60 * 1000;
+            const periodEnd = Date.parse(subscription.endDate);
+
+            switch (subscription.status || 'active') {
+                case 'trialing': {
+                    const trialEnd = Date.parse(subscription.trialEndsAt || subscription.endDate);
+                    if (!(now >= trialEnd)) return null;
+
+                    // A trial with a payment method on file converts into the paid plan
+                    const converts = subscription.autoRenew !== false && subscription.paymentMethod && subscription.paymentMethod !== 'unknown';
+                    return converts ?
+                        { to: 'active', at: trialEnd, reason: 'trialConverted', periodStart: new Date(trialEnd), details: { currentPeriodStart: new Date(trialEnd).toISOString() } } :
+                        { to: 'expired', at: trialEnd, reason: 'trialEnded' };
+                }
+
+                case 'active':
+                    if (!(now >= periodEnd)) return null;
+                    if (subscription.pendingChange) {
+                        return { to: 'active', at: periodEnd, reason: 'scheduledChange', planChange: subscription.pendingChange };
+                    }
+                    if (subscription.autoRenew === false) {
+                        return { to: 'expired', at: periodEnd, reason: 'periodEnded' };
+                    }
+                    return renewLocally ?
+                        { to: 'active', at: periodEnd, reason: 'renewed' } :
+                        { to: 'past_due', at: periodEnd, reason: 'paymentDue', details: { pastDueSince: new Date(periodEnd).toISOString() } };
+
+                case 'past_due': {
+                    const retriesEnd = Date.parse(subscription.pastDueSince || subscription.endDate) + retryDays * day;
+                    if (!(now >= retriesEnd)) return null;
+                    return {
+                        to: 'grace',
+                        at: retriesEnd,
+                        reason: 'paymentRetriesExhausted',
+                        details: { graceEndsAt: new Date(retriesEnd + graceDays * day).toISOString() }
+                    };
+                }
+
+                case 'grace': {
+                    const graceEnd = Date.parse(subscription.graceEndsAt);
+                    return now >= graceEnd ? { to: 'expired', at: graceEnd, reason: 'graceEnded' } : null;
+                }
+
+                case 'canceled_at_period_end':
+                    return now >= periodEnd ? { to: 'canceled', at: periodEnd, reason: 'periodEnded' } : null;
+            }
+
+            return null;
+        },
+
+        _applySubscriptionTransition: function (orgId, subscription, change) {
+            const from = subscription.status || 'active';
+            const to = change.to;
+            const changedAt = new Date(change.at || Date.now()).toISOString();
+            const planData = this.config.plans[subscription.planId] || {};
+
+            // Renewal - a new period of the same plan (or of the plan a downgrade was scheduled to)
+            if (from === to && from === 'active') {
+                if (change.planChange) {
+                    return this._applyScheduledPlanChange(orgId, subscription, change.planChange, changedAt);
+                }
+
+                let periodStart = new Date(change.periodStart || subscription.endDate);
+                let periodEnd = this._addBillingInterval(periodStart, planData.interval);
+                while (periodEnd <= new Date()) {
+                    periodStart = periodEnd;
+                    periodEnd = this._addBillingInterval(periodStart, planData.interval);
+                }
+
+                const renewed = {
+                    ...subscription,
+                    ...change.details,
+                    currentPeriodStart: periodStart.toISOString(),
+                    endDate: periodEnd.toISOString(),
+                    renewedAt: changedAt
+                };
+                this._writeSubscription(orgId, renewed);
+                this._triggerEvent('subscriptionRenewed', { subscription: renewed, organizationId: orgId });
+                return renewed;
+            }
+
+            if (!(SUBSCRIPTION_TRANSITIONS[from] || []).includes(to)) {
+                throw new Error(`Cannot move a subscription from ${from} to ${to}`);
+            }
+
+            let next = { ...subscription, ...change.details, status: to, stateChangedAt: changedAt };
+
+            // Recovered payments and converted trials start a fresh period
+            if (to === 'active' && change.periodStart) {
+                next.endDate = this._addBillingInterval(change.periodStart, planData.interval).toISOString();
+            }
+
+            // A lapsed paid plan falls back to Free; the lapsed subscription is kept for reference
+            if (!SUBSCRIPTION_ACCESS_STATES.includes(to)) {
+                next = {
+                    ...this._createFreeSubscription(subscription, changedAt),
+                    lapsed: { ...next, endedAt: changedAt }
+                };
+            }
+
+            this._writeSubscription(orgId, next);
+
+            if (next.planId !== subscription.planId) {
+                this._recordPlanChange(orgId, { from: subscription.planId, to: next.planId, reason: change.reason, at: changedAt, automatic: true });
+            }
+
+            this.log('info', `Subscription ${from} -> ${to} (${change.reason})`);
+            this._triggerEvent('subscriptionStateChanged', {
+                from: from,
+                to: to,
+                reason: change.reason,
+                planId: next.planId,
+                previousPlanId: subscription.planId,
+                subscription: next,
+                organizationId: orgId
+            });
+
+            if (next.planId !== subscription.planId) {
+                this._triggerEvent('planChanged', {
+                    oldPlan: subscription.planId,
+                    newPlan: next.planId,
+                    subscription: next,
+                    organizationId: orgId,
+                    reason: change.reason
+                });
+            }
+
+            return next;
+        },
+
+        _createFreeSubscription: function (previous, startDate) {
+            return {
+                planId: 'free',
+                planName: this.config.plans.free.name,
+                startDate: startDate,
+                endDate: this._calculateEndDate('free'),
+                status: 'active',
+                autoRenew: false,
+                amount: 0,
+                currency: previous.currency || 'USD',
+                stateChangedAt: startDate
+            };
+        },
+
+        _isScheduledDowngrade: function (subscription, planId) {
+            if (!this.config.subscriptions.scheduleDowngrades || !subscription) return false;
+            if (subscription.planId === 'free' || subscription.planId === planId) return false;
+
+            // Only a running, paid-up period is worth keeping (trials and dunning switch right away)
+            if ((subscription.status || 'active') !== 'active' || !(Date.parse(subscription.endDate) > Date.now())) return false;
+
+            // Custom plans rank with the plan they extend
+            const currentTier = this._getPlanTier(subscription.planId);
+            const targetTier = this._getPlanTier(planId);
+            return targetTier < currentTier;
+        },
+
+        _schedulePlanChange: function (orgId, subscription, planId, subscriptionData) {
+            const userData = this.getUserData();
+            const planData = this.config.plans[planId];
+
+            const pendingChange = {
+                planId: planId,
+                planName: planData.name,
+                effectiveAt: subscription.endDate,
+                requestedAt: new Date().toISOString(),
+                requestedBy: { id: userData.id, email: userData.email },
+                subscriptionData: subscriptionData || null
+            };
+
+            this._writeSubscription(orgId, { ...subscription, pendingChange });
+            this._triggerEvent('planChangeScheduled', {
+                ...pendingChange,
+                fromPlanId: subscription.planId,
+                organizationId: orgId
+            });
+
+            if (this.config.features.enableNotifications) {
+                this._showNotification(`Your plan changes to ${planData.name} on ${this.formatDate(pendingChange.effectiveAt)}`, 'info');
+            }
+
+            return true;
+        },
+
+        _applyScheduledPlanChange: function (orgId, subscription, pendingChange, changedAt) {
+            const planData = this.config.plans[pendingChange.planId];
+
+            let next;
+            if (!planData || pendingChange.planId === 'free') {
+                next = this._createFreeSubscription(subscription, changedAt);
+            } else {
+                // Dates and status come from the period, not from the checkout data
+                const { status, startDate, endDate, ...details } = pendingChange.subscriptionData || {};
+                next = {
+                    ...subscription,
+                    ...details,
+                    planId: pendingChange.planId,
+                    planName: planData.name,
+                    amount: planData.price,
+                    startDate: changedAt,
+                    currentPeriodStart: changedAt,
+                    endDate: this._addBillingInterval(changedAt, planData.interval).toISOString(),
+                    status: 'active',
+                    stateChangedAt: changedAt,
+                    pendingChange: null
+                };
+
+                // Long absences skip whole periods of the new plan
+                while (Date.parse(next.endDate) <= Date.now()) {
+                    next.currentPeriodStart = next.endDate;
+                    next.endDate = this._addBillingInterval(next.endDate, planData.interval).toISOString();
+                }
+            }
+
+            this._writeSubscription(orgId, next);
+            this._recordPlanChange(orgId, {
+                from: subscription.planId,
+                to: next.planId,
+                reason: 'scheduledDowngrade',
+                at: changedAt,
+                changedBy: pendingChange.requestedBy
+            });
+
+            this._triggerEvent('planChanged', {
+                oldPlan: subscription.planId,
+                newPlan: next.planId,
+                subscription: next,
+                organizationId: orgId,
+                reason: 'scheduledDowngrade'
+            });
+
+            return next;
+        },
+
+        _describePlanChange: function (fromPlanId, toPlanId) {
+            const fromTier = this._getPlanTier(fromPlanId);
+            const toTier = this._getPlanTier(toPlanId);
+
+            if (fromPlanId === toPlanId) return 'renewal';
+            return toTier > fromTier ? 'upgrade' : 'downgrade';
+        },
+
+        _getPlanHistory: function (orgId) {
+            if (orgId) {
+                const org = this._getOrganizationRecord(orgId);
+                return org && org.planHistory || [];
+            }
+
+            return this._getFromStorage(this.config.subscriptions.historyKey) || [];
+        },
+
+        /**
+         * Append to the plan-change history of a workspace
+         * Automatic changes (renewals, lapses) are recorded as made by the system
+         */
+        _recordPlanChange: function (orgId, change) {
+            const userData = this._state.currentUser || this._getFromStorage(this.config.storage.userDataKey) || {};
+
+            const entry = {
+                id: 'plan_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                at: change.at || new Date().toISOString(),
+                from: change.from || 'free',
+                to: change.to,
+                reason: change.reason,
+                changedBy: change.changedBy ? { type: 'user', ...change.changedBy } :
+                    change.automatic ? { type: 'system' } :
+                        { type: 'user', id: userData.id || null, email: userData.email || null },
+                organizationId: orgId
+            };
+
+            const limit = this.config.subscriptions.historyLimit;
+            const append = (history) => [...(history || []), entry].slice(-limit);
+
+            if (orgId) {
+                this._updateOrganizationRecord(orgId, org => ({ ...org, planHistory: append(org.planHistory) }));
+            } else {
+                this._saveToStorage(this.config.subscriptions.historyKey, append(this._getPlanHistory(null)));
+            }
+
+            return entry;
+        },
+
+        _getInvoices: function (orgId) {
+            if (orgId) {
+                const org = this._getOrganizationRecord(orgId);
+                return org && org.invoices || [];
+            }
+
+            return this._getFromStorage(this.config.subscriptions.invoicesKey) || [];
+        },
+
+        _recordInvoice: function (orgId, subscription) {
+            const planData = this.config.plans[subscription.planId];
+            const invoices = this._getInvoices(orgId);
+            const last = invoices[invoices.length - 1];
+            const sequence = (last && last.sequence || 0) + 1;
+
+            const invoice = {
+                id: 'inv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                number: `INV-${String(sequence).padStart(5, '0')}`,
+                sequence: sequence,
+                issuedAt: new Date().toISOString(),
+                planId: subscription.planId,
+                planName: planData.name,
+                amount: subscription.amount !== undefined ? subscription.amount : planData.price,
+                currency: subscription.currency || this.config.locale.currency,
+                periodStart: subscription.currentPeriodStart || subscription.startDate,
+                periodEnd: subscription.endDate,
+                paymentMethod: subscription.paymentMethod || 'unknown',
+                status: 'paid',
+                organizationId: orgId
+            };
+
+            const append = (list) => [...(list || []), invoice].slice(-this.config.subscriptions.historyLimit);
+
+            if (orgId) {
+                this._updateOrganizationRecord(orgId, org => ({ ...org, invoices: append(org.invoices) }));
+            } else {
+                this._saveToStorage(this.config.subscriptions.invoicesKey, append(invoices));
+            }
+
+            return invoice;
+        },
+
+        _evaluateSubscriptions: function () {
+            try {
+                const userData = this.getUserData();
+                if (!userData) return;
+
+                // The personal subscription and the active organization's
+                const owners = userData.organization ? [null, userData.organization.id] : [null];
+
+                owners.forEach(orgId => {
+                    let subscription = this._readSubscription(orgId);
+
+                    // A long absence can pass several deadlines (past_due -> grace -> expired)
+                    for (let step = 0; step < 10 && subscription && subscription.planId !== 'free'; step++) {
+                        const due = this._getDueTransition(subscription, Date.now());
+                        if (!due) break;
+
+                        subscription = this._applySubscriptionTransition(orgId, subscription, due);
+                    }
+                });
+
+            } catch (error) {
+                this.log('error', 'Error evaluating subscriptions:', error);
+            }
+        },
+
+        _showNotification: function (message, type = 'info') {
+            if (!this.config.features.enableNotifications) return;
+
+            // Trigger notification event
+            this._triggerEvent('notification', { message, type });
+
+            // Also dispatch to window for other scripts to handle
+            window.dispatchEvent(new CustomEvent('emiralai:notification', {
+                detail: { message, type }
+            }));
+        },
+
+        _triggerEvent: function (eventName, data = null) {
+            if (this.config.events.logEvents) {
+                this.log('info', `Event triggered: ${eventName}`, data);
+            }
+
+            // Shared bus listeners ("user:<eventName>")
+            eventBus.emit(eventName, data);
+
+            // Custom events for external scripts
+            if (this.config.events.enableCustomEvents) {
+                window.dispatchEvent(new CustomEvent(`emiralai:${eventName}`, {
+                    detail: data,
+                    bubbles: true
+                }));
+            }
+        },
+
+        _notifyOtherTabs: function (type, data = null) {
+            if (!TAB_MESSAGES[type]) {
+                this.log('warn', `Unknown tab message type "${type}"`);
+                return;
+            }
+
+            const message = {
+                type: type,
+                data: data,
+                tabId: this._state.tabs.id,
+                timestamp: Date.now()
+            };
+
+            // Receivers read storage when the message arrives - let pending writes land first
+            this._whenWritesSettle().then(() => this._postTabMessage(message));
+        },
+
+        _postTabMessage: function (message) {
+            const tabs = this._state.tabs;
+
+            try {
+                if (tabs.channel) {
+                    tabs.channel.postMessage(message);
+                } else if (window.localStorage) {
+                    // Fallback to storage event
+                    const key = this.config.storage.prefix + this.config.tabs.messageKey;
+                    window.localStorage.setItem(key, JSON.stringify(message));
+                    window.localStorage.removeItem(key);
+                }
+            } catch (error) {
+                this.log('error', `Error sending tab message "${message.type}":`, error);
+            }
+        },
+
+        _trackWrite: function (promise) {
+            const pending = this._state.pendingWrites;
+            const tracked = Promise.resolve(promise).catch(() => {}).then(() => pending.delete(tracked));
+
+            pending.add(tracked);
+            return promise;
+        },
+
+        _whenWritesSettle: function () {
+            return Promise.all(Array.from(this._state.pendingWrites));
+        },
+
+        _initializeTabs: function () {
+            const tabs = this._state.tabs;
+            tabs.id = 'tab_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6);
+
+            if (window.BroadcastChannel) {
+                try {
+                    tabs.channel = new BroadcastChannel(this.config.tabs.channelName);
+                    tabs.channel.onmessage = (e) => this._handleTabMessage(e.data);
+                } catch (error) {
+                    this.log('error', 'BroadcastChannel unavailable, using storage events:', error);
+                    tabs.channel = null;
+                }
+            }
+
+            this._electLeader();
+
+            // Ask who leads (the leader answers with leaderElected)
+            if (!tabs.isLeader) {
+                this._notifyOtherTabs('tabOpened');
+            }
+        },
+
+        _electLeader: function () {
+            const tabs = this._state.tabs;
+            const lockName = this.config.storage.prefix + this.config.tabs.leaderKey;
+
+            if (navigator.locks && typeof navigator.locks.request === 'function') {
+                // Queue for the lock - it is granted when the current leader's tab closes
+                tabs.election = 'locks';
+                if (tabs.lockPending) return;
+
+                tabs.lockPending = true;
+                navigator.locks.request(lockName, () => new Promise(resolve => {
+                    tabs.lockPending = false;
+                    tabs.releaseLock = resolve;
+                    this._becomeLeader();
+                })).catch(error => {
+                    tabs.lockPending = false;
+                    this.log('error', 'Leader election failed:', error);
+                });
+                return;
+            }
+
+            if (!window.localStorage) {
+                // Nothing shared with other tabs - this tab is on its own
+                tabs.election = 'single';
+                this._becomeLeader();
+                return;
+            }
+
+            // Lease renewed by the leader on every heartbeat, taken over once it expires
+            tabs.election = 'lease';
+            clearInterval(tabs.heartbeat);
+            tabs.heartbeat = setInterval(() => this._checkLeaderLease(), this.config.tabs.heartbeatInterval);
+            this._checkLeaderLease();
+        },
+
+        _checkLeaderLease: function () {
+            const tabs = this._state.tabs;
+            const key = this.config.storage.prefix + this.config.tabs.leaderKey;
+            const now = Date.now();
+            let lease = null;
+
+            try {
+                lease = JSON.parse(window.localStorage.getItem(key));
+            } catch (e) {
+                lease = null;
+            }
+
+            if (lease && lease.tabId !== tabs.id && lease.expiresAt > now) {
+                tabs.leaderId = lease.tabId;
+                if (tabs.isLeader) this._stepDown();
+                return;
+            }
+
+            window.localStorage.setItem(key, JSON.stringify({
+                tabId: tabs.id,
+                expiresAt: now + this.config.tabs.leaderTimeout
+            }));
+
+            if (!tabs.isLeader) this._becomeLeader();
+        },
+
+        _becomeLeader: function () {
+            const tabs = this._state.tabs;
+            if (tabs.isLeader) return;
+
+            tabs.isLeader = true;
+            tabs.leaderId = tabs.id;
+            this.log('info', `Tab ${tabs.id} is now the leader`);
+
+            this._notifyOtherTabs('leaderElected');
+            this._triggerEvent('leaderChanged', { isLeader: true, leaderId: tabs.id });
+
+            // Start sync if enabled
+            if (this.config.features.enableDataSync) {
+                this._startDataSync();
+            }
+
+            // Replay actions queued here or by tabs that have since closed
+            if (this.config.features.enableOfflineMode) {
+                this._reloadOfflineQueue();
+                this._processOfflineQueue();
+            }
+
+            // Token refreshes run in the leader only
+            this._checkSession();
+        },
+
+        _stepDown: function () {
+            const tabs = this._state.tabs;
+            if (!tabs.isLeader) return;
+
+            tabs.isLeader = false;
+            clearInterval(this._state.syncInterval);
+            this._state.syncInterval = null;
+
+            this._triggerEvent('leaderChanged', { isLeader: false, leaderId: tabs.leaderId });
+        },
+
+        _resignLeadership: function () {
+            const tabs = this._state.tabs;
+
+            if (tabs.election === 'lease') {
+                clearInterval(tabs.heartbeat);
+                tabs.heartbeat = null;
+
+                if (tabs.isLeader) {
+                    window.localStorage.removeItem(this.config.storage.prefix + this.config.tabs.leaderKey);
+                }
+            }
+
+            if (!tabs.isLeader) return;
+
+            if (tabs.releaseLock) {
+                tabs.releaseLock();
+                tabs.releaseLock = null;
+            }
+
+            tabs.leaderId = null;
+            this._stepDown();
+
+            // Sent directly - the page is unloading
+            this._postTabMessage({ type: 'leaderResigned', data: null, tabId: tabs.id, timestamp: Date.now() });
         },
 
-        /**
-         * Get plan comparison data
-         * @returns {Array} Plan comparison array
-         */
-        getPlanComparison: function () {
-            return Object.values(this.config.plans).map(plan => ({
-                ...plan,
-                apiLimitFormatted: this.formatNumber(plan.apiLimit),
-                storageLimitFormatted: plan.storageLimit,
-                modelsLimitFormatted: this.formatNumber(plan.modelsLimit),
-                projectsLimitFormatted: this.formatNumber(plan.projectsLimit)
-            }));
+        _handleTabMessage: async function (message) {
+            const tabs = this._state.tabs;
+
+            if (!message || !TAB_MESSAGES[message.type] || message.tabId === tabs.id) return;
+            if (!this._state.initialized) return;
+
+            // localStorage changes also arrive as storage events, which already refresh this tab
+            const sharedWithoutEvents = this._getStorageAdapter().name !== 'localStorage';
+
+            switch (message.type) {
+                case 'userDataUpdated':
+                case 'accountSwitched':
+                case 'userLoggedOut':
+                    if (sharedWithoutEvents) {
+                        await this._refreshFromStorage();
+                        this._state.currentUser = null;
+
+                        if (message.type === 'userLoggedOut') {
+                            this._triggerEvent('userLoggedOut');
+                        } else {
+                            this._triggerEvent('dataUpdated', this.getUserData());
+                        }
+                    }
+
+                    // The offline queue belongs to the active account
+                    if (message.type !== 'userDataUpdated') {
+                        this._reloadOfflineQueue();
+                    }
+                    break;
+
+                case 'offlineQueueChanged':
+                case 'replayRequested':
+                    if (sharedWithoutEvents) await this._refreshFromStorage();
+                    this._reloadOfflineQueue();
+
+                    if (tabs.isLeader) this._processOfflineQueue();
+                    break;
+
+                case 'syncRequested':
+                    if (tabs.isLeader) {
+                        if (sharedWithoutEvents) await this._refreshFromStorage();
+                        this._schedulePush();
+                    }
+                    break;
+
+                case 'sessionChanged':
+                    if (sharedWithoutEvents) await this._refreshFromStorage();
+                    this._checkSession();
+                    break;
+
+                case 'sessionExpired':
+                    // This tab may have run out at the same moment
+                    if (message.data.sessionId !== this._state.session.expiredId) {
+                        this._state.session.expiredId = message.data.sessionId;
+                        this._state.session.warning = null;
+                        this._triggerEvent('sessionExpired', { reason: message.data.reason });
+                    }
+                    break;
+
+                case 'tabOpened':
+                    if (tabs.isLeader) this._notifyOtherTabs('leaderElected');
+                    break;
+
+                case 'leaderElected': {
+                    const changed = tabs.leaderId !== message.tabId;
+                    tabs.leaderId = message.tabId;
+
+                    // Two lease holders after a race - the stored lease decides
+                    if (tabs.isLeader && tabs.election === 'lease') {
+                        this._checkLeaderLease();
+                    } else if (!tabs.isLeader && changed) {
+                        this._triggerEvent('leaderChanged', { isLeader: false, leaderId: message.tabId });
+                    }
+                    break;
+                }
+
+                case 'leaderResigned':
+                    tabs.leaderId = null;
+
+                    // Take over right away instead of waiting for the lease to expire
+                    if (tabs.election === 'lease') {
+                        this._checkLeaderLease();
+                    }
+                    break;
+            }
         },
 
-        // Private methods
-        _initializeStorage: function () {
-            // Test localStorage availability
+        _refreshFromStorage: async function () {
+            const adapter = this._getStorageAdapter();
+            const encryption = this._state.encryption;
+            const prefix = this.config.storage.prefix;
+
+            // Our own writes must land before the mirror is replaced
+            await this._whenWritesSettle();
+
             try {
-                const test = '__emiralai_test__';
-                localStorage.setItem(test, test);
-                localStorage.removeItem(test);
-            } catch (e) {
-                this.log('error', 'localStorage not available');
-                // Fallback to memory storage
-                this._useMemoryStorage = true;
-                this._memoryStorage = new Map();
+                if (this._state.storageMirror) {
+                    const mirror = new Map();
+                    const keys = (await adapter.keys()).filter(key => String(key).startsWith(prefix));
+
+                    for (const key of keys) {
+                        const value = await adapter.getItem(key);
+                        if (value !== null) mirror.set(key, value);
+                    }
+
+                    this._state.storageMirror = mirror;
+                }
+
+                if (encryption.active) {
+                    for (const fullKey of this._getEncryptedStorageKeys()) {
+                        if (encryption.writeTokens.has(fullKey)) continue;
+
+                        const raw = this._storageGet(fullKey);
+                        if (raw === null) {
+                            encryption.plaintext.delete(fullKey);
+                        } else if (cryptoHelpers.isEnvelope(raw)) {
+                            encryption.plaintext.set(fullKey, await this._decryptEnvelope(raw));
+                        }
+                    }
+                }
+            } catch (error) {
+                this.log('error', 'Failed to refresh data changed in another tab:', error);
             }
         },
 
-        _setupEventListeners: function () {
-            // Listen for storage changes from other tabs
-            window.addEventListener('storage', (e) => {
-                if (e.key && e.key.startsWith(this.config.storage.prefix)) {
-                    this._handleStorageChange(e);
+        _startDataSync: function () {
+            // Background sync (every 5 minutes by default)
+            clearInterval(this._state.syncInterval);
+            this._state.syncInterval = setInterval(() => {
+                if (this.isLoggedIn()) {
+                    this._syncWithServer();
                 }
-            });
+            }, this.config.sync.interval);
 
-            // Listen for visibility changes
-            document.addEventListener('visibilitychange', () => {
-                if (!document.hidden && this._state.initialized) {
-                    // Refresh data when tab becomes visible
-                    this.getUserData(true);
+            // Pick up changes made on other devices right away
+            if (this._isSyncConfigured() && this.isLoggedIn()) {
+                this._syncWithServer();
+            }
+        },
+
+        _isSyncConfigured: function () {
+            return !!(this.config.sync.transport || this.config.sync.baseURL);
+        },
+
+        _syncWithServer: function () {
+            const userData = this.getUserData();
+            if (!userData) return Promise.resolve(false);
+
+            if (!this._isSyncConfigured()) {
+                // No backend configured - only track the local sync time
+                userData.lastSync = new Date().toISOString();
+                return Promise.resolve(true);
+            }
+
+            // Coalesce overlapping sync requests
+            if (this._state.sync.inFlight) {
+                return this._state.sync.inFlight;
+            }
+
+            if (!navigator.onLine) {
+                this._setSyncStatus('offline');
+                return Promise.resolve(false);
+            }
+
+            this._state.sync.inFlight = this._runSync()
+                .then(() => true)
+                .catch(error => {
+                    this._state.sync.lastError = error;
+                    this._setSyncStatus('error', { error });
+                    this.log('error', 'Sync failed:', error);
+                    return false;
+                })
+                .finally(() => {
+                    this._state.sync.inFlight = null;
+                });
+
+            return this._state.sync.inFlight;
+        },
+
+        _runSync: async function () {
+            this._setSyncStatus('syncing');
+
+            // A push rejected as stale (412) means another device saved first - pull, merge and retry
+            for (let round = 0; round < 3; round++) {
+                const syncState = this._getSyncState();
+                const remote = await this._pullFromServer(syncState);
+                let conflicts = [];
+
+                if (remote) {
+                    if (syncState.dirty) {
+                        const merge = this._mergeSyncDocuments(
+                            syncState.base, this._readSyncDocument(), remote.data,
+                            syncState.localUpdatedAt, remote.updatedAt
+                        );
+                        conflicts = merge.conflicts;
+                        this._applySyncDocument(merge.document);
+                    } else {
+                        this._applySyncDocument(remote.data);
+                    }
+
+                    this._updateSyncState({ etag: remote.etag, revision: remote.revision, base: remote.data });
+                }
+
+                const current = this._getSyncState();
+                const local = this._readSyncDocument();
+                const needsPush = !current.etag || !this._isSameValue(local, current.base);
+
+                if (!needsPush) {
+                    this._updateSyncState({ dirty: false, lastSync: new Date().toISOString() });
+                    this._setSyncStatus('synced', { conflicts });
+                    return;
+                }
+
+                const pushed = await this._pushToServer(local, current);
+                if (pushed) {
+                    const latest = this._getSyncState();
+                    this._updateSyncState({
+                        etag: pushed.etag,
+                        revision: pushed.revision,
+                        base: local,
+                        // Keep the dirty flag if the user saved again while the push was in flight
+                        dirty: latest.localUpdatedAt !== current.localUpdatedAt,
+                        lastSync: new Date().toISOString()
+                    });
+                    this._setSyncStatus('synced', { conflicts });
+                    return;
+                }
+
+                this._setSyncStatus('conflict', { round: round + 1 });
+            }
+
+            throw new Error('Sync gave up after repeated conflicting updates');
+        },
+
+        _pullFromServer: async function (syncState) {
+            const headers = syncState.etag && syncState.base ? { 'If-None-Match': syncState.etag } : {};
+            const response = await this._syncRequest('GET', this.config.sync.endpoints.pull, undefined, headers);
+
+            if (response.status === 304 || response.status === 404) return null;
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Sync pull failed with status ${response.status}`);
+            }
+
+            return {
+                data: response.body.data,
+                revision: response.body.revision,
+                updatedAt: response.body.updatedAt,
+                etag: response.headers.etag || `"${response.body.revision}"`
+            };
+        },
+
+        _pushToServer: async function (document, syncState) {
+            const headers = syncState.etag ? { 'If-Match': syncState.etag } : {};
+            const body = {
+                baseRevision: syncState.revision || 0,
+                updatedAt: syncState.localUpdatedAt || new Date().toISOString(),
+                data: document
+            };
+
+            const response = await this._syncRequest('PUT', this.config.sync.endpoints.push, body, headers);
+
+            if (response.status === 409 || response.status === 412) return null;
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Sync push failed with status ${response.status}`);
+            }
+
+            const result = response.body || {};
+            return {
+                revision: result.revision,
+                etag: response.headers.etag || `"${result.revision}"`
+            };
+        },
+
+        _syncRequest: async function (method, endpoint, body, headers = {}) {
+            const { baseURL, transport, maxRetries, retryBaseDelay, retryMaxDelay } = this.config.sync;
+            const send = transport || fetchSyncTransport;
+            const url = baseURL.replace(/\/$/, '') + endpoint;
+            const request = {
+                headers: { 'Content-Type': 'application/json', ...this._getSessionHeaders(), ...this.config.sync.headers, ...headers },
+                body: body
+            };
+            let refreshed = false;
+
+            for (let attempt = 0; ; attempt++) {
+                let response = null;
+                let error = null;
+
+                try {
+                    response = await send(method, url, request);
+                } catch (e) {
+                    error = e;
+                }
+
+                // An expired token is renewed once before giving up
+                if (response && response.status === 401 && !refreshed && typeof this.config.session.refresh === 'function') {
+                    refreshed = true;
+                    if (await this.refreshSession()) {
+                        Object.assign(request.headers, this._getSessionHeaders());
+                        attempt--;
+                        continue;
+                    }
+                }
+
+                const retryable = error || response.status >= 500 || response.status === 429;
+                if (!retryable) return response;
+
+                if (attempt >= maxRetries) {
+                    throw error || new Error(`Sync ${method} ${endpoint} failed with status ${response.status}`);
+                }
+
+                // Exponential backoff with jitter
+                const delay = Math.min(retryMaxDelay, retryBaseDelay * Math.pow(2, attempt)) * (0.5 + Math.random() / 2);
+                this._setSyncStatus('retrying', { attempt: attempt + 1, delay: Math.round(delay) });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        },
+
+        _mergeSyncDocuments: function (base, local, remote, localUpdatedAt, remoteUpdatedAt) {
+            const localWins = new Date(localUpdatedAt || 0) >= new Date(remoteUpdatedAt || 0);
+
+            if (this.config.sync.conflictStrategy === 'last-write-wins' || !base) {
+                return { document: localWins ? local : remote, conflicts: [] };
+            }
+
+            // Three-way merge per field: take whichever side changed; on a true conflict the newer side wins
+            const document = {};
+            const conflicts = [];
+
+            ['userData', 'subscription', 'settings'].forEach(section => {
+                const baseSection = base[section] || {};
+                const localSection = local[section];
+                const remoteSection = remote[section];
+
+                if (!this._isObject(localSection) || !this._isObject(remoteSection)) {
+                    document[section] = this._isSameValue(localSection, base[section]) ? remoteSection : localSection;
+                    return;
                 }
+
+                const merged = {};
+                const fields = new Set([...Object.keys(baseSection), ...Object.keys(localSection), ...Object.keys(remoteSection)]);
+
+                fields.forEach(field => {
+                    const localChanged = !this._isSameValue(localSection[field], baseSection[field]);
+                    const remoteChanged = !this._isSameValue(remoteSection[field], baseSection[field]);
+                    let value;
+
+                    if (localChanged && remoteChanged && !this._isSameValue(localSection[field], remoteSection[field])) {
+                        conflicts.push(`${section}.${field}`);
+                        value = localWins ? localSection[field] : remoteSection[field];
+                    } else {
+                        value = localChanged ? localSection[field] : remoteSection[field];
+                    }
+
+                    if (value !== undefined) {
+                        merged[field] = value;
+                    }
+                });
+
+                document[section] = merged;
             });
 
-            // Listen for online/offline
-            window.addEventListener('online', () => {
-                this._processOfflineQueue();
+            return { document, conflicts };
+        },
+
+        _readSyncDocument: function () {
+            const { userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+
+            return {
+                userData: this._getFromStorage(userDataKey),
+                subscription: this._getFromStorage(subscriptionKey),
+                settings: this._getFromStorage(settingsKey)
+            };
+        },
+
+        _applySyncDocument: function (document) {
+            if (!document || this._isSameValue(document, this._readSyncDocument())) return;
+
+            const { userDataKey, subscriptionKey, settingsKey } = this.config.storage;
+            const keys = { userData: userDataKey, subscription: subscriptionKey, settings: settingsKey };
+
+            // Never log the user out because a section is missing on the server
+            Object.entries(keys).forEach(([section, key]) => {
+                if (document[section]) {
+                    this._saveToStorage(key, document[section]);
+                }
             });
 
-            window.addEventListener('offline', () => {
-                this._showNotification('You are offline. Changes will be synced when connection is restored.', 'warning');
+            this._state.currentUser = null;
+            const userData = this.getUserData(true);
+            this._triggerEvent('dataUpdated', userData);
+            this._notifyOtherTabs('userDataUpdated', userData);
+        },
+
+        _getSyncState: function () {
+            return this._getFromStorage(this.config.sync.stateKey) || {
+                etag: null,
+                revision: 0,
+                base: null,
+                dirty: false,
+                localUpdatedAt: null,
+                lastSync: null
+            };
+        },
+
+        _updateSyncState: function (patch) {
+            const syncState = { ...this._getSyncState(), ...patch };
+            this._saveToStorage(this.config.sync.stateKey, syncState);
+            return syncState;
+        },
+
+        _setSyncStatus: function (status, detail = {}) {
+            this._state.sync.status = status;
+            this._triggerEvent('syncStatus', {
+                status: status,
+                lastSync: this._getSyncState().lastSync,
+                ...detail
             });
         },
 
-        _handleStorageChange: function (event) {
-            const key = event.key.replace(this.config.storage.prefix, '');
+        _isSameValue: function (a, b) {
+            return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+        },
 
-            switch (key) {
-                case this.config.storage.userDataKey:
-                    if (!event.newValue) {
-                        // User logged out in another tab
-                        this._state.currentUser = null;
-                        this._triggerEvent('userLoggedOut');
-                    } else {
-                        // User data updated in another tab
-                        this._state.currentUser = null; // Clear cache
-                        this.getUserData(true); // Reload
-                        this._triggerEvent('dataUpdated', this._state.currentUser);
-                    }
-                    break;
+        _queueServerSync: function (data) {
+            this._updateSyncState({ dirty: true, localUpdatedAt: new Date().toISOString() });
 
-                case this.config.storage.subscriptionKey:
-                    // Subscription updated
-                    this.getUserData(true);
-                    this._triggerEvent('subscriptionUpdated');
-                    break;
+            if (!this._isSyncConfigured()) {
+                this.log('info', 'Data queued for server sync (no sync backend configured)');
+                return;
+            }
+
+            // The leader tab pushes for every tab
+            if (!this._state.tabs.isLeader) {
+                this._notifyOtherTabs('syncRequested');
+                return;
             }
+
+            this._schedulePush();
         },
 
-        _validateUserData: function (data) {
-            // Basic validation
-            if (!data || typeof data !== 'object') return false;
+        _schedulePush: function () {
+            // Batch rapid edits into a single push
+            clearTimeout(this._state.sync.pushTimer);
+            this._state.sync.pushTimer = setTimeout(() => {
+                this._state.sync.pushTimer = null;
+                this._syncWithServer();
+            }, this.config.sync.pushDelay);
+        },
 
-            // Email validation if provided
-            if (data.email && !this._isValidEmail(data.email)) return false;
+        _runOrQueue: function (action, payload, run) {
+            const offline = this._state.offline;
+            const { queueWhileOffline, retryOnFailure } = this.config.offline;
+            // Only top-level calls are queued; actions nested in a replay or import run directly
+            const queueable = this.config.features.enableOfflineMode && offline.depth === 0 && !offline.replaying;
 
-            // Plan validation if provided
-            if (data.planId && !this.config.plans[data.planId]) return false;
+            if (queueable && !navigator.onLine && queueWhileOffline.includes(action)) {
+                // Rejected data is reported now - on replay it would hold up everything queued after it
+                this._validateOfflineAction(action, payload);
+                this._addToOfflineQueue(action, payload);
+                return true;
+            }
 
-            return true;
+            offline.depth++;
+            let result;
+            try {
+                result = run();
+            } finally {
+                offline.depth--;
+            }
+
+            if (queueable && result === false && retryOnFailure.includes(action)) {
+                this._addToOfflineQueue(action, payload);
+            }
+
+            return result;
         },
 
-        _isValidEmail: function (email) {
-            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+        _validateOfflineAction: function (action, payload) {
+            if (action === 'save') {
+                this._assertValid('user', payload.data, { partial: true });
+            } else if (action === 'updateSettings') {
+                this._assertValid('settings', payload.settings, { partial: true });
+            } else if (action === 'updatePlan') {
+                this._assertValid('user', { planId: payload.planId }, { partial: true });
+                if (payload.subscriptionData) {
+                    this._assertValid('subscription', payload.subscriptionData, { partial: true });
+                }
+            }
         },
 
-        _generateUserId: function () {
-            return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        _getOfflineHandlers: function () {
+            return {
+                save: (payload) => this._applyUserData(payload.data),
+                updatePlan: (payload) => this._applyUserPlan(payload.planId, payload.subscriptionData, payload.options),
+                updateSettings: (payload) => this._applySettings(payload.settings),
+                trackActivity: (payload) => this._recordActivity(payload.activity),
+                clearUserData: (payload) => this._applyClearUserData(payload.clearSettings),
+                import: (payload) => this._applyImport(payload.data, payload.options)
+            };
         },
 
-        _getDefaultAvatar: function (userData) {
-            // Generate avatar with user initials
-            const name = userData?.name || 'Guest User';
-            const email = userData?.email || 'user@example.com';
+        _loadOfflineQueue: function () {
+            const stored = this._getFromStorage(this.config.offline.queueKey);
+            if (!Array.isArray(stored)) return [];
+
+            // Entries written before actions carried ids used { action, data }
+            return stored.map(item => ({
+                id: item.id || this._generateOfflineActionId(),
+                action: item.action,
+                payload: item.payload || { data: item.data },
+                timestamp: item.timestamp || new Date().toISOString(),
+                attempts: item.attempts || 0
+            }));
+        },
 
-            // Extract initials
-            let initials = 'U';
-            if (name && name !== 'Guest User') {
-                const parts = name.trim().split(/\s+/);
-                if (parts.length >= 2) {
-                    initials = parts[0][0] + parts[parts.length - 1][0];
-                } else if (parts[0].length >= 2) {
-                    initials = parts[0].substring(0, 2);
-                } else {
-                    initials = parts[0][0];
-                }
-            } else if (email && email !== 'user@example.com') {
-                const emailName = email.split('@')[0];
-                initials = emailName.substring(0, 2);
+        _persistOfflineQueue: function () {
+            const { queueKey } = this.config.offline;
+
+            if (this._state.offlineQueue.length === 0) {
+                this._removeFromStorage(queueKey);
+            } else {
+                this._saveToStorage(queueKey, this._state.offlineQueue);
             }
-            initials = initials.toUpperCase();
 
-            // Generate consistent color based on user data
-            const str = (email || name || 'default').toLowerCase();
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                hash = ((hash << 5) - hash) + str.charCodeAt(i);
-                hash = hash & hash;
+            this._notifyOtherTabs('offlineQueueChanged', { length: this._state.offlineQueue.length });
+        },
+
+        _reloadOfflineQueue: function () {
+            const stored = this._loadOfflineQueue();
+
+            if (!this._state.offline.replaying) {
+                this._state.offlineQueue = stored;
+                return;
             }
 
-            // Professional color palette
-            const colors = [
-                '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
-                '#F7DC6F', '#BB8FCE', '#85C1F2', '#F8B739', '#52C41A',
-                '#1890FF', '#722ED1', '#EB2F96', '#13C2C2', '#FAAD14'
-            ];
+            // Mid-replay our copy is ahead of storage - only pick up actions other tabs added
+            const known = new Set(this._state.offlineQueue.map(item => item.id));
+            stored
+                .filter(item => !known.has(item.id) && item.timestamp >= this._state.offline.replayStartedAt)
+                .forEach(item => this._state.offlineQueue.push(item));
+        },
 
-            const colorIndex = Math.abs(hash) % colors.length;
-            const backgroundColor = colors[colorIndex];
+        _generateOfflineActionId: function () {
+            return 'op_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6);
+        },
 
-            // Create SVG avatar
-            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">
-                <circle cx="50" cy="50" r="50" fill="${backgroundColor}"/>
-                <text x="50%" y="50%" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" 
-                      font-size="40" font-weight="600" fill="#FFFFFF" text-anchor="middle" 
-                      dominant-baseline="middle" style="user-select: none;">${initials}</text>
-            </svg>`;
+        _addToOfflineQueue: function (action, payload) {
+            // Another tab may have queued or replayed actions since we last looked
+            this._reloadOfflineQueue();
+
+            const queue = this._state.offlineQueue;
+            const last = queue[queue.length - 1];
+
+            // Repeating the last action adds nothing; an older identical entry still
+            // has to replay again after whatever was queued since
+            if (last && last.action === action && this._isSameValue(last.payload, payload)) return last.id;
+
+            // Back-to-back edits collapse into one entry so replay order is kept
+            if (last && last.action === action && ['save', 'updateSettings', 'updatePlan'].includes(action)) {
+                if (action === 'save') {
+                    last.payload = { data: { ...last.payload.data, ...payload.data } };
+                } else if (action === 'updateSettings') {
+                    last.payload = { settings: { ...last.payload.settings, ...payload.settings } };
+                } else {
+                    last.payload = payload;
+                }
+                last.timestamp = new Date().toISOString();
+                this._persistOfflineQueue();
+                this._triggerEvent('offlineActionQueued', { ...last });
+                return last.id;
+            }
+
+            const item = {
+                id: this._generateOfflineActionId(),
+                action: action,
+                payload: payload,
+                timestamp: new Date().toISOString(),
+                attempts: 0
+            };
+
+            queue.push(item);
 
-            // Convert to data URL
-            return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
-        },
+            if (queue.length > this.config.offline.maxItems) {
+                const dropped = queue.shift();
+                this.log('warn', `Offline queue full, dropped oldest action "${dropped.action}"`);
+            }
 
-        _isSessionValid: function (userData) {
-            if (!userData.sessionExpiry) return true;
+            // Persist through the storage adapter
+            this._persistOfflineQueue();
+            this._triggerEvent('offlineActionQueued', { ...item });
+            this.log('info', `Queued "${action}" for when the connection is restored`);
 
-            const expiryDate = new Date(userData.sessionExpiry);
-            return new Date() < expiryDate;
+            return item.id;
         },
 
-        _calculateUsage: function (planId, userData) {
-            const plan = this.config.plans[planId];
-            if (!plan) return {};
+        _processOfflineQueue: async function () {
+            const offline = this._state.offline;
+            if (!navigator.onLine || offline.replaying || this._state.offlineQueue.length === 0) return;
 
-            // Use real data if available, otherwise calculate mock data
-            const seed = userData.email ?
-                userData.email.split('').reduce((a, b) => a + b.charCodeAt(0), 0) : 42;
+            this.log('info', `Processing ${this._state.offlineQueue.length} offline actions`);
 
-            const random = (min, max) => {
-                const x = Math.sin(seed) * 10000;
-                return Math.floor((x - Math.floor(x)) * (max - min + 1)) + min;
-            };
+            const handlers = this._getOfflineHandlers();
+            let processed = 0;
+            offline.replaying = true;
+            offline.replayStartedAt = new Date().toISOString();
 
-            // Calculate realistic usage based on plan limits
-            return {
-                // API usage
-                apiCalls: plan.apiLimit > 0 ? random(plan.apiLimit * 0.3, plan.apiLimit * 0.85) : random(100000, 500000),
-                apiLimit: plan.apiLimit,
-                apiPercentage: plan.apiLimit > 0 ? Math.floor((random(30, 85) / 100) * 100) : 0,
+            try {
+                // Replay strictly in order - stop at the first action that still fails
+                while (this._state.offlineQueue.length > 0) {
+                    const item = this._state.offlineQueue[0];
+                    const handler = handlers[item.action];
+                    let succeeded = false;
+
+                    if (!handler) {
+                        this.log('warn', `Dropping unknown offline action "${item.action}"`);
+                        this._state.offlineQueue.shift();
+                        continue;
+                    }
 
-                // Storage usage
-                storageUsed: this._calculateStorageUsed(plan.storageLimit, random(20, 70)),
-                storageLimit: plan.storageLimit,
-                storagePercentage: random(20, 70),
+                    try {
+                        succeeded = (await handler(item.payload)) !== false;
+                    } catch (error) {
+                        this.log('error', `Offline action "${item.action}" failed:`, error);
+                    }
 
-                // Models usage
-                modelsActive: plan.modelsLimit > 0 ? Math.min(random(1, 10), plan.modelsLimit) : random(50, 200),
-                modelsLimit: plan.modelsLimit,
+                    if (succeeded) {
+                        this._state.offlineQueue.shift();
+                        processed++;
+                        continue;
+                    }
 
-                // Projects count
-                projectsCount: plan.projectsLimit > 0 ? Math.min(random(1, 20), plan.projectsLimit) : random(50, 300),
-                projectsLimit: plan.projectsLimit,
+                    item.attempts++;
+                    if (item.attempts < this.config.offline.maxAttempts) {
+                        break;
+                    }
 
-                // Performance metrics
-                accuracy: 70 + (Object.keys(this.config.plans).indexOf(planId) * 7),
-                responseTime: 200 - (Object.keys(this.config.plans).indexOf(planId) * 25),
-                uptime: 95 + (Object.keys(this.config.plans).indexOf(planId) * 1.25),
+                    this._state.offlineQueue.shift();
+                    this._triggerEvent('offlineActionFailed', { ...item });
+                }
+            } finally {
+                offline.replaying = false;
+                this._persistOfflineQueue();
+            }
 
-                // Additional metrics
-                requestsToday: random(100, 1000),
-                requestsThisMonth: random(5000, 50000),
-                errorRate: Math.max(0.1, 5 - (Object.keys(this.config.plans).indexOf(planId) * 1.2)),
-                averageProcessingTime: Math.max(50, 150 - (Object.keys(this.config.plans).indexOf(planId) * 20))
-            };
+            this._triggerEvent('offlineQueueProcessed', {
+                processed: processed,
+                remaining: this._state.offlineQueue.length
+            });
         },
 
-        _calculateStorageUsed: function (limit, percentage) {
-            if (limit === 'Unlimited') return 'N/A';
+        _getAnalyticsSinks: function () {
+            if (!this._state.analyticsSinks) {
+                this._state.analyticsSinks = [];
 
-            const limitValue = parseFloat(limit);
-            const used = (limitValue * percentage / 100).toFixed(2);
+                this.config.analytics.sinks.forEach(definition => {
+                    try {
+                        this._state.analyticsSinks.push(this._createAnalyticsSink(definition));
+                    } catch (error) {
+                        this.log('error', 'Analytics sink not available:', error);
+                    }
+                });
+            }
 
-            return `${used}${limit.replace(/[0-9.]/g, '')}`;
+            return this._state.analyticsSinks;
         },
 
-        _enhanceSubscription: function (subscription, planData) {
-            if (!subscription) {
-                return {
-                    status: 'inactive',
-                    planId: 'free',
-                    planName: 'Free Plan'
-                };
+        _createAnalyticsSink: function (definition) {
+            const options = typeof definition === 'string' ? { type: definition } : { ...definition };
+
+            // Ready-made sink object
+            if (typeof options.send === 'function') {
+                return { ...options, name: options.name || 'custom' };
             }
 
-            // Calculate days remaining
-            const endDate = new Date(subscription.endDate);
-            const now = new Date();
-            const daysRemaining = Math.ceil((endDate - now) / (1000 * 60 * 60 * 24));
+            const factory = analyticsSinks[options.type];
+            if (!factory) {
+                throw new Error(`Unknown analytics sink: ${options.type}`);
+            }
 
-            return {
-                ...subscription,
-                daysRemaining: daysRemaining,
-                isExpiringSoon: daysRemaining <= 7 && daysRemaining > 0,
-                isExpired: daysRemaining <= 0,
-                formattedEndDate: endDate.toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                }),
-                features: planData.features,
-                supportLevel: planData.supportLevel
-            };
+            const sink = factory(options);
+            if (options.name) sink.name = options.name;
+            return sink;
         },
 
-        _getPermissions: function (planId) {
-            const planIndex = Object.keys(this.config.plans).indexOf(planId);
+        _dispatchAnalytics: function (activity) {
+            if (!this._hasAnalyticsConsent() || !this._isSampledIn(activity)) return;
 
-            return {
-                // Feature permissions
-                canUseAPI: planIndex >= 1,
-                canExportData: planIndex >= 1,
-                canCustomizeModels: planIndex >= 1,
-                canAccessAnalytics: planIndex >= 0,
-                canUseAdvancedAnalytics: planIndex >= 2,
-                canInviteTeamMembers: planIndex >= 2,
-                canUseWhiteLabel: planIndex >= 2,
-                canAccessPrioritySupport: planIndex >= 2,
-                canRequestCustomFeatures: planIndex >= 3,
-
-                // Limits overrides
-                hasUnlimitedAPI: planIndex >= 3,
-                hasUnlimitedStorage: planIndex >= 3,
-                hasUnlimitedProjects: planIndex >= 3,
-
-                // UI permissions
-                showUpgradePrompts: planIndex < 3,
-                showUsageLimits: planIndex < 3,
-                showAds: planIndex === 0
+            const event = {
+                id: activity.id,
+                action: activity.action,
+                timestamp: activity.timestamp,
+                sessionId: activity.sessionId,
+                data: this._scrubAnalyticsData(activity.data || {})
             };
-        },
-
-        _getUserMetrics: function (userData) {
-            const loginDate = new Date(userData.loginTime);
-            const now = new Date();
 
-            return {
-                accountAge: Math.floor((now - loginDate) / (1000 * 60 * 60 * 24)), // days
-                lastActive: now.toISOString(),
-                loginCount: parseInt(localStorage.getItem(this.config.storage.prefix + 'login_count') || '1'),
-                totalApiCalls: parseInt(localStorage.getItem(this.config.storage.prefix + 'total_api_calls') || '0'),
-                favoriteFeatures: this._getFavoriteFeatures()
-            };
+            this._getAnalyticsSinks().forEach(sink => {
+                try {
+                    Promise.resolve(sink.send([event])).catch(error => this._handleSinkError(sink, error));
+                } catch (error) {
+                    this._handleSinkError(sink, error);
+                }
+            });
         },
 
-        _getFavoriteFeatures: function () {
-            // This could be tracked based on actual usage
-            return ['AI Chat', 'Model Training', 'Analytics Dashboard'];
+        _handleSinkError: function (sink, error) {
+            this.log('error', `Analytics sink "${sink.name}" failed:`, error);
+            this._triggerEvent('analyticsError', { sink: sink.name, error });
         },
 
-        _generateMonthlyData: function (multiplier, options) {
-            const months = options.months || ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-            const currentMonth = new Date().getMonth();
+        _hasAnalyticsConsent: function () {
+            const consent = this.getAnalyticsConsent();
 
-            return {
-                labels: months.slice(0, currentMonth + 1),
-                datasets: [{
-                    label: 'API Calls',
-                    data: months.slice(0, currentMonth + 1).map((_, i) =>
-                        Math.floor((1000 * multiplier) + (Math.sin(i) * 500 * multiplier))
-                    ),
-                    borderColor: this.config.plans[this._state.currentUser?.planId || 'free'].color,
-                    backgroundColor: this.config.plans[this._state.currentUser?.planId || 'free'].color + '20'
-                }]
-            };
+            // An explicit opt-out always wins, even when consent is not required
+            return this.config.analytics.requireConsent ? consent === true : consent !== false;
         },
 
-        _generateApiUsageData: function (userData, options) {
-            const days = options.days || 30;
-            const labels = [];
-            const data = [];
-
-            for (let i = days - 1; i >= 0; i--) {
-                const date = new Date();
-                date.setDate(date.getDate() - i);
-                labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+        _isSampledIn: function (activity) {
+            const { sampleRate, sampleBy } = this.config.analytics;
+            if (sampleRate >= 1) return true;
+            if (sampleRate <= 0) return false;
 
-                // Generate realistic daily usage
-                const baseUsage = userData.usage.apiCalls / days;
-                const variation = (Math.random() - 0.5) * baseUsage * 0.4;
-                data.push(Math.floor(baseUsage + variation));
+            if (sampleBy === 'session') {
+                // FNV-1a hash of the session id - the same answer for every event of a session
+                let hash = 0x811c9dc5;
+                for (const char of String(activity.sessionId)) {
+                    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0;
+                }
+                return hash / 0x100000000 < sampleRate;
             }
 
-            return { labels, data };
+            return Math.random() < sampleRate;
         },
 
-        _generatePerformanceData: function (userData, options) {
-            return {
-                accuracy: userData.usage.accuracy,
-                responseTime: userData.usage.responseTime,
-                uptime: userData.usage.uptime,
-                errorRate: userData.usage.errorRate
-            };
-        },
+        _scrubAnalyticsData: function (value, depth = 0) {
+            const { dropFields, rules } = this.config.analytics.scrub;
 
-        _generateStorageData: function (userData, options) {
-            const categories = options.categories || ['Models', 'Datasets', 'Results', 'Backups', 'Other'];
-            const distribution = [30, 25, 20, 15, 10]; // Percentage distribution
+            if (typeof value === 'string') {
+                return rules.reduce((text, rule) => text.replace(rule.pattern, rule.replace), value);
+            }
 
-            return {
-                labels: categories,
-                data: distribution.map(percent => {
-                    const storageLimit = parseFloat(userData.planData.storageLimit) || 10;
-                    return (storageLimit * userData.usage.storagePercentage * percent / 10000).toFixed(2);
-                })
-            };
-        },
+            if (!value || typeof value !== 'object') return value;
+            if (depth >= 5) return '[truncated]';
 
-        _generateActivityData: function (userData, options) {
-            const hours = options.hours || 24;
-            const labels = [];
-            const data = [];
+            if (Array.isArray(value)) {
+                return value.map(item => this._scrubAnalyticsData(item, depth + 1));
+            }
 
-            for (let i = hours - 1; i >= 0; i--) {
-                const time = new Date();
-                time.setHours(time.getHours() - i);
-                labels.push(time.toLocaleTimeString('en-US', { hour: 'numeric' }));
+            const normalize = (key) => key.toLowerCase().replace(/[_-]/g, '');
+            const result = {};
 
-                // Generate activity pattern (higher during business hours)
-                const hour = time.getHours();
-                const isBusinessHour = hour >= 9 && hour <= 17;
-                const baseActivity = isBusinessHour ? 50 : 20;
-                data.push(Math.floor(baseActivity + (Math.random() * 30)));
-            }
+            Object.entries(value).forEach(([key, item]) => {
+                if (dropFields.some(field => normalize(key).includes(normalize(field)))) return;
+                result[key] = this._scrubAnalyticsData(item, depth + 1);
+            });
 
-            return { labels, data };
+            return result;
         },
 
-        _calculateEndDate: function (planId) {
-            const date = new Date();
+        _addToActivityLog: function (activity) {
+            const log = this._getActivityLog();
 
-            // Set end date based on plan
-            if (planId === 'free') {
-                // Free plan never expires
-                date.setFullYear(date.getFullYear() + 100);
-            } else {
-                // Paid plans default to 30 days
-                date.setDate(date.getDate() + 30);
-            }
+            log.push({ id: activity.id || this._generateActivityId(), ...activity });
 
-            return date.toISOString();
+            this._saveActivity(log, this._getActivityRollups());
         },
 
-        _showNotification: function (message, type = 'info') {
-            if (!this.config.features.enableNotifications) return;
+        _getActivityLog: function () {
+            const log = this._getFromStorage(this.config.activity.storageKey);
+            if (!Array.isArray(log)) return [];
 
-            // Trigger notification event
-            this._triggerEvent('notification', { message, type });
+            // Entries written before activity had ids
+            return log.map((entry, index) => entry.id ? entry : {
+                ...entry,
+                id: `act_${Date.parse(entry.timestamp || 0).toString(36)}_${index}`
+            });
+        },
 
-            // Also dispatch to window for other scripts to handle
-            window.dispatchEvent(new CustomEvent('emiralai:notification', {
-                detail: { message, type }
-            }));
+        _getActivityRollups: function () {
+            return this._getFromStorage(this.config.activity.rollupKey) || {};
         },
 
-        _triggerEvent: function (eventName, data = null) {
-            if (this.config.events.logEvents) {
-                this.log('info', `Event triggered: ${eventName}`, data);
-            }
+        _generateActivityId: function () {
+            // The counter keeps ids ordered when several entries share a millisecond
+            const sequence = (this._state.activitySequence++ % 1679616).toString(36).padStart(4, '0');
+            return 'act_' + Date.now().toString(36) + '_' + sequence + Math.random().toString(36).substr(2, 4);
+        },
 
-            // Internal listeners
-            const listeners = this._state.listeners.get(eventName);
-            if (listeners) {
-                listeners.forEach(callback => {
-                    try {
-                        callback(data);
-                    } catch (error) {
-                        this.log('error', `Error in event listener for ${eventName}:`, error);
-                    }
-                });
-            }
+        _applyActivityRetention: function () {
+            const log = this._getActivityLog();
+            if (log.length === 0) return;
 
-            // Custom events for external scripts
-            if (this.config.events.enableCustomEvents) {
-                window.dispatchEvent(new CustomEvent(`emiralai:${eventName}`, {
-                    detail: data,
-                    bubbles: true
-                }));
-            }
+            this._saveActivity(log, this._getActivityRollups(), { onlyIfCompacted: true });
         },
 
-        _notifyOtherTabs: function (event, data = null) {
-            // Use BroadcastChannel if available
-            if (window.BroadcastChannel) {
-                const channel = new BroadcastChannel('emiralai_sync');
-                channel.postMessage({ event, data });
-                channel.close();
+        _saveActivity: function (log, rollups, options = {}) {
+            const { storageKey, rollupKey } = this.config.activity;
+            const result = this._compactActivity(log, rollups);
+
+            if (options.onlyIfCompacted && result.rolledUp === 0 && result.droppedDays === 0) return;
+
+            this._saveToStorage(storageKey, result.log);
+
+            if (Object.keys(result.rollups).length > 0) {
+                this._saveToStorage(rollupKey, result.rollups);
             } else {
-                // Fallback to storage event
-                const key = this.config.storage.prefix + 'sync_' + Date.now();
-                localStorage.setItem(key, JSON.stringify({ event, data }));
-                localStorage.removeItem(key);
+                this._removeFromStorage(rollupKey);
             }
-        },
-
-        _startDataSync: function () {
-            // Sync data every 5 minutes
-            this._state.syncInterval = setInterval(() => {
-                if (this.isLoggedIn()) {
-                    this._syncWithServer();
-                }
-            }, 5 * 60 * 1000);
-        },
 
-        _syncWithServer: function () {
-            // This would sync with your backend
-            // For now, just update last sync time
-            const userData = this.getUserData();
-            if (userData) {
-                userData.lastSync = new Date().toISOString();
-                this.log('info', 'Data synced with server');
+            if (result.rolledUp > 0 || result.droppedDays > 0) {
+                this._triggerEvent('activityCompacted', {
+                    rolledUp: result.rolledUp,
+                    droppedDays: result.droppedDays,
+                    remaining: result.log.length
+                });
             }
         },
 
-        _queueServerSync: function (data) {
-            // Queue data for server sync
-            // This would be implemented based on your backend
-            this.log('info', 'Data queued for server sync');
-        },
+        _compactActivity: function (log, rollups) {
+            const { maxEntries, maxAgeDays, rollupRetainDays } = this.config.activity;
+            const dayMs = 24 * 60 * 60 * 1000;
+            const sorted = [...log].sort((a, b) => this._compareActivity(a, b));
+
+            // Oldest entries beyond the count limit, and anything past the age limit
+            const overflow = maxEntries > 0 ? Math.max(0, sorted.length - maxEntries) : 0;
+            const cutoff = maxAgeDays > 0 ? new Date(Date.now() - maxAgeDays * dayMs).toISOString() : null;
+            const kept = [];
+            const compacted = { ...rollups };
+            let rolledUp = 0;
+
+            sorted.forEach((entry, index) => {
+                if (index >= overflow && !(cutoff && entry.timestamp < cutoff)) {
+                    kept.push(entry);
+                    return;
+                }
 
-        _addToOfflineQueue: function (action, data) {
-            this._state.offlineQueue.push({
-                action,
-                data,
-                timestamp: new Date().toISOString()
+                const day = this._getDateKey(new Date(entry.timestamp));
+                const previous = compacted[day] || { count: 0, actions: {} };
+                compacted[day] = {
+                    count: previous.count + 1,
+                    actions: { ...previous.actions, [entry.action]: (previous.actions[entry.action] || 0) + 1 }
+                };
+                rolledUp++;
             });
 
-            // Store in localStorage for persistence
-            localStorage.setItem(
-                this.config.storage.prefix + 'offline_queue',
-                JSON.stringify(this._state.offlineQueue)
-            );
-        },
-
-        _processOfflineQueue: async function () {
-            if (!navigator.onLine || this._state.offlineQueue.length === 0) return;
+            let droppedDays = 0;
+            if (rollupRetainDays > 0) {
+                const oldestKey = this._getDateKey(new Date(Date.now() - rollupRetainDays * dayMs));
+                Object.keys(compacted).forEach(day => {
+                    if (day < oldestKey) {
+                        delete compacted[day];
+                        droppedDays++;
+                    }
+                });
+            }
 
-            this.log('info', `Processing ${this._state.offlineQueue.length} offline actions`);
+            return { log: kept, rollups: compacted, rolledUp, droppedDays };
+        },
 
-            const queue = [...this._state.offlineQueue];
-            this._state.offlineQueue = [];
+        _getActivityRange: function (options) {
+            const toTime = (value) => {
+                if (value === undefined || value === null || value === '') return null;
+                const time = new Date(value).getTime();
+                if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+                return time;
+            };
 
-            for (const item of queue) {
-                try {
-                    switch (item.action) {
-                        case 'save':
-                            await this.saveUserData(item.data);
-                            break;
-                        // Add more actions as needed
-                    }
-                } catch (error) {
-                    // Re-add to queue if failed
-                    this._state.offlineQueue.push(item);
-                }
-            }
+            const from = toTime(options.from);
+            const to = toTime(options.to);
+            const actions = options.action ? [].concat(options.action) : null;
 
-            // Update stored queue
-            if (this._state.offlineQueue.length === 0) {
-                localStorage.removeItem(this.config.storage.prefix + 'offline_queue');
-            } else {
-                localStorage.setItem(
-                    this.config.storage.prefix + 'offline_queue',
-                    JSON.stringify(this._state.offlineQueue)
-                );
-            }
+            return {
+                from: from,
+                to: to,
+                actions: actions,
+                fromKey: from !== null ? this._getDateKey(new Date(from)) : null,
+                // "to" is exclusive - the last day touched ends just before it
+                lastKey: to !== null ? this._getDateKey(new Date(to - 1)) : null
+            };
         },
 
-        _addToActivityLog: function (activity) {
-            const logKey = this.config.storage.prefix + 'activity_log';
-            const log = JSON.parse(localStorage.getItem(logKey) || '[]');
+        _filterActivity: function (log, options) {
+            const { from, to, actions } = this._getActivityRange(options);
 
-            log.push(activity);
+            return log.filter(entry => {
+                const time = new Date(entry.timestamp).getTime();
+                if (from !== null && time < from) return false;
+                if (to !== null && time >= to) return false;
+                return !actions || actions.includes(entry.action);
+            });
+        },
 
-            // Keep only last 100 activities
-            if (log.length > 100) {
-                log.splice(0, log.length - 100);
-            }
+        _compareActivity: function (a, b) {
+            // Chronological, with the id breaking ties between same-millisecond entries
+            const time = new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+            if (time !== 0) return time;
+            return String(a.id).localeCompare(String(b.id));
+        },
 
-            localStorage.setItem(logKey, JSON.stringify(log));
+        _encodeActivityCursor: function (entry) {
+            return btoa(JSON.stringify({ timestamp: entry.timestamp, id: entry.id }));
         },
 
-        _getActivityLog: function () {
-            const logKey = this.config.storage.prefix + 'activity_log';
-            return JSON.parse(localStorage.getItem(logKey) || '[]');
+        _decodeActivityCursor: function (cursor) {
+            try {
+                const position = JSON.parse(atob(cursor));
+                if (!position.timestamp) throw new Error('missing timestamp');
+                return position;
+            } catch (error) {
+                throw new Error('Invalid activity cursor');
+            }
         },
 
         _getSessionId: function () {
@@ -1333,7 +8642,7 @@
         _loadCache: async function () {
             // Load any cached data
             const cacheKey = this.config.storage.prefix + this.config.storage.cacheKey;
-            const cachedData = localStorage.getItem(cacheKey);
+            const cachedData = this._storageGet(cacheKey);
 
             if (cachedData) {
                 try {
@@ -1351,11 +8660,17 @@
             const fullKey = this.config.storage.prefix + key;
 
             try {
-                if (this._useMemoryStorage) {
-                    return this._memoryStorage.get(fullKey);
+                const encryption = this._state.encryption;
+                if (encryption.active && this._isEncryptedKey(fullKey)) {
+                    const plaintext = encryption.plaintext.get(fullKey);
+                    return plaintext ? JSON.parse(plaintext) : null;
                 }
 
-                const value = localStorage.getItem(fullKey);
+                const value = this._storageGet(fullKey);
+
+                // Ciphertext that could not be decrypted is never handed out
+                if (cryptoHelpers.isEnvelope(value)) return null;
+
                 return value ? JSON.parse(value) : null;
 
             } catch (error) {
@@ -1369,11 +8684,18 @@
 
             try {
                 const serialized = JSON.stringify(value);
+                const encryption = this._state.encryption;
 
-                if (this._useMemoryStorage) {
-                    this._memoryStorage.set(fullKey, value);
+                if (encryption.active && this._isEncryptedKey(fullKey)) {
+                    if (!encryption.key) {
+                        throw new Error('Encryption key not ready');
+                    }
+
+                    // Readers get the plaintext immediately; ciphertext is persisted once ready
+                    encryption.plaintext.set(fullKey, serialized);
+                    this._trackWrite(this._writeEncrypted(fullKey, serialized));
                 } else {
-                    localStorage.setItem(fullKey, serialized);
+                    this._storageSet(fullKey, serialized);
                 }
 
                 return true;
@@ -1388,12 +8710,11 @@
             const fullKey = this.config.storage.prefix + key;
 
             try {
-                if (this._useMemoryStorage) {
-                    this._memoryStorage.delete(fullKey);
-                } else {
-                    localStorage.removeItem(fullKey);
-                }
+                // Drop cached plaintext and cancel any pending encrypted write
+                this._state.encryption.plaintext.delete(fullKey);
+                this._state.encryption.writeTokens.delete(fullKey);
 
+                this._storageRemove(fullKey);
                 return true;
 
             } catch (error) {
@@ -1408,7 +8729,7 @@
             if (this._isObject(target) && this._isObject(source)) {
                 Object.keys(source).forEach(key => {
                     if (this._isObject(source[key])) {
-                        if (!(key in target)) {
+                        if (!(key in target) || !this._isObject(target[key])) {
                             Object.assign(output, { [key]: source[key] });
                         } else {
                             output[key] = this._deepMerge(target[key], source[key]);
@@ -1433,8 +8754,8 @@
         }
     };
 
-    // Auto-initialize
-    EmiralUserData.init().catch(error => {
+    // Auto-initialize (set window.Emiral_USER_DATA_CONFIG before this script to customize)
+    EmiralUserData.init(window.Emiral_USER_DATA_CONFIG || {}).catch(error => {
         console.error('[EmiralUserData] Auto-initialization failed:', error);
     });
 
@@ -1450,7 +8771,7 @@
  * 
  * QUICK START:
  * -----------
- * 1. Include this file before all other scripts
+ * 1. Include js/event-bus.js and this file before all other scripts
  * 2. Access user data: const user = EmiralUserData.getUserData();
  * 3. Check login: if (EmiralUserData.isLoggedIn()) { ... }
  * 4. Update plan: EmiralUserData.updateUserPlan('pro');
@@ -1463,9 +8784,16 @@
  * 2. Add custom plans:
  *    EmiralUserData.init({
  *      plans: {
- *        custom: { name: 'Custom Plan', price: 199, ... }
+ *        custom: {
+ *          name: 'Custom Plan', price: 199, tier: 2.5, ...,
+ *          extends: 'pro',                                  // inherit Pro entitlements
+ *          entitlements: { canRequestCustomFeatures: true, teamSeats: 20 }
+ *        }
  *      }
  *    });
+ *    Plans only get the entitlements they declare or inherit, so adding a
+ *    plan never changes what the other plans can do. Add-ons (config.addOns)
+ *    stack on top: EmiralUserData.grantAddOn('extraSeats', { quantity: 2 });
  * 
  * 3. Listen to events:
  *    EmiralUserData.on('dataUpdated', (data) => {
@@ -1474,35 +8802,457 @@
  * 
  * 4. Track custom activities:
  *    EmiralUserData.trackActivity('feature_used', { feature: 'ai_chat' });
+ *    Read them back page by page or as counts:
+ *      const page = EmiralUserData.queryActivity({ action: 'feature_used', from: '2024-06-01', limit: 20 });
+ *      EmiralUserData.queryActivity({ cursor: page.nextCursor }); // next page
+ *      EmiralUserData.aggregateActivity({ by: 'day' });    // [{ day, count, actions }]
+ *      EmiralUserData.aggregateActivity({ by: 'action' }); // [{ action, count }]
+ *    Retention lives in config.activity: entries beyond maxEntries or older
+ *    than maxAgeDays become daily rollups (counts per action), which
+ *    aggregateActivity() still includes until rollupRetainDays.
+ *    Tracked activity is also forwarded to analytics sinks (see 18).
+ * 
+ * 5. Choose a storage backend (before this script is loaded):
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      storage: {
+ *        adapter: 'indexedDB', // or 'sessionStorage', 'memory', 'remote'
+ *        adapterOptions: { remote: { baseURL: 'https://api.example.com' } }
+ *      }
+ *    };
+ *    Async backends (indexedDB, remote) are loaded during init, so wait for
+ *    EmiralUserData.ready() before reading user data on page load. ready()
+ *    rejects if init fails (e.g. the backend is unreachable):
+ *      EmiralUserData.ready().then(render).catch(showOfflineNotice);
+ * 
+ * 6. Encrypt user, subscription and settings data at rest (HTTPS only):
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      storage: { enableEncryption: true, encryptionKey: 'a-long-random-secret' }
+ *    };
+ *    Existing plain data is encrypted on the next load. Decryption happens
+ *    during init, so read user data after EmiralUserData.ready() resolves.
+ *    Rotate the key later with: await EmiralUserData.rotateEncryptionKey('new-secret');
+ *    Saves fail (false) while the key is not ready; if encrypting a saved value
+ *    fails, it is rolled back to what is stored and storageError is emitted.
+ * 
+ * 7. Change the stored data shape in an update:
+ *    Bump config.schema.version and list a step from the previous version -
+ *    config steps are registered before stored data is upgraded on load:
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      schema: {
+ *        version: '2.1.0',
+ *        migrations: [{ from: '2.0.0', to: '2.1.0', description: 'Default language', migrate: (bundle) => ({
+ *          ...bundle,
+ *          settings: { ...bundle.settings, language: bundle.settings?.language || 'en' }
+ *        }) }]
+ *      }
+ *    };
+ *    Steps registered later with EmiralUserData.registerMigration(from, to, migrate)
+ *    apply to imported exports. Stored data and imports are upgraded step by
+ *    step; if a step throws, the (encrypted) snapshot taken before migrating is
+ *    restored. The snapshot is deleted once the migration succeeds.
+ * 
+ * 8. Add a custom storage backend:
+ *    EmiralUserData.registerStorageAdapter('myStore', (options) => ({
+ *      name: 'myStore', async: true,
+ *      getItem: (key) => ..., setItem: (key, value) => ...,
+ *      removeItem: (key) => ..., keys: () => ...
+ *    }));
+ * 
+ * 9. Sync user data with your backend:
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      sync: {
+ *        baseURL: 'https://api.example.com',
+ *        headers: { Authorization: 'Bearer ...' },
+ *        conflictStrategy: 'field-merge' // or 'last-write-wins'
+ *      }
+ *    };
+ *    GET {endpoints.pull} returns { revision, updatedAt, data } with an ETag
+ *    header (304 for If-None-Match hits, 404 when nothing is stored yet).
+ *    PUT {endpoints.push} receives { baseRevision, updatedAt, data } with
+ *    If-Match and answers 412 when another device saved first. `data` is
+ *    { userData, subscription, settings }.
+ *    Try it without a backend:
+ *      EmiralUserData.config.sync.transport = EmiralUserData.createMockSyncServer({ latency: 200 });
+ * 
+ * 10. Choose which actions wait for the connection:
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      offline: {
+ *        queueWhileOffline: ['updatePlan', 'import'], // deferred while offline
+ *        retryOnFailure: ['save', 'updateSettings']  // retried after a failed write
+ *      }
+ *    };
+ *    Queued actions survive reloads, are replayed in order once back online,
+ *    and identical or back-to-back edits are merged. Let users review them:
+ *      EmiralUserData.getOfflineQueue().forEach(item => console.log(item.id, item.action));
+ *      EmiralUserData.cancelOfflineAction(id);
+ * 
+ * 11. Meter usage from your own features:
+ *    EmiralUserData.recordUsage('apiCalls');                // one API call
+ *    EmiralUserData.recordUsage('storage', file.size);      // bytes stored
+ *    EmiralUserData.recordUsage('models', 1);               // model created (-1 when deleted)
+ *    EmiralUserData.recordUsage('projects', 1);             // project created
+ *    API calls reset every billing period (monthly from the subscription
+ *    start day); storage, models and projects are running totals.
+ * 
+ * 12. Enforce plan limits:
+ *    const quota = EmiralUserData.consumeQuota('projects', 1);
+ *    if (!quota.allowed) { showUpgradeDialog(quota); return; }
+ *    Use checkQuota() to look without recording. Limits of -1 are unlimited.
+ *    Set config.quotas.enforce.storage = false (etc.) to warn without blocking.
+ * 
+ * 13. Load plans from a JSON catalog:
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      catalog: { url: 'data/plans.json', ttl: 3600000 }
+ *    };
+ *    The file looks like { "version": "2024-06", "plans": { "free": {...}, ... },
+ *    "addOns": {...} } with the same fields as config.plans (a "free" plan is
+ *    required). Invalid catalogs are rejected and the previous plans stay in
+ *    place. Pages pick the catalog up from the plansLoaded event.
+ * 
+ * 14. Teams and organizations:
+ *    const org = EmiralUserData.createOrganization('Acme Inc', { switchTo: true });
+ *    EmiralUserData.updateUserPlan('pro'); // billed to Acme, 5 seats
+ *    const invite = EmiralUserData.inviteMember('sam@acme.com', 'member');
+ *    // Sam (signed in with that email) joins with the token from the invite link
+ *    EmiralUserData.acceptInvitation(invite.token);
+ *    Roles are owner > admin > member > viewer; change what each may do in
+ *    config.organizations.roles. Pending invitations hold a seat until they
+ *    are accepted or expire. switchOrganization(null) returns to the personal
+ *    workspace and its own plan.
+ * 
+ * 15. Several accounts on one device:
+ *    EmiralUserData.addAccount({ name: 'Sam', email: 'sam@acme.com' });
+ *    EmiralUserData.listAccounts(); // [{ id, name, email, isActive, ... }]
+ *    EmiralUserData.switchAccount(accountId);
+ *    Each account keeps its own session, subscription, settings, activity
+ *    log and usage. clearUserData() signs out the active account only and
+ *    (config.accounts.switchOnSignOut) activates the next one; signing back
+ *    in restores its settings and history. removeAccount() forgets it.
+ * 
+ * 16. Many tabs open at once:
+ *    One tab is elected leader (Web Locks, or a renewed localStorage lease
+ *    where navigator.locks is missing) and is the only one that runs
+ *    background sync and replays the offline queue. Other tabs hand their
+ *    pushes and replays to it over the "emiralai_sync" BroadcastChannel.
+ *    When the leader closes, the next tab takes over.
+ *      EmiralUserData.on('leaderChanged', ({ isLeader }) => console.log(isLeader));
+ *      EmiralUserData.getTabInfo(); // { tabId, isLeader, leaderId, election, channel }
+ * 
+ * 17. Listen with patterns, priorities and replay:
+ *    Every event below is also published on the shared bus as "user:<event>"
+ *    (see js/event-bus.js), next to profile:* and ui:* events.
+ *      EmiralUserData.on('plan*', (data, event) => console.log(event.name)); // planChanged, plansLoaded
+ *      EmiralUserData.on('dataUpdated', refreshHeader, { priority: 10 });   // runs first
+ *      EmiralUserData.once('initialized', start); // sticky - runs even if init already finished
+ *      const user = await EmiralUserData.once('dataLoaded');
+ *    initialized, dataLoaded and plansLoaded are sticky: late subscribers get
+ *    their last value right away (dataLoaded is forgotten on logout).
+ * 
+ * 18. Send activity to analytics:
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      analytics: {
+ *        sinks: ['gtag', { type: 'beacon', url: '/analytics', batchSize: 20 }],
+ *        sampleRate: 0.25, sampleBy: 'session'
+ *      }
+ *    };
+ *    Events are forwarded unless the user opts out:
+ *      cookieBanner.onDecline(() => EmiralUserData.setAnalyticsConsent(false));
+ *    Where opt-in is required, set analytics.requireConsent: true and show a
+ *    consent prompt - nothing is forwarded until the user accepts:
+ *      cookieBanner.onAccept(() => EmiralUserData.setAnalyticsConsent(true));
+ *    Payloads are scrubbed first: keys in scrub.dropFields are removed and
+ *    emails, card numbers and phone numbers in strings are masked
+ *    (scrub.rules: [{ pattern, replace }]). The beacon sink batches events and
+ *    uses navigator.sendBeacon when the page is hidden. Custom destinations:
+ *      EmiralUserData.addAnalyticsSink({ name: 'mixpanel', send: (events) => {...} });
+ *      EmiralUserData.registerAnalyticsSink('segment', (options) => ({ name: 'segment', send }));
+ *    The 'indexedDB' sink keeps events on the device (sink.read() lists them).
+ *    The activity log itself (queryActivity) is not affected by consent.
+ * 
+ * 19. Sessions, idle sign-out and tokens:
+ *    window.Emiral_USER_DATA_CONFIG = {
+ *      storage: { sessionTimeout: 8 },      // hours, renewed by every interaction
+ *      session: {
+ *        idleTimeout: 15, warningTime: 60,  // minutes idle, seconds of countdown
+ *        refresh: async ({ refreshToken }) => {
+ *          const res = await fetch('/auth/refresh', { method: 'POST', body: refreshToken });
+ *          return res.json(); // { token, refreshToken, tokenExpiresAt }
+ *        }
+ *      }
+ *    };
+ *    Pass tokens at sign-in - they are kept with the session, never in the profile:
+ *      EmiralUserData.addAccount({ email, name, token, refreshToken, tokenExpiresAt });
+ *    Activity in any tab keeps every tab signed in. Before signing out, each
+ *    tab gets sessionExpiring once per second ({ reason: 'idle'|'expired',
+ *    secondsLeft }); extendSession() or any click cancels it (sessionExtended).
+ *      EmiralUserData.on('sessionExpiring', (warning) => {
+ *        banner.textContent = EmiralUserData.getSessionWarningMessage(warning);
+ *      });
+ *    The leader tab refreshes the token ahead of tokenExpiresAt, and sync
+ *    requests send it as "Authorization: Bearer" (a 401 triggers one refresh).
+ *      EmiralUserData.on('sessionExpired', ({ reason }) => showLogin(reason));
+ * 
+ * 20. Subscription lifecycle:
+ *    trialing -> active -> past_due -> grace -> expired
+ *    active -> canceled_at_period_end -> canceled (or back to active)
+ *    Dates are checked on every page load: at the period end an auto-renewing
+ *    subscription renews (config.subscriptions.renewLocally), otherwise it
+ *    goes past_due for retryDays, then grace for graceDays, then expires.
+ *    Canceled and expired subscriptions fall back to the Free plan (the old
+ *    one is kept as subscription.lapsed).
+ *      EmiralUserData.cancelSubscription();            // at period end
+ *      EmiralUserData.cancelSubscription({ immediately: true });
+ *      EmiralUserData.resumeSubscription();
+ *      EmiralUserData.recordPayment(false);            // from your billing webhook
+ *      EmiralUserData.on('subscriptionStateChanged', ({ from, to, reason }) => {...});
+ *    subscription.hasAccess, isPastDue and cancelsAtPeriodEnd drive the UI.
+ * 
+ * 21. Free trials:
+ *    Give a plan a trial length in the catalog: plans.pro.trialDays = 14.
+ *    Each user gets one trial, from Free:
+ *      if (EmiralUserData.getTrialEligibility('pro').eligible) {
+ *        EmiralUserData.startTrial('pro', { paymentMethod: 'credit-card' });
+ *      }
+ *    getUserData().subscription.trial = { endsAt, daysRemaining, hoursRemaining,
+ *    convertsToPaid }. At the end a trial with a payment method becomes active
+ *    (reason 'trialConverted'); without one it falls back to Free ('trialEnded').
+ *    Buying the plan during the trial (updateUserPlan) converts it right away.
+ *    On main.html the pricing cards offer the trial; payment.html?plan=pro&trial=1
+ *    collects a card without charging it.
+ * 
+ * 22. Scheduled downgrades and plan history:
+ *    Moving to a lower tier keeps the current plan until the paid period ends:
+ *      EmiralUserData.updateUserPlan('basic');           // scheduled (planChangeScheduled)
+ *      EmiralUserData.getPendingPlanChange();            // { planId, effectiveAt, requestedBy }
+ *      EmiralUserData.cancelPendingPlanChange();         // keep the current plan
+ *      EmiralUserData.updateUserPlan('basic', null, { immediate: true });
+ *    Upgrades apply at once and replace any scheduled change. Every plan change
+ *    is recorded per workspace (who, when, from, to, reason):
+ *      EmiralUserData.getPlanHistory({ limit: 10 });
+ *    Reasons: upgrade, downgrade, renewal, trialStarted, scheduledDowngrade,
+ *    and the lifecycle reasons (trialEnded, graceEnded, canceled, periodEnded).
+ * 
+ * 23. Locale, time zone and formatting:
+ *    The browser language and time zone are used until the user picks others
+ *    (dashboard Settings > General, or):
+ *      EmiralUserData.setLocale('de-DE', 'Europe/Berlin'); // saved in settings
+ *    Every page formats through the same helpers:
+ *      EmiralUserData.formatNumber(12500);                 // "12.500"
+ *      EmiralUserData.formatCurrency(29);                  // "29,00 $" (config.locale.currency)
+ *      EmiralUserData.formatDate(date, 'long');            // short | medium | long | full | time | datetime | Intl options
+ *      EmiralUserData.formatRelativeTime(subscription.endDate); // "in 3 Tagen"
+ *      EmiralUserData.formatBytes(5368709120);             // "5 GB"
+ *    Offer more languages in config.locale.supported.
+ * 
+ * 24. Importing a backup:
+ *    Preview first - a dry run returns every field that would change:
+ *      const report = EmiralUserData.importUserData(backup, { mode: 'merge-keep-local', dryRun: true });
+ *      report.changes;   // [{ section: 'userData', path: 'preferences.theme', change: 'changed', from, to }]
+ *      report.activity;  // { imported, added, duplicates, removed }
+ *    Modes: 'replace', 'merge-keep-local' (fill gaps only) and 'merge-prefer-import'
+ *    (config.import.defaultMode). Activity is merged by entry id, so importing the
+ *    same backup twice adds nothing. Plan, subscription, account ids, name and
+ *    email are never taken from a backup, and the merged profile must pass the
+ *    full user schema before anything is written. The last import can be reverted:
+ *      EmiralUserData.getLastImport();  // { importedAt, mode, changes }
+ *      EmiralUserData.undoImport();
+ * 
+ * 25. Exporting data:
+ *    Secrets (config.export.redactFields - tokens, passwords, API keys) are left
+ *    out and listed in the manifest; pick collections and a format:
+ *      EmiralUserData.exportData({ format: 'zip' });     // manifest.json, export.json, csv/*.csv
+ *      EmiralUserData.exportData({ format: 'csv', collections: ['activity', 'usage', 'invoices'] });
+ *      EmiralUserData.downloadExport({ format: 'json' }); // saves the file(s) in the browser
+ *    Collections: profile, settings, activity, usage, invoices, planHistory.
+ *    exportUserData() returns the JSON object importUserData() reads back.
+ * 
+ * 26. Validation:
+ *    Saves, subscription writes and trackActivity() check the records in
+ *    config.validation.schemas and emit validationFailed on rejected data.
+ *    saveUserData(), updateSettings(), updateUserPlan() and importUserData()
+ *    then throw a ValidationError with the structured errors - offline too,
+ *    before the action is queued:
+ *      try {
+ *        EmiralUserData.saveUserData({ email: 'nope' });
+ *      } catch (error) {
+ *        if (!(error instanceof EmiralUserData.ValidationError)) throw error;
+ *        error.errors; // [{ path: 'email', rule: 'format', message, expected: 'email' }]
+ *      }
+ *    Other failures (storage, no user signed in) still return false. Check first with:
+ *      EmiralUserData.validate('user', { email: 'nope' }, { partial: true });
+ *      // { valid: false, errors: [{ path: 'email', rule: 'format', message: 'email must be a valid email', expected: 'email' }] }
+ *    Rules: type, required, nullable, minLength/maxLength, min/max, enum, format,
+ *    maxSize. Unknown fields are rejected on 'strict' schemas (user, activity)
+ *    and kept on 'passthrough' ones; add your own profile fields with:
+ *      EmiralUserData.config.validation.schemas.user.properties.phone = { type: 'string', maxLength: 30 };
+ *    or set config.validation.unknownKeys to 'passthrough' for every schema.
+ * 
+ * 27. Undo / redo:
+ *    Every saveUserData() / updateSettings() that changes something is journaled
+ *    as a JSON patch (config.history.limit entries, kept for the page's lifetime):
+ *      EmiralUserData.saveUserData({ name: 'Ada' });
+ *      EmiralUserData.undo();         // name is back
+ *      EmiralUserData.redo();
+ *      EmiralUserData.getHistory();   // { canUndo, canRedo, entries: [{ fields: ['userData.name'], patch, undone }] }
+ *    historyChanged ({ action: recorded|undo|redo|cleared, entry, canUndo, canRedo })
+ *    drives "Undo" toasts - the profile page and dashboard settings show one.
+ *    Plan and account fields (config.history.ignoreFields) are never journaled;
+ *    sign-out, account switches and imports clear the journal.
+ * 
+ * 28. Privacy - access, rectification and erasure:
+ *    getStoredKeys() lists every key under config.privacy.keyPrefixes (the
+ *    storage adapter, localStorage and sessionStorage) with its size and purpose;
+ *    getAccessReport() turns it into a report for people (sections + text):
+ *      EmiralUserData.downloadAccessReport();                 // .txt, or { format: 'json' }
+ *      EmiralUserData.rectifyUserData({ name: 'Ada Lovelace' }, { reason: 'typo' });
+ *    Only config.privacy.profileFields can be rectified (and are listed in the report).
+ *    Erasure is confirmed with the account email and runs after
+ *    config.privacy.erasureGraceDays (checked on every page load):
+ *      EmiralUserData.requestErasure({ confirmEmail: 'ada@example.com' });
+ *      EmiralUserData.cancelErasure();
+ *    Every app key goes except the receipts; on a device with other accounts
+ *    only the person's own keys, account entry and memberships are removed.
+ *    The erasure receipt says whether a second scan found anything left:
+ *      EmiralUserData.getPrivacyReceipts({ type: 'erasure' }); // [{ keysRemoved, verified, remaining }]
+ *    Consent: setAnalyticsConsent() and recordConsent('marketingEmails', true)
+ *    add consent receipts.
  * 
  * AVAILABLE EVENTS:
  * -----------------
  * - initialized: Manager initialized
+ * - initFailed: init() threw ({ error }) - ready() rejects with the same error
  * - dataLoaded: User data loaded
  * - dataUpdated: User data changed
- * - planChanged: Subscription plan changed
+ * - planChanged: Subscription plan changed ({ oldPlan, newPlan, subscription, organizationId, reason })
+ * - subscriptionStateChanged: Subscription status changed ({ from, to, reason, planId, previousPlanId, subscription, organizationId })
+ * - subscriptionRenewed: A new billing period started ({ subscription, organizationId })
+ * - trialStarted: A free trial began ({ planId, trialEndsAt, subscription })
+ * - planChangeScheduled: A downgrade was scheduled for the end of the period ({ planId, fromPlanId, effectiveAt, requestedBy })
+ * - planChangeCanceled: A scheduled plan change was dropped
  * - settingsUpdated: User settings changed
+ * - localeChanged: The user picked another locale or time zone ({ locale, timeZone, currency })
+ * - dataImported: A backup was imported ({ mode, changes, activity, data })
+ * - importUndone: undoImport() restored the data from before an import ({ importedAt, mode })
+ * - dataExported: downloadExport() saved an export ({ format, manifest })
+ * - validationFailed: Data was rejected by a schema ({ schema, errors: [{ path, rule, message, expected }] })
+ * - historyChanged: An edit was journaled, undone or redone, or the journal was cleared ({ action, entry, canUndo, canRedo })
+ * - accessReportDownloaded: downloadAccessReport() saved the report ({ format, generatedAt })
+ * - dataRectified: rectifyUserData() corrected profile fields (the receipt)
+ * - erasureRequested / erasureCancelled: An erasure was scheduled or withdrawn ({ id, subjectId, requestedAt, scheduledFor })
+ * - dataErased: An account's data was erased (the receipt: { subjectId, keysRemoved, verified, remaining })
+ * - consentRecorded: A consent receipt was stored ({ purpose, granted })
  * - userLoggedOut: User logged out
+ * - sessionExpiring: Countdown before an idle or expired session ends, every second ({ reason, expiresAt, secondsLeft })
+ * - sessionExtended: The countdown was cancelled by activity or extendSession() (the renewed session)
+ * - sessionExpired: The session ended and the user was signed out ({ reason: 'idle'|'expired'|'refreshFailed' })
+ * - sessionRefreshed / sessionRefreshFailed: config.session.refresh renewed the token, or failed ({ error })
  * - activityTracked: Activity tracked
+ * - activityCompacted: Old activity rolled up into daily counts ({ rolledUp, droppedDays, remaining })
+ * - analyticsConsentChanged: Analytics opt-in changed ({ granted, updatedAt })
+ * - analyticsError: An analytics sink failed to accept or deliver events ({ sink, error })
  * - notification: Notification triggered
+ * - storageError: An async adapter or encrypted write failed to persist a value (encrypted values fall back to what is stored)
+ * - encryptionError: Stored data could not be encrypted or decrypted
+ * - encryptionKeyRotated: Protected data re-encrypted with a new key
+ * - dataMigrated: Stored data upgraded to the current schema
+ * - migrationFailed: A migration step threw, snapshot restored
+ * - migrationRolledBack: Stored data restored from the migration snapshot
+ * - syncStatus: Sync state changed (syncing, retrying, synced, conflict, error, offline)
+ * - usageRecorded: A usage event was added to the ledger
+ * - quotaWarning: Usage crossed a warning threshold (config.quotas.warningThresholds)
+ * - quotaExceeded: Usage reached the plan limit, or consumeQuota() was blocked
+ * - entitlementsChanged: Add-ons or entitlement overrides changed
+ * - plansLoaded: Plan catalog ready ({ source: config|cache|remote|object, version, plans })
+ * - plansLoadFailed: Plan catalog could not be fetched or failed validation
+ * - accountAdded / accountSwitched / accountRemoved: Multi-account changes
+ * - organizationCreated / organizationUpdated / organizationDeleted
+ * - organizationSwitched: Active workspace changed ({ previous, organization })
+ * - memberInvited / invitationRevoked / invitationDeclined
+ * - memberJoined / memberRemoved / memberRoleChanged / ownershipTransferred
+ * - offlineActionQueued: An action was added to (or merged into) the offline queue
+ * - offlineActionCanceled: A queued action was canceled
+ * - offlineActionFailed: A queued action was dropped after maxAttempts failed replays
+ * - offlineQueueProcessed: Offline queue replayed ({ processed, remaining })
+ * - leaderChanged: This tab became or stopped being the leader tab ({ isLeader, leaderId })
  * 
  * API REFERENCE:
  * --------------
  * - getUserData(forceRefresh)
  * - saveUserData(data)
- * - updateUserPlan(planId, subscriptionData)
+ * - updateUserPlan(planId, subscriptionData, { immediate, reason })
+ * - getPendingPlanChange() / cancelPendingPlanChange()
+ * - getPlanHistory({ limit }) / getInvoices({ limit })
+ * - getSubscriptionState() / transitionSubscription(status, details)
+ * - cancelSubscription({ immediately }) / resumeSubscription()
+ * - recordPayment(succeeded, details)
+ * - getTrialEligibility(planId) / startTrial(planId, options)
  * - getUsageStats(metric)
+ * - recordUsage(metric, amount, meta)
+ * - checkQuota(resource, amount)
+ * - consumeQuota(resource, amount, meta)
  * - getChartData(type, options)
  * - hasAccess(feature)
  * - hasPlan(requiredPlan)
+ * - getEntitlements()
+ * - getPlans() / getPlan(planId) / getUpgradePlan(planId)
+ * - loadPlanCatalog(source, options)
+ * - grantAddOn(addOnId, options) / revokeAddOn(addOnId)
+ * - setEntitlementOverride(entitlement, value)
+ * - createOrganization(name, options) / updateOrganization(orgId, changes) / deleteOrganization(orgId)
+ * - getOrganizations() / getOrganization(orgId) / getActiveOrganization()
+ * - switchOrganization(orgId)
+ * - inviteMember(email, role, orgId) / revokeInvitation(invitationId, orgId)
+ * - getInvitations() / acceptInvitation(token) / declineInvitation(token)
+ * - updateMemberRole(userId, role, orgId) / removeMember(userId, orgId)
+ * - transferOwnership(userId, orgId)
+ * - getSeatUsage(orgId) / hasOrganizationPermission(permission, orgId)
  * - updateSettings(settings)
  * - trackActivity(action, data)
+ * - queryActivity({ action, from, to, limit, cursor })
+ * - aggregateActivity({ by, action, from, to })
+ * - setAnalyticsConsent(granted) / getAnalyticsConsent()
+ * - addAnalyticsSink(definition) / removeAnalyticsSink(name)
+ * - registerAnalyticsSink(name, factory)
+ * - flushAnalytics(useBeacon)
  * - clearUserData(clearSettings)
  * - isLoggedIn()
- * - exportUserData()
- * - importUserData(data)
- * - on(event, callback)
+ * - getLocale() / setLocale(locale, timeZone)
+ * - formatNumber(num, options) / formatCurrency(amount, currency, options)
+ * - formatDate(date, style|options) / formatRelativeTime(date, options) / formatBytes(bytes, options)
+ * - listAccounts() / addAccount(data) / switchAccount(accountId) / removeAccount(accountId)
+ * - getSession() / extendSession()
+ * - getSessionWarningMessage(warning)
+ * - getSessionToken() / refreshSession()
+ * - exportUserData({ collections, redact })
+ * - exportData({ format, collections, redact }) / downloadExport(options)
+ * - importUserData(data, { mode, dryRun })
+ * - undoImport() / getLastImport()
+ * - validate(schema, value, { partial, unknownKeys })
+ * - undo() / redo() / getHistory() / clearHistory()
+ * - getStoredKeys() / getAccessReport() / downloadAccessReport({ format })
+ * - rectifyUserData(changes, { reason })
+ * - requestErasure({ confirmEmail, graceDays }) / cancelErasure() / getErasureRequest()
+ * - recordConsent(purpose, granted) / getPrivacyReceipts({ type, subjectId, limit })
+ * - on(event, callback, options)
+ * - once(event, callback, options)
  * - off(event, callback)
+ * - ready()
+ * - readStorage(key) / writeStorage(key, value) / removeStorage(key)
+ * - getStorageAdapter()
+ * - registerStorageAdapter(name, factory)
+ * - rotateEncryptionKey(newKey)
+ * - registerMigration(from, to, migrate, description)
+ * - getSchemaVersion()
+ * - rollbackMigration()
+ * - syncNow()
+ * - getSyncStatus()
+ * - createMockSyncServer(options)
+ * - getOfflineQueue()
+ * - cancelOfflineAction(id)
+ * - clearOfflineQueue()
+ * - processOfflineQueue()
+ * - isLeaderTab()
+ * - getTabInfo()
  * 
  * =============================================================================
  */
\ No newline at end of file
@@ -30,6 +30,7 @@
  *    7.2. Message Handling
  *    7.3. AI Integration
  * 8. NOTIFICATION SYSTEM
+ *    8.1. Session Warning
  * 9. ANIMATION UTILITIES
  * 10. THEME INTEGRATION
  * 11. ERROR HANDLING
@@ -45,26 +46,15 @@
 (function (window, document) {
     'use strict';
 
+    // Shared event bus (js/event-bus.js) - profile events are published as "profile:<event>"
+    const eventBus = window.EmiralEvents.namespace('profile');
+
     // Constants for better maintainability
     const STORAGE_KEY = 'emiralai_user_data';
     const CHAT_STORAGE_KEY = 'Emiralprofile_chat_messages';
     const MAX_CHAT_MESSAGES = 50;
     const CHART_UPDATE_DELAY = 100;
 
-    const PLAN_HIERARCHY = {
-        'free': { name: 'Free Plan', role: 'Free Member', next: 'Basic' },
-        'basic': { name: 'Basic Plan', role: 'Basic Member', next: 'Pro' },
-        'pro': { name: 'Pro Plan', role: 'Pro Member', next: 'Enterprise' },
-        'enterprise': { name: 'Enterprise Plan', role: 'Enterprise Member', next: null }
-    };
-
-    const PLAN_STATS = {
-        'Free Plan': { projects: 12, efficiency: 72, models: 3 },
-        'Basic Plan': { projects: 50, efficiency: 75, models: 5 },
-        'Pro Plan': { projects: 128, efficiency: 84, models: 15 },
-        'Enterprise Plan': { projects: 500, efficiency: 98, models: 100 }
-    };
-
     /**
      * 1. CONFIGURATION & SETTINGS
      * ===========================
@@ -136,6 +126,7 @@
         state: {
             initialized: false,
             isLoggedIn: false,
+            isLoggingOut: false,
             currentUser: null,
             charts: {
                 performance: null,
@@ -273,9 +264,8 @@
             return window.EmiralUserData.getMemberRole(userData.planId || 'free');
         }
 
-        // Use plan hierarchy
-        const planId = userData.planId || 'free';
-        return PLAN_HIERARCHY[planId]?.role || 'Free Member';
+        // Plans live in the central catalog; without it we only know the default role
+        return this.userDataConfig.defaults.role;
     };
 
     /**
@@ -294,9 +284,8 @@
             }
         }
 
-        // Fallback to plan-based stats
-        const plan = this.determinePlan(userData);
-        return PLAN_STATS[plan] || PLAN_STATS['Free Plan'];
+        // Fallback to empty stats until the central manager has usage data
+        return { ...this.userDataConfig.defaults.stats };
     };
 
     /**
@@ -421,6 +410,38 @@
         if (expiryElement) {
             expiryElement.textContent = this.getPlanExpiryText(userData);
         }
+
+        // Billing tab - renewal line and a scheduled downgrade, if any
+        const billingStatus = document.querySelector('.plan-info-billing p');
+        if (billingStatus) {
+            billingStatus.textContent = this.getPlanExpiryText(userData);
+        }
+
+        this.renderPendingPlanChange(userData);
+    };
+
+    /**
+     * Show a scheduled downgrade with a button to keep the current plan
+     */
+    EmiralProfile.renderPendingPlanChange = function (userData) {
+        const actions = document.querySelector('.plan-actions');
+        if (!actions) return;
+
+        const existing = actions.querySelector('.keep-plan-btn');
+        if (existing) existing.remove();
+
+        const pending = userData.subscription?.pendingChange;
+        if (!pending || !window.EmiralUserData) return;
+
+        const keepButton = document.createElement('button');
+        keepButton.className = 'btn secondary-btn keep-plan-btn';
+        keepButton.textContent = `Keep ${userData.plan}`;
+        keepButton.addEventListener('click', () => {
+            if (window.EmiralUserData.cancelPendingPlanChange()) {
+                this.showNotification(`You will stay on ${userData.plan}.`, 'success');
+            }
+        });
+        actions.insertBefore(keepButton, actions.firstChild);
     };
 
     EmiralProfile.getPlanExpiryText = function (userData) {
@@ -428,9 +449,20 @@
             return 'No expiration';
         }
 
-        if (userData.subscription?.daysRemaining !== undefined) {
-            const days = userData.subscription.daysRemaining;
-            if (days > 0) return `Renews in ${days} days`;
+        const subscription = userData.subscription || {};
+        if (subscription.pendingChange) return `Changes to ${subscription.pendingChange.planName} on ${subscription.formattedEndDate}`;
+        if (subscription.status === 'canceled_at_period_end') return `Ends ${subscription.formattedEndDate}`;
+        if (subscription.status === 'past_due') return 'Payment failed - retrying';
+        if (subscription.status === 'grace') return 'Payment overdue - update your payment method';
+        if (subscription.trial) {
+            const days = subscription.trial.daysRemaining;
+            const ending = days > 1 ? `Trial ends in ${days} days` : days === 1 ? 'Trial ends tomorrow' : 'Trial ends today';
+            return subscription.trial.convertsToPaid ? ending : `${ending} - add a payment method to keep ${userData.plan}`;
+        }
+
+        if (subscription.daysRemaining !== undefined) {
+            const days = subscription.daysRemaining;
+            if (days > 0) return `Renews ${subscription.endsIn || `in ${days} days`}`;
             if (days === 0) return 'Expires today';
             return 'Expired';
         }
@@ -502,19 +534,116 @@
      */
     EmiralProfile.syncWithCentralManager = function () {
         if (!window.EmiralUserData) return;
+        const userEvents = window.EmiralUserData;
 
         // Listen for user data updates
-        window.addEventListener('userDataUpdated', (event) => {
-            if (event.detail) {
+        userEvents.on('dataUpdated', (data) => {
+            if (data) {
                 const userData = this.loadUserData();
                 this.updateUserInterface(userData);
             }
         });
 
-        // Listen for logout
-        window.addEventListener('userLoggedOut', () => {
+        // Listen for logout (including other tabs)
+        userEvents.on('userLoggedOut', () => {
             this.handleLogout();
         });
+
+        // Idle or expiring session - count down, then send the user to sign in again
+        userEvents.on('sessionExpiring', (warning) => this.showSessionWarning(warning));
+        userEvents.on('sessionExtended', () => this.hideSessionWarning());
+        userEvents.on('sessionExpired', () => {
+            // The manager has already signed out - skip handleLogout()
+            this.state.isLoggingOut = true;
+            this.hideSessionWarning();
+            this.showNotification('Your session has expired. Please sign in again.', 'warning');
+
+            setTimeout(() => {
+                window.location.href = 'main.html#session-expired';
+            }, 1000);
+        });
+
+        // Refresh plan labels and the upgrade button when the catalog changes
+        userEvents.on('plansLoaded', () => {
+            this.updateUserInterface(this.loadUserData());
+        }, { replay: false });
+
+        // Plan quota alerts
+        userEvents.on('quotaWarning', (quota) => {
+            this.showNotification(`${quota.label} usage reached ${quota.percentage}% of your plan limit.`, 'warning');
+        });
+
+        userEvents.on('quotaExceeded', (quota) => {
+            this.showNotification(quota.blocked ?
+                `${quota.label} limit reached. Upgrade your plan to continue.` :
+                `${quota.label} usage is over your plan limit.`, 'error');
+        });
+
+        // Dates and numbers follow the new locale
+        userEvents.on('localeChanged', () => {
+            this.updateUserInterface(this.loadUserData());
+        });
+
+        // Scheduled downgrades
+        userEvents.on('planChangeScheduled', (change) => {
+            this.showNotification(`Your plan changes to ${change.planName} on ${this.formatDate(change.effectiveAt)}.`, 'info');
+        });
+
+        // Renewals, failed payments and lapsed plans
+        userEvents.on('subscriptionStateChanged', (change) => {
+            const message = this.getSubscriptionChangeMessage(change);
+            if (message) {
+                this.showNotification(message.text, message.type);
+            }
+        });
+
+        // Every journaled profile edit gets an "Undo" toast
+        userEvents.on('historyChanged', (change) => this.showUndoNotification(change));
+    };
+
+    /**
+     * Toast with an Undo button after a profile or settings edit (EmiralUserData.undo())
+     * @param {Object} change - historyChanged payload
+     */
+    EmiralProfile.showUndoNotification = function (change) {
+        const previous = document.querySelector('.Emiral-notification.undo-notification');
+        if (previous) this.closeNotification(previous);
+
+        if (change.action !== 'recorded') return;
+
+        const isSettings = change.entry.fields.every(field => field.startsWith('settings.'));
+        const notification = this.showNotification(isSettings ? 'Settings saved' : 'Profile updated', 'success', {
+            action: {
+                label: 'Undo',
+                onClick: () => {
+                    if (window.EmiralUserData.undo()) {
+                        this.showNotification('Change undone', 'info');
+                    }
+                }
+            }
+        });
+
+        if (notification) notification.classList.add('undo-notification');
+    };
+
+    EmiralProfile.getSubscriptionChangeMessage = function (change) {
+        switch (change.to) {
+            case 'active':
+                return { text: change.from === 'trialing' ? 'Your trial has ended and your plan is now active.' : 'Your subscription is active again.', type: 'success' };
+            case 'past_due':
+                return { text: 'Your last payment failed. We will retry it over the next few days.', type: 'warning' };
+            case 'grace':
+                return { text: 'Your payment is overdue. Update your payment method to keep your plan.', type: 'error' };
+            case 'canceled_at_period_end':
+                return { text: `Subscription cancelled. You have access until ${this.formatDate(change.subscription.endDate)}.`, type: 'info' };
+            case 'canceled':
+            case 'expired':
+                return change.reason === 'trialEnded' ?
+                    { text: 'Your free trial has ended. You are now on the Free plan.', type: 'warning' } :
+                    { text: 'Your subscription has ended. You are now on the Free plan.', type: 'warning' };
+        }
+
+        return null;
     };
 
     /**
@@ -546,8 +675,16 @@
     };
 
     EmiralProfile.handleLogout = function () {
+        // clearUserData() announces userLoggedOut, which lands here again
+        if (this.state.isLoggingOut) return;
+        this.state.isLoggingOut = true;
+
         try {
-            localStorage.removeItem(this.userDataConfig.storageKey);
+            if (window.EmiralUserData?.clearUserData) {
+                window.EmiralUserData.clearUserData();
+            } else {
+                localStorage.removeItem(this.userDataConfig.storageKey);
+            }
             sessionStorage.clear();
             this.showNotification('Logging out...', 'info');
 
@@ -567,9 +704,11 @@
     EmiralProfile.updatePlanFeatures = function (plan) {
         const upgradeBtn = document.querySelector('.profile-actions .btn:first-child');
         if (upgradeBtn) {
-            const planInfo = Object.values(PLAN_HIERARCHY).find(p => p.name === plan);
-            if (planInfo?.next) {
-                upgradeBtn.innerHTML = `<i class="fas fa-crown"></i> Upgrade to ${planInfo.next}`;
+            const catalog = window.EmiralUserData?.getPlans() || [];
+            const planInfo = catalog.find(p => p.name === plan);
+            const nextPlan = planInfo && window.EmiralUserData.getUpgradePlan(planInfo.id);
+            if (nextPlan) {
+                upgradeBtn.innerHTML = `<i class="fas fa-crown"></i> Upgrade to ${nextPlan.displayName || nextPlan.name}`;
                 upgradeBtn.style.display = 'inline-flex';
             } else {
                 upgradeBtn.style.display = 'none';
@@ -629,10 +768,16 @@
         reader.onload = (e) => {
             const avatarImg = document.querySelector('.profile-avatar img');
             if (avatarImg) {
+                if (!this.updateUserAvatar(e.target.result)) return;
+
                 avatarImg.src = e.target.result;
-                this.updateUserAvatar(e.target.result);
-                this.showNotification('Avatar updated successfully!', 'success');
-                this.triggerEvent('Emiralprofile:avatar:updated', { file });
+
+                // The manager confirms with an "Undo" toast (showUndoNotification)
+                if (!window.EmiralUserData) {
+                    this.showNotification('Avatar updated successfully!', 'success');
+                }
+
+                this.triggerEvent('avatar:updated', { file });
             }
         };
 
@@ -644,16 +789,37 @@
     };
 
     EmiralProfile.updateUserAvatar = function (avatarData) {
-        if (!this.state.currentUser) return;
+        if (!this.state.currentUser) return false;
 
-        this.state.currentUser.profileImage = avatarData;
+        // The manager's user schema limits the size and kind of image
+        if (window.EmiralUserData?.validate) {
+            const result = window.EmiralUserData.validate('user', { profileImage: avatarData }, { partial: true });
+            if (!result.valid) {
+                this.showNotification(result.errors[0].message, 'error');
+                return false;
+            }
+        }
 
         // Update using centralized manager if available
-        if (window.EmiralUserData?.updateUserData) {
-            window.EmiralUserData.updateUserData({ profileImage: avatarData });
+        if (window.EmiralUserData?.saveUserData) {
+            let saved = false;
+            try {
+                saved = window.EmiralUserData.saveUserData({ profileImage: avatarData });
+            } catch (error) {
+                this.log('error', 'Failed to save avatar:', error);
+            }
+
+            // Large data-URL images are the usual cause of a full storage quota
+            if (!saved) {
+                this.showNotification('Your avatar could not be saved. Please try a smaller image.', 'error');
+                return false;
+            }
         } else {
             this.updateStoredUserData({ profileImage: avatarData });
         }
+
+        this.state.currentUser.profileImage = avatarData;
+        return true;
     };
 
     /**
@@ -696,11 +862,22 @@
         // Merge custom configuration
         this.config = this.deepMerge(this.config, customConfig);
 
-        // Initialize when DOM is ready
+        // Initialize when DOM and the centralized manager's storage are ready
+        const start = () => {
+            if (window.EmiralUserData?.ready) {
+                // A failed init still shows the page
+                window.EmiralUserData.ready()
+                    .catch(error => this.log('error', 'User data manager failed to initialize:', error))
+                    .then(() => this.initialize());
+            } else {
+                this.initialize();
+            }
+        };
+
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initialize());
+            document.addEventListener('DOMContentLoaded', start);
         } else {
-            this.initialize();
+            start();
         }
     };
 
@@ -727,7 +904,7 @@
 
             // Mark as initialized
             this.state.initialized = true;
-            this.triggerEvent('Emiralprofile:initialized');
+            this.triggerEvent('initialized');
             this.log('info', 'EmiralProfile initialized successfully');
 
         } catch (error) {
@@ -769,7 +946,10 @@
             this.handleLogout();
         } else {
             try {
-                const newUserData = JSON.parse(event.newValue);
+                // The manager may store user data encrypted - read it back through the manager
+                const newUserData = window.EmiralUserData?.getUserData
+                    ? window.EmiralUserData.getUserData(true)
+                    : JSON.parse(event.newValue);
 
                 // Merge with existing data
                 const currentData = this.state.currentUser || {};
@@ -833,7 +1013,7 @@
             // Update URL hash without scrolling
             history.replaceState(null, null, `#${tabId}`);
 
-            this.triggerEvent('Emiralprofile:tabchange', { tabId });
+            this.triggerEvent('tabchange', { tabId });
             this.onTabChange(tabId);
         }
     };
@@ -894,7 +1074,7 @@
                 const isPassword = elements.input.type === 'password';
                 elements.input.type = isPassword ? 'text' : 'password';
                 elements.toggle.querySelector('i').className = isPassword ? 'fas fa-eye-slash' : 'fas fa-eye';
-                this.triggerEvent('Emiralprofile:apikey:visibility', { visible: isPassword });
+                this.triggerEvent('apikey:visibility', { visible: isPassword });
             });
         }
 
@@ -921,7 +1101,7 @@
                     const newKey = this.generateAPIKey(this.state.currentUser.email);
                     elements.input.value = newKey;
                     this.showNotification('API key regenerated successfully', 'success');
-                    this.triggerEvent('Emiralprofile:apikey:regenerated', { newKey });
+                    this.triggerEvent('apikey:regenerated', { newKey });
                 }
             });
         }
@@ -1427,7 +1607,7 @@
         this.state.chat.isMinimized = false;
 
         setTimeout(() => input?.focus(), 100);
-        this.triggerEvent('Emiralprofile:chat:opened');
+        this.triggerEvent('chat:opened');
     };
 
     EmiralProfile.closeChat = function () {
@@ -1443,7 +1623,7 @@
             this.saveChatMessages();
         }
 
-        this.triggerEvent('Emiralprofile:chat:closed');
+        this.triggerEvent('chat:closed');
     };
 
     EmiralProfile.minimizeChat = function () {
@@ -1454,7 +1634,7 @@
         this.state.chat.isOpen = false;
         this.state.chat.isMinimized = true;
 
-        this.triggerEvent('Emiralprofile:chat:minimized');
+        this.triggerEvent('chat:minimized');
     };
 
     EmiralProfile.restoreChat = function () {
@@ -1472,7 +1652,7 @@
             badge.style.display = 'none';
         }
 
-        this.triggerEvent('Emiralprofile:chat:restored');
+        this.triggerEvent('chat:restored');
     };
 
     EmiralProfile.sendMessage = function (message) {
@@ -1498,14 +1678,14 @@
         // Get AI response (typing indicator will be shown in getAIResponse)
         this.getAIResponse(message);
 
-        this.triggerEvent('Emiralprofile:chat:message:sent', { message });
+        this.triggerEvent('chat:message:sent', { message });
     };
 
     EmiralProfile.createMessageElement = function (content, type) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${type}-message fade-in`;
 
-        const time = new Date().toLocaleTimeString([], {
+        const time = this.formatDate(new Date(), {
             hour: '2-digit',
             minute: '2-digit'
         });
@@ -1548,6 +1728,15 @@
     };
 
     EmiralProfile.getAIResponseFromAPI = async function (userMessage) {
+        // Count the request against the plan's API quota
+        if (window.EmiralUserData?.consumeQuota) {
+            const quota = window.EmiralUserData.consumeQuota('apiCalls', 1, { source: 'profile-chat' });
+            if (quota && !quota.allowed) {
+                this.getBuiltInAIResponse(userMessage);
+                return;
+            }
+        }
+
         try {
             // Auto-detect API format
             const isOpenAIFormat = this.config.chat.apiEndpoint.includes('openai.com') ||
@@ -1660,7 +1849,7 @@
             this.showChatNotificationBadge();
         }
 
-        this.triggerEvent('Emiralprofile:chat:message:received', { message: response });
+        this.triggerEvent('chat:message:received', { message: response });
     };
 
     EmiralProfile.generateAIResponse = function (userMessage) {
@@ -1800,7 +1989,14 @@
     EmiralProfile.formatNumber = function (num) {
         if (num === -1) return 'unlimited';
         if (num === undefined || num === null) return '0';
-        return new Intl.NumberFormat('en-US').format(num);
+        if (window.EmiralUserData) return window.EmiralUserData.formatNumber(num);
+        return new Intl.NumberFormat().format(num);
+    };
+
+    // Dates follow the locale and time zone saved in EmiralUserData settings
+    EmiralProfile.formatDate = function (date, style = 'medium') {
+        if (window.EmiralUserData) return window.EmiralUserData.formatDate(date, style);
+        return new Date(date).toLocaleDateString();
     };
 
     EmiralProfile.showTypingIndicator = function () {
@@ -1880,7 +2076,12 @@
     EmiralProfile.saveChatMessages = function () {
         try {
             const messages = this.state.chat.messages.slice(-MAX_CHAT_MESSAGES);
-            localStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify(messages));
+
+            if (window.EmiralUserData?.writeStorage) {
+                window.EmiralUserData.writeStorage('chat_messages', messages);
+            } else {
+                localStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify(messages));
+            }
         } catch (error) {
             this.log('warn', 'Failed to save chat messages:', error);
         }
@@ -1888,9 +2089,22 @@
 
     EmiralProfile.loadChatMessages = function () {
         try {
-            const saved = localStorage.getItem(CHAT_STORAGE_KEY);
-            if (saved) {
-                const messages = JSON.parse(saved);
+            const legacy = JSON.parse(localStorage.getItem(CHAT_STORAGE_KEY) || 'null');
+            let messages = legacy;
+
+            if (window.EmiralUserData?.readStorage) {
+                messages = window.EmiralUserData.readStorage('chat_messages');
+
+                // History saved before the chat moved into the manager - hand it over once
+                if (legacy) {
+                    if (messages || window.EmiralUserData.writeStorage('chat_messages', legacy)) {
+                        localStorage.removeItem(CHAT_STORAGE_KEY);
+                    }
+                    messages = messages || legacy;
+                }
+            }
+
+            if (messages) {
                 this.state.chat.messages = messages;
 
                 // Display messages
@@ -1908,10 +2122,10 @@
      * 8. NOTIFICATION SYSTEM
      * ======================
      */
-    EmiralProfile.showNotification = function (message, type = 'info') {
+    EmiralProfile.showNotification = function (message, type = 'info', options = {}) {
         if (!this.config.notifications.enabled) return;
 
-        const notification = this.createNotification(message, type);
+        const notification = this.createNotification(message, type, options.action);
         this.positionNotification(notification);
         document.body.appendChild(notification);
 
@@ -1923,10 +2137,14 @@
             setTimeout(() => this.closeNotification(notification), this.config.notifications.duration);
         }
 
-        this.triggerEvent('Emiralprofile:notification:show', { message, type });
+        this.triggerEvent('notification:show', { message, type });
+        return notification;
     };
 
-    EmiralProfile.createNotification = function (message, type) {
+    /**
+     * @param {Object} action - Optional button { label, onClick } shown before the close button
+     */
+    EmiralProfile.createNotification = function (message, type, action) {
         const notification = document.createElement('div');
         notification.className = `Emiral-notification ${type} ${this.config.notifications.animations ? 'animated' : ''}`;
 
@@ -1940,11 +2158,19 @@
         notification.innerHTML = `
             <i class="fas fa-${icons[type] || icons.info}"></i>
             <span class="notification-message">${this.escapeHtml(message)}</span>
+            ${action ? `<button type="button" class="notification-action">${this.escapeHtml(action.label)}</button>` : ''}
             <button class="notification-close">
                 <i class="fas fa-times"></i>
             </button>
         `;
 
+        if (action) {
+            notification.querySelector('.notification-action').addEventListener('click', () => {
+                action.onClick();
+                this.closeNotification(notification);
+            });
+        }
+
         return notification;
     };
 
@@ -1978,6 +2204,32 @@
         }
     };
 
+    /**
+     * 8.1. Session Warning
+     * Stays open and counts down with sessionExpiring; closing it keeps the session alive
+     */
+    EmiralProfile.showSessionWarning = function (warning) {
+        let notification = document.querySelector('.Emiral-notification.session-warning');
+        if (!notification) {
+            notification = this.createNotification('', 'warning');
+            notification.classList.add('session-warning');
+            this.positionNotification(notification);
+            document.body.appendChild(notification);
+
+            notification.querySelector('.notification-close').addEventListener('click', () => {
+                window.EmiralUserData?.extendSession();
+            });
+        }
+
+        notification.querySelector('.notification-message').textContent =
+            `${window.EmiralUserData.getSessionWarningMessage(warning)} Close this message to stay signed in.`;
+    };
+
+    EmiralProfile.hideSessionWarning = function () {
+        const notification = document.querySelector('.Emiral-notification.session-warning');
+        if (notification) this.closeNotification(notification);
+    };
+
     /**
      * 9. ANIMATION UTILITIES
      * ======================
@@ -2076,7 +2328,7 @@
     EmiralProfile.onThemeChange = function () {
         this.detectTheme();
         this.updateChartTheme();
-        this.triggerEvent('Emiralprofile:theme:changed', { theme: this.state.theme });
+        this.triggerEvent('theme:changed', { theme: this.state.theme });
     };
 
     EmiralProfile.updateChartTheme = function () {
@@ -2134,7 +2386,7 @@
             this.showNotification('An error occurred. Please try again or contact support.', 'error');
         }
 
-        this.triggerEvent('Emiralprofile:error', { message, error });
+        this.triggerEvent('error', { message, error });
     };
 
     /**
@@ -2183,7 +2435,7 @@
         if (!this.state.charts.performance) return;
 
         const chart = this.state.charts.performance;
-        const currentMonth = new Date().toLocaleString('default', { month: 'short' });
+        const currentMonth = this.formatDate(new Date(), { month: 'short' });
 
         // Update labels
         chart.data.labels.push(currentMonth);
@@ -2250,7 +2502,7 @@
         copyToClipboard(text).then(success => {
             if (success) {
                 this.showCopyFeedback(button);
-                this.triggerEvent('Emiralprofile:clipboard:copy', { text });
+                this.triggerEvent('clipboard:copy', { text });
             } else {
                 this.showNotification('Failed to copy to clipboard', 'error');
             }
@@ -2303,13 +2555,13 @@
     EmiralProfile.loadActivityHistory = function () {
         // This would typically fetch from an API
         // For now, we'll just trigger the loaded event
-        this.triggerEvent('Emiralprofile:activity:loaded');
+        this.triggerEvent('activity:loaded');
     };
 
     EmiralProfile.filterActivityHistory = function (filter) {
         // Implementation for filtering activity history
         console.log('Filtering activity by:', filter);
-        this.triggerEvent('Emiralprofile:activity:filtered', { filter });
+        this.triggerEvent('activity:filtered', { filter });
     };
 
     EmiralProfile.loadMoreActivityHistory = function () {
@@ -2354,12 +2606,17 @@
 
         // Danger zone actions
         const exportBtn = document.querySelector('.danger-actions .secondary-btn');
+        const reportBtn = document.getElementById('accessReportBtn');
         const deleteBtn = document.querySelector('.danger-actions .danger-btn');
 
         if (exportBtn) {
             exportBtn.addEventListener('click', () => this.exportAccountData());
         }
 
+        if (reportBtn) {
+            reportBtn.addEventListener('click', () => this.downloadAccessReport());
+        }
+
         if (deleteBtn) {
             deleteBtn.addEventListener('click', () => this.confirmAccountDeletion());
         }
@@ -2378,6 +2635,8 @@
             if (companyInput) companyInput.value = this.state.currentUser.company || '';
             if (roleInput) roleInput.value = this.state.currentUser.role || '';
         }
+
+        this.updateErasureStatus();
     };
 
     EmiralProfile.saveProfileSettings = function (formData) {
@@ -2387,7 +2646,7 @@
         // Simulate API call
         setTimeout(() => {
             this.showNotification('Profile updated successfully', 'success');
-            this.triggerEvent('Emiralprofile:settings:profile:saved');
+            this.triggerEvent('settings:profile:saved');
         }, 1000);
     };
 
@@ -2417,7 +2676,7 @@
         // Simulate API call
         setTimeout(() => {
             this.showNotification('Security settings updated successfully', 'success');
-            this.triggerEvent('Emiralprofile:settings:security:saved');
+            this.triggerEvent('settings:security:saved');
         }, 1000);
     };
 
@@ -2426,44 +2685,101 @@
         const enabled = toggle.checked;
 
         this.showNotification(`${settingName} ${enabled ? 'enabled' : 'disabled'}`, 'success');
-        this.triggerEvent('Emiralprofile:settings:notification:changed', { settingName, enabled });
+        this.triggerEvent('settings:notification:changed', { settingName, enabled });
     };
 
     EmiralProfile.exportAccountData = function () {
+        if (!window.EmiralUserData?.downloadExport) {
+            this.showNotification('Data export is not available', 'error');
+            return;
+        }
+
+        const formatSelect = document.getElementById('exportFormat');
+        const format = formatSelect ? formatSelect.value : 'json';
+
         this.showNotification('Preparing your data export...', 'info');
 
-        // Simulate data export
-        setTimeout(() => {
-            const data = {
-                user: this.state.currentUser,
-                settings: this.config,
-                exportDate: new Date().toISOString()
-            };
+        // The manager leaves session tokens and API keys out of the files
+        const manifest = window.EmiralUserData.downloadExport({ format });
+        if (!manifest) {
+            this.showNotification('Your data could not be exported', 'error');
+            return;
+        }
 
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `emiralai-export-${Date.now()}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+        this.showNotification('Data exported successfully', 'success');
+        this.triggerEvent('account:exported', { format, files: manifest.files });
+    };
 
-            this.showNotification('Data exported successfully', 'success');
-            this.triggerEvent('Emiralprofile:account:exported');
-        }, 1500);
+    EmiralProfile.downloadAccessReport = function () {
+        if (!window.EmiralUserData?.downloadAccessReport) {
+            this.showNotification('The access report is not available', 'error');
+            return;
+        }
+
+        const report = window.EmiralUserData.downloadAccessReport();
+        if (!report) {
+            this.showNotification('The access report could not be created', 'error');
+            return;
+        }
+
+        this.showNotification(`Access report downloaded - ${report.storedKeys.length} items stored on this device`, 'success');
+        this.triggerEvent('account:accessReport', { generatedAt: report.generatedAt });
     };
 
     EmiralProfile.confirmAccountDeletion = function () {
-        if (confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
-            if (confirm('This will permanently delete all your data, projects, and models. Are you absolutely sure?')) {
-                this.showNotification('Processing account deletion...', 'warning');
-
-                // Simulate account deletion
-                setTimeout(() => {
-                    this.handleLogout();
-                }, 2000);
+        const manager = window.EmiralUserData;
+        if (!manager?.requestErasure) {
+            this.showNotification('Account deletion is not available', 'error');
+            return;
+        }
+
+        // A scheduled deletion can be withdrawn until it runs
+        if (manager.getErasureRequest()) {
+            if (manager.cancelErasure()) {
+                this.showNotification('Account deletion cancelled', 'success');
+                this.triggerEvent('account:erasureCancelled');
             }
+            this.updateErasureStatus();
+            return;
+        }
+
+        // Typing the account email confirms it is the owner asking
+        const emailInput = document.getElementById('erasureConfirmEmail');
+        const result = manager.requestErasure({ confirmEmail: emailInput ? emailInput.value : '' });
+        if (!result) {
+            this.showNotification('Type your account email to confirm the deletion', 'error');
+            if (emailInput) emailInput.focus();
+            return;
+        }
+
+        // Without a grace period the data is already gone and the manager signed out
+        if (result.type === 'erasure') {
+            this.showNotification('Your account and data were deleted', 'success');
+            return;
+        }
+
+        if (emailInput) emailInput.value = '';
+        this.showNotification(`Your account will be deleted on ${manager.formatDate(result.scheduledFor, 'long')}. You can cancel until then.`, 'warning');
+        this.triggerEvent('account:erasureRequested', { scheduledFor: result.scheduledFor });
+        this.updateErasureStatus();
+    };
+
+    EmiralProfile.updateErasureStatus = function () {
+        const manager = window.EmiralUserData;
+        if (!manager?.getErasureRequest) return;
+
+        const status = document.getElementById('erasureStatus');
+        const emailInput = document.getElementById('erasureConfirmEmail');
+        const deleteBtn = document.querySelector('.danger-actions .danger-btn');
+        const request = manager.getErasureRequest();
+
+        if (status) {
+            status.textContent = request ?
+                `Scheduled for ${manager.formatDate(request.scheduledFor, 'long')} - cancel before then to keep your account` :
+                `Permanently delete your account and all data after a ${manager.config.privacy.erasureGraceDays}-day grace period`;
         }
+        if (emailInput) emailInput.hidden = !!request;
+        if (deleteBtn) deleteBtn.textContent = request ? 'Cancel Deletion' : 'Delete Account';
     };
 
     /**
@@ -2516,17 +2832,17 @@
     EmiralProfile.loadBillingInfo = function () {
         // Load billing information
         // This would typically fetch from an API
-        this.triggerEvent('Emiralprofile:billing:loaded');
+        this.triggerEvent('billing:loaded');
     };
 
     EmiralProfile.confirmSubscriptionCancellation = function () {
         if (confirm('Are you sure you want to cancel your subscription? You will lose access to premium features.')) {
-            this.showNotification('Processing cancellation...', 'warning');
-
-            setTimeout(() => {
-                this.showNotification('Subscription cancelled. You have access until the end of the billing period.', 'info');
-                this.triggerEvent('Emiralprofile:subscription:cancelled');
-            }, 1500);
+            // The manager notifies through subscriptionStateChanged
+            if (window.EmiralUserData && window.EmiralUserData.cancelSubscription()) {
+                this.triggerEvent('subscription:cancelled');
+            } else {
+                this.showNotification('There is no paid subscription to cancel.', 'error');
+            }
         }
     };
 
@@ -2537,7 +2853,7 @@
     EmiralProfile.removePaymentMethod = function () {
         if (confirm('Are you sure you want to remove this payment method?')) {
             this.showNotification('Payment method removed', 'success');
-            this.triggerEvent('Emiralprofile:payment:removed');
+            this.triggerEvent('payment:removed');
         }
     };
 
@@ -2551,13 +2867,16 @@
         // Simulate invoice download
         setTimeout(() => {
             this.showNotification('Invoice downloaded successfully', 'success');
-            this.triggerEvent('Emiralprofile:invoice:downloaded');
+            this.triggerEvent('invoice:downloaded');
         }, 1000);
     };
 
     // Utility functions
     EmiralProfile.triggerEvent = function (eventName, detail = {}) {
-        const event = new CustomEvent(eventName, {
+        eventBus.emit(eventName, detail);
+
+        // DOM event for scripts listening on document
+        const event = new CustomEvent(`Emiralprofile:${eventName}`, {
             detail,
             bubbles: true,
             cancelable: true
@@ -2729,6 +3048,19 @@
         this.switchTab(tabId);
     };
 
+    // Profile events ('chat:*', 'settings:profile:saved', ...) without the 'profile:' prefix
+    EmiralProfile.on = function (eventName, callback, options) {
+        return eventBus.on(eventName, callback, options);
+    };
+
+    EmiralProfile.once = function (eventName, callback) {
+        return eventBus.once(eventName, callback);
+    };
+
+    EmiralProfile.off = function (eventName, callback) {
+        eventBus.off(eventName, callback);
+    };
+
     // Expose to global scope
     window.EmiralProfile = EmiralProfile;
 
@@ -2823,6 +3155,39 @@ if (!window.Emiral_MANUAL_INIT) {
  * 8. Navigate to specific tab:
  *    EmiralProfile.navigateToTab('account-settings');
  * 
+ * 9. Listen to profile events:
+ *    EmiralProfile.on('chat:*', (detail, event) => console.log(event.name));
+ *    EmiralProfile.on('settings:profile:saved', () => {}, { priority: 10 });
+ *    Events are also on the shared bus as 'profile:<event>' (js/event-bus.js).
+ * 
+ * 10. Session countdown:
+ *    EmiralUserData's sessionExpiring events show a warning that counts down
+ *    (showSessionWarning); on sessionExpired the page goes to main.html to sign in.
+ *    Timeouts are set in EmiralUserData.config.session.
+ * 
+ * 11. Subscription status:
+ *    "Cancel Subscription" calls EmiralUserData.cancelSubscription() - the plan
+ *    stays until the period ends. subscriptionStateChanged shows a notification
+ *    (getSubscriptionChangeMessage) and the plan card reflects past_due/grace.
+ *    A scheduled downgrade shows on the billing tab with a "Keep <plan>" button
+ *    (EmiralUserData.cancelPendingPlanChange()).
+ * 
+ * 12. Undo:
+ *    Profile edits saved through EmiralUserData (e.g. the avatar) show a toast
+ *    with an Undo button (showUndoNotification, on historyChanged). Add a button
+ *    to any notification with showNotification(text, type, { action: { label, onClick } }).
+ * 
+ * 13. Data export:
+ *    "Export Data" (Account Settings) calls EmiralUserData.downloadExport() with
+ *    the format picked next to it (#exportFormat: JSON, CSV or ZIP). Secrets are
+ *    redacted by the manager (config.export.redactFields).
+ * 
+ * 14. Your data & account deletion:
+ *    "Access Report" downloads EmiralUserData.downloadAccessReport(). "Delete
+ *    Account" needs the account email typed in and schedules
+ *    EmiralUserData.requestErasure() after config.privacy.erasureGraceDays;
+ *    the same button then cancels it (updateErasureStatus keeps the text current).
+ * 
  * 
  * 
  * =============================================================================